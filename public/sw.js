@@ -0,0 +1,53 @@
+/**
+ * Sunstay service worker
+ * ─────────────────────────────────────────────────────────────
+ * Shows the weather alerts pushed by api/pushSubscriptions sendDueAlerts()
+ * and focuses the app when one is tapped. Payloads are JSON:
+ *   { title, body, icon, tag, data: { url, category, venueId, startsAt, expire } }
+ * `tag` is the alert's dedup key, so a re-sent alert replaces the old one;
+ * `expire` lists tags of earlier alerts whose conditions have passed.
+ */
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+    let payload = {};
+    try {
+        payload = event.data ? event.data.json() : {};
+    } catch {
+        payload = { body: event.data?.text() };
+    }
+
+    event.waitUntil((async () => {
+        const expire = payload.data?.expire || [];
+        if (expire.length) {
+            const shown = await self.registration.getNotifications();
+            shown.filter(n => expire.includes(n.tag)).forEach(n => n.close());
+        }
+        await self.registration.showNotification(payload.title || 'Sunstay', {
+            body: payload.body || '',
+            icon: payload.icon || '/sunstay-logo.png',
+            badge: '/sunstay-logo.png',
+            tag: payload.tag,
+            data: payload.data || {},
+        });
+    })());
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const open = windows.find(client => client.url.startsWith(self.location.origin));
+        if (open) return open.focus();
+        return self.clients.openWindow(url);
+    })());
+});
@@ -0,0 +1,54 @@
+/**
+ * Scheduled push alerts
+ * ─────────────────────────────────────────────────────────────
+ * Runs sendDueAlerts() (src/api/pushSubscriptions.js) once and exits.
+ * Schedule it every 15–30 minutes, e.g. from cron:
+ *
+ *   SUPABASE_URL=… SUPABASE_SERVICE_ROLE_KEY=… npm run send-alerts
+ *
+ * Subscriptions are read with the service role, which bypasses the
+ * row-level security that keeps browsers to their own rows (see
+ * API_SETUP.md); pushes go through the `send-push` Edge Function with the
+ * same client. The app modules are loaded through Vite so they see the
+ * same `import.meta.env` (from .env) as the app does.
+ */
+
+import { fileURLToPath } from 'node:url';
+import { createClient } from '@supabase/supabase-js';
+import { createServer } from 'vite';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!url || !serviceKey) {
+    console.error('[send-due-alerts] Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.');
+    process.exit(1);
+}
+
+const client = createClient(url, serviceKey, {
+    auth: { persistSession: false, autoRefreshToken: false },
+});
+
+const vite = await createServer({
+    root,
+    appType: 'custom',
+    logLevel: 'warn',
+    server: { middlewareMode: true, hmr: false, watch: null },
+    optimizeDeps: { noDiscovery: true },
+});
+
+try {
+    const alerts = await vite.ssrLoadModule('/src/api/pushSubscriptions.js');
+    const { createSupabasePushSubscriptionBackend } = await vite.ssrLoadModule('/src/api/pushSubscriptionBackends/supabase.js');
+    const { createWebPushService } = await vite.ssrLoadModule('/src/api/pushServices.js');
+
+    alerts.setPushSubscriptionBackend(createSupabasePushSubscriptionBackend(client));
+    const delivered = await alerts.sendDueAlerts({ pushService: createWebPushService(client) });
+    console.log(`[send-due-alerts] Delivered ${delivered.length} alert${delivered.length === 1 ? '' : 's'}`);
+} catch (err) {
+    console.error('[send-due-alerts] Run failed:', err?.message ?? err);
+    process.exitCode = 1;
+} finally {
+    await vite.close();
+}
@@ -0,0 +1,56 @@
+/**
+ * Scheduled guarantee settlement
+ * ─────────────────────────────────────────────────────────────
+ * Runs settleDueGuarantees() (src/api/guarantees.js) once and exits.
+ * Schedule it a few times a day, e.g. from cron:
+ *
+ *   SUPABASE_URL=… SUPABASE_SERVICE_ROLE_KEY=… npm run settle-guarantees
+ *
+ * Only the service role may write a settlement: row-level security keeps
+ * browsers to reading their own policies (see API_SETUP.md). Bookings are
+ * read with the same client to void policies whose booking lapsed. The
+ * app modules are loaded through Vite so they see the same `import.meta.env`
+ * (from .env) as the app does.
+ */
+
+import { fileURLToPath } from 'node:url';
+import { createClient } from '@supabase/supabase-js';
+import { createServer } from 'vite';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!url || !serviceKey) {
+    console.error('[settle-guarantees] Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.');
+    process.exit(1);
+}
+
+const client = createClient(url, serviceKey, {
+    auth: { persistSession: false, autoRefreshToken: false },
+});
+
+const vite = await createServer({
+    root,
+    appType: 'custom',
+    logLevel: 'warn',
+    server: { middlewareMode: true, hmr: false, watch: null },
+    optimizeDeps: { noDiscovery: true },
+});
+
+try {
+    const guarantees = await vite.ssrLoadModule('/src/api/guarantees.js');
+    const bookings = await vite.ssrLoadModule('/src/api/bookings.js');
+    const { createSupabaseGuaranteeBackend } = await vite.ssrLoadModule('/src/api/guaranteeBackends/supabase.js');
+    const { createSupabaseBookingBackend } = await vite.ssrLoadModule('/src/api/bookingBackends/supabase.js');
+
+    guarantees.setGuaranteeBackend(createSupabaseGuaranteeBackend(client));
+    bookings.setBookingBackend(createSupabaseBookingBackend(client));
+    const decided = await guarantees.settleDueGuarantees();
+    console.log(`[settle-guarantees] Decided ${decided.length} polic${decided.length === 1 ? 'y' : 'ies'}`);
+} catch (err) {
+    console.error('[settle-guarantees] Run failed:', err?.message ?? err);
+    process.exitCode = 1;
+} finally {
+    await vite.close();
+}
@@ -1,5 +1,8 @@
 import React, { useState, Component, useRef, useCallback, useMemo, useEffect, Suspense, memo } from 'react';
 import { WeatherProvider, useWeather } from './context/WeatherContext';
+import { RegionProvider, useRegion } from './context/RegionContext';
+import { ComfortProfileProvider, useComfortProfile } from './context/ComfortProfileContext';
+import { useViewportVenues } from './hooks/useViewportVenues';
 import WeatherBackground from './components/WeatherBackground';
 import VenueMap from './components/Map/VenueMap';
 import VenueCard from './components/VenueCard';
@@ -7,13 +10,15 @@ import SunnyMascot from './components/SunnyMascot';
 import ChatWidget from './components/ChatWidget';
 import TopBar from './components/TopBar';
 import FilterSheet from './components/FilterSheet';
+import ComfortProfileSheet from './components/ComfortProfileSheet';
+import PlanTimePicker from './components/PlanTimePicker';
 import NotificationCenter from './components/NotificationCenter';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
     ChevronUp, ChevronDown, Search,
     Wind, Sun, Cloud, X, Locate, ListFilter
 } from 'lucide-react';
-import { demoVenues, FILTER_CATEGORIES } from './data/demoVenues';
+import { FILTER_CATEGORIES } from './data/demoVenues';
 import OwnerDashboard from './components/OwnerDashboard';
 import SplashScreen from './components/SplashScreen';
 import { getWindProfile, calculateApparentTemp, getComfortZone, getWindWarning } from './data/windIntelligence';
@@ -77,7 +82,7 @@ const markSplashSeen = () => {
 const getWeatherBadge = (weather, venue) => {
     if (!weather) return { emoji: '🌤️', label: 'Fair', color: '#9ca3af' };
     const condition = (weather.weather?.[0]?.main || '').toLowerCase();
-    const windWarning = getWindWarning(weather.wind?.speed, venue);
+    const windWarning = getWindWarning(weather.wind?.speed, venue, weather.wind?.deg);
     if (windWarning.level === 'red' || windWarning.level === 'orange') return { emoji: '💨', label: 'Windy', color: '#3b82f6' };
     if (condition.includes('rain') || condition.includes('drizzle')) return { emoji: '🌧️', label: 'Rain', color: '#6b7280' };
     if (condition.includes('clear') || condition.includes('sunny')) return { emoji: '☀️', label: 'Sunny', color: '#f59e0b' };
@@ -88,7 +93,7 @@ const getWeatherBadge = (weather, venue) => {
 const getMarkerWeatherColor = (weather, venue) => {
     if (!weather) return 'sunny';
     const condition = (weather.weather?.[0]?.main || '').toLowerCase();
-    const windWarning = getWindWarning(weather.wind?.speed, venue);
+    const windWarning = getWindWarning(weather.wind?.speed, venue, weather.wind?.deg);
     if (windWarning.level === 'red' || windWarning.level === 'orange') return 'windy';
     if (condition.includes('rain') || condition.includes('drizzle')) return 'cloudy';
     if (condition.includes('cloud')) return 'cloudy';
@@ -97,12 +102,20 @@ const getMarkerWeatherColor = (weather, venue) => {
 
 // ── VenueListCard ──────────────────────────────────────────────────────
 const VenueListCard = memo(({ venue, isSelected, onClick, weather }) => {
-    const badge = useMemo(() => getWeatherBadge(weather, venue), [weather, venue]);
-    const profile = useMemo(() => getWindProfile(venue), [venue]);
+    // Planning for a later time: the projected score (venue._score) stands in for today's weather
+    const projected = venue._score;
+    const badge = useMemo(() => (projected
+        ? { emoji: projected.grade.emoji, label: String(projected.score), color: projected.grade.color }
+        : getWeatherBadge(weather, venue)
+    ), [weather, venue, projected]);
+    const profile = useMemo(() => getWindProfile(venue, weather?.wind?.deg), [venue, weather?.wind?.deg]);
     const temp = weather?.main?.temp;
-    const feelsLike = temp != null
+    const liveFeelsLike = temp != null
         ? Math.round(calculateApparentTemp(temp, weather?.wind?.speed, weather?.main?.humidity, profile.shelterFactor))
         : null;
+    const feelsLike = projected
+        ? (projected.apparentTemp != null ? Math.round(projected.apparentTemp) : null)
+        : liveFeelsLike;
     const comfort = feelsLike != null ? getComfortZone(feelsLike) : null;
 
     const isStay = venue.typeCategory === 'ShortStay';
@@ -175,16 +188,28 @@ VenueChip.displayName = 'VenueChip';
 // ═══════════════════════════════════════════════════════════════════════
 const AppContent = () => {
     const [splashDone, setSplashDone] = useState(hasSeenSplash);
-    const { weather, getUVIndex } = useWeather();
-
+    const { weather, getUVIndex, lastUpdated, isStale, targetTime, rankVenuesAtTarget } = useWeather();
+    const { region, regionId } = useRegion();
+
+    // Venues are loaded for what the map shows; the whole region until it reports a viewport
+    const [mapBounds, setMapBounds] = useState(null);
+    const {
+        venues: mapVenues,
+        fetchedAt: venuesFetchedAt,
+        stale: venuesStale,
+    } = useViewportVenues(mapBounds ?? region.bounds);
+
+    const { profile: comfortProfile } = useComfortProfile();
+    const [comfortSheetOpen, setComfortSheetOpen] = useState(false);
+    const [rulesSheetOpen, setRulesSheetOpen] = useState(false);
     const comfort = useMemo(() => {
         if (!weather) return { label: 'Loading', icon: '☁️', cozy: false };
         return getComfortLevel({
             apparentTemp: weather.apparentTemp,
             precipProbability: weather.precipProbability,
             windGusts: weather.windGusts
-        });
-    }, [weather]);
+        }, comfortProfile);
+    }, [weather, comfortProfile]);
 
     const [selectedVenue, setSelectedVenue]           = useState(null);
     const [isChatOpen, setIsChatOpen]                 = useState(false);
@@ -258,7 +283,7 @@ const AppContent = () => {
         );
         const categoryData  = FILTER_CATEGORIES;
 
-        return demoVenues
+        return mapVenues
             .filter(v => {
                 const vType = v.typeCategory || 'Bar';
                 const hasTypeMatch = typeFilters.length === 0 || typeFilters.some(f => {
@@ -292,10 +317,10 @@ const AppContent = () => {
             // cozy-mode: was previously handled via separate activeFilter === 'Cozy'
             .filter(v => !cozyFilterActive || v.hasCozy)
             .map(v => v.id);
-    }, [activeFilters, cozyFilterActive]);
+    }, [mapVenues, activeFilters, cozyFilterActive]);
 
     const filteredVenues = useMemo(() => {
-        return demoVenues.filter((venue) => {
+        return mapVenues.filter((venue) => {
             // cozy-mode filter (unified)
             if (cozyFilterActive) {
                 const liveState = liveVenueFeatures?.[venue.id] || {};
@@ -329,25 +354,25 @@ const AppContent = () => {
             }
             return true;
         });
-    }, [cozyFilterActive, sunnyFilterActive, activeFilters, filteredVenueIds, liveVenueFeatures, searchQuery, getUVIndex]);
+    }, [mapVenues, cozyFilterActive, sunnyFilterActive, activeFilters, filteredVenueIds, liveVenueFeatures, searchQuery, getUVIndex]);
 
     // --- DEV DIAGNOSTICS ---
     useEffect(() => {
         if (!import.meta.env.DEV) return;
 
         console.log("=== VENUE PIPELINE DIAGNOSTICS ===");
-        console.log(`1. Raw imported demoVenues count: ${demoVenues.length}`);
+        console.log(`1. Viewport venue count (${region.name}): ${mapVenues.length}`);
 
-        const rawIds = demoVenues.map(v => v.id);
+        const rawIds = mapVenues.map(v => v.id);
         const uniqueIds = new Set(rawIds);
-        console.log(`2. Unique IDs in demoVenues: ${uniqueIds.size}`);
+        console.log(`2. Unique IDs in ${region.name} venues: ${uniqueIds.size}`);
 
         // Find duplicates
         const duplicates = rawIds.filter((item, index) => rawIds.indexOf(item) !== index);
         if (duplicates.length > 0) console.log(`   Duplicate IDs found:`, duplicates);
 
         // Find invalid coordinates
-        const invalidCoords = demoVenues.filter(v => {
+        const invalidCoords = mapVenues.filter(v => {
             const lat = Number(v.lat);
             const lng = Number(v.lng);
             return isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180;
@@ -358,13 +383,13 @@ const AppContent = () => {
         console.log(`4. filteredVenueIds count: ${filteredVenueIds.length}`);
         console.log(`5. Final filteredVenues count (list render): ${filteredVenues.length}`);
 
-        const removedByFilters = demoVenues.filter(v => !filteredVenues.includes(v));
+        const removedByFilters = mapVenues.filter(v => !filteredVenues.includes(v));
         console.log(`   Removed by filters count: ${removedByFilters.length}`);
         if (removedByFilters.length > 0) {
             console.log(`   IDs removed:`, removedByFilters.map(v => v.id));
         }
         console.log("==================================");
-    }, [filteredVenues, filteredVenueIds, activeFilters]);
+    }, [region, mapVenues, filteredVenues, filteredVenueIds, activeFilters]);
     // --- END DIAGNOSTICS ---
 
     const matchingCount = filteredVenues.length;
@@ -374,6 +399,12 @@ const AppContent = () => {
         [filteredVenues]
     );
 
+    // Planning ahead ranks the list by projected score for that time
+    const listVenues = useMemo(
+        () => (targetTime ? rankVenuesAtTarget(filteredVenues) : filteredVenues),
+        [targetTime, rankVenuesAtTarget, filteredVenues]
+    );
+
     const handleVenueSelect = useCallback((venue) => {
         if (!venue) return;
         setSelectedVenue(venue);
@@ -417,15 +448,22 @@ const AppContent = () => {
     const handleFindWindSheltered = useCallback(makeChatFilter('shade'), []);
 
     const handleSurpriseMe = useCallback(() => {
-        const randomVenue = demoVenues[Math.floor(Math.random() * demoVenues.length)];
+        if (!mapVenues.length) return;
+        const randomVenue = mapVenues[Math.floor(Math.random() * mapVenues.length)];
         setActiveFilters([]);
         handleVenueSelect(randomVenue);
         setTimeout(() => setIsChatOpen(false), 1500);
-    }, [handleVenueSelect]);
+    }, [mapVenues, handleVenueSelect]);
 
     const handleRecenter = useCallback(() => {
-        mapRef.current?.flyTo({ center: [144.9631, -37.8136], zoom: 12, duration: 1200 });
-    }, []);
+        mapRef.current?.flyTo({ center: [region.center.lng, region.center.lat], zoom: 12, duration: 1200 });
+    }, [region]);
+
+    // A venue from the previous city would leave the card open over the wrong map
+    useEffect(() => {
+        setSelectedVenue(null);
+        setMapBounds(null);
+    }, [regionId]);
 
     useEffect(() => {
         if (selectedVenue && listRef.current) {
@@ -463,6 +501,12 @@ const AppContent = () => {
                 weather={weather}
                 sunData={selectedVenueSunData}
                 score={selectedVenueScore}
+                venues={mapVenues}
+                origin={region.center}
+                timeZone={region.timezone}
+                comfort={comfortProfile}
+                rulesOpen={rulesSheetOpen}
+                onRulesClose={() => setRulesSheetOpen(false)}
             />
 
             <div className={`ss-app-root ${mobileMapExpanded ? 'ss-app-root--map-expanded' : ''}`}>
@@ -473,8 +517,12 @@ const AppContent = () => {
                     onSearchChange={setSearchQuery}
                     onRecenter={handleRecenter}
                     weather={weather}
+                    lastUpdated={lastUpdated}
+                    isStale={isStale}
                     onFiltersOpen={openMobileFilters}
                     comfort={comfort}
+                    onComfortOpen={() => setComfortSheetOpen(true)}
+                    onRulesOpen={() => setRulesSheetOpen(true)}
                 />
 
                 <AnimatePresence>
@@ -527,6 +575,8 @@ const AppContent = () => {
                             </button>
                         </div>
 
+                        <PlanTimePicker className="px-3 pb-2" />
+
                         <div className="ss-sidebar-count">
                             <span>{matchingCount} venue{matchingCount !== 1 ? 's' : ''}</span>
                             {activeFilters.length > 0 && (
@@ -536,7 +586,7 @@ const AppContent = () => {
 
                         <div className="ss-venue-list" ref={listRef}>
                             <AnimatePresence mode="popLayout">
-                                {filteredVenues.map(venue => (
+                                {listVenues.map(venue => (
                                     <VenueListCard
                                         key={venue.id}
                                         venue={venue}
@@ -576,7 +626,7 @@ const AppContent = () => {
                                 <Suspense fallback={<div className="p-4 text-center">Loading map...</div>}>
                                     <VenueMap
                                         ref={mapRef}
-                                        venues={demoVenues}
+                                        venues={mapVenues}
                                         onVenueSelect={handleVenueSelect}
                                         selectedVenue={selectedVenue}
                                         filteredVenueIds={stableFilteredIds}
@@ -585,6 +635,8 @@ const AppContent = () => {
                                         cozyWeatherActive={cozyWeatherActive}
                                         cozyFilterActive={cozyFilterActive}
                                         isExpanded={mobileMapExpanded}
+                                        onViewportChange={setMapBounds}
+                                        shadowDate={targetTime}
                                     />
                                 </Suspense>
                             </MapErrorBoundary>
@@ -626,6 +678,11 @@ const AppContent = () => {
                         onAddCustomFilter={addCustomFilter}
                         resultCount={filteredVenues.length}
                     />
+
+                    <ComfortProfileSheet
+                        isOpen={comfortSheetOpen}
+                        onClose={() => setComfortSheetOpen(false)}
+                    />
                 </main>
 
                 {!mobileMapExpanded && !selectedVenue && (
@@ -662,9 +719,12 @@ const AppContent = () => {
                                     <div className="ss-mobile-sheet-grab" />
                                     <h3>Venues</h3>
                                     <p>{matchingCount} results</p>
+                                    <div onPointerDownCapture={e => e.stopPropagation()}>
+                                        <PlanTimePicker className="mt-2" />
+                                    </div>
                                 </div>
                                 <div className="ss-mobile-sheet-list" onPointerDownCapture={e => e.stopPropagation()}>
-                                    {filteredVenues.map(venue => (
+                                    {listVenues.map(venue => (
                                         <VenueListCard
                                             key={venue.id}
                                             venue={venue}
@@ -704,7 +764,10 @@ const AppContent = () => {
                     className={`ss-footer-badge ${selectedVenue ? 'hidden' : ''}`}
                 >
                     <img src={fireIconImg} alt="" className="ss-footer-badge-icon" />
-                    Sales Demo · {demoVenues.length} Partner Venues
+                    Sales Demo · {mapVenues.length} Partner Venues
+                    {venuesStale && venuesFetchedAt && (
+                        <> · updated {new Date(venuesFetchedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</>
+                    )}
                 </motion.div>
             </div>
         </>
@@ -739,9 +802,13 @@ class ErrorBoundary extends Component {
 
 const App = () => (
     <ErrorBoundary>
-        <WeatherProvider>
-            <AppContent />
-        </WeatherProvider>
+        <RegionProvider>
+            <ComfortProfileProvider>
+                <WeatherProvider>
+                    <AppContent />
+                </WeatherProvider>
+            </ComfortProfileProvider>
+        </RegionProvider>
     </ErrorBoundary>
 );
 
@@ -0,0 +1,73 @@
+/**
+ * In-memory booking backend
+ * ─────────────────────────────────────────────────────────────
+ * Keeps bookings in a Map for the current session. Used when Supabase
+ * isn't configured (demo mode) and as a deterministic backend in tests.
+ * Rows use the same camelCase shape the booking service works with.
+ *
+ * @module api/bookingBackends/memory
+ */
+
+const clone = (booking) => (booking ? { ...booking } : null);
+
+/**
+ * @param {{ bookings?: object[] }} [options] seed rows, e.g. for tests
+ */
+export function createMemoryBookingBackend({ bookings = [] } = {}) {
+    const rows = new Map(bookings.map(b => [b.id, { ...b }]));
+    let sequence = rows.size;
+
+    return {
+        id: 'memory',
+
+        async nextId() {
+            sequence += 1;
+            return `BK-${Date.now().toString(36).toUpperCase()}-${sequence}`;
+        },
+
+        async get(id) {
+            return clone(rows.get(id));
+        },
+
+        async findByIdempotencyKey(key) {
+            return clone([...rows.values()].find(b => b.idempotencyKey === key));
+        },
+
+        async insert(booking) {
+            if ([...rows.values()].some(b => b.idempotencyKey === booking.idempotencyKey)) {
+                const error = new Error('Duplicate idempotency key');
+                error.code = 'duplicate';
+                throw error;
+            }
+            rows.set(booking.id, { ...booking });
+            return clone(booking);
+        },
+
+        /**
+         * Apply `patch` only while the row is still in `expectedStatus`,
+         * so two tabs can't both confirm or cancel the same hold.
+         * @returns {Promise<object|null>} updated row, or null if the status moved on
+         */
+        async update(id, patch, { expectedStatus } = {}) {
+            const current = rows.get(id);
+            if (!current) return null;
+            if (expectedStatus && !expectedStatus.includes(current.status)) return null;
+            const next = { ...current, ...patch };
+            rows.set(id, next);
+            return clone(next);
+        },
+
+        async listForVenueDate(venueId, date, statuses) {
+            return [...rows.values()]
+                .filter(b => b.venueId === venueId && b.date === date && statuses.includes(b.status))
+                .map(clone);
+        },
+
+        async listByUser(userId) {
+            return [...rows.values()]
+                .filter(b => b.userId === userId)
+                .sort((a, b) => (a.startsAt < b.startsAt ? -1 : 1))
+                .map(clone);
+        },
+    };
+}
@@ -0,0 +1,125 @@
+/**
+ * Supabase booking backend
+ * ─────────────────────────────────────────────────────────────
+ * Stores bookings in the `bookings` table (see API_SETUP.md for the
+ * schema). Columns are snake_case; rows are mapped to the camelCase
+ * shape the booking service uses. `idempotency_key` carries a unique
+ * constraint, so a retried hold can never create a second row.
+ *
+ * Row-level security limits `bookings` to the user's own rows, so seat
+ * counts read the `booking_occupancy` view instead: every booking, minus
+ * who made it.
+ *
+ * @module api/bookingBackends/supabase
+ */
+
+const TABLE = 'bookings';
+const OCCUPANCY_VIEW = 'booking_occupancy';
+
+// camelCase field → column
+const COLUMNS = {
+    id: 'id',
+    idempotencyKey: 'idempotency_key',
+    userId: 'user_id',
+    venueId: 'venue_id',
+    venueName: 'venue_name',
+    areaId: 'area_id',
+    areaName: 'area_name',
+    date: 'date',
+    slotId: 'slot_id',
+    startsAt: 'starts_at',
+    endsAt: 'ends_at',
+    timezone: 'timezone',
+    guests: 'guests',
+    status: 'status',
+    holdExpiresAt: 'hold_expires_at',
+    paymentRef: 'payment_ref',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    confirmedAt: 'confirmed_at',
+    cancelledAt: 'cancelled_at',
+};
+
+const toRow = (booking) => Object.fromEntries(
+    Object.entries(booking)
+        .filter(([key]) => COLUMNS[key])
+        .map(([key, value]) => [COLUMNS[key], value])
+);
+
+const fromRow = (row) => {
+    if (!row) return null;
+    const booking = {};
+    for (const [key, column] of Object.entries(COLUMNS)) {
+        if (column in row) booking[key] = row[column];
+    }
+    return booking;
+};
+
+// Postgres unique_violation
+const isUniqueViolation = (error) => error?.code === '23505';
+
+/**
+ * @param {import('@supabase/supabase-js').SupabaseClient} client
+ */
+export function createSupabaseBookingBackend(client) {
+    const table = () => client.from(TABLE);
+
+    return {
+        id: 'supabase',
+
+        async nextId() {
+            return globalThis.crypto?.randomUUID?.()
+                ?? `bk-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        },
+
+        async get(id) {
+            const { data, error } = await table().select('*').eq('id', id).maybeSingle();
+            if (error) throw error;
+            return fromRow(data);
+        },
+
+        async findByIdempotencyKey(key) {
+            const { data, error } = await table().select('*').eq('idempotency_key', key).maybeSingle();
+            if (error) throw error;
+            return fromRow(data);
+        },
+
+        async insert(booking) {
+            const { data, error } = await table().insert(toRow(booking)).select('*').single();
+            if (isUniqueViolation(error)) {
+                const duplicate = new Error('Duplicate idempotency key');
+                duplicate.code = 'duplicate';
+                throw duplicate;
+            }
+            if (error) throw error;
+            return fromRow(data);
+        },
+
+        async update(id, patch, { expectedStatus } = {}) {
+            let query = table().update(toRow(patch)).eq('id', id);
+            if (expectedStatus) query = query.in('status', expectedStatus);
+            const { data, error } = await query.select('*').maybeSingle();
+            if (error) throw error;
+            return fromRow(data);
+        },
+
+        async listForVenueDate(venueId, date, statuses) {
+            const { data, error } = await client.from(OCCUPANCY_VIEW)
+                .select('*')
+                .eq('venue_id', venueId)
+                .eq('date', date)
+                .in('status', statuses);
+            if (error) throw error;
+            return (data || []).map(fromRow);
+        },
+
+        async listByUser(userId) {
+            const { data, error } = await table()
+                .select('*')
+                .eq('user_id', userId)
+                .order('starts_at', { ascending: true });
+            if (error) throw error;
+            return (data || []).map(fromRow);
+        },
+    };
+}
@@ -0,0 +1,519 @@
+/**
+ * Booking service
+ * ─────────────────────────────────────────────────────────────
+ * Availability, holds and reservations behind a pluggable backend:
+ *
+ *   checkSlots(venue, date)      → bookable time windows in a seating area
+ *   holdSlot({...})              → 'held' booking, reserved for HOLD_TTL_MS
+ *   confirmBooking(id)           → 'confirmed' (after payment)
+ *   cancelBooking(id)            → 'cancelled'
+ *   modifyPartySize(id, guests)  → re-checks capacity for the new size
+ *   listBookings(userId)         → a user's bookings, soonest first
+ *
+ * Business rules (capacity, status transitions, hold expiry,
+ * idempotency) live here; a backend only stores rows. The Supabase
+ * backend is used when `supabase` is configured, otherwise bookings are
+ * kept in memory for the session. setBookingBackend() swaps in another
+ * one, e.g. a fresh in-memory backend in tests.
+ *
+ * A backend is a plain object:
+ *   { id, nextId(), get(id), findByIdempotencyKey(key), insert(booking),
+ *     update(id, patch, { expectedStatus }), listForVenueDate(venueId, date, statuses),
+ *     listByUser(userId) }
+ * `insert` throws an error with code 'duplicate' for a reused idempotency
+ * key; `update` resolves null when the row is no longer in `expectedStatus`.
+ *
+ * Failures throw an Error with a `code`: 'invalid_request', 'not_found',
+ * 'slot_unavailable', 'slot_full', 'hold_expired' or 'invalid_status'.
+ *
+ * @module api/bookings
+ */
+
+import { supabase } from '../lib/supabase';
+import { storage } from '../utils/platform';
+import { DEFAULT_REGION, getTimezoneForLocation } from '../config/regions';
+import { zonedTimeToUtc } from '../utils/timezone';
+import { getVenueArea, getVenueAreas } from '../data/venueAreas';
+import { fetchVenueDetails } from './venues';
+import { createMemoryBookingBackend } from './bookingBackends/memory';
+import { createSupabaseBookingBackend } from './bookingBackends/supabase';
+
+export const BOOKING_STATUS = {
+    HELD: 'held',
+    CONFIRMED: 'confirmed',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired',
+};
+
+export const HOLD_TTL_MS = 10 * 60 * 1000;
+export const SLOT_STEP_MINUTES = 30;
+export const DEFAULT_DURATION_MINUTES = 120;
+export const MIN_DURATION_MINUTES = 60;
+export const MAX_DURATION_MINUTES = 240;
+export const MAX_PARTY_SIZE = 20;
+// Seats per area when neither the area nor the venue has a capacity
+export const DEFAULT_SLOT_CAPACITY = 40;
+
+const DEFAULT_HOURS = { open: '08:00', close: '22:00', closed: false };
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const USER_ID_KEY = 'sunstay_user_id';
+
+const bookingError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// ── Backend selection ──────────────────────────────────────────────────
+
+let _backend = null;
+
+export function getBookingBackend() {
+    if (!_backend) {
+        _backend = supabase ? createSupabaseBookingBackend(supabase) : createMemoryBookingBackend();
+    }
+    return _backend;
+}
+
+export function setBookingBackend(backend) {
+    _backend = backend;
+}
+
+// ── Identity ───────────────────────────────────────────────────────────
+
+let _userIdPromise = null;
+
+const randomId = () => globalThis.crypto?.randomUUID?.()
+    ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+/**
+ * Id bookings are listed under: the signed-in Supabase user, otherwise a
+ * per-device id kept in storage so guests still see their bookings.
+ */
+export function getBookingUserId() {
+    if (_userIdPromise) return _userIdPromise;
+    _userIdPromise = (async () => {
+        if (supabase) {
+            try {
+                const { data } = await supabase.auth.getSession();
+                if (data?.session?.user?.id) return data.session.user.id;
+            } catch (err) {
+                console.warn('[Bookings] Could not read auth session:', err?.message ?? err);
+            }
+        }
+        const saved = await storage.getItem(USER_ID_KEY).catch(() => null);
+        if (saved) return saved;
+        const id = `guest-${randomId()}`;
+        await storage.setItem(USER_ID_KEY, id).catch(() => {
+            // Non-fatal: the id just won't survive a reload
+        });
+        return id;
+    })();
+    return _userIdPromise;
+}
+
+/**
+ * Key for one booking attempt. Reuse it when retrying the same attempt so
+ * the backend returns the original booking instead of creating another.
+ */
+export const createIdempotencyKey = () => `hold-${randomId()}`;
+
+// ── Slots ──────────────────────────────────────────────────────────────
+// A slot is a time window in one seating area. Windows start every
+// SLOT_STEP_MINUTES and overlap, so seats are counted per area across
+// every live booking whose window overlaps the requested one.
+
+const toMinutes = (hhmm) => {
+    const [h, m] = String(hhmm).split(':').map(Number);
+    return h * 60 + (m || 0);
+};
+const fromMinutes = (mins) => `${String(Math.floor(mins / 60)).padStart(2, '0')}:${String(mins % 60).padStart(2, '0')}`;
+
+const parseDate = (date) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date));
+    if (!match) throw bookingError('invalid_request', `Invalid booking date "${date}" (expected YYYY-MM-DD)`);
+    return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+};
+
+const venueTimezone = (venue) =>
+    getTimezoneForLocation(venue?.lat, venue?.lng) ?? DEFAULT_REGION.timezone;
+
+const areaCapacity = (area) => {
+    const capacity = Number(area?.capacity);
+    return Number.isFinite(capacity) && capacity > 0 ? capacity : DEFAULT_SLOT_CAPACITY;
+};
+
+const validateDuration = (durationMinutes = DEFAULT_DURATION_MINUTES) => {
+    const n = Number(durationMinutes);
+    if (!Number.isInteger(n) || n < MIN_DURATION_MINUTES || n > MAX_DURATION_MINUTES || n % SLOT_STEP_MINUTES) {
+        throw bookingError('invalid_request',
+            `Duration must be ${MIN_DURATION_MINUTES}–${MAX_DURATION_MINUTES} minutes in ${SLOT_STEP_MINUTES}-minute steps`);
+    }
+    return n;
+};
+
+const requireArea = (venue, areaId) => {
+    const area = areaId ? getVenueAreas(venue).find(a => a.id === areaId) : getVenueArea(venue);
+    if (!area) throw bookingError('slot_unavailable', `No "${areaId}" area at this venue`);
+    return area;
+};
+
+function buildWindow(ymd, date, startMins, durationMinutes, timezone) {
+    const at = (mins) => zonedTimeToUtc({ ...ymd, hour: Math.floor(mins / 60), minute: mins % 60 }, timezone);
+    const label = fromMinutes(startMins % (24 * 60));
+    return {
+        id: `${date}T${label}`,
+        start: label,
+        end: fromMinutes((startMins + durationMinutes) % (24 * 60)),
+        startsAt: at(startMins).toISOString(),
+        endsAt: at(startMins + durationMinutes).toISOString(),
+    };
+}
+
+/**
+ * Windows of `durationMinutes` inside trading hours for `date` (local to
+ * the venue), without occupancy. A close time at or before opening
+ * (e.g. '02:00') runs past midnight.
+ */
+function buildSlots(venue, date, durationMinutes) {
+    const ymd = parseDate(date);
+    const dayKey = DAY_KEYS[new Date(Date.UTC(ymd.year, ymd.month - 1, ymd.day)).getUTCDay()];
+    const hours = venue?.hours?.[dayKey] || DEFAULT_HOURS;
+    if (hours.closed) return [];
+
+    const timezone = venueTimezone(venue);
+    const open = toMinutes(hours.open);
+    let close = toMinutes(hours.close);
+    if (close <= open) close += 24 * 60;
+
+    const slots = [];
+    for (let start = open; start + durationMinutes <= close; start += SLOT_STEP_MINUTES) {
+        slots.push(buildWindow(ymd, date, start, durationMinutes, timezone));
+    }
+    return slots;
+}
+
+/**
+ * The window a booking starting at `start` ('HH:mm', venue-local) on
+ * `date` would cover, e.g. to show its forecast before checking slots.
+ *
+ * @returns {{ id: string, start: string, end: string, startsAt: string,
+ *   endsAt: string, timezone: string }}
+ */
+export function getSlotWindow(venue, date, start, durationMinutes = DEFAULT_DURATION_MINUTES) {
+    const timezone = venueTimezone(venue);
+    const window = buildWindow(parseDate(date), date, toMinutes(start), validateDuration(durationMinutes), timezone);
+    return { ...window, timezone };
+}
+
+const isLive = (booking, now) =>
+    booking.status === BOOKING_STATUS.CONFIRMED ||
+    (booking.status === BOOKING_STATUS.HELD && Date.parse(booking.holdExpiresAt) > now);
+
+const overlaps = (booking, startsAt, endsAt) =>
+    Date.parse(booking.startsAt) < Date.parse(endsAt) && Date.parse(booking.endsAt) > Date.parse(startsAt);
+
+async function liveBookings(venueId, date, { now, excludeId } = {}) {
+    const rows = await getBookingBackend().listForVenueDate(
+        venueId, date, [BOOKING_STATUS.HELD, BOOKING_STATUS.CONFIRMED]
+    );
+    return rows.filter(b => b.id !== excludeId && isLive(b, now));
+}
+
+// Rows from before seating areas have no areaId; they count against the
+// venue's default area, which is where they were seated
+const seatsTaken = (bookings, venue, areaId, startsAt, endsAt) => {
+    const defaultAreaId = getVenueArea(venue)?.id;
+    return bookings
+        .filter(b => (b.areaId || defaultAreaId) === areaId && overlaps(b, startsAt, endsAt))
+        .reduce((sum, b) => sum + b.guests, 0);
+};
+
+// Re-check after a write that claimed seats: true when `booking` still
+// fits alongside the live bookings `counts` keeps
+async function fitsAfterWrite(booking, venue, areaId, capacity, { now, counts = () => true }) {
+    const others = (await liveBookings(booking.venueId, booking.date, { now, excludeId: booking.id })).filter(counts);
+    return seatsTaken(others, venue, areaId, booking.startsAt, booking.endsAt) + booking.guests <= capacity;
+}
+
+const validateGuests = (guests) => {
+    const n = Number(guests);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_PARTY_SIZE) {
+        throw bookingError('invalid_request', `Party size must be between 1 and ${MAX_PARTY_SIZE}`);
+    }
+    return n;
+};
+
+/**
+ * @typedef {Object} BookingSlot
+ * @property {string} id         `YYYY-MM-DDTHH:mm` (venue-local start)
+ * @property {string} areaId
+ * @property {string} start      'HH:mm'
+ * @property {string} end        'HH:mm'
+ * @property {string} startsAt   ISO instant
+ * @property {string} endsAt     ISO instant
+ * @property {number} capacity   seats in the area
+ * @property {number} remaining  seats not held or confirmed during the window
+ * @property {boolean} available room for the requested party and not yet started
+ */
+
+/**
+ * Bookable windows in one seating area of a venue on a venue-local date.
+ *
+ * @param {object} venue   needs `id`, `lat`/`lng`; optional `hours`,
+ *   `capacity`, `areas` (see data/venueAreas)
+ * @param {string} date    'YYYY-MM-DD'
+ * @param {{ guests?: number, areaId?: string, durationMinutes?: number, now?: number }} [options]
+ *   `areaId` defaults to the venue's first area
+ * @returns {Promise<{ venueId: string, date: string, timezone: string,
+ *   area: object, areas: object[], durationMinutes: number,
+ *   slots: BookingSlot[], available: boolean }>}
+ */
+export async function checkSlots(venue, date, options = {}) {
+    const { guests = 1, areaId, durationMinutes, now = Date.now() } = options;
+    if (!venue?.id) throw bookingError('invalid_request', 'A venue is required');
+    const party = validateGuests(guests);
+    const duration = validateDuration(durationMinutes);
+    const area = requireArea(venue, areaId);
+    const capacity = areaCapacity(area);
+    const bookings = await liveBookings(venue.id, date, { now });
+
+    const slots = buildSlots(venue, date, duration).map((slot) => {
+        const remaining = Math.max(0, capacity - seatsTaken(bookings, venue, area.id, slot.startsAt, slot.endsAt));
+        return {
+            ...slot,
+            areaId: area.id,
+            capacity,
+            remaining,
+            available: remaining >= party && Date.parse(slot.startsAt) > now,
+        };
+    });
+
+    return {
+        venueId: venue.id,
+        date,
+        timezone: venueTimezone(venue),
+        area,
+        areas: getVenueAreas(venue),
+        durationMinutes: duration,
+        slots,
+        available: slots.some(s => s.available),
+    };
+}
+
+// ── Bookings ───────────────────────────────────────────────────────────
+
+/**
+ * Persist a lapsed hold as 'expired' so it reads the same everywhere.
+ */
+async function settleExpiry(booking, now = Date.now()) {
+    if (booking?.status !== BOOKING_STATUS.HELD || Date.parse(booking.holdExpiresAt) > now) {
+        return booking;
+    }
+    const updated = await getBookingBackend().update(
+        booking.id,
+        { status: BOOKING_STATUS.EXPIRED, updatedAt: new Date(now).toISOString() },
+        { expectedStatus: [BOOKING_STATUS.HELD] }
+    );
+    return updated ?? (await getBookingBackend().get(booking.id));
+}
+
+async function requireBooking(id) {
+    const booking = await getBookingBackend().get(id);
+    if (!booking) throw bookingError('not_found', `Booking ${id} not found`);
+    return settleExpiry(booking);
+}
+
+/**
+ * Hold seats in an area for a time window while the guest pays. Holds
+ * lapse after HOLD_TTL_MS unless confirmed.
+ *
+ * Calling again with the same `idempotencyKey` returns the booking
+ * created by the first call, whatever its status now.
+ *
+ * @param {{ venue: object, date: string, areaId?: string, slotId?: string,
+ *   durationMinutes?: number, guests: number, idempotencyKey: string,
+ *   userId?: string, now?: number }} request
+ *   `slotId` (from checkSlots) defaults to the first window with room
+ * @returns {Promise<object>} the booking
+ */
+export async function holdSlot(request) {
+    const {
+        venue, date, areaId, slotId, durationMinutes, guests,
+        idempotencyKey, userId, now = Date.now(),
+    } = request;
+    if (!idempotencyKey) throw bookingError('invalid_request', 'An idempotency key is required');
+    const backend = getBookingBackend();
+
+    const existing = await backend.findByIdempotencyKey(idempotencyKey);
+    if (existing) return settleExpiry(existing, now);
+
+    const { slots, timezone, area } = await checkSlots(venue, date, { guests, areaId, durationMinutes, now });
+    const slot = slotId ? slots.find(s => s.id === slotId) : slots.find(s => s.available);
+    if (!slot) {
+        throw bookingError('slot_unavailable', slotId
+            ? `No ${slotId} slot in the ${area.name}`
+            : `No times left in the ${area.name} on this date for your party size.`);
+    }
+    if (!slot.available) {
+        throw bookingError('slot_full', `The ${area.name} is fully booked then. Please pick another time or area.`);
+    }
+
+    const stamp = new Date(now).toISOString();
+    let booking;
+    try {
+        booking = await backend.insert({
+            id: await backend.nextId(),
+            idempotencyKey,
+            userId: userId ?? (await getBookingUserId()),
+            venueId: venue.id,
+            venueName: venue.venueName || venue.name || null,
+            areaId: area.id,
+            areaName: area.name,
+            date,
+            slotId: slot.id,
+            startsAt: slot.startsAt,
+            endsAt: slot.endsAt,
+            timezone,
+            guests: Number(guests),
+            status: BOOKING_STATUS.HELD,
+            holdExpiresAt: new Date(now + HOLD_TTL_MS).toISOString(),
+            paymentRef: null,
+            createdAt: stamp,
+            updatedAt: stamp,
+            confirmedAt: null,
+            cancelledAt: null,
+        });
+    } catch (err) {
+        // A concurrent retry of the same attempt won the insert
+        if (err?.code === 'duplicate') return backend.findByIdempotencyKey(idempotencyKey);
+        throw err;
+    }
+
+    // Another guest may have taken the last seats between the check and
+    // the insert; the earlier booking keeps them.
+    const earlier = (b) => b.createdAt < booking.createdAt || (b.createdAt === booking.createdAt && b.id < booking.id);
+    if (!(await fitsAfterWrite(booking, venue, area.id, slot.capacity, { now, counts: earlier }))) {
+        await backend.update(booking.id, { status: BOOKING_STATUS.CANCELLED, cancelledAt: stamp, updatedAt: stamp });
+        throw bookingError('slot_full', 'That time just filled up. Please pick another time or area.');
+    }
+
+    return booking;
+}
+
+/**
+ * Confirm a held booking once payment succeeds. Confirming an already
+ * confirmed booking returns it unchanged.
+ *
+ * @param {string} id
+ * @param {{ paymentRef?: string }} [options]
+ */
+export async function confirmBooking(id, { paymentRef = null } = {}) {
+    const booking = await requireBooking(id);
+    if (booking.status === BOOKING_STATUS.CONFIRMED) return booking;
+    if (booking.status === BOOKING_STATUS.EXPIRED) {
+        throw bookingError('hold_expired', 'Your hold on this slot expired. Please book again.');
+    }
+    if (booking.status !== BOOKING_STATUS.HELD) {
+        throw bookingError('invalid_status', `Cannot confirm a ${booking.status} booking`);
+    }
+
+    const stamp = new Date().toISOString();
+    const updated = await getBookingBackend().update(
+        id,
+        { status: BOOKING_STATUS.CONFIRMED, paymentRef, confirmedAt: stamp, updatedAt: stamp },
+        { expectedStatus: [BOOKING_STATUS.HELD] }
+    );
+    if (updated) return updated;
+
+    // Lost a race with a cancel/expiry/confirm elsewhere: report where it
+    // ended up, reading it once rather than retrying
+    const current = await requireBooking(id);
+    if (current.status === BOOKING_STATUS.CONFIRMED) return current;
+    if (current.status === BOOKING_STATUS.HELD) {
+        throw bookingError('invalid_status', 'Booking changed while confirming. Please try again.');
+    }
+    if (current.status === BOOKING_STATUS.EXPIRED) {
+        throw bookingError('hold_expired', 'Your hold on this slot expired. Please book again.');
+    }
+    throw bookingError('invalid_status', `Cannot confirm a ${current.status} booking`);
+}
+
+/**
+ * Cancel a held or confirmed booking. Cancelling twice is a no-op.
+ */
+export async function cancelBooking(id) {
+    const booking = await requireBooking(id);
+    if (booking.status === BOOKING_STATUS.CANCELLED || booking.status === BOOKING_STATUS.EXPIRED) {
+        return booking;
+    }
+
+    const stamp = new Date().toISOString();
+    const updated = await getBookingBackend().update(
+        id,
+        { status: BOOKING_STATUS.CANCELLED, cancelledAt: stamp, updatedAt: stamp },
+        { expectedStatus: [BOOKING_STATUS.HELD, BOOKING_STATUS.CONFIRMED] }
+    );
+    return updated ?? requireBooking(id);
+}
+
+/**
+ * Change the party size of a held or confirmed booking, provided the
+ * slot has room for the difference.
+ *
+ * @param {string} id
+ * @param {number} guests
+ * @param {{ venue?: object }} [options] venue row, for the area's capacity;
+ *   fetched when omitted
+ */
+export async function modifyPartySize(id, guests, { venue } = {}) {
+    const party = validateGuests(guests);
+    const booking = await requireBooking(id);
+    if (booking.status !== BOOKING_STATUS.HELD && booking.status !== BOOKING_STATUS.CONFIRMED) {
+        throw bookingError('invalid_status', `Cannot change a ${booking.status} booking`);
+    }
+    if (party === booking.guests) return booking;
+
+    const growing = party > booking.guests;
+    let venueRow, area;
+    if (growing) {
+        const others = await liveBookings(booking.venueId, booking.date, { now: Date.now(), excludeId: id });
+        venueRow = venue ?? (await fetchVenueDetails(booking.venueId));
+        area = getVenueArea(venueRow, booking.areaId);
+        if (seatsTaken(others, venueRow, area?.id, booking.startsAt, booking.endsAt) + party > areaCapacity(area)) {
+            throw bookingError('slot_full', `Not enough room for ${party} at this time.`);
+        }
+    }
+
+    const backend = getBookingBackend();
+    const updated = await backend.update(
+        id,
+        { guests: party, updatedAt: new Date().toISOString() },
+        { expectedStatus: [booking.status] }
+    );
+    if (!updated) throw bookingError('invalid_status', 'Booking changed while updating. Please try again.');
+
+    // Re-check as holdSlot does, but the extra seats are claimed only now,
+    // so every other live booking keeps them over this one
+    if (growing && !(await fitsAfterWrite(updated, venueRow, area?.id, areaCapacity(area), { now: Date.now() }))) {
+        await backend.update(
+            id,
+            { guests: booking.guests, updatedAt: new Date().toISOString() },
+            { expectedStatus: [updated.status] }
+        );
+        throw bookingError('slot_full', `Not enough room for ${party} at this time.`);
+    }
+    return updated;
+}
+
+export const getBooking = (id) => requireBooking(id);
+
+/**
+ * Bookings for `userId` (default: the current user), soonest first.
+ */
+export async function listBookings(userId) {
+    const id = userId ?? (await getBookingUserId());
+    const now = Date.now();
+    const rows = await getBookingBackend().listByUser(id);
+    return Promise.all(rows.map(b => settleExpiry(b, now)));
+}
@@ -0,0 +1,238 @@
+/**
+ * Calendar export and sync
+ * ─────────────────────────────────────────────────────────────
+ * Bookings and planned outings as iCalendar, either as a one-off file or
+ * as a feed that calendar apps subscribe to:
+ *
+ *   exportBookingIcs(booking)        → .ics text for one booking
+ *   savePlannedOuting(venue, window) → keep a best-window suggestion
+ *   exportOutingIcs(outing)          → .ics text for one outing
+ *   getCalendarFeed()                → the current user's feed URL
+ *   buildCalendarFeed(token)         → the feed itself, for the server
+ *
+ * The feed is rebuilt on every request from the user's bookings
+ * (api/bookings) and outings with the latest forecasts, and asks
+ * calendars to re-fetch every FEED_REFRESH_MINUTES, so a changed
+ * forecast, party size or cancellation shows up without re-exporting.
+ * It is served from VITE_CALENDAR_FEED_URL by a server that resolves the
+ * token with a service-role client (see API_SETUP.md); until that is set
+ * only one-off exports are offered. The URL's token is the only
+ * credential, so getCalendarFeed({ rotate }) replaces it when a link has
+ * been shared too widely.
+ *
+ * Backends follow api/bookings: Supabase when configured, otherwise in
+ * memory; setCalendarBackend() swaps one in.
+ *
+ * @module api/calendar
+ */
+
+import { supabase } from '../lib/supabase';
+import { bestWindowToOuting, bookingToCalendarEvent, outingToCalendarEvent } from '../data/calendarEvents';
+import { buildIcsCalendar } from '../utils/ical';
+import { fetchVenuesWeather } from '../utils/venueWeather';
+import { fetchVenueDetails } from './venues';
+import { BOOKING_STATUS, getBookingUserId, listBookings } from './bookings';
+import { createMemoryCalendarBackend } from './calendarBackends/memory';
+import { createSupabaseCalendarBackend } from './calendarBackends/supabase';
+
+export const FEED_REFRESH_MINUTES = 60;
+const FEED_NAME = 'Sunstay';
+// Past events stay in the feed this long before dropping off
+const FEED_HISTORY_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Only an explicitly configured feed server: nothing is deployed by default
+const FEED_BASE_URL = (import.meta.env.VITE_CALENDAR_FEED_URL || '').trim();
+
+const calendarError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+let _backend = null;
+
+export function getCalendarBackend() {
+    if (!_backend) {
+        _backend = supabase ? createSupabaseCalendarBackend(supabase) : createMemoryCalendarBackend();
+    }
+    return _backend;
+}
+
+export function setCalendarBackend(backend) {
+    _backend = backend;
+}
+
+// ── One-off Export ───────────────────────────────────────────────
+
+async function loadVenues(ids) {
+    const unique = [...new Set(ids)];
+    const venues = await Promise.all(unique.map(id => fetchVenueDetails(id).catch(() => null)));
+    return new Map(unique.map((id, i) => [id, venues[i]]));
+}
+
+// Forecasts keyed by venue id; a failed lookup only costs the snapshot
+async function loadForecasts(venues) {
+    const weather = await fetchVenuesWeather(venues).catch((err) => {
+        console.warn('[Calendar] Forecasts unavailable:', err?.message ?? err);
+        return new Map();
+    });
+    return new Map(venues.map(v => [v.id, weather.get(String(v.id))?.forecast ?? null]));
+}
+
+async function resolveVenueAndForecast(venueId, { venue, forecast }) {
+    const resolved = venue ?? (await loadVenues([venueId])).get(venueId);
+    if (forecast !== undefined || !resolved) return { venue: resolved, forecast };
+    return { venue: resolved, forecast: (await loadForecasts([resolved])).get(resolved.id) };
+}
+
+/**
+ * A booking as a single-event .ics file.
+ *
+ * @param {object} booking — from api/bookings
+ * @param {{ venue?: object, forecast?: object|null, now?: number }} [options]
+ *   the venue and its forecast are fetched when omitted
+ * @returns {Promise<string>}
+ */
+export async function exportBookingIcs(booking, options = {}) {
+    const now = options.now ?? Date.now();
+    const { venue, forecast } = await resolveVenueAndForecast(booking.venueId, options);
+    return buildIcsCalendar([bookingToCalendarEvent(booking, venue, { forecast, now })]);
+}
+
+/**
+ * A planned outing as a single-event .ics file.
+ *
+ * @param {object} outing — from savePlannedOuting()
+ * @param {{ venue?: object, forecast?: object|null, now?: number }} [options]
+ * @returns {Promise<string>}
+ */
+export async function exportOutingIcs(outing, options = {}) {
+    const now = options.now ?? Date.now();
+    const { venue, forecast } = await resolveVenueAndForecast(outing.venueId, options);
+    return buildIcsCalendar([outingToCalendarEvent(outing, venue, { forecast, now })]);
+}
+
+// ── Planned Outings ──────────────────────────────────────────────
+
+/**
+ * Keep a best-window suggestion so it appears in the user's feed. The
+ * same venue and start time again returns the stored outing.
+ *
+ * @param {object} venue
+ * @param {{ startsAt: string, endsAt: string, label?: string, score?: number }} window
+ *   from findBestWindow() or getBestWindow()
+ * @param {{ userId?: string, now?: number }} [options]
+ * @returns {Promise<object>} the stored outing
+ */
+export async function savePlannedOuting(venue, window, { userId, now = Date.now() } = {}) {
+    const outing = bestWindowToOuting(venue, window);
+    if (!outing) throw calendarError('invalid_request', 'This window has no time to add to a calendar');
+
+    const backend = getCalendarBackend();
+    const owner = userId ?? (await getBookingUserId());
+    const existing = (await backend.listOutingsByUser(owner))
+        .find(o => o.venueId === outing.venueId && Date.parse(o.startsAt) === Date.parse(outing.startsAt));
+    if (existing) return existing;
+
+    const stamp = new Date(now).toISOString();
+    return backend.insertOuting({
+        id: await backend.nextId(),
+        userId: owner,
+        ...outing,
+        createdAt: stamp,
+        updatedAt: stamp,
+    });
+}
+
+export async function removePlannedOuting(id) {
+    return getCalendarBackend().removeOuting(id);
+}
+
+/**
+ * Outings for `userId` (default: the current user), soonest first.
+ */
+export async function listPlannedOutings(userId) {
+    return getCalendarBackend().listOutingsByUser(userId ?? (await getBookingUserId()));
+}
+
+// ── Subscribed Feed ──────────────────────────────────────────────
+
+const createFeedToken = () => {
+    const bytes = new Uint8Array(24);
+    globalThis.crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+};
+
+export const isCalendarFeedAvailable = () => !!FEED_BASE_URL;
+
+/**
+ * The current user's feed. `webcalUrl` opens the subscribe dialog of
+ * the user's calendar app; both URLs are null when no feed server is
+ * configured.
+ *
+ * @param {{ userId?: string, rotate?: boolean, now?: number }} [options]
+ *   `rotate` issues a new token, so the old URL stops working
+ * @returns {Promise<{ token: string, url: string|null, webcalUrl: string|null }>}
+ */
+export async function getCalendarFeed({ userId, rotate = false, now = Date.now() } = {}) {
+    const backend = getCalendarBackend();
+    const owner = userId ?? (await getBookingUserId());
+    let feed = await backend.findFeedByUser(owner);
+    if (!feed || rotate) {
+        feed = await backend.saveFeed({ userId: owner, token: createFeedToken(), createdAt: new Date(now).toISOString() });
+    }
+
+    const url = FEED_BASE_URL ? `${FEED_BASE_URL}?token=${feed.token}` : null;
+    return {
+        token: feed.token,
+        url,
+        webcalUrl: url ? url.replace(/^https?:/, 'webcal:') : null,
+    };
+}
+
+// Confirmed bookings, and cancelled ones that had been confirmed so
+// subscribed calendars drop them
+const isFeedBooking = (booking) =>
+    booking.status === BOOKING_STATUS.CONFIRMED
+    || (booking.status === BOOKING_STATUS.CANCELLED && !!booking.confirmedAt);
+
+/**
+ * The .ics feed behind a feed token, with the latest forecasts. Runs on
+ * the feed server: row-level security hides other users' tokens and
+ * outings from a browser's client, so pass a backend on a service-role
+ * client, e.g. createSupabaseCalendarBackend(serviceClient).
+ *
+ * @param {string} token
+ * @param {{ backend?: object, now?: number,
+ *   getForecasts?: (venues: object[]) => Promise<Map<string, object>> }} [options]
+ *   `backend` resolves the token and outings (default: getCalendarBackend());
+ *   `getForecasts` replaces the live forecast lookup, e.g. with fixtures
+ * @returns {Promise<string>}
+ */
+export async function buildCalendarFeed(token, {
+    backend = getCalendarBackend(),
+    now = Date.now(),
+    getForecasts = loadForecasts,
+} = {}) {
+    const feed = token ? await backend.findFeedByToken(token) : null;
+    if (!feed) throw calendarError('not_found', 'Unknown calendar feed');
+
+    const since = now - FEED_HISTORY_MS;
+    const [bookings, outings] = await Promise.all([listBookings(feed.userId), backend.listOutingsByUser(feed.userId)]);
+    const current = (item) => Date.parse(item.endsAt) >= since;
+    const feedBookings = bookings.filter(b => isFeedBooking(b) && current(b));
+    const feedOutings = outings.filter(current);
+
+    const venues = await loadVenues([...feedBookings, ...feedOutings].map(item => item.venueId));
+    const forecasts = await getForecasts([...venues.values()].filter(Boolean));
+
+    const events = [
+        ...feedBookings.map(b => bookingToCalendarEvent(b, venues.get(b.venueId), {
+            forecast: forecasts.get(b.venueId), now,
+        })),
+        ...feedOutings.map(o => outingToCalendarEvent(o, venues.get(o.venueId), {
+            forecast: forecasts.get(o.venueId), now,
+        })),
+    ];
+    return buildIcsCalendar(events, { name: FEED_NAME, refreshMinutes: FEED_REFRESH_MINUTES });
+}
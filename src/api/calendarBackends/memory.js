@@ -0,0 +1,66 @@
+/**
+ * In-memory calendar backend
+ * ─────────────────────────────────────────────────────────────
+ * Session-only storage for planned outings and calendar feed tokens,
+ * used when Supabase isn't configured and in tests.
+ *
+ * @module api/calendarBackends/memory
+ */
+
+const clone = (value) => (value ? { ...value } : null);
+
+/**
+ * @param {{ outings?: object[], feeds?: object[] }} [options] seed rows
+ */
+export function createMemoryCalendarBackend({ outings = [], feeds = [] } = {}) {
+    const outingRows = new Map(outings.map(o => [o.id, clone(o)]));
+    const feedRows = new Map(feeds.map(f => [f.userId, clone(f)]));
+    let sequence = outingRows.size;
+
+    return {
+        id: 'memory',
+
+        async nextId() {
+            sequence += 1;
+            return `PO-${Date.now().toString(36).toUpperCase()}-${sequence}`;
+        },
+
+        async insertOuting(outing) {
+            outingRows.set(outing.id, clone(outing));
+            return clone(outing);
+        },
+
+        async updateOuting(id, patch) {
+            const current = outingRows.get(id);
+            if (!current) return null;
+            const next = { ...current, ...patch };
+            outingRows.set(id, next);
+            return clone(next);
+        },
+
+        async removeOuting(id) {
+            return outingRows.delete(id);
+        },
+
+        async listOutingsByUser(userId) {
+            return [...outingRows.values()]
+                .filter(o => o.userId === userId)
+                .sort((a, b) => Date.parse(a.startsAt) - Date.parse(b.startsAt))
+                .map(clone);
+        },
+
+        async findFeedByUser(userId) {
+            return clone(feedRows.get(userId));
+        },
+
+        async findFeedByToken(token) {
+            return clone([...feedRows.values()].find(f => f.token === token));
+        },
+
+        // One feed per user; saving replaces its token
+        async saveFeed(feed) {
+            feedRows.set(feed.userId, clone(feed));
+            return clone(feed);
+        },
+    };
+}
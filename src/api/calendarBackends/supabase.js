@@ -0,0 +1,117 @@
+/**
+ * Supabase calendar backend
+ * ─────────────────────────────────────────────────────────────
+ * Planned outings live in `planned_outings` and each user's feed token
+ * in `calendar_feeds` (schemas in API_SETUP.md). The token column is
+ * unique and is the only thing a feed URL carries.
+ *
+ * @module api/calendarBackends/supabase
+ */
+
+const OUTINGS_TABLE = 'planned_outings';
+const FEEDS_TABLE = 'calendar_feeds';
+
+// camelCase field → column
+const OUTING_COLUMNS = {
+    id: 'id',
+    userId: 'user_id',
+    venueId: 'venue_id',
+    venueName: 'venue_name',
+    timezone: 'timezone',
+    startsAt: 'starts_at',
+    endsAt: 'ends_at',
+    label: 'label',
+    score: 'score',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+};
+
+const FEED_COLUMNS = {
+    userId: 'user_id',
+    token: 'token',
+    createdAt: 'created_at',
+};
+
+const toRow = (columns, value) => Object.fromEntries(
+    Object.entries(value)
+        .filter(([key]) => columns[key])
+        .map(([key, field]) => [columns[key], field])
+);
+
+const fromRow = (columns, row) => {
+    if (!row) return null;
+    const value = {};
+    for (const [key, column] of Object.entries(columns)) {
+        if (column in row) value[key] = row[column];
+    }
+    return value;
+};
+
+/**
+ * @param {import('@supabase/supabase-js').SupabaseClient} client
+ */
+export function createSupabaseCalendarBackend(client) {
+    const outings = () => client.from(OUTINGS_TABLE);
+    const feeds = () => client.from(FEEDS_TABLE);
+
+    return {
+        id: 'supabase',
+
+        async nextId() {
+            return globalThis.crypto?.randomUUID?.()
+                ?? `po-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        },
+
+        async insertOuting(outing) {
+            const { data, error } = await outings().insert(toRow(OUTING_COLUMNS, outing)).select('*').single();
+            if (error) throw error;
+            return fromRow(OUTING_COLUMNS, data);
+        },
+
+        async updateOuting(id, patch) {
+            const { data, error } = await outings()
+                .update(toRow(OUTING_COLUMNS, patch))
+                .eq('id', id)
+                .select('*')
+                .maybeSingle();
+            if (error) throw error;
+            return fromRow(OUTING_COLUMNS, data);
+        },
+
+        async removeOuting(id) {
+            const { error } = await outings().delete().eq('id', id);
+            if (error) throw error;
+            return true;
+        },
+
+        async listOutingsByUser(userId) {
+            const { data, error } = await outings()
+                .select('*')
+                .eq('user_id', userId)
+                .order('starts_at', { ascending: true });
+            if (error) throw error;
+            return (data || []).map(row => fromRow(OUTING_COLUMNS, row));
+        },
+
+        async findFeedByUser(userId) {
+            const { data, error } = await feeds().select('*').eq('user_id', userId).maybeSingle();
+            if (error) throw error;
+            return fromRow(FEED_COLUMNS, data);
+        },
+
+        async findFeedByToken(token) {
+            const { data, error } = await feeds().select('*').eq('token', token).maybeSingle();
+            if (error) throw error;
+            return fromRow(FEED_COLUMNS, data);
+        },
+
+        async saveFeed(feed) {
+            const { data, error } = await feeds()
+                .upsert(toRow(FEED_COLUMNS, feed), { onConflict: 'user_id' })
+                .select('*')
+                .single();
+            if (error) throw error;
+            return fromRow(FEED_COLUMNS, data);
+        },
+    };
+}
@@ -0,0 +1,67 @@
+/**
+ * In-memory guarantee backend
+ * ─────────────────────────────────────────────────────────────
+ * Session-only storage for purchased weather guarantees, used when
+ * Supabase isn't configured and in offline lifecycle tests.
+ *
+ * @module api/guaranteeBackends/memory
+ */
+
+const clone = (value) => (value ? JSON.parse(JSON.stringify(value)) : null);
+
+/**
+ * @param {{ guarantees?: object[] }} [options] seed rows
+ */
+export function createMemoryGuaranteeBackend({ guarantees = [] } = {}) {
+    const rows = new Map(guarantees.map(g => [g.id, clone(g)]));
+    let sequence = rows.size;
+
+    return {
+        id: 'memory',
+
+        async nextId() {
+            sequence += 1;
+            return `WG-${Date.now().toString(36).toUpperCase()}-${sequence}`;
+        },
+
+        async get(id) {
+            return clone(rows.get(id));
+        },
+
+        async findByBooking(bookingId) {
+            return clone([...rows.values()].find(g => g.bookingId === bookingId));
+        },
+
+        async insert(guarantee) {
+            if ([...rows.values()].some(g => g.bookingId === guarantee.bookingId)) {
+                const error = new Error('Booking already has a guarantee');
+                error.code = 'duplicate';
+                throw error;
+            }
+            rows.set(guarantee.id, clone(guarantee));
+            return clone(guarantee);
+        },
+
+        async update(id, patch, { expectedStatus } = {}) {
+            const current = rows.get(id);
+            if (!current) return null;
+            if (expectedStatus && !expectedStatus.includes(current.status)) return null;
+            const next = { ...current, ...clone(patch) };
+            rows.set(id, next);
+            return clone(next);
+        },
+
+        async listByUser(userId) {
+            return [...rows.values()]
+                .filter(g => g.userId === userId)
+                .sort((a, b) => (a.windowStart < b.windowStart ? -1 : 1))
+                .map(clone);
+        },
+
+        async listDue(status, endedBefore) {
+            return [...rows.values()]
+                .filter(g => g.status === status && g.windowEnd <= endedBefore)
+                .map(clone);
+        },
+    };
+}
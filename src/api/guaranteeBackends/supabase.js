@@ -0,0 +1,115 @@
+/**
+ * Supabase guarantee backend
+ * ─────────────────────────────────────────────────────────────
+ * Stores guarantees in the `weather_guarantees` table (schema in
+ * API_SETUP.md). `booking_id` is unique, so one booking can only ever
+ * carry one guarantee; the settlement and its evidence are a jsonb column.
+ *
+ * @module api/guaranteeBackends/supabase
+ */
+
+const TABLE = 'weather_guarantees';
+
+const COLUMNS = {
+    id: 'id',
+    bookingId: 'booking_id',
+    userId: 'user_id',
+    venueId: 'venue_id',
+    venueName: 'venue_name',
+    lat: 'lat',
+    lng: 'lng',
+    timezone: 'timezone',
+    windowStart: 'window_start',
+    windowEnd: 'window_end',
+    triggerMm: 'trigger_mm',
+    premium: 'premium',
+    premiumPct: 'premium_pct',
+    pricingVersion: 'pricing_version',
+    coverAmount: 'cover_amount',
+    status: 'status',
+    purchasedAt: 'purchased_at',
+    lastCheckedAt: 'last_checked_at',
+    settledAt: 'settled_at',
+    settlement: 'settlement',
+};
+
+const toRow = (guarantee) => Object.fromEntries(
+    Object.entries(guarantee)
+        .filter(([key]) => COLUMNS[key])
+        .map(([key, value]) => [COLUMNS[key], value])
+);
+
+const fromRow = (row) => {
+    if (!row) return null;
+    const guarantee = {};
+    for (const [key, column] of Object.entries(COLUMNS)) {
+        if (column in row) guarantee[key] = row[column];
+    }
+    return guarantee;
+};
+
+/**
+ * @param {import('@supabase/supabase-js').SupabaseClient} client
+ */
+export function createSupabaseGuaranteeBackend(client) {
+    const table = () => client.from(TABLE);
+
+    return {
+        id: 'supabase',
+
+        async nextId() {
+            return globalThis.crypto?.randomUUID?.()
+                ?? `wg-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        },
+
+        async get(id) {
+            const { data, error } = await table().select('*').eq('id', id).maybeSingle();
+            if (error) throw error;
+            return fromRow(data);
+        },
+
+        async findByBooking(bookingId) {
+            const { data, error } = await table().select('*').eq('booking_id', bookingId).maybeSingle();
+            if (error) throw error;
+            return fromRow(data);
+        },
+
+        async insert(guarantee) {
+            const { data, error } = await table().insert(toRow(guarantee)).select('*').single();
+            // Postgres unique_violation on booking_id
+            if (error?.code === '23505') {
+                const duplicate = new Error('Booking already has a guarantee');
+                duplicate.code = 'duplicate';
+                throw duplicate;
+            }
+            if (error) throw error;
+            return fromRow(data);
+        },
+
+        async update(id, patch, { expectedStatus } = {}) {
+            let query = table().update(toRow(patch)).eq('id', id);
+            if (expectedStatus) query = query.in('status', expectedStatus);
+            const { data, error } = await query.select('*').maybeSingle();
+            if (error) throw error;
+            return fromRow(data);
+        },
+
+        async listByUser(userId) {
+            const { data, error } = await table()
+                .select('*')
+                .eq('user_id', userId)
+                .order('window_start', { ascending: true });
+            if (error) throw error;
+            return (data || []).map(fromRow);
+        },
+
+        async listDue(status, endedBefore) {
+            const { data, error } = await table()
+                .select('*')
+                .eq('status', status)
+                .lte('window_end', endedBefore);
+            if (error) throw error;
+            return (data || []).map(fromRow);
+        },
+    };
+}
@@ -0,0 +1,144 @@
+/**
+ * Guarantee backtest history
+ * ─────────────────────────────────────────────────────────────
+ * Builds the forecast-vs-observed samples utils/guaranteeBacktest runs
+ * pricing versions over. For each past day in a region:
+ *
+ *   forecast  — what Open-Meteo's archived forecasts predicted for the
+ *               booking window (historical-forecast-api)
+ *   observed  — the rain reanalysis says fell in it (archive-api, ERA5)
+ *
+ * The reanalysis lags by about five days, so history ends a week ago.
+ * Results are cached per region and window for a day.
+ *
+ * @module api/guaranteeHistory
+ */
+
+import { swr } from '../utils/cache';
+
+const FORECAST_ARCHIVE_URL = 'https://historical-forecast-api.open-meteo.com/v1/forecast';
+const OBSERVED_ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1/archive';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OBSERVED_LAG_DAYS = 7;
+
+export const DEFAULT_HISTORY_DAYS = 365;
+// A typical evening booking: 17:00–19:00 venue time
+export const DEFAULT_HISTORY_WINDOW = { start: '17:00', durationMinutes: 120 };
+
+async function request(url, region, params, signal) {
+    const query = new URLSearchParams({
+        latitude: String(region.center.lat),
+        longitude: String(region.center.lng),
+        timezone: region.timezone,
+        ...params,
+    });
+    const response = await fetch(`${url}?${query}`, { signal });
+    if (!response.ok) throw new Error(`Open-Meteo archive HTTP ${response.status}`);
+    return response.json();
+}
+
+// Hourly series keyed by local 'YYYY-MM-DDTHH:mm'
+const byTime = (raw, variable) => {
+    const h = raw?.hourly || {};
+    return new Map((h.time || []).map((t, i) => [t, h[variable]?.[i] ?? null]));
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Turn archive responses into backtest samples. Hourly precipitation is
+ * the total for the hour ending at its timestamp, so a 17:00–19:00
+ * window reads the 18:00 and 19:00 values. Days with any observed hour
+ * missing are dropped.
+ *
+ * When the archive has no precipitation probability, the share of window
+ * hours forecast to be wet (≥ 0.1mm) stands in for it.
+ *
+ * @param {object} forecastRaw  historical-forecast-api response
+ * @param {object} observedRaw  archive-api response
+ * @param {{ regionId?: string, window?: { start: string, durationMinutes: number } }} [options]
+ * @returns {object[]} samples, oldest first
+ */
+export function buildHistorySamples(forecastRaw, observedRaw, { regionId = null, window = DEFAULT_HISTORY_WINDOW } = {}) {
+    const forecastRain = byTime(forecastRaw, 'precipitation');
+    const forecastProb = byTime(forecastRaw, 'precipitation_probability');
+    const forecastCloud = byTime(forecastRaw, 'cloud_cover');
+    const observedRain = byTime(observedRaw, 'precipitation');
+
+    const [startH, startM] = window.start.split(':').map(Number);
+    const hourCount = Math.ceil((startM + window.durationMinutes) / 60);
+    const dates = [...new Set((observedRaw?.hourly?.time || []).map(t => t.slice(0, 10)))];
+
+    const samples = [];
+    for (const date of dates) {
+        const labels = [];
+        for (let i = 1; i <= hourCount; i++) {
+            const hour = startH + i;
+            if (hour > 23) break; // windows running past midnight are cut at 23:00
+            labels.push(`${date}T${pad(hour)}:00`);
+        }
+        const observed = labels.map(t => observedRain.get(t));
+        if (!labels.length || observed.some(v => v == null)) continue;
+
+        const rain = labels.map(t => forecastRain.get(t) ?? 0);
+        const probs = labels.map(t => forecastProb.get(t)).filter(v => v != null);
+        const clouds = labels.map(t => forecastCloud.get(t)).filter(v => v != null);
+        samples.push({
+            date,
+            regionId,
+            forecast: {
+                rainProbability: probs.length
+                    ? Math.max(...probs)
+                    : Math.round((rain.filter(v => v >= 0.1).length / labels.length) * 100),
+                expectedRainMm: Math.round(rain.reduce((a, b) => a + b, 0) * 10) / 10,
+                cloudCover: clouds.length ? Math.round(clouds.reduce((a, b) => a + b, 0) / clouds.length) : 0,
+            },
+            observedRainMm: Math.round(observed.reduce((a, b) => a + b, 0) * 10) / 10,
+        });
+    }
+    return samples;
+}
+
+/**
+ * Backtest samples for a region (config/regions profile), measured at its
+ * centre.
+ *
+ * @param {object} region
+ * @param {{ days?: number, window?: { start: string, durationMinutes: number },
+ *   now?: number, signal?: AbortSignal, forceRefresh?: boolean }} [options]
+ * @returns {Promise<{ samples: object[], from: string, to: string, source: string }>}
+ */
+export async function fetchGuaranteeHistory(region, {
+    days = DEFAULT_HISTORY_DAYS,
+    window = DEFAULT_HISTORY_WINDOW,
+    now = Date.now(),
+    signal,
+    forceRefresh = false,
+} = {}) {
+    const to = new Date(now - OBSERVED_LAG_DAYS * DAY_MS).toISOString().slice(0, 10);
+    const from = new Date(Date.parse(to) - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+    const range = { start_date: from, end_date: to };
+
+    const { value } = await swr(
+        'guaranteeHistory',
+        `${region.id}:${window.start}:${window.durationMinutes}:${days}`,
+        async () => {
+            const [forecastRaw, observedRaw] = await Promise.all([
+                request(FORECAST_ARCHIVE_URL, region, {
+                    ...range,
+                    hourly: 'precipitation,precipitation_probability,cloud_cover',
+                }, signal),
+                request(OBSERVED_ARCHIVE_URL, region, { ...range, hourly: 'precipitation' }, signal),
+            ]);
+            return {
+                samples: buildHistorySamples(forecastRaw, observedRaw, { regionId: region.id, window }),
+                from,
+                to,
+                source: 'open-meteo-archive',
+            };
+        },
+        { forceRefresh }
+    );
+    return value;
+}
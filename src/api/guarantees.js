@@ -0,0 +1,213 @@
+/**
+ * Weather guarantee policies
+ * ─────────────────────────────────────────────────────────────
+ * Records guarantees bought with a booking and settles them once the
+ * booking window has passed:
+ *
+ *   purchaseGuarantee({...})   → 'active' policy covering the booking window
+ *   settleGuarantee(id)        → compares observed rainfall with the trigger
+ *   settleDueGuarantees()      → settles every active policy whose window ended
+ *
+ * Settlement writes payouts, so it only runs server-side with the service
+ * role (scripts/settle-guarantees.js); browsers just buy and list.
+ *
+ * Settlement fetches observations through weatherRegistry.fetchObserved()
+ * (ERA5 reanalysis, so not until OBSERVATION_LAG_MS after the window ends)
+ * and decides with utils/weatherGuarantee.evaluateGuarantee(). The result
+ * is stored on the policy as `settlement`: the outcome (paid / not paid),
+ * the payout and the readings it was based on. When observations are
+ * missing or incomplete the policy stays active and is retried later.
+ *
+ * Pass `registry` (e.g. one holding a fixture adapter with a recording
+ * from data/fixtures/observedRainfall) to replay the lifecycle offline.
+ * Backends follow api/bookings: Supabase when configured, otherwise in
+ * memory; setGuaranteeBackend() swaps one in.
+ *
+ * @module api/guarantees
+ */
+
+import { supabase } from '../lib/supabase';
+import { weatherRegistry } from '../utils/weatherRegistry';
+import { evaluateGuarantee, GUARANTEE_TRIGGER_MM } from '../utils/weatherGuarantee';
+import { BOOKING_STATUS, getBooking, getBookingUserId } from './bookings';
+import { createMemoryGuaranteeBackend } from './guaranteeBackends/memory';
+import { createSupabaseGuaranteeBackend } from './guaranteeBackends/supabase';
+
+export const GUARANTEE_STATUS = {
+    ACTIVE: 'active',
+    SETTLED: 'settled',
+    // The booking was cancelled or lapsed, so there is nothing to cover
+    VOID: 'void',
+};
+
+// ERA5 reaches the archive about five days late; settling earlier would
+// only find gaps
+export const OBSERVATION_LAG_MS = 5 * 24 * 60 * 60 * 1000;
+
+const guaranteeError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+let _backend = null;
+
+export function getGuaranteeBackend() {
+    if (!_backend) {
+        _backend = supabase ? createSupabaseGuaranteeBackend(supabase) : createMemoryGuaranteeBackend();
+    }
+    return _backend;
+}
+
+export function setGuaranteeBackend(backend) {
+    _backend = backend;
+}
+
+/**
+ * Attach a guarantee to a confirmed booking. Buying again for the same
+ * booking returns the existing policy.
+ *
+ * @param {{ booking: object, quote: object, venue?: object, now?: number }} request
+ *   `quote` from getWeatherGuaranteeQuote(); `venue` supplies coordinates
+ *   for the rainfall lookup
+ * @returns {Promise<object>} the policy
+ */
+export async function purchaseGuarantee({ booking, quote, venue, now = Date.now() }) {
+    if (!booking?.id) throw guaranteeError('invalid_request', 'A booking is required');
+    if (!quote) throw guaranteeError('invalid_request', 'This booking is not eligible for a weather guarantee');
+    if (booking.status !== BOOKING_STATUS.CONFIRMED) {
+        throw guaranteeError('invalid_status', 'Guarantees can only be added to confirmed bookings');
+    }
+    const lat = Number(venue?.lat);
+    const lng = Number(venue?.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        throw guaranteeError('invalid_request', 'Venue coordinates are required');
+    }
+
+    const backend = getGuaranteeBackend();
+    const existing = await backend.findByBooking(booking.id);
+    if (existing) return existing;
+
+    try {
+        return await backend.insert({
+            id: await backend.nextId(),
+            bookingId: booking.id,
+            userId: booking.userId ?? (await getBookingUserId()),
+            venueId: booking.venueId,
+            venueName: booking.venueName ?? null,
+            lat,
+            lng,
+            timezone: booking.timezone ?? null,
+            windowStart: booking.startsAt,
+            windowEnd: booking.endsAt,
+            triggerMm: quote.triggerMm ?? GUARANTEE_TRIGGER_MM,
+            premium: quote.price,
+            premiumPct: quote.pct,
+            pricingVersion: quote.pricingVersion ?? null,
+            coverAmount: quote.bookingValue,
+            status: GUARANTEE_STATUS.ACTIVE,
+            purchasedAt: new Date(now).toISOString(),
+            lastCheckedAt: null,
+            settledAt: null,
+            settlement: null,
+        });
+    } catch (err) {
+        if (err?.code === 'duplicate') return backend.findByBooking(booking.id);
+        throw err;
+    }
+}
+
+async function voidIfBookingLapsed(policy, stamp) {
+    const booking = await getBooking(policy.bookingId).catch(() => null);
+    if (booking?.status !== BOOKING_STATUS.CANCELLED && booking?.status !== BOOKING_STATUS.EXPIRED) {
+        return null;
+    }
+    return getGuaranteeBackend().update(
+        policy.id,
+        { status: GUARANTEE_STATUS.VOID, settledAt: stamp, lastCheckedAt: stamp },
+        { expectedStatus: [GUARANTEE_STATUS.ACTIVE] }
+    );
+}
+
+/**
+ * Settle one policy once OBSERVATION_LAG_MS has passed since its window
+ * ended and observations cover it.
+ * Anything else (window still open, no data yet, provider down) leaves
+ * it active and returns it unchanged apart from `lastCheckedAt`.
+ *
+ * @param {string} id
+ * @param {{ registry?: object, now?: number }} [options]
+ * @returns {Promise<object>} the policy
+ */
+export async function settleGuarantee(id, { registry = weatherRegistry, now = Date.now() } = {}) {
+    const backend = getGuaranteeBackend();
+    const policy = await backend.get(id);
+    if (!policy) throw guaranteeError('not_found', `Guarantee ${id} not found`);
+    if (policy.status !== GUARANTEE_STATUS.ACTIVE) return policy;
+    if (now < Date.parse(policy.windowEnd) + OBSERVATION_LAG_MS) return policy;
+
+    const stamp = new Date(now).toISOString();
+    const voided = await voidIfBookingLapsed(policy, stamp);
+    if (voided) return voided;
+
+    let observed;
+    try {
+        observed = await registry.fetchObserved(policy.lat, policy.lng, {
+            start: policy.windowStart,
+            end: policy.windowEnd,
+            timezone: policy.timezone ?? undefined,
+        });
+    } catch (err) {
+        console.warn(`[Guarantees] No observations for ${id} yet:`, err?.message ?? err);
+        return (await backend.update(id, { lastCheckedAt: stamp })) ?? policy;
+    }
+
+    const result = evaluateGuarantee(policy, observed, { now });
+    if (result.status !== 'settled') {
+        return (await backend.update(id, { lastCheckedAt: stamp })) ?? policy;
+    }
+
+    const { status: _status, ...settlement } = result;
+    const settled = await backend.update(
+        id,
+        { status: GUARANTEE_STATUS.SETTLED, settledAt: stamp, lastCheckedAt: stamp, settlement },
+        { expectedStatus: [GUARANTEE_STATUS.ACTIVE] }
+    );
+    // Settled concurrently elsewhere: keep that decision
+    return settled ?? backend.get(id);
+}
+
+/**
+ * Settle every active policy whose window ended at least
+ * OBSERVATION_LAG_MS before `now`, one at a time so a batch doesn't flood
+ * the weather provider.
+ *
+ * @param {{ registry?: object, now?: number }} [options]
+ * @returns {Promise<object[]>} the policies that reached a decision
+ */
+export async function settleDueGuarantees(options = {}) {
+    const now = options.now ?? Date.now();
+    const cutoff = new Date(now - OBSERVATION_LAG_MS).toISOString();
+    const due = await getGuaranteeBackend().listDue(GUARANTEE_STATUS.ACTIVE, cutoff);
+    const decided = [];
+    for (const policy of due) {
+        const result = await settleGuarantee(policy.id, { ...options, now });
+        if (result.status !== GUARANTEE_STATUS.ACTIVE) decided.push(result);
+    }
+    return decided;
+}
+
+export async function getGuarantee(id) {
+    return getGuaranteeBackend().get(id);
+}
+
+export async function getGuaranteeForBooking(bookingId) {
+    return getGuaranteeBackend().findByBooking(bookingId);
+}
+
+/**
+ * Policies for `userId` (default: the current user), by window start.
+ */
+export async function listGuarantees(userId) {
+    return getGuaranteeBackend().listByUser(userId ?? (await getBookingUserId()));
+}
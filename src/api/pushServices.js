@@ -0,0 +1,92 @@
+/**
+ * Push delivery services
+ * ─────────────────────────────────────────────────────────────
+ * Where scheduled alerts (api/pushSubscriptions) are sent. A service is
+ * a plain object:
+ *
+ *   { id, send(subscription, payload) → { ok, gone } }
+ *
+ * `subscription` is a stored row with `endpoint` and `keys`; `payload`
+ * is what public/sw.js shows ({ title, body, icon, tag, data }). `gone`
+ * means the push service no longer knows the endpoint (HTTP 404/410),
+ * so the subscription should be dropped. Other failures throw.
+ *
+ *   createWebPushService()  → the `send-push` Supabase Edge Function,
+ *                             which signs and sends with the VAPID key
+ *   createMockPushService() → records payloads locally, for tests
+ *
+ * @module api/pushServices
+ */
+
+import { supabase } from '../lib/supabase';
+
+/**
+ * Web Push through a Supabase Edge Function, so the VAPID private key
+ * never reaches the browser (contract in API_SETUP.md).
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} client
+ * @param {{ functionName?: string }} [options]
+ */
+export function createWebPushService(client, { functionName = 'send-push' } = {}) {
+    return {
+        id: 'web-push',
+
+        async send(subscription, payload) {
+            const { data, error } = await client.functions.invoke(functionName, {
+                body: {
+                    subscription: { endpoint: subscription.endpoint, keys: subscription.keys },
+                    payload,
+                },
+            });
+            if (error) {
+                const status = error.context?.status;
+                if (status === 404 || status === 410) return { ok: false, gone: true };
+                throw error;
+            }
+            return { ok: !data?.gone, gone: !!data?.gone };
+        },
+    };
+}
+
+/**
+ * Local stand-in for a push service. Sent payloads collect in `sent`;
+ * endpoints listed in `goneEndpoints` answer as expired, and those in
+ * `failingEndpoints` throw.
+ *
+ * @param {{ goneEndpoints?: string[], failingEndpoints?: string[] }} [options]
+ */
+export function createMockPushService({ goneEndpoints = [], failingEndpoints = [] } = {}) {
+    const gone = new Set(goneEndpoints);
+    const failing = new Set(failingEndpoints);
+
+    return {
+        id: 'mock',
+        sent: [],
+
+        async send(subscription, payload) {
+            if (failing.has(subscription.endpoint)) {
+                throw new Error(`Push service unavailable for ${subscription.endpoint}`);
+            }
+            if (gone.has(subscription.endpoint)) return { ok: false, gone: true };
+            this.sent.push({ endpoint: subscription.endpoint, userId: subscription.userId, payload });
+            return { ok: true, gone: false };
+        },
+
+        clear() {
+            this.sent.length = 0;
+        },
+    };
+}
+
+let _service = null;
+
+export function getPushService() {
+    if (!_service) {
+        _service = supabase ? createWebPushService(supabase) : createMockPushService();
+    }
+    return _service;
+}
+
+export function setPushService(service) {
+    _service = service;
+}
@@ -0,0 +1,61 @@
+/**
+ * In-memory push subscription backend
+ * ─────────────────────────────────────────────────────────────
+ * Session-only storage for Web Push subscriptions, used when Supabase
+ * isn't configured and in offline tests of the alert schedule.
+ *
+ * @module api/pushSubscriptionBackends/memory
+ */
+
+const clone = (value) => (value ? JSON.parse(JSON.stringify(value)) : null);
+
+/**
+ * @param {{ subscriptions?: object[] }} [options] seed rows
+ */
+export function createMemoryPushSubscriptionBackend({ subscriptions = [] } = {}) {
+    const rows = new Map(subscriptions.map(s => [s.id, clone(s)]));
+    let sequence = rows.size;
+
+    return {
+        id: 'memory',
+
+        async nextId() {
+            sequence += 1;
+            return `PS-${Date.now().toString(36).toUpperCase()}-${sequence}`;
+        },
+
+        async findByEndpoint(endpoint) {
+            return clone([...rows.values()].find(s => s.endpoint === endpoint));
+        },
+
+        async insert(subscription) {
+            if ([...rows.values()].some(s => s.endpoint === subscription.endpoint)) {
+                const error = new Error('Endpoint is already subscribed');
+                error.code = 'duplicate';
+                throw error;
+            }
+            rows.set(subscription.id, clone(subscription));
+            return clone(subscription);
+        },
+
+        async update(id, patch) {
+            const current = rows.get(id);
+            if (!current) return null;
+            const next = { ...current, ...clone(patch) };
+            rows.set(id, next);
+            return clone(next);
+        },
+
+        async remove(id) {
+            return rows.delete(id);
+        },
+
+        async listByUser(userId) {
+            return [...rows.values()].filter(s => s.userId === userId).map(clone);
+        },
+
+        async listAll() {
+            return [...rows.values()].map(clone);
+        },
+    };
+}
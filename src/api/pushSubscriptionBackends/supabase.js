@@ -0,0 +1,102 @@
+/**
+ * Supabase push subscription backend
+ * ─────────────────────────────────────────────────────────────
+ * Stores Web Push subscriptions in the `push_subscriptions` table
+ * (schema in API_SETUP.md). `endpoint` is unique, so re-subscribing a
+ * browser updates its row; preferences and the delivery policy's log
+ * and queue are jsonb columns.
+ *
+ * @module api/pushSubscriptionBackends/supabase
+ */
+
+const TABLE = 'push_subscriptions';
+
+const COLUMNS = {
+    id: 'id',
+    userId: 'user_id',
+    endpoint: 'endpoint',
+    keys: 'keys',
+    preferences: 'preferences',
+    timezone: 'timezone',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    deliveryLog: 'delivery_log',
+    digestQueue: 'digest_queue',
+    pendingExpiry: 'pending_expiry',
+    lastSentAt: 'last_sent_at',
+};
+
+const toRow = (subscription) => Object.fromEntries(
+    Object.entries(subscription)
+        .filter(([key]) => COLUMNS[key])
+        .map(([key, value]) => [COLUMNS[key], value])
+);
+
+const fromRow = (row) => {
+    if (!row) return null;
+    const subscription = {};
+    for (const [key, column] of Object.entries(COLUMNS)) {
+        if (column in row) subscription[key] = row[column];
+    }
+    return subscription;
+};
+
+/**
+ * @param {import('@supabase/supabase-js').SupabaseClient} client
+ */
+export function createSupabasePushSubscriptionBackend(client) {
+    const table = () => client.from(TABLE);
+
+    return {
+        id: 'supabase',
+
+        async nextId() {
+            return globalThis.crypto?.randomUUID?.()
+                ?? `ps-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        },
+
+        async findByEndpoint(endpoint) {
+            const { data, error } = await table().select('*').eq('endpoint', endpoint).maybeSingle();
+            if (error) throw error;
+            return fromRow(data);
+        },
+
+        async insert(subscription) {
+            const { data, error } = await table().insert(toRow(subscription)).select('*').single();
+            // Postgres unique_violation on endpoint
+            if (error?.code === '23505') {
+                const duplicate = new Error('Endpoint is already subscribed');
+                duplicate.code = 'duplicate';
+                throw duplicate;
+            }
+            if (error) throw error;
+            return fromRow(data);
+        },
+
+        async update(id, patch) {
+            const { data, error } = await table().update(toRow(patch)).eq('id', id).select('*').maybeSingle();
+            if (error) throw error;
+            return fromRow(data);
+        },
+
+        async remove(id) {
+            const { error } = await table().delete().eq('id', id);
+            if (error) throw error;
+            return true;
+        },
+
+        async listByUser(userId) {
+            const { data, error } = await table().select('*').eq('user_id', userId);
+            if (error) throw error;
+            return (data || []).map(fromRow);
+        },
+
+        // Every row only with a service-role client; under row-level
+        // security a browser's client sees just its own user's rows
+        async listAll() {
+            const { data, error } = await table().select('*');
+            if (error) throw error;
+            return (data || []).map(fromRow);
+        },
+    };
+}
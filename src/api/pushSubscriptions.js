@@ -0,0 +1,282 @@
+/**
+ * Push alert subscriptions
+ * ─────────────────────────────────────────────────────────────
+ * Stores each browser's Web Push subscription with the user's alert
+ * preferences, and sends the forecast alerts that are due:
+ *
+ *   savePushSubscription({...})  → subscribe or update a browser endpoint
+ *   updatePushPreferences(...)   → change what a subscription is sent
+ *   removePushSubscription(ep)   → stop pushing to an endpoint
+ *   sendDueAlerts()              → evaluate and push for every subscription
+ *
+ * sendDueAlerts() is the scheduled evaluator: scripts/send-due-alerts.js
+ * runs it with a service-role client every 15–30 minutes (see
+ * API_SETUP.md). From the subscription's `alertTime` onwards each
+ * local day, it fetches forecasts for the saved venues, runs
+ * data/notificationEngine generateForecastNotifications() and passes the
+ * result through data/notificationPolicy, which dedups, rate-limits,
+ * holds alerts over quiet hours and batches digests. Nothing is pushed
+ * before `alertTime`. The policy's `deliveryLog` and `digestQueue` are
+ * kept on the row, and tags of alerts whose conditions have passed wait
+ * in `pendingExpiry` until the next push closes them (public/sw.js).
+ *
+ * Preferences use the DEFAULT_PREFERENCES shape from notificationEngine.
+ * Backends follow api/bookings: Supabase when configured,
+ * otherwise in memory; setPushSubscriptionBackend() swaps one in, and
+ * api/pushServices decides where pushes go.
+ *
+ * @module api/pushSubscriptions
+ */
+
+import { supabase } from '../lib/supabase';
+import { DEFAULT_REGION } from '../config/regions';
+import { DEFAULT_PREFERENCES, generateForecastNotifications } from '../data/notificationEngine';
+import { applyDeliveryPolicy } from '../data/notificationPolicy';
+import { getZonedParts } from '../utils/timezone';
+import { fetchVenuesWeather } from '../utils/venueWeather';
+import { fetchVenueDetails } from './venues';
+import { getBookingUserId } from './bookings';
+import { getPushService } from './pushServices';
+import { createMemoryPushSubscriptionBackend } from './pushSubscriptionBackends/memory';
+import { createSupabasePushSubscriptionBackend } from './pushSubscriptionBackends/supabase';
+
+const ALERT_ICON = '/sunstay-logo.png';
+
+const pushError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+let _backend = null;
+
+export function getPushSubscriptionBackend() {
+    if (!_backend) {
+        _backend = supabase ? createSupabasePushSubscriptionBackend(supabase) : createMemoryPushSubscriptionBackend();
+    }
+    return _backend;
+}
+
+export function setPushSubscriptionBackend(backend) {
+    _backend = backend;
+}
+
+const toPreferences = (preferences = {}) => ({
+    ...DEFAULT_PREFERENCES,
+    ...preferences,
+    weatherPrefs: { ...DEFAULT_PREFERENCES.weatherPrefs, ...preferences.weatherPrefs },
+    enabledCategories: { ...DEFAULT_PREFERENCES.enabledCategories, ...preferences.enabledCategories },
+});
+
+/**
+ * Store a browser's push subscription for the current user. Saving the
+ * same endpoint again updates its keys, preferences and timezone.
+ *
+ * @param {{ subscription: PushSubscriptionJSON|object, preferences?: object,
+ *   timezone?: string, userId?: string, now?: number }} request
+ *   `subscription` as from PushSubscription.toJSON(); `timezone` is the
+ *   IANA zone `alertTime` is read in
+ * @returns {Promise<object>} the stored subscription
+ */
+export async function savePushSubscription({ subscription, preferences, timezone, userId, now = Date.now() }) {
+    const endpoint = subscription?.endpoint;
+    const keys = subscription?.keys;
+    if (!endpoint || !keys?.p256dh || !keys?.auth) {
+        throw pushError('invalid_request', 'A push subscription with an endpoint and keys is required');
+    }
+
+    const backend = getPushSubscriptionBackend();
+    const stamp = new Date(now).toISOString();
+    const fields = {
+        userId: userId ?? (await getBookingUserId()),
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        preferences: toPreferences(preferences),
+        timezone: timezone ?? DEFAULT_REGION.timezone,
+        updatedAt: stamp,
+    };
+
+    const existing = await backend.findByEndpoint(endpoint);
+    if (existing) return backend.update(existing.id, fields);
+
+    try {
+        return await backend.insert({
+            id: await backend.nextId(),
+            endpoint,
+            ...fields,
+            createdAt: stamp,
+            deliveryLog: [],
+            digestQueue: [],
+            pendingExpiry: [],
+            lastSentAt: null,
+        });
+    } catch (err) {
+        if (err?.code !== 'duplicate') throw err;
+        const raced = await backend.findByEndpoint(endpoint);
+        return backend.update(raced.id, fields);
+    }
+}
+
+/**
+ * Replace the preferences pushed to `endpoint`.
+ * @returns {Promise<object>} the updated subscription
+ */
+export async function updatePushPreferences(endpoint, preferences, { now = Date.now() } = {}) {
+    const backend = getPushSubscriptionBackend();
+    const existing = await backend.findByEndpoint(endpoint);
+    if (!existing) throw pushError('not_found', 'This browser is not subscribed to alerts');
+    return backend.update(existing.id, {
+        preferences: toPreferences(preferences),
+        updatedAt: new Date(now).toISOString(),
+    });
+}
+
+export async function removePushSubscription(endpoint) {
+    const backend = getPushSubscriptionBackend();
+    const existing = await backend.findByEndpoint(endpoint);
+    if (!existing) return false;
+    return backend.remove(existing.id);
+}
+
+export async function getPushSubscription(endpoint) {
+    return getPushSubscriptionBackend().findByEndpoint(endpoint);
+}
+
+/**
+ * Subscriptions for `userId` (default: the current user).
+ */
+export async function listPushSubscriptions(userId) {
+    return getPushSubscriptionBackend().listByUser(userId ?? (await getBookingUserId()));
+}
+
+/**
+ * Whether the subscription's local time has reached its `alertTime`.
+ */
+export function isAlertTimeReached(subscription, now = Date.now()) {
+    const [hour, minute] = String(subscription.preferences?.alertTime ?? DEFAULT_PREFERENCES.alertTime)
+        .split(':')
+        .map(Number);
+    const local = getZonedParts(now, subscription.timezone ?? DEFAULT_REGION.timezone);
+    return local.hour * 60 + local.minute >= (hour || 0) * 60 + (minute || 0);
+}
+
+// `expire` lists tags of earlier alerts the worker should close
+const toPayload = (notification, expire = []) => ({
+    title: notification.title,
+    body: notification.body,
+    icon: ALERT_ICON,
+    tag: notification.dedupKey,
+    data: {
+        url: '/',
+        category: notification.category,
+        venueId: notification.venueId ?? null,
+        startsAt: notification.startsAt ?? null,
+        expire,
+    },
+});
+
+async function loadVenues(ids, cache) {
+    const missing = ids.filter(id => !cache.has(id));
+    await Promise.all(missing.map(async (id) => {
+        cache.set(id, await fetchVenueDetails(id).catch(() => null));
+    }));
+    return ids.map(id => cache.get(id)).filter(Boolean);
+}
+
+async function loadForecasts(venues) {
+    const weather = await fetchVenuesWeather(venues);
+    // A demo forecast is made-up weather (VITE_WEATHER_FIXTURE); it must
+    // never reach a real push, so those venues count as having no forecast
+    return new Map(venues.map(v => {
+        const forecast = weather.get(String(v.id))?.forecast ?? null;
+        return [v.id, forecast?.provider === 'demo' ? null : forecast];
+    }));
+}
+
+/**
+ * Evaluate one subscription and push what the delivery policy lets
+ * through. An alert the push service fails on is dropped from the log
+ * (a digest is requeued) so the next run retries it.
+ */
+async function sendSubscriptionAlerts(subscription, { now, pushService, venueCache, getForecasts }) {
+    const backend = getPushSubscriptionBackend();
+    const preferences = toPreferences(subscription.preferences);
+    const timezone = subscription.timezone ?? DEFAULT_REGION.timezone;
+
+    const venues = await loadVenues(preferences.favoriteVenueIds, venueCache);
+    if (!venues.length) return [];
+
+    // No dismissed set: the policy needs every standing condition to tell
+    // which earlier alerts have expired
+    const candidates = generateForecastNotifications(await getForecasts(venues), venues, preferences, {
+        now,
+        timeZone: timezone,
+    });
+    const policy = applyDeliveryPolicy(candidates, {
+        log: subscription.deliveryLog || [],
+        queue: subscription.digestQueue || [],
+        prefs: preferences,
+        now,
+        timeZone: timezone,
+    });
+
+    let log = policy.log;
+    const queue = policy.queue;
+    let pendingExpiry = [
+        ...(subscription.pendingExpiry || []),
+        ...policy.expired.map(e => e.tag).filter(Boolean),
+    ];
+    const delivered = [];
+    for (const notification of policy.deliver) {
+        try {
+            const result = await pushService.send(subscription, toPayload(notification, pendingExpiry));
+            if (result.gone) {
+                await backend.remove(subscription.id);
+                return delivered;
+            }
+            pendingExpiry = [];
+            delivered.push({ subscriptionId: subscription.id, userId: subscription.userId, notification });
+        } catch (err) {
+            console.warn(`[PushAlerts] Could not push to ${subscription.id}:`, err?.message ?? err);
+            // A failed digest goes back to the queue with its alerts
+            const ids = new Set([notification.id, ...(notification.items || [])]);
+            log = log.filter(entry => !ids.has(entry.id));
+            queue.push(...[...(subscription.digestQueue || []), ...candidates]
+                .filter(n => notification.items?.includes(n.id) && !queue.some(q => q.id === n.id)));
+        }
+    }
+
+    await backend.update(subscription.id, {
+        deliveryLog: log,
+        digestQueue: queue,
+        pendingExpiry,
+        ...(delivered.length ? { lastSentAt: new Date(now).toISOString() } : {}),
+    });
+    return delivered;
+}
+
+/**
+ * Push every due alert to every subscription, one subscription at a
+ * time so a run doesn't flood the weather provider. Forecasts are
+ * shared between subscriptions with venues in the same grid cell.
+ *
+ * @param {{ now?: number, pushService?: object,
+ *   getForecasts?: (venues: object[]) => Promise<Map<string, object>> }} [options]
+ *   `getForecasts` replaces the live forecast lookup, e.g. with fixtures
+ * @returns {Promise<Array<{ subscriptionId: string, userId: string, notification: object }>>}
+ *   the alerts delivered on this run
+ */
+export async function sendDueAlerts({ now = Date.now(), pushService = getPushService(), getForecasts = loadForecasts } = {}) {
+    const subscriptions = await getPushSubscriptionBackend().listAll();
+    const venueCache = new Map();
+    const delivered = [];
+
+    for (const subscription of subscriptions) {
+        if (!isAlertTimeReached(subscription, now)) continue;
+        try {
+            delivered.push(...await sendSubscriptionAlerts(subscription, { now, pushService, venueCache, getForecasts }));
+        } catch (err) {
+            console.warn(`[PushAlerts] Skipped ${subscription.id}:`, err?.message ?? err);
+        }
+    }
+    return delivered;
+}
@@ -5,53 +5,109 @@
  *   - fetchVenuesBrief()  → lightweight payload for map markers
  *   - fetchVenueDetails() → full venue object on selection
  *
- * Currently backed by local demoVenues data.
- * Swap the implementation to real API calls when the backend is ready.
+ * Backed by the Supabase `venues` table (the same rows OwnerDashboard
+ * updates). List queries take a viewport bounding box and page through
+ * results with an id cursor, so the map only loads what is on screen.
+ * When `supabase` is null the same queries run against the local
+ * demoVenues data; once it is configured, a failed query rejects rather
+ * than passing demo venues off as real ones.
+ *
+ * Bounds use Mapbox's LngLatBounds array form: [[west, south], [east, north]].
  *
  * @module api/venues
  */
 
+import { supabase } from '../lib/supabase';
 import { demoVenues } from '../data/demoVenues';
+import { scoreVenue } from '../utils/venueScore';
+
+const TABLE = 'venues';
+const BRIEF_COLUMNS = 'id,lat,lng,tags,roomTypes';
+
+export const DEFAULT_PAGE_SIZE = 200;
+export const MAX_PAGE_SIZE = 1000;
+// Cap for one viewport; beyond this the result is flagged `truncated`
+export const MAX_VIEWPORT_VENUES = 2000;
+
+// Pins and details carry a baseline score from the venue alone (sun and
+// exposure now, no weather) until the client scores it against live
+// conditions; a stored `sunshineScore` takes precedence
+const baselineScore = (venue) => venue.sunshineScore ?? scoreVenue(venue, null).score;
+
+// ── Bounds ─────────────────────────────────────────────────────────
 
 /**
- * Calculate a sunshine score (0–100) for a venue based on its tags.
- * In production this would come from the API; here we derive it locally.
- *
- * @param {object} venue
- * @returns {number}
+ * Grow bounds by `ratio` of their size on every side, so small pans
+ * stay inside the area already loaded.
  */
-const calculateSunshineScore = (venue) => {
-    let score = 50; // base
-
-    const tags = venue.tags || [];
-
-    // Positive signals
-    if (tags.includes('Sunny')) score += 15;
-    if (tags.includes('Afternoon Sun')) score += 10;
-    if (tags.includes('Morning Sun')) score += 8;
-    if (tags.includes('Midday Sun')) score += 8;
-    if (tags.includes('Evening Sun')) score += 5;
-    if (tags.includes('Rooftop')) score += 10;
-    if (tags.includes('Views')) score += 5;
-    if (tags.includes('Beer Garden')) score += 5;
-    if (tags.includes('Garden')) score += 5;
-
-    // Negative signals
-    if (tags.includes('Covered')) score -= 5;
-    if (tags.includes('Shaded')) score -= 8;
-    if (tags.includes('Indoor')) score -= 15;
-
-    // Room-level boost (hotel venues with sunScore on rooms)
-    if (venue.roomTypes && venue.roomTypes.length > 0) {
-        const avgRoomScore = venue.roomTypes.reduce(
-            (sum, r) => sum + (r.sunScore || 50), 0
-        ) / venue.roomTypes.length;
-        score = Math.round((score + avgRoomScore) / 2);
-    }
+export const padBounds = ([[west, south], [east, north]], ratio = 0.25) => {
+    const dx = (east - west) * ratio;
+    const dy = (north - south) * ratio;
+    return [[west - dx, south - dy], [east + dx, north + dy]];
+};
+
+/**
+ * True when `inner` lies entirely within `outer`.
+ */
+export const boundsContain = (outer, inner) =>
+    inner[0][0] >= outer[0][0] && inner[0][1] >= outer[0][1] &&
+    inner[1][0] <= outer[1][0] && inner[1][1] <= outer[1][1];
 
-    return Math.max(0, Math.min(100, score));
+const inBounds = (venue, [[west, south], [east, north]]) =>
+    venue.lng >= west && venue.lng <= east && venue.lat >= south && venue.lat <= north;
+
+// ── Query ──────────────────────────────────────────────────────────
+
+const clampPageSize = (limit) =>
+    Math.max(1, Math.min(MAX_PAGE_SIZE, Math.round(Number(limit) || DEFAULT_PAGE_SIZE)));
+
+// Coordinates arrive as numeric strings from some Postgres column types
+const normalizeRow = (row) => ({ ...row, lat: Number(row.lat), lng: Number(row.lng) });
+
+const hasCoords = (venue) => Number.isFinite(venue.lat) && Number.isFinite(venue.lng);
+
+const toPage = (rows, pageSize, source) => ({
+    venues: rows,
+    nextCursor: rows.length === pageSize ? rows[rows.length - 1].id : null,
+    source,
+});
+
+// Same ordering and cursor semantics as the Supabase query
+const queryDemoVenues = ({ bounds, cursor, pageSize }) => {
+    const rows = demoVenues
+        .map(normalizeRow)
+        .filter(v => hasCoords(v) && (!bounds || inBounds(v, bounds)))
+        .sort((a, b) => (String(a.id) < String(b.id) ? -1 : 1))
+        .filter(v => cursor == null || String(v.id) > String(cursor))
+        .slice(0, pageSize);
+    return toPage(rows, pageSize, 'local-demo');
 };
 
+async function queryVenues({ bounds, cursor, limit, columns = '*', signal } = {}) {
+    const pageSize = clampPageSize(limit);
+
+    if (!supabase) return queryDemoVenues({ bounds, cursor, pageSize });
+
+    let query = supabase
+        .from(TABLE)
+        .select(columns)
+        .order('id', { ascending: true })
+        .limit(pageSize);
+    if (bounds) {
+        const [[west, south], [east, north]] = bounds;
+        query = query.gte('lat', south).lte('lat', north).gte('lng', west).lte('lng', east);
+    }
+    if (cursor != null) query = query.gt('id', cursor);
+    if (signal) query = query.abortSignal(signal);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    const rows = (data || []).map(normalizeRow);
+    // Cursor comes from the raw page so filtering can't end pagination early
+    const page = toPage(rows, pageSize, 'supabase');
+    return { ...page, venues: rows.filter(hasCoords) };
+}
+
 /**
  * @typedef {Object} VenueBrief
  * @property {string} id
@@ -60,6 +116,59 @@ const calculateSunshineScore = (venue) => {
  * @property {number} sunshineScore
  */
 
+/**
+ * @typedef {Object} VenuePageOptions
+ * @property {[[number, number], [number, number]]} [bounds] viewport; omit for all venues
+ * @property {string|number} [cursor] `nextCursor` from the previous page
+ * @property {number} [limit=DEFAULT_PAGE_SIZE] page size, capped at MAX_PAGE_SIZE
+ * @property {AbortSignal} [signal]
+ */
+
+const toBrief = (venue) => ({
+    id: venue.id,
+    lat: venue.lat,
+    lng: venue.lng,
+    sunshineScore: baselineScore(venue),
+});
+
+/**
+ * Fetch one page of full venue rows, ordered by id.
+ *
+ * @param {VenuePageOptions} [options]
+ * @returns {Promise<{ venues: object[], nextCursor: string|number|null, source: string }>}
+ *   `nextCursor` is null on the last page; `source` is 'supabase' or 'local-demo'
+ */
+export const fetchVenuesPage = (options = {}) => queryVenues(options);
+
+/**
+ * Fetch every venue inside `bounds`, following cursors until the last
+ * page or `max` venues; stopping at `max` flags the result `truncated`.
+ *
+ * @param {[[number, number], [number, number]]} bounds
+ * @param {{ max?: number, pageSize?: number, signal?: AbortSignal }} [options]
+ * @returns {Promise<{ venues: object[], truncated: boolean, source: string }>}
+ */
+export const fetchVenuesInBounds = async (bounds, options = {}) => {
+    const { max = MAX_VIEWPORT_VENUES, pageSize = MAX_PAGE_SIZE, signal } = options;
+    const venues = [];
+    let cursor = null;
+    let source = null;
+
+    do {
+        const page = await queryVenues({
+            bounds,
+            cursor,
+            limit: Math.min(pageSize, max - venues.length),
+            signal,
+        });
+        venues.push(...page.venues);
+        cursor = page.nextCursor;
+        source = page.source;
+    } while (cursor != null && venues.length < max);
+
+    return { venues, truncated: cursor != null, source };
+};
+
 /**
  * Fetch lightweight venue data for map markers.
  * Returns ONLY the fields needed for pin rendering: id, lat, lng, sunshineScore.
@@ -67,18 +176,12 @@ const calculateSunshineScore = (venue) => {
  * Performance: ~200 bytes per venue vs ~2 KB for full details.
  * Designed to handle 1000+ venues without payload bloat.
  *
- * @returns {Promise<VenueBrief[]>}
+ * @param {VenuePageOptions} [options]
+ * @returns {Promise<{ venues: VenueBrief[], nextCursor: string|number|null }>}
  */
-export const fetchVenuesBrief = async () => {
-    // Simulate network latency (remove when using real API)
-    await new Promise(resolve => setTimeout(resolve, 50));
-
-    return demoVenues.map(venue => ({
-        id: venue.id,
-        lat: venue.lat,
-        lng: venue.lng,
-        sunshineScore: calculateSunshineScore(venue),
-    }));
+export const fetchVenuesBrief = async (options = {}) => {
+    const page = await queryVenues({ ...options, columns: BRIEF_COLUMNS });
+    return { venues: page.venues.map(toBrief), nextCursor: page.nextCursor };
 };
 
 /**
@@ -86,21 +189,32 @@ export const fetchVenuesBrief = async () => {
  * Called only when a user taps/clicks a map marker.
  *
  * @param {string} id - venue id (e.g., 'dv-01')
+ * @param {{ signal?: AbortSignal }} [options]
  * @returns {Promise<object | null>} full venue object or null if not found
  */
-export const fetchVenueDetails = async (id) => {
-    // Simulate network latency (remove when using real API)
-    await new Promise(resolve => setTimeout(resolve, 80));
+export const fetchVenueDetails = async (id, { signal } = {}) => {
+    let venue;
+    let source;
 
-    const venue = demoVenues.find(v => v.id === id);
+    if (supabase) {
+        let query = supabase.from(TABLE).select('*').eq('id', id);
+        if (signal) query = query.abortSignal(signal);
+        const { data, error } = await query.maybeSingle();
+        if (error) throw error;
+        venue = data ? normalizeRow(data) : null;
+        source = 'supabase';
+    } else {
+        const found = demoVenues.find(v => v.id === id);
+        venue = found ? normalizeRow(found) : null;
+        source = 'local-demo';
+    }
     if (!venue) return null;
 
     return {
         ...venue,
-        sunshineScore: calculateSunshineScore(venue),
-        // Enrich with computed fields a real API would provide
+        sunshineScore: baselineScore(venue),
         _fetchedAt: new Date().toISOString(),
-        _source: 'local-demo',
+        _source: source,
     };
 };
 
@@ -112,24 +226,32 @@ export const fetchVenueDetails = async (id) => {
  * @returns {Promise<VenueBrief[]>}
  */
 export const fetchVenuesBriefByIds = async (ids) => {
-    const all = await fetchVenuesBrief();
+    if (!ids?.length) return [];
+
+    if (supabase) {
+        const { data, error } = await supabase.from(TABLE).select(BRIEF_COLUMNS).in('id', ids);
+        if (error) throw error;
+        return (data || []).map(normalizeRow).filter(hasCoords).map(toBrief);
+    }
+
     const idSet = new Set(ids);
-    return all.filter(v => idSet.has(v.id));
+    return demoVenues.filter(v => idSet.has(v.id)).map(normalizeRow).map(toBrief);
 };
 
 /**
  * Fetch venue data formatted as a GeoJSON FeatureCollection.
  * Used natively by Mapbox GL JS for clustering and optimized rendering.
+ * One page per call; `nextCursor` (a foreign member) continues it.
  *
- * @returns {Promise<object>} GeoJSON FeatureCollection
+ * @param {VenuePageOptions} [options]
+ * @returns {Promise<object>} GeoJSON FeatureCollection plus `nextCursor`
  */
-export const fetchVenuesGeoJSON = async () => {
-    // Simulate network latency (remove when using real API)
-    await new Promise(resolve => setTimeout(resolve, 50));
+export const fetchVenuesGeoJSON = async (options = {}) => {
+    const { venues, nextCursor } = await fetchVenuesBrief(options);
 
     return {
         type: 'FeatureCollection',
-        features: demoVenues.map(venue => ({
+        features: venues.map(venue => ({
             type: 'Feature',
             geometry: {
                 type: 'Point',
@@ -137,8 +259,9 @@ export const fetchVenuesGeoJSON = async () => {
             },
             properties: {
                 id: venue.id,
-                sunshineScore: calculateSunshineScore(venue),
+                sunshineScore: venue.sunshineScore,
             },
         })),
+        nextCursor,
     };
 };
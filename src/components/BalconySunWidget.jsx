@@ -9,6 +9,7 @@ import { calculateBalconySun } from '../utils/calculateBalconySun';
  *   lat            {number}         Venue latitude
  *   lng            {number}         Venue longitude
  *   balconyFacing  {string|number}  'N' | 'NE' | 'W' | 270 etc.
+ *   horizonProfile {object}         Optional obstruction horizon (utils/horizonProfile)
  *   date           {Date}           Date to calculate for (default: today)
  *   venueName      {string}         Optional venue name for subtitle
  *   compact        {boolean}        If true, render a single-line compact version
@@ -17,16 +18,25 @@ export default function BalconySunWidget({
   lat,
   lng,
   balconyFacing = null,
+  horizonProfile = null,
   date,
   venueName,
   compact = false,
 }) {
   const calcDate = date instanceof Date ? date : new Date();
 
-  const { totalSunHours, peakWindow, balconyFacingLabel } = useMemo(
-    () => calculateBalconySun(lat, lng, calcDate, balconyFacing),
-    [lat, lng, balconyFacing, calcDate.toDateString()],
+  const isToday = calcDate.toDateString() === new Date().toDateString();
+
+  // Today's result depends on the time too (sun until / next sun), so it
+  // is recomputed per minute rather than per day
+  const { totalSunHours, peakWindow, balconyFacingLabel, sunUntil, nextSun } = useMemo(
+    () => calculateBalconySun(lat, lng, calcDate, balconyFacing, 90, 5, horizonProfile),
+    [lat, lng, balconyFacing, horizonProfile, isToday ? Math.floor(calcDate.getTime() / 60000) : calcDate.toDateString()],
   );
+  const liveLine = !isToday ? null
+    : sunUntil ? `Sun until ${sunUntil}`
+      : nextSun ? `Sun from ${nextSun}`
+        : null;
 
   const hasSun    = totalSunHours > 0;
   const sunEmoji  = hasSun ? '\u2600\ufe0f' : '\u2601\ufe0f';
@@ -47,7 +57,7 @@ export default function BalconySunWidget({
         <span style={{ fontSize: 14 }}>{sunEmoji}</span>
         <span style={{ fontSize: 12, fontWeight: 700, color: accentCol }}>
           {hasSun
-            ? `${totalSunHours}h direct sun${peakWindow ? ` \u00b7 ${peakWindow}` : ''}`
+            ? `${totalSunHours}h direct sun${(liveLine || peakWindow) ? ` \u00b7 ${liveLine || peakWindow}` : ''}`
             : 'No direct sun today'}
         </span>
         {balconyFacing && (
@@ -104,6 +114,11 @@ export default function BalconySunWidget({
               {peakWindow}
             </span>
           )}
+          {hasSun && liveLine && (
+            <span style={{ fontSize: 12, fontWeight: 600, color: '#B45309' }}>
+              {liveLine}
+            </span>
+          )}
         </div>
 
         {/* Live badge */}
@@ -1,5 +1,7 @@
 import React from 'react';
 import { motion } from 'framer-motion';
+import { getAreaConditions } from '../data/venueAreas';
+import { formatZonedTime, getZonedHour } from '../utils/timezone';
 
 const ICONS = {
   sunny:  '☀️',
@@ -23,39 +25,80 @@ function getBarColor(score) {
   return 'from-blue-600 to-indigo-400';
 }
 
-export default function BookingWindowTimeline({ venue, weatherHours, bookingStart, bookingEnd }) {
-  if (!weatherHours || weatherHours.length === 0) return null;
+const hourTimestamp = (h) => h.timestamp ?? new Date(h.time).getTime();
 
-  const now    = new Date();
-  const startH = bookingStart ?? now.getHours();
-  const endH   = bookingEnd   ?? Math.min(startH + 6, 23);
+// Normalized hours carry cloudCover as 0–1 and windSpeed in m/s; legacy rows use % and km/h
+const cloudPct = (h) => {
+  const cc = h.cloudCover ?? h.cloud_cover ?? 0;
+  return cc <= 1 ? cc * 100 : cc;
+};
+const windKmh = (h) => (h.windspeed ?? h.wind_speed_10m ?? (h.windSpeed ?? 0) * 3.6);
+
+/**
+ * Forecast for a booking window. Pass `windowStart`/`windowEnd` (instants)
+ * with the venue's `timezone` for an exact window, or the older
+ * `bookingStart`/`bookingEnd` device-local hours. With an `area` (from
+ * data/venueAreas) the bars, rain and wind reflect that seating area.
+ */
+export default function BookingWindowTimeline({
+  venue, weatherHours, bookingStart, bookingEnd,
+  windowStart, windowEnd, timezone = null, area = null,
+}) {
+  if (!weatherHours || weatherHours.length === 0) return null;
 
-  const hours = weatherHours.filter(h => {
-    const hr = new Date(h.time).getHours();
-    return hr >= startH && hr <= endH;
-  }).slice(0, 8);
+  const now     = new Date();
+  const hourOf  = (ts) => Math.floor(getZonedHour(ts, timezone));
+  const isExact = windowStart != null && windowEnd != null;
+  const startH  = bookingStart ?? now.getHours();
+  const endH    = bookingEnd   ?? Math.min(startH + 6, 23);
+
+  const hours = (isExact
+    ? weatherHours.filter(h => {
+        const ts = hourTimestamp(h);
+        // Include the hour already under way when the window starts
+        return ts > new Date(windowStart).getTime() - 60 * 60 * 1000 && ts < new Date(windowEnd).getTime();
+      })
+    : weatherHours.filter(h => {
+        const hr = new Date(h.time).getHours();
+        return hr >= startH && hr <= endH;
+      })
+  ).slice(0, 8).map(h => {
+    const conditions = area ? getAreaConditions(area, h, venue) : null;
+    const rain = conditions?.rainChance ?? h.precipProbability ?? h.precipitation_probability ?? 0;
+    const cc = cloudPct(h);
+    const openSky = h.sunshineScore ?? Math.max(0, 100 - rain - cc * 0.3);
+    const ts = hourTimestamp(h);
+    return {
+      raw: h,
+      hr: isExact ? hourOf(ts) : new Date(h.time).getHours(),
+      isNow: isExact ? ts <= now.getTime() && now.getTime() < ts + 60 * 60 * 1000 : new Date(h.time).getHours() === now.getHours(),
+      cc,
+      rain,
+      score: Math.round(openSky * (conditions?.sunFactor ?? 1)),
+      wind: conditions ? conditions.windSpeed * 3.6 : windKmh(h),
+    };
+  });
 
   if (hours.length === 0) return null;
 
-  const windowLabel = bookingStart
-    ? `${String(bookingStart).padStart(2, '0')}:00 – ${String(bookingEnd).padStart(2, '0')}:00`
-    : 'Next 6 hrs';
+  const windowLabel = isExact
+    ? `${formatZonedTime(windowStart, timezone)} – ${formatZonedTime(windowEnd, timezone)}`
+    : bookingStart
+      ? `${String(bookingStart).padStart(2, '0')}:00 – ${String(bookingEnd).padStart(2, '0')}:00`
+      : 'Next 6 hrs';
+  const placeLabel = area ? `${area.emoji} ${area.name}` : venue?.suburb ?? 'Live';
 
   // ── Aggregations — operate on individual hour entries, never on the array reference ──
-  const avgRainProb = Math.round(
-    hours.reduce((s, h) => s + (h.precipProbability ?? h.precipitation_probability ?? 0), 0) / hours.length
-  );
-  const peakSun = Math.max(...hours.map(h => h.sunshineScore ?? (h.uvIndex ?? h.uvi ?? h.uv_index ?? 0) * 10 ?? 0));
+  const avgRainProb = Math.round(hours.reduce((s, h) => s + h.rain, 0) / hours.length);
+  const peakSun = Math.max(...hours.map(h => (area ? h.score : h.raw.sunshineScore ?? (h.raw.uvIndex ?? h.raw.uvi ?? h.raw.uv_index ?? 0) * 10)));
 
   // FIX: was hours?.uvIndex — always undefined (array ref). Now max() across each entry.
-  const peakUV = Math.max(...hours.map(h => h.uvIndex ?? h.uvi ?? h.uv_index ?? 0));
+  const peakUV = Math.max(...hours.map(h => h.raw.uvIndex ?? h.raw.uvi ?? h.raw.uv_index ?? 0));
 
   // FIX: was hours?.windspeed — always undefined (array ref). Now avg() across each entry.
-  const avgWind = Math.round(
-    hours.reduce((s, h) => s + (h.windspeed ?? h.wind_speed_10m ?? h.windSpeed ?? 0), 0) / hours.length
-  );
+  const avgWind = Math.round(hours.reduce((s, h) => s + h.wind, 0) / hours.length);
 
-  const rainRisk  = avgRainProb >= 55 ? 'High' : avgRainProb >= 30 ? 'Medium' : 'Low';
+  const rainRisk  = area?.covered ? 'Covered' : avgRainProb >= 55 ? 'High' : avgRainProb >= 30 ? 'Medium' : 'Low';
   const rainColor = rainRisk === 'High' ? '#F87171' : rainRisk === 'Medium' ? '#FCD34D' : '#34D399';
 
   return (
@@ -70,7 +113,7 @@ export default function BookingWindowTimeline({ venue, weatherHours, bookingStar
             ⏱ Booking Window Forecast
           </p>
           <p className="text-[13px] font-bold text-white mt-0.5">
-            {windowLabel} · {venue?.suburb ?? 'Live'}
+            {windowLabel} · {placeLabel}
           </p>
         </div>
         <div
@@ -78,19 +121,16 @@ export default function BookingWindowTimeline({ venue, weatherHours, bookingStar
           style={{ background: `${rainColor}18`, border: `1px solid ${rainColor}44` }}
         >
           <span className="w-1.5 h-1.5 rounded-full" style={{ background: rainColor }} />
-          <span className="text-[10px] font-bold" style={{ color: rainColor }}>{rainRisk} Rain Risk</span>
+          <span className="text-[10px] font-bold" style={{ color: rainColor }}>
+            {rainRisk === 'Covered' ? 'Covered from Rain' : `${rainRisk} Rain Risk`}
+          </span>
         </div>
       </div>
 
       {/* Hourly bars */}
       <div className="px-3 pb-1">
         <div className="flex items-end justify-between gap-1" style={{ height: 72 }}>
-          {hours.map((h, i) => {
-            const hr    = new Date(h.time).getHours();
-            const cc    = h.cloudCover ?? h.cloud_cover ?? 0;
-            const rain  = h.precipProbability ?? h.precipitation_probability ?? 0;
-            const score = h.sunshineScore ?? Math.max(0, 100 - rain - cc * 0.3);
-            const isNow = hr === now.getHours();
+          {hours.map(({ hr, cc, rain, score, isNow }, i) => {
             return (
               <div key={i} className="flex-1 flex flex-col items-center gap-0.5">
                 <span className="text-[10px]">{getConditionIcon(rain, cc, hr)}</span>
@@ -110,9 +150,7 @@ export default function BookingWindowTimeline({ venue, weatherHours, bookingStar
 
       {/* Time axis */}
       <div className="flex justify-between px-3 pb-2">
-        {hours.map((h, i) => {
-          const hr    = new Date(h.time).getHours();
-          const isNow = hr === now.getHours();
+        {hours.map(({ hr, isNow }, i) => {
           return (
             <span
               key={i}
@@ -0,0 +1,171 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Check } from 'lucide-react';
+import { useComfortProfile } from '../context/ComfortProfileContext';
+import { SCORE_FACTORS } from '../utils/venueScore';
+import {
+    SKIN_TYPES,
+    SHADE_PREFERENCES,
+    RAIN_TOLERANCES,
+    MAX_FACTOR_WEIGHT,
+} from '../utils/comfortProfile';
+
+const WEIGHT_LABELS = { 0: 'Ignore', 0.5: 'Less', 1: 'Normal', 1.5: 'More', 2: 'Most' };
+
+const ChipRow = ({ options, value, onChange }) => (
+    <div className="ss-filter-chip-grid">
+        {options.map(option => {
+            const isActive = option.id === value;
+            return (
+                <button
+                    key={option.id}
+                    type="button"
+                    onClick={() => onChange(option.id)}
+                    className={`ss-filter-chip ${isActive ? 'ss-filter-chip--active' : ''}`}
+                    title={option.description}
+                >
+                    <span>{option.label}</span>
+                    {isActive && <Check size={14} className="text-blue-600" />}
+                </button>
+            );
+        })}
+    </div>
+);
+
+const RangeRow = ({ label, value, min, max, step = 1, suffix, onChange }) => (
+    <label className="flex items-center gap-3 mb-3 text-[13px] text-gray-700">
+        <span className="w-24 flex-shrink-0 font-semibold">{label}</span>
+        <input
+            type="range"
+            min={min}
+            max={max}
+            step={step}
+            value={value}
+            onChange={e => onChange(Number(e.target.value))}
+            className="flex-1 accent-amber-500"
+        />
+        <span className="w-16 text-right tabular-nums">{value}{suffix}</span>
+    </label>
+);
+
+/**
+ * Bottom sheet for the user's comfort profile: the temperature, wind, sun
+ * and rain they like, and how much each Sunstay Score factor counts.
+ * Changes apply immediately and are saved by ComfortProfileContext.
+ */
+const ComfortProfileSheet = ({ isOpen, onClose = () => {} }) => {
+    const { profile, updateProfile, resetProfile } = useComfortProfile();
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <>
+                    <motion.div
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        onClick={onClose}
+                        className="ss-filter-sheet-backdrop"
+                    />
+                    <motion.div
+                        initial={{ y: '100%' }}
+                        animate={{ y: 0 }}
+                        exit={{ y: '100%' }}
+                        transition={{ type: 'spring', damping: 25, stiffness: 200 }}
+                        className="ss-filter-sheet"
+                    >
+                        <div className="ss-filter-sheet-head">
+                            <h3>Your comfort</h3>
+                            <button onClick={resetProfile} className="ss-filter-sheet-clear">Reset</button>
+                            <button onClick={onClose} className="ss-filter-sheet-close">
+                                <X size={18} />
+                            </button>
+                        </div>
+
+                        <p className="filter-section-label">FEELS-LIKE RANGE</p>
+                        <RangeRow
+                            label="At least"
+                            value={profile.idealMinC}
+                            min={0}
+                            max={40}
+                            suffix="°C"
+                            onChange={v => updateProfile({ idealMinC: v, idealMaxC: Math.max(v, profile.idealMaxC) })}
+                        />
+                        <RangeRow
+                            label="At most"
+                            value={profile.idealMaxC}
+                            min={0}
+                            max={45}
+                            suffix="°C"
+                            onChange={v => updateProfile({ idealMaxC: v, idealMinC: Math.min(v, profile.idealMinC) })}
+                        />
+
+                        <p className="filter-section-label">WIND</p>
+                        <RangeRow
+                            label="Up to"
+                            value={profile.maxWindKmh}
+                            min={5}
+                            max={80}
+                            step={5}
+                            suffix=" km/h"
+                            onChange={v => updateProfile({ maxWindKmh: v })}
+                        />
+
+                        <p className="filter-section-label">SKIN TYPE</p>
+                        <ChipRow
+                            options={SKIN_TYPES}
+                            value={profile.skinType}
+                            onChange={id => updateProfile({ skinType: id })}
+                        />
+
+                        <p className="filter-section-label">SUN OR SHADE</p>
+                        <ChipRow
+                            options={SHADE_PREFERENCES}
+                            value={profile.shadePreference}
+                            onChange={id => updateProfile({ shadePreference: id })}
+                        />
+
+                        <p className="filter-section-label">RAIN</p>
+                        <ChipRow
+                            options={RAIN_TOLERANCES}
+                            value={profile.rainTolerance}
+                            onChange={id => updateProfile({ rainTolerance: id })}
+                        />
+
+                        <p className="filter-section-label">WHAT MATTERS TO YOU</p>
+                        {SCORE_FACTORS.map(factor => {
+                            const weight = profile.weights[factor.id] ?? 1;
+                            return (
+                                <label key={factor.id} className="flex items-center gap-3 mb-3 text-[13px] text-gray-700">
+                                    <span className="w-24 flex-shrink-0 font-semibold">{factor.label}</span>
+                                    <input
+                                        type="range"
+                                        min={0}
+                                        max={MAX_FACTOR_WEIGHT}
+                                        step={0.5}
+                                        value={weight}
+                                        onChange={e => updateProfile({ weights: { [factor.id]: Number(e.target.value) } })}
+                                        className="flex-1 accent-amber-500"
+                                    />
+                                    <span className="w-16 text-right">{WEIGHT_LABELS[weight] ?? `×${weight}`}</span>
+                                </label>
+                            );
+                        })}
+
+                        <div className="ss-filter-sheet-footer">
+                            <button
+                                className="ss-filter-sheet-apply"
+                                onClick={onClose}
+                                type="button"
+                            >
+                                Done
+                            </button>
+                        </div>
+                    </motion.div>
+                </>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default ComfortProfileSheet;
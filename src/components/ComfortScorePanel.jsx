@@ -1,20 +1,34 @@
 import React from 'react';
 import { motion } from 'framer-motion';
-import { Sparkles, Activity, ShieldCheck, Thermometer, Wind, Droplets, Info } from 'lucide-react';
-import { getSunScoreLabel } from '../utils/sunScore';
+import { Sparkles, Activity, ShieldCheck, Thermometer, Wind, Droplets, Info, Sun, Umbrella, Armchair } from 'lucide-react';
+import { scoreVenue } from '../utils/venueScore';
+import { useComfortProfile } from '../context/ComfortProfileContext';
 
-const ComfortScorePanel = ({ venue, sunstayScore, weather }) => {
-    const scoreInfo = getSunScoreLabel(sunstayScore);
-    const temp = Math.round(weather?.main?.temp || 20);
-    const humidity = weather?.main?.humidity || 50;
-    const windSpeed = weather?.wind?.speed || 5;
+const FACTOR_STYLES = {
+    solar: { icon: Sun, color: 'text-amber-500' },
+    exposure: { icon: Sparkles, color: 'text-yellow-500' },
+    comfort: { icon: Thermometer, color: 'text-orange-500' },
+    rain: { icon: Droplets, color: 'text-cyan-500' },
+    amenities: { icon: Armchair, color: 'text-rose-500' },
+    shelter: { icon: Umbrella, color: 'text-indigo-500' },
+    wind: { icon: Wind, color: 'text-blue-500' },
+    uv: { icon: ShieldCheck, color: 'text-emerald-500' },
+};
 
-    const factors = [
-        { label: 'Thermal Comfort', value: temp > 18 && temp < 26 ? 100 : 70, icon: Thermometer, color: 'text-orange-500' },
-        { label: 'Wind Protection', value: windSpeed < 10 ? 95 : 60, icon: Wind, color: 'text-blue-500' },
-        { label: 'Humidity Balance', value: humidity > 40 && humidity < 60 ? 100 : 80, icon: Droplets, color: 'text-cyan-500' },
-        { label: 'Sun Exposure', value: sunstayScore, icon: Sparkles, color: 'text-amber-500' },
-    ];
+const ComfortScorePanel = ({ venue, weather }) => {
+    // Number and breakdown from the same run, so they always agree
+    const { profile: comfort } = useComfortProfile();
+    const result = scoreVenue(venue, weather, { comfort });
+    const scoreInfo = result.grade;
+    const factors = result.factors
+        .filter(f => f.applicable)
+        .map(f => ({
+            label: f.label,
+            reason: f.reason,
+            value: Math.round(f.value * 100),
+            share: Math.round(f.maxPoints),
+            ...FACTOR_STYLES[f.id],
+        }));
 
     return (
         <div className="space-y-6 text-gray-800">
@@ -35,9 +49,9 @@ const ComfortScorePanel = ({ venue, sunstayScore, weather }) => {
                         animate={{ scale: 1, opacity: 1 }}
                         className="text-7xl font-black text-white"
                     >
-                        {sunstayScore}
+                        {result.score}
                     </motion.p>
-                    <p className={`text-xs font-black uppercase tracking-[0.3em] mt-2 ${scoreInfo.color.replace('bg-', 'text-')}`}>
+                    <p className="text-xs font-black uppercase tracking-[0.3em] mt-2" style={{ color: scoreInfo.color }}>
                         {scoreInfo.label}
                     </p>
                 </div>
@@ -55,7 +69,7 @@ const ComfortScorePanel = ({ venue, sunstayScore, weather }) => {
             </div>
 
             <div className="space-y-4">
-                <p className="text-[10px] font-black text-gray-400 uppercase tracking-widest ml-1">Proprietary Factors</p>
+                <p className="text-[10px] font-black text-gray-400 uppercase tracking-widest ml-1">Score Factors</p>
                 <div className="grid grid-cols-1 gap-3">
                     {factors.map((factor, i) => (
                         <motion.div
@@ -71,7 +85,8 @@ const ComfortScorePanel = ({ venue, sunstayScore, weather }) => {
                                 </div>
                                 <div>
                                     <p className="text-sm font-bold text-gray-800">{factor.label}</p>
-                                    <p className="text-[10px] text-gray-400 font-medium uppercase tracking-tight">Contributing Weight: {i === 3 ? '40%' : '20%'}</p>
+                                    <p className="text-[10px] text-gray-400 font-medium uppercase tracking-tight">Contributing Weight: {factor.share}%</p>
+                                    {factor.reason && <p className="text-[11px] text-gray-500 font-medium">{factor.reason}</p>}
                                 </div>
                             </div>
                             <div className="text-right">
@@ -92,7 +107,7 @@ const ComfortScorePanel = ({ venue, sunstayScore, weather }) => {
             <div className="flex items-start gap-3 p-4 bg-gray-50 rounded-2xl">
                 <Info size={14} className="text-gray-400 flex-shrink-0 mt-0.5" />
                 <p className="text-[10px] text-gray-500 font-medium leading-relaxed italic">
-                    The Sunstay Comfort Score is a proprietary index combining environmental data with spatial venue characteristics.
+                    The Sunstay Score weighs live conditions against how the venue sits: its sun, shelter, cover and amenities. Factors that don't apply here are left out.
                 </p>
             </div>
         </div>
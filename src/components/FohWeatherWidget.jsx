@@ -1,11 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { Users, CloudRain, AlertTriangle } from 'lucide-react';
-import { fetchOpenMeteoWeather } from '../utils/weatherService';
+import { fetchWeatherSnapshot } from '../utils/weatherProvider';
+import { DEFAULT_REGION, getTimezoneForLocation } from '../config/regions';
+import { toZonedIso } from '../utils/timezone';
 
-// Fallback to Melbourne CBD
-const DEFAULT_LAT = -37.8136;
-const DEFAULT_LNG = 144.9631;
+// Fallback to the default region's CBD
+const DEFAULT_LAT = DEFAULT_REGION.center.lat;
+const DEFAULT_LNG = DEFAULT_REGION.center.lng;
 
 const formatTime = (isoString) => {
   const d = new Date(isoString);
@@ -30,12 +32,15 @@ export default function FohWeatherWidget({ lat = DEFAULT_LAT, lng = DEFAULT_LNG
     async function load() {
       setLoading(true);
       try {
-        const data = await fetchOpenMeteoWeather(lat, lng, controller.signal);
+        const data = await fetchWeatherSnapshot(lat, lng, {
+          signal: controller.signal,
+          timezone: getTimezoneForLocation(lat, lng) ?? undefined,
+        });
         const { hourly } = data;
         
         // Find current hour index
-        const now = new Date();
-        const currentHourIso = new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours()).toISOString().slice(0, 16);
+        // (labels are wall-clock time in the venue's zone, not the device's)
+        const currentHourIso = toZonedIso(new Date(), hourly._timezone).slice(0, 13);
         let startIndex = hourly.time.findIndex(t => t.startsWith(currentHourIso));
         if (startIndex === -1) startIndex = 0;
 
@@ -2,12 +2,14 @@ import React, { useState, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Clock, Sun, Cloud, Wind, CloudRain, Star, Share2, CheckCircle } from 'lucide-react';
 import { calculateHourComfort, findBestWindow } from '../data/timelineIntelligence';
+import { useCalendarExport } from '../hooks/useCalendarExport';
 
 const HourlyTimeline = ({ venue, hourlyData }) => {
     const [activeIndex, setActiveIndex] = useState(0);
     const [showShareSuccess, setShowShareSuccess] = useState(false);
 
     const bestWindow = useMemo(() => findBestWindow(hourlyData, venue), [hourlyData, venue]);
+    const calendar = useCalendarExport();
 
     if (!hourlyData || hourlyData.length === 0) return null;
 
@@ -119,7 +121,12 @@ const HourlyTimeline = ({ venue, hourlyData }) => {
                                 <div className="text-xs font-bold text-gray-800">{bestWindow.label} (Score: {bestWindow.score})</div>
                             </div>
                         </div>
-                        <button className="px-3 py-2 bg-amber-400 text-white rounded-xl text-[10px] font-black uppercase tracking-widest shadow-md hover:scale-105 active:scale-95 transition-all">
+                        <button
+                            onClick={() => calendar.addOuting(venue, bestWindow)}
+                            disabled={calendar.busy}
+                            title="Add this window to your calendar"
+                            className="px-3 py-2 bg-amber-400 text-white rounded-xl text-[10px] font-black uppercase tracking-widest shadow-md hover:scale-105 active:scale-95 transition-all"
+                        >
                             Lock In
                         </button>
                     </motion.div>
@@ -0,0 +1,117 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Play, Pause } from 'lucide-react';
+import { useWeather } from '../../context/WeatherContext';
+import { useRegion } from '../../context/RegionContext';
+import { getZonedParts, zonedTimeToUtc, formatZonedTime } from '../../utils/timezone';
+
+// Scrubbable part of the day, in local minutes
+const FIRST_MINUTE = 6 * 60;
+const LAST_MINUTE = 21 * 60;
+const STEP_MINUTES = 30;
+const PLAY_INTERVAL_MS = 1200;
+
+/**
+ * Time slider across the day for the whole map. It moves the target time
+ * in WeatherContext, so the sky, building shadows, pins and heatmap all
+ * show the chosen moment; play steps through the day half an hour at a
+ * time. The day is the one already being planned for, else today.
+ */
+const MapTimeScrubber = () => {
+    const { targetTime, setTargetTime, targetWeather, forecastLoading } = useWeather();
+    const { region } = useRegion();
+    const timeZone = region.timezone;
+    const [playing, setPlaying] = useState(false);
+
+    const shown = getZonedParts(targetTime ?? new Date(), timeZone);
+    const minute = Math.min(LAST_MINUTE, Math.max(FIRST_MINUTE, shown.hour * 60 + shown.minute));
+    const day = useMemo(
+        () => ({ year: shown.year, month: shown.month, day: shown.day }),
+        [shown.year, shown.month, shown.day]
+    );
+
+    const goTo = (m) => {
+        setTargetTime(zonedTimeToUtc({ ...day, hour: Math.floor(m / 60), minute: m % 60 }, timeZone));
+    };
+
+    // Advance until the end of the day, then stop there
+    useEffect(() => {
+        if (!playing) return;
+        if (minute >= LAST_MINUTE) { setPlaying(false); return; }
+        const timer = setTimeout(() => {
+            const next = Math.min(LAST_MINUTE, Math.floor(minute / STEP_MINUTES) * STEP_MINUTES + STEP_MINUTES);
+            setTargetTime(zonedTimeToUtc({ ...day, hour: Math.floor(next / 60), minute: next % 60 }, timeZone));
+        }, PLAY_INTERVAL_MS);
+        return () => clearTimeout(timer);
+    }, [playing, minute, day, timeZone, setTargetTime]);
+
+    const togglePlay = () => {
+        // Replaying a finished day starts it again from the morning
+        if (!playing && minute >= LAST_MINUTE) goTo(FIRST_MINUTE);
+        setPlaying(p => !p);
+    };
+
+    const backToNow = () => {
+        setPlaying(false);
+        setTargetTime(null);
+    };
+
+    return (
+        <div
+            style={styles.bar}
+            onTouchEnd={e => e.stopPropagation()}
+            onPointerDownCapture={e => e.stopPropagation()}
+        >
+            <button
+                onClick={togglePlay}
+                style={styles.play}
+                aria-label={playing ? 'Pause time-lapse' : 'Play the day'}
+            >
+                {playing ? <Pause size={16} /> : <Play size={16} />}
+            </button>
+            <input
+                type="range"
+                min={FIRST_MINUTE}
+                max={LAST_MINUTE}
+                step={STEP_MINUTES}
+                value={minute}
+                onChange={e => { setPlaying(false); goTo(Number(e.target.value)); }}
+                aria-label="Map time"
+                style={{ flex: 1, accentColor: '#F59E0B' }}
+            />
+            <span style={styles.label}>
+                {targetTime ? formatZonedTime(targetTime, timeZone) : 'Now'}
+                {targetTime && forecastLoading && ' …'}
+                {targetTime && !forecastLoading && !targetWeather && ' · no forecast'}
+            </span>
+            {targetTime && (
+                <button onClick={backToNow} style={styles.now}>Now</button>
+            )}
+        </div>
+    );
+};
+
+const styles = {
+    bar: {
+        position: 'absolute', top: 12, left: 12, right: 68, zIndex: 20,
+        display: 'flex', alignItems: 'center', gap: 8,
+        padding: '6px 10px', borderRadius: 999,
+        background: 'rgba(15,15,30,0.85)',
+        backdropFilter: 'blur(8px)', WebkitBackdropFilter: 'blur(8px)',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.4)',
+        color: '#fff', touchAction: 'auto',
+    },
+    play: {
+        width: 30, height: 30, borderRadius: '50%', border: 'none',
+        background: '#F59E0B', color: '#111',
+        display: 'flex', alignItems: 'center', justifyContent: 'center',
+        cursor: 'pointer', flexShrink: 0,
+    },
+    label: { minWidth: 52, textAlign: 'right', fontSize: 13, fontWeight: 700 },
+    now: {
+        border: '1px solid rgba(255,255,255,0.3)', background: 'transparent',
+        color: '#fff', borderRadius: 999, padding: '2px 10px',
+        fontSize: 12, fontWeight: 600, cursor: 'pointer',
+    },
+};
+
+export default MapTimeScrubber;
@@ -0,0 +1,122 @@
+import React from 'react';
+import { Play, Pause } from 'lucide-react';
+import { formatZonedTime } from '../../utils/timezone';
+
+const MINUTE = 60 * 1000;
+
+const relativeLabel = (time, latestObserved) => {
+    const minutes = Math.round((time - latestObserved) / MINUTE);
+    if (minutes === 0) return 'Latest';
+    return minutes > 0 ? `+${minutes} min` : `${minutes} min`;
+};
+
+/**
+ * Legend and frame scrubber for the precipitation radar overlay. Frames
+ * and the playback state live in VenueMap, which owns the map layers;
+ * this only draws the controls.
+ */
+const RadarControls = ({
+    radar,
+    frameIndex,
+    latestIndex,
+    onFrameChange,
+    playing,
+    onPlayingChange,
+    timeZone,
+    loading = false,
+    error = null,
+}) => {
+    const frames = radar?.frames ?? [];
+    const frame = frames[frameIndex];
+    const latestTime = frames[latestIndex]?.time ?? frame?.time;
+
+    let status = null;
+    if (error && !frames.length) status = 'Radar unavailable right now';
+    else if (loading && !frames.length) status = 'Loading radar…';
+
+    return (
+        <div
+            style={styles.panel}
+            onTouchEnd={e => e.stopPropagation()}
+            onPointerDownCapture={e => e.stopPropagation()}
+        >
+            {status ? (
+                <span style={styles.status}>{status}</span>
+            ) : (
+                <>
+                    <div style={styles.row}>
+                        {frames.length > 1 && (
+                            <button
+                                onClick={() => onPlayingChange(!playing)}
+                                style={styles.play}
+                                aria-label={playing ? 'Pause radar' : 'Play radar'}
+                            >
+                                {playing ? <Pause size={14} /> : <Play size={14} />}
+                            </button>
+                        )}
+                        {frames.length > 1 && (
+                            <input
+                                type="range"
+                                min={0}
+                                max={frames.length - 1}
+                                step={1}
+                                value={frameIndex}
+                                onChange={e => { onPlayingChange(false); onFrameChange(Number(e.target.value)); }}
+                                aria-label="Radar frame"
+                                style={{ flex: 1, accentColor: '#3B82F6' }}
+                            />
+                        )}
+                        {frame && (
+                            <span style={{ ...styles.time, color: frame.forecast ? '#93C5FD' : '#fff' }}>
+                                {formatZonedTime(frame.time, timeZone)}
+                                <span style={styles.relative}>{relativeLabel(frame.time, latestTime)}</span>
+                            </span>
+                        )}
+                    </div>
+                    <div style={styles.row}>
+                        <div style={styles.legend}>
+                            {radar.legend.map(stop => (
+                                <span key={stop.label} style={styles.legendItem}>
+                                    <span style={{ ...styles.swatch, background: stop.color }} />
+                                    {stop.label}
+                                </span>
+                            ))}
+                        </div>
+                        <span style={styles.source}>
+                            {frame?.forecast ? 'Forecast · ' : ''}
+                            {radar.label}
+                        </span>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+const styles = {
+    panel: {
+        position: 'absolute', left: 12, right: 68, bottom: 36, zIndex: 20,
+        display: 'flex', flexDirection: 'column', gap: 6,
+        padding: '8px 12px', borderRadius: 16,
+        background: 'rgba(15,15,30,0.85)',
+        backdropFilter: 'blur(8px)', WebkitBackdropFilter: 'blur(8px)',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.4)',
+        color: '#fff', touchAction: 'auto',
+    },
+    row: { display: 'flex', alignItems: 'center', gap: 8 },
+    play: {
+        width: 26, height: 26, borderRadius: '50%', border: 'none',
+        background: '#3B82F6', color: '#fff',
+        display: 'flex', alignItems: 'center', justifyContent: 'center',
+        cursor: 'pointer', flexShrink: 0,
+    },
+    time: { display: 'flex', flexDirection: 'column', alignItems: 'flex-end', minWidth: 56, fontSize: 12, fontWeight: 700 },
+    relative: { fontSize: 10, fontWeight: 600, opacity: 0.7 },
+    legend: { display: 'flex', flexWrap: 'wrap', gap: 8, flex: 1 },
+    legendItem: { display: 'flex', alignItems: 'center', gap: 4, fontSize: 10, fontWeight: 600 },
+    swatch: { width: 10, height: 10, borderRadius: 2 },
+    source: { fontSize: 10, opacity: 0.6, whiteSpace: 'nowrap' },
+    status: { fontSize: 12, fontWeight: 600, opacity: 0.8 },
+};
+
+export default RadarControls;
@@ -4,8 +4,18 @@ import React, {
 } from 'react';
 import mapboxgl from 'mapbox-gl';
 import 'mapbox-gl/dist/mapbox-gl.css';
-import { MAPBOX_TOKEN, MAP_STYLE, INITIAL_VIEW_STATE } from '../../config/mapConfig';
+import { MAPBOX_TOKEN, MAP_STYLE, getRegionViewState } from '../../config/mapConfig';
 import { useWeather } from '../../context/WeatherContext';
+import { useRegion } from '../../context/RegionContext';
+import { useVenuesWeather } from '../../hooks/useVenueWeather';
+import { addBuildingFeatures, getBuildingsInBounds, loadBuildingsGeoJson } from '../../data/buildings';
+import { getShadowFeatures } from '../../utils/shadows';
+import { getSunPositionForMap, toMapboxSkyValues, getMapboxLightPreset } from '../../utils/sunPosition';
+import { getSunExposureAtVenue } from '../../data/sunshineIntelligence';
+import { toLegacyWeather } from '../../utils/weatherService';
+import { fetchRadarFrames, getLatestObservedIndex } from '../../utils/radarTiles';
+import MapTimeScrubber from './MapTimeScrubber';
+import RadarControls from './RadarControls';
 
 // ── Pin states ──────────────────────────────────────────────────────────
 const PIN_STATES = {
@@ -22,11 +32,18 @@ const PIN_STATES = {
     cloudy:   { emoji: '☁️',  bg: '#d1d5db', border: '#9ca3af' },
 };
 
-function getPinStateKey(venue, weather, liveVenueFeatures, weatherColorFn, cozyFilterActive) {
+/**
+ * Pin state for a venue. With `date` (the map time scrubber) the sun on the
+ * venue at that time decides instead of live flags: lit venues shine and
+ * shaded ones never read as sunny.
+ */
+function getPinStateKey(venue, weather, liveVenueFeatures, weatherColorFn, cozyFilterActive, date = null) {
+    const sunAt = date ? getSunExposureAtVenue(venue, date) : null;
+
     // If a custom weatherColorFn is provided, let it take priority
     if (typeof weatherColorFn === 'function') {
         const fnResult = weatherColorFn(weather, venue);
-        if (fnResult && PIN_STATES[fnResult]) return fnResult;
+        if (fnResult && PIN_STATES[fnResult] && !(sunAt && fnResult === 'sunny')) return fnResult;
     }
 
     // Cozy filter active: highlight cozy venues differently
@@ -41,13 +58,15 @@ function getPinStateKey(venue, weather, liveVenueFeatures, weatherColorFn, cozyF
     const cloudCover   = weather?.cloudCoverPct ?? weather?.clouds?.all ?? 0;
     const condition    = (weather?.weather?.[0]?.main || '').toLowerCase();
     const heatersOn    = !!live.heatersOn || !!live.fireplaceOn || !!venue.heatersOn || !!venue.fireplaceOn;
-    const sunshineNow  = !!live.sunshineNow || !!venue.sunshineNow;
+    const sunshineNow  = sunAt
+        ? sunAt.quality === 'direct' && cloudCover <= 60 && precipProb < 40
+        : !!live.sunshineNow || !!venue.sunshineNow;
 
     if (sunshineNow) return 'sunshine';
     if (heatersOn)   return 'heater';
     if (condition.includes('rain') || condition.includes('drizzle') || precipProb >= 40) return 'rain';
     if (apparentTemp <= 11) return 'cold';
-    if (apparentTemp >= 18 && cloudCover <= 35 && precipProb < 20) return 'sunny';
+    if (apparentTemp >= 18 && cloudCover <= 35 && precipProb < 20 && (!sunAt || sunAt.isLit)) return 'sunny';
     return 'default';
 }
 
@@ -207,6 +226,162 @@ function removeCloudLayer(map) {
     }
 }
 
+// Precipitation radar: one raster layer per frame, all loaded up front so
+// playback only swaps opacity instead of waiting on tiles
+const RADAR_ID_PREFIX    = 'radar-frame';
+const RADAR_OPACITY      = 0.7;
+const RADAR_FRAME_MS     = 700;
+const RADAR_REFRESH_MS   = 5 * 60 * 1000;
+
+const radarSourceId = (i) => `${RADAR_ID_PREFIX}-src-${i}`;
+const radarLayerId  = (i) => `${RADAR_ID_PREFIX}-lyr-${i}`;
+
+function addRadarLayers(map, radar, visibleIndex) {
+    if (!map || !radar) return;
+    try {
+        const insertBefore = map.getLayer(LAYER_INSERT_BEFORE) ? LAYER_INSERT_BEFORE : undefined;
+        radar.frames.forEach((frame, i) => {
+            map.addSource(radarSourceId(i), {
+                type:        'raster',
+                tiles:       frame.tiles,
+                tileSize:    radar.tileSize,
+                maxzoom:     radar.maxzoom,
+                attribution: i === 0 ? radar.attribution : undefined,
+            });
+            map.addLayer({
+                id:     radarLayerId(i),
+                type:   'raster',
+                source: radarSourceId(i),
+                paint:  {
+                    'raster-opacity':            i === visibleIndex ? RADAR_OPACITY : 0,
+                    'raster-opacity-transition': { duration: 0 },
+                    'raster-fade-duration':      0,
+                },
+            }, insertBefore);
+        });
+    } catch (e) {
+        console.warn('[VenueMap] addRadarLayers error:', e?.message);
+    }
+}
+
+function removeRadarLayers(map) {
+    if (!map) return;
+    try {
+        const style = map.getStyle();
+        if (!style) return;
+        style.layers
+            .filter(layer => layer.id.startsWith(RADAR_ID_PREFIX))
+            .forEach(layer => map.removeLayer(layer.id));
+        Object.keys(style.sources)
+            .filter(id => id.startsWith(RADAR_ID_PREFIX))
+            .forEach(id => map.removeSource(id));
+    } catch (e) {
+        console.warn('[VenueMap] removeRadarLayers error:', e?.message);
+    }
+}
+
+function showRadarFrame(map, index, count) {
+    if (!map) return;
+    for (let i = 0; i < count; i++) {
+        if (map.getLayer(radarLayerId(i))) {
+            map.setPaintProperty(radarLayerId(i), 'raster-opacity', i === index ? RADAR_OPACITY : 0);
+        }
+    }
+}
+
+// Building footprints (Mapbox Streets) and the shadows they cast
+const BUILDINGS_SOURCE_ID = 'mapbox-buildings-src';
+const BUILDINGS_LAYER_ID  = 'mapbox-buildings-lyr';
+const SHADOW_SOURCE_ID    = 'building-shadows-src';
+const SHADOW_LAYER_ID     = 'building-shadows-lyr';
+const BUILDINGS_MIN_ZOOM  = 14;
+const MAX_SHADOW_BUILDINGS = 4000;
+const SHADOW_REFRESH_MS   = 5 * 60 * 1000;
+
+function ensureBuildingLayers(map) {
+    if (!map) return;
+    try {
+        const insertBefore = map.getLayer(LAYER_INSERT_BEFORE) ? LAYER_INSERT_BEFORE : undefined;
+        if (!map.getSource(BUILDINGS_SOURCE_ID)) {
+            map.addSource(BUILDINGS_SOURCE_ID, { type: 'vector', url: 'mapbox://mapbox.mapbox-streets-v8' });
+            // Invisible: it only makes the map load building tiles we can read heights from
+            map.addLayer({
+                id:             BUILDINGS_LAYER_ID,
+                type:           'fill',
+                source:         BUILDINGS_SOURCE_ID,
+                'source-layer': 'building',
+                minzoom:        BUILDINGS_MIN_ZOOM,
+                paint:          { 'fill-opacity': 0 },
+            }, insertBefore);
+        }
+        if (!map.getSource(SHADOW_SOURCE_ID)) {
+            map.addSource(SHADOW_SOURCE_ID, { type: 'geojson', data: { type: 'FeatureCollection', features: [] } });
+            map.addLayer({
+                id:      SHADOW_LAYER_ID,
+                type:    'fill',
+                source:  SHADOW_SOURCE_ID,
+                minzoom: BUILDINGS_MIN_ZOOM,
+                layout:  { visibility: 'none' },
+                paint:   { 'fill-color': '#1e293b', 'fill-opacity': 0.28, 'fill-antialias': false },
+            }, insertBefore);
+        }
+    } catch (e) {
+        console.warn('[VenueMap] ensureBuildingLayers error:', e?.message);
+    }
+}
+
+// Copy building footprints from loaded tiles into data/buildings
+function harvestBuildings(map) {
+    if (!map || map.getZoom() < BUILDINGS_MIN_ZOOM || !map.getSource(BUILDINGS_SOURCE_ID)) return 0;
+    try {
+        const features = map.querySourceFeatures(BUILDINGS_SOURCE_ID, { sourceLayer: 'building' });
+        return addBuildingFeatures(features, 'mapbox-streets');
+    } catch (e) {
+        console.warn('[VenueMap] harvestBuildings error:', e?.message);
+        return 0;
+    }
+}
+
+function updateShadowLayer(map, visible, date) {
+    const source = map?.getSource(SHADOW_SOURCE_ID);
+    if (!source) return;
+    map.setLayoutProperty(SHADOW_LAYER_ID, 'visibility', visible ? 'visible' : 'none');
+    if (!visible || map.getZoom() < BUILDINGS_MIN_ZOOM) return;
+
+    const { lat, lng } = map.getCenter();
+    const sun = getSunPositionForMap(lat, lng, date ?? new Date());
+    const buildings = getBuildingsInBounds(map.getBounds().toArray()).slice(0, MAX_SHADOW_BUILDINGS);
+    source.setData(getShadowFeatures(buildings, sun));
+}
+
+// Sky and lighting for the sun at `date` (null = now). The sky shows when
+// the map is pitched; the flat basemap dims towards night instead.
+const SKY_LAYER_ID     = 'sun-sky-lyr';
+const BASEMAP_LAYER_ID = MAP_STYLE.layers[0].id;
+const SKY_REFRESH_MS   = 5 * 60 * 1000;
+
+function updateSkyLighting(map, date, cloudCover = 0) {
+    if (!map) return;
+    try {
+        const { lat, lng } = map.getCenter();
+        const sun = getSunPositionForMap(lat, lng, date ?? new Date());
+        const sky = toMapboxSkyValues(sun, cloudCover);
+        if (!map.getLayer(SKY_LAYER_ID)) {
+            map.addLayer({ id: SKY_LAYER_ID, type: 'sky', paint: { 'sky-type': 'atmosphere' } });
+        }
+        map.setPaintProperty(SKY_LAYER_ID, 'sky-atmosphere-sun', sky.sunPosition);
+        map.setPaintProperty(SKY_LAYER_ID, 'sky-atmosphere-sun-intensity', sky.sunIntensity);
+        map.setPaintProperty(SKY_LAYER_ID, 'sky-atmosphere-color', sky.atmosphereColor);
+        map.setLight(getMapboxLightPreset(sun));
+        if (map.getLayer(BASEMAP_LAYER_ID)) {
+            map.setPaintProperty(BASEMAP_LAYER_ID, 'raster-brightness-max', 0.45 + 0.55 * Math.min(1, sky.atmosphereIntensity));
+            map.setPaintProperty(BASEMAP_LAYER_ID, 'raster-saturation', sun.isGoldenHour ? 0.25 : 0);
+        }
+    } catch (e) {
+        console.warn('[VenueMap] updateSkyLighting error:', e?.message);
+    }
+}
+
 function isSuppressedMapError(msg) {
     if (!msg) return false;
     const lower = msg.toLowerCase();
@@ -216,7 +391,11 @@ function isSuppressedMapError(msg) {
         lower.includes(HEATMAP_SOURCE_ID) ||
         lower.includes(HEATMAP_LAYER_ID) ||
         lower.includes(CLOUD_SOURCE_ID) ||
-        lower.includes(CLOUD_LAYER_ID)
+        lower.includes(CLOUD_LAYER_ID) ||
+        lower.includes(RADAR_ID_PREFIX) ||
+        lower.includes(BUILDINGS_SOURCE_ID) ||
+        lower.includes(SHADOW_SOURCE_ID) ||
+        lower.includes(SKY_LAYER_ID)
     );
 }
 
@@ -232,6 +411,8 @@ const VenueMap = forwardRef(({
     cozyWeatherActive = false,  // true when weather is cold/rainy
     cozyFilterActive  = false,  // true when user has 'Cozy' filter selected
     isExpanded        = false,  // true when map is in fullscreen/expanded mode
+    onViewportChange  = null,   // ([[west, south], [east, north]]) => void, after each move
+    shadowDate        = null,   // Date for building shadows; null = now, kept current
 }, ref) => {
     const mapContainer     = useRef(null);
     const map              = useRef(null);
@@ -241,11 +422,28 @@ const VenueMap = forwardRef(({
 
     const [comfortMapOn, setComfortMapOn] = useState(false);
     const [cloudOn,      setCloudOn]      = useState(false);
+    const [shadowsOn,    setShadowsOn]    = useState(false);
+    const [radarOn,      setRadarOn]      = useState(false);
+
+    const [radar,         setRadar]         = useState(null);
+    const [radarIndex,    setRadarIndex]    = useState(0);
+    const [radarPlaying,  setRadarPlaying]  = useState(false);
+    const [radarLoading,  setRadarLoading]  = useState(false);
+    const [radarError,    setRadarError]    = useState(null);
 
     const [mapLoaded,    setMapLoaded]    = useState(false);
     const [mapError,     setMapError]     = useState(false);
 
-    const { weather, calculateSunstayScore } = useWeather();
+    const { weather, calculateSunstayScore, targetTime, targetWeather } = useWeather();
+    const { region } = useRegion();
+    const regionRef = useRef(region);
+
+    // The time scrubber's moment: every pin reads the forecast for that hour
+    const scrubWeather = useMemo(() => (
+        targetWeather
+            ? { ...toLegacyWeather(targetWeather, null, { timezone: region.timezone, hours: 0 }), precipProbability: targetWeather.precipProbability }
+            : null
+    ), [targetWeather, region]);
 
     const safeVenues = useMemo(
         () => (Array.isArray(venues) ? venues.filter(isRenderableVenue) : []),
@@ -256,6 +454,11 @@ const VenueMap = forwardRef(({
         venuesMapRef.current = new Map(safeVenues.map(v => [String(v.id), v]));
     }, [safeVenues]);
 
+    // Local weather per venue (grid-shared); pins fall back to the city snapshot
+    const { byVenueId: venueWeather } = useVenuesWeather(safeVenues);
+    const venueWeatherRef = useRef(venueWeather);
+    useEffect(() => { venueWeatherRef.current = venueWeather; }, [venueWeather]);
+
     const filteredIdSet = useMemo(() => {
         if (!Array.isArray(filteredVenueIds)) return null;
         return new Set(filteredVenueIds.map(id => String(id)));
@@ -264,6 +467,9 @@ const VenueMap = forwardRef(({
     const onVenueSelectRef = useRef(onVenueSelect);
     useEffect(() => { onVenueSelectRef.current = onVenueSelect; }, [onVenueSelect]);
 
+    const onViewportChangeRef = useRef(onViewportChange);
+    useEffect(() => { onViewportChangeRef.current = onViewportChange; }, [onViewportChange]);
+
     const liveVenueFeaturesRef = useRef(liveVenueFeatures);
     const liveKey = JSON.stringify(liveVenueFeatures);
     useEffect(() => {
@@ -315,12 +521,18 @@ const VenueMap = forwardRef(({
         let disposed = false;
         const loadTimeout = setTimeout(() => { if (!disposed) setMapError(true); }, 15000);
 
+        const initialView = getRegionViewState(regionRef.current);
+        const reportViewport = () => {
+            if (disposed || !map.current) return;
+            onViewportChangeRef.current?.(map.current.getBounds().toArray());
+        };
+
         try {
             map.current = new mapboxgl.Map({
                 container:           mapContainer.current,
                 style:               MAP_STYLE,
-                center:              [INITIAL_VIEW_STATE.longitude, INITIAL_VIEW_STATE.latitude],
-                zoom:                INITIAL_VIEW_STATE.zoom,
+                center:              [initialView.longitude, initialView.latitude],
+                zoom:                initialView.zoom,
                 minZoom:             3,
                 maxZoom:             18,
                 pitch:               0,
@@ -337,8 +549,11 @@ const VenueMap = forwardRef(({
                 map.current.touchZoomRotate.disableRotation();
                 setMapLoaded(true);
                 setMapError(false);
+                reportViewport();
             });
 
+            map.current.on('moveend', reportViewport);
+
             map.current.on('error', (e) => {
                 if (disposed) return;
                 const msg = e.error?.message || e.message || '';
@@ -382,6 +597,125 @@ const VenueMap = forwardRef(({
         }
     }, [cloudOn, mapLoaded]);
 
+    // ── Precipitation radar ─────────────────────────────────────────
+    // Frames are re-fetched while the overlay is on; a new set lands on
+    // the latest observation
+    useEffect(() => {
+        if (!radarOn) { setRadar(null); setRadarPlaying(false); setRadarError(null); return; }
+        const controller = new AbortController();
+        let shownKey = null;
+
+        const apply = (frames) => {
+            // A refresh with the same frames keeps the layers and the position
+            const key = `${frames.provider}:${frames.frames.map(f => f.time).join(',')}`;
+            if (controller.signal.aborted || key === shownKey) return;
+            shownKey = key;
+            setRadar(frames);
+            setRadarIndex(getLatestObservedIndex(frames.frames));
+            setRadarError(null);
+        };
+        const load = (forceRefresh) => {
+            setRadarLoading(true);
+            fetchRadarFrames({ signal: controller.signal, forceRefresh, onUpdate: apply })
+                .then(apply)
+                .catch((err) => {
+                    if (err?.name === 'AbortError') return;
+                    console.warn('[VenueMap] radar frames failed:', err?.message);
+                    setRadarError(err?.message ?? 'Radar unavailable');
+                })
+                .finally(() => { if (!controller.signal.aborted) setRadarLoading(false); });
+        };
+
+        load(false);
+        const timer = setInterval(() => load(true), RADAR_REFRESH_MS);
+        return () => { controller.abort(); clearInterval(timer); };
+    }, [radarOn]);
+
+    const radarIndexRef = useRef(radarIndex);
+    useEffect(() => { radarIndexRef.current = radarIndex; }, [radarIndex]);
+
+    useEffect(() => {
+        if (!mapLoaded || !map.current || !radar) return;
+        const m = map.current;
+        addRadarLayers(m, radar, radarIndexRef.current);
+        return () => removeRadarLayers(m);
+    }, [radar, mapLoaded]);
+
+    useEffect(() => {
+        if (!mapLoaded || !radar) return;
+        showRadarFrame(map.current, radarIndex, radar.frames.length);
+    }, [radarIndex, radar, mapLoaded]);
+
+    // Loops through the frames, lingering on the last one before restarting
+    useEffect(() => {
+        if (!radarPlaying || !radar || radar.frames.length < 2) return;
+        const last = radar.frames.length - 1;
+        const timer = setTimeout(
+            () => setRadarIndex(i => (i >= last ? 0 : i + 1)),
+            radarIndex >= last ? RADAR_FRAME_MS * 3 : RADAR_FRAME_MS
+        );
+        return () => clearTimeout(timer);
+    }, [radarPlaying, radarIndex, radar]);
+
+    // ── Building shadows ────────────────────────────────────────────
+    // Footprints are collected whenever building tiles are on screen, so
+    // venue sun checks (data/sunshineIntelligence) benefit even with the
+    // shadow layer hidden.
+    const shadowsOnRef   = useRef(shadowsOn);
+    const shadowDateRef  = useRef(shadowDate);
+    useEffect(() => { shadowsOnRef.current  = shadowsOn;  }, [shadowsOn]);
+    useEffect(() => { shadowDateRef.current = shadowDate; }, [shadowDate]);
+
+    useEffect(() => {
+        if (!mapLoaded || !map.current) return;
+        ensureBuildingLayers(map.current);
+
+        const onIdle = () => {
+            const added = harvestBuildings(map.current);
+            if (added && shadowsOnRef.current) updateShadowLayer(map.current, true, shadowDateRef.current);
+        };
+        const onMoveEnd = () => updateShadowLayer(map.current, shadowsOnRef.current, shadowDateRef.current);
+        map.current.on('idle', onIdle);
+        map.current.on('moveend', onMoveEnd);
+        return () => {
+            map.current?.off('idle', onIdle);
+            map.current?.off('moveend', onMoveEnd);
+        };
+    }, [mapLoaded]);
+
+    useEffect(() => {
+        if (!mapLoaded || !map.current) return;
+        updateShadowLayer(map.current, shadowsOn, shadowDate);
+        // Following the clock: shadows creep, so redraw every few minutes
+        if (!shadowsOn || shadowDate) return;
+        const timer = setInterval(() => updateShadowLayer(map.current, true, null), SHADOW_REFRESH_MS);
+        return () => clearInterval(timer);
+    }, [mapLoaded, shadowsOn, shadowDate]);
+
+    // ── Sky and light for the map time ──────────────────────────────
+    useEffect(() => {
+        if (!mapLoaded || !map.current) return;
+        const clouds = (scrubWeather ?? weather)?.clouds?.all ?? 0;
+        updateSkyLighting(map.current, targetTime, clouds / 100);
+        if (targetTime) return;
+        const timer = setInterval(() => updateSkyLighting(map.current, null, clouds / 100), SKY_REFRESH_MS);
+        return () => clearInterval(timer);
+    }, [mapLoaded, targetTime, scrubWeather, weather]);
+
+    // Region-supplied footprints (config/regions `buildingsUrl`)
+    useEffect(() => {
+        if (!region?.buildingsUrl) return;
+        let cancelled = false;
+        loadBuildingsGeoJson(region.buildingsUrl)
+            .then(() => {
+                if (!cancelled && map.current && shadowsOnRef.current) {
+                    updateShadowLayer(map.current, true, shadowDateRef.current);
+                }
+            })
+            .catch(e => console.warn('[VenueMap] building footprints failed to load:', e?.message));
+        return () => { cancelled = true; };
+    }, [region]);
+
     // ── Cluster source + GPU comfort heatmap ─────────────────────────
     useEffect(() => {
         if (!map.current || !mapLoaded) return;
@@ -391,8 +725,9 @@ const VenueMap = forwardRef(({
             : safeVenues;
 
         const geojsonFeatures = visibleVenues.map(venue => {
+            // Same score the card shows, against the venue's own weather
             const rawScore = typeof calculateSunstayScore === 'function'
-                ? calculateSunstayScore(venue)
+                ? calculateSunstayScore(venue, venueWeather[String(venue.id)])
                 : 75;
             const weight = Number.isFinite(rawScore) ? Math.min(Math.max(rawScore / 100, 0), 1) : 0.75;
             return {
@@ -459,7 +794,7 @@ const VenueMap = forwardRef(({
                 comfortMapOn ? 'visible' : 'none'
             );
         }
-    }, [mapLoaded, safeVenues, filteredIdSet, comfortMapOn, weather, calculateSunstayScore]);
+    }, [mapLoaded, safeVenues, filteredIdSet, comfortMapOn, weather, venueWeather, calculateSunstayScore]);
 
     // ── fitBounds once ──────────────────────────────────────────────
     useEffect(() => {
@@ -483,6 +818,23 @@ const VenueMap = forwardRef(({
     useEffect(() => {
         if (!map.current || !mapLoaded) return;
 
+        // Pins at a scrubbed time only change with the time, so work them
+        // out once per venue rather than on every camera move
+        const pinKeysAtTime = new Map();
+        if (targetTime) {
+            const live = liveVenueFeaturesRef.current;
+            venuesMapRef.current.forEach((venue) => {
+                pinKeysAtTime.set(venue.id, getPinStateKey(
+                    venue,
+                    scrubWeather ?? weather,
+                    live,
+                    weatherColorFnRef.current,
+                    cozyFilterActiveRef.current,
+                    targetTime,
+                ));
+            });
+        }
+
         const syncMarkers = () => {
             if (rafRef.current) cancelAnimationFrame(rafRef.current);
             rafRef.current = requestAnimationFrame(() => {
@@ -531,9 +883,9 @@ const VenueMap = forwardRef(({
                         const venueLat = Number(venue.lat);
                         if (!Number.isFinite(venueLng) || !Number.isFinite(venueLat)) return;
 
-                        const pinKey = getPinStateKey(
+                        const pinKey = pinKeysAtTime.get(venueId) ?? getPinStateKey(
                             venue,
-                            weather,
+                            venueWeatherRef.current[String(venueId)] ?? weather,
                             live,
                             weatherColorFnRef.current,
                             cozyFilterActiveRef.current,
@@ -573,6 +925,8 @@ const VenueMap = forwardRef(({
         map.current.on('data', syncMarkers);
         map.current.on('move', syncMarkers);
         map.current.on('moveend', syncMarkers);
+        // Repaint existing pins when weather changes without waiting for a map event
+        syncMarkers();
 
         return () => {
             if (map.current) {
@@ -581,7 +935,20 @@ const VenueMap = forwardRef(({
                 map.current.off('moveend', syncMarkers);
             }
         };
-    }, [mapLoaded, weather, liveKey]);
+    }, [mapLoaded, weather, venueWeather, liveKey, targetTime, scrubWeather, safeVenues]);
+
+    // ── Region switch: move the camera to the new city ──────────────
+    useEffect(() => {
+        if (regionRef.current === region) return;
+        regionRef.current = region;
+        const view = getRegionViewState(region);
+        map.current?.flyTo({
+            center:    [view.longitude, view.latitude],
+            zoom:      view.zoom,
+            duration:  1200,
+            essential: true,
+        });
+    }, [region]);
 
     // ── selectedVenue: fly to pin ───────────────────────────────────
     useEffect(() => {
@@ -660,6 +1027,66 @@ const VenueMap = forwardRef(({
                         🔥
                     </button>
 
+                    {/* Building Shadows FAB */}
+                    <button
+                        onClick={() => setShadowsOn(prev => !prev)}
+                        onTouchEnd={e => { e.stopPropagation(); }}
+                        title={shadowsOn ? 'Hide building shadows' : 'Show building shadows'}
+                        style={{
+                            width:               44,
+                            height:              44,
+                            borderRadius:        '50%',
+                            border:              shadowsOn ? '2px solid #475569' : '2px solid rgba(255,255,255,0.3)',
+                            background:          shadowsOn ? 'rgba(71,85,105,0.9)' : 'rgba(15,15,30,0.85)',
+                            backdropFilter:      'blur(8px)',
+                            WebkitBackdropFilter:'blur(8px)',
+                            color:               '#fff',
+                            fontSize:            20,
+                            cursor:              'pointer',
+                            display:             'flex',
+                            alignItems:          'center',
+                            justifyContent:      'center',
+                            boxShadow:           '0 2px 10px rgba(0,0,0,0.4)',
+                            transition:          'background 200ms ease, border-color 200ms ease',
+                            WebkitTapHighlightColor: 'transparent',
+                            touchAction:         'auto',
+                        }}
+                        aria-label={shadowsOn ? 'Hide building shadows' : 'Show building shadows'}
+                        aria-pressed={shadowsOn}
+                    >
+                        🏙️
+                    </button>
+
+                    {/* Precipitation Radar FAB */}
+                    <button
+                        onClick={() => setRadarOn(prev => !prev)}
+                        onTouchEnd={e => { e.stopPropagation(); }}
+                        title={radarOn ? 'Hide rain radar' : 'Show rain radar'}
+                        style={{
+                            width:               44,
+                            height:              44,
+                            borderRadius:        '50%',
+                            border:              radarOn ? '2px solid #3B82F6' : '2px solid rgba(255,255,255,0.3)',
+                            background:          radarOn ? 'rgba(59,130,246,0.9)' : 'rgba(15,15,30,0.85)',
+                            backdropFilter:      'blur(8px)',
+                            WebkitBackdropFilter:'blur(8px)',
+                            color:               '#fff',
+                            fontSize:            20,
+                            cursor:              'pointer',
+                            display:             'flex',
+                            alignItems:          'center',
+                            justifyContent:      'center',
+                            boxShadow:           '0 2px 10px rgba(0,0,0,0.4)',
+                            transition:          'background 200ms ease, border-color 200ms ease',
+                            WebkitTapHighlightColor: 'transparent',
+                            touchAction:         'auto',
+                        }}
+                        aria-label={radarOn ? 'Hide rain radar' : 'Show rain radar'}
+                        aria-pressed={radarOn}
+                    >
+                        🌧️
+                    </button>
+
                     {/* Cloud Cover FAB */}
                     {WEATHER_API_KEY && (
                         <button
@@ -734,11 +1161,27 @@ const VenueMap = forwardRef(({
                     )}
                 </div>
             )}
+            {mapLoaded && !mapError && <MapTimeScrubber />}
+            {mapLoaded && !mapError && radarOn && (
+                <RadarControls
+                    radar={radar}
+                    frameIndex={radarIndex}
+                    latestIndex={radar ? getLatestObservedIndex(radar.frames) : 0}
+                    onFrameChange={setRadarIndex}
+                    playing={radarPlaying}
+                    onPlayingChange={setRadarPlaying}
+                    timeZone={region.timezone}
+                    loading={radarLoading}
+                    error={radarError}
+                />
+            )}
+
             {mapLoaded && !mapError && (
                 <div className="ss-map-caption">
                     <div className="ss-map-caption-inner">
                         📍 Live Weather Pins &bull; {venues.length} venues
                         {cozyFilterActive && <span style={{ marginLeft: 6 }}>· 🛋️ Cozy filter on</span>}
+                        {shadowsOn && <span style={{ marginLeft: 6 }}>· 🏙️ Shadows from zoom {BUILDINGS_MIN_ZOOM}</span>}
                     </div>
                 </div>
             )}
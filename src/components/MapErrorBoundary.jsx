@@ -1,4 +1,5 @@
 import React from 'react';
+import { DEFAULT_REGION } from '../config/regions';
 
 class MapErrorBoundary extends React.Component {
   constructor(props) {
@@ -33,7 +34,7 @@ class MapErrorBoundary extends React.Component {
   render() {
     if (this.state.hasError) {
       const accessToken = import.meta.env.VITE_MAPBOX_TOKEN;
-      const staticMapUrl = `https://api.mapbox.com/styles/v1/mapbox/streets-v12/static/144.9631,-37.8136,11,0/800x600?access_token=${accessToken}`;
+      const staticMapUrl = `https://api.mapbox.com/styles/v1/mapbox/streets-v12/static/${DEFAULT_REGION.center.lng},${DEFAULT_REGION.center.lat},11,0/800x600?access_token=${accessToken}`;
 
       return (
         <div className="absolute inset-0 z-[1000] flex items-center justify-center overflow-hidden rounded-[32px] bg-orange-950/20 backdrop-blur-sm">
@@ -1,12 +1,13 @@
 import React, { useEffect, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { fetchOpenMeteoWeather } from '../utils/weatherService';
+import { fetchWeatherSnapshot } from '../utils/weatherProvider';
+import { DEFAULT_REGION, getTimezoneForLocation } from '../config/regions';
 
 import bruceyImg from '../assets/Brucey_sit_front.png';
 import thunderBuddyImg from '../assets/ThunderBuddy_cloud.png';
 
-const DEFAULT_LAT = -37.8136;
-const DEFAULT_LNG = 144.9631;
+const DEFAULT_LAT = DEFAULT_REGION.center.lat;
+const DEFAULT_LNG = DEFAULT_REGION.center.lng;
 
 export default function MascotReaction({ lat = DEFAULT_LAT, lng = DEFAULT_LNG }) {
   const [mascotState, setMascotState] = useState(null); // 'thunder' | 'brucey' | null
@@ -16,7 +17,10 @@ export default function MascotReaction({ lat = DEFAULT_LAT, lng = DEFAULT_LNG })
 
     async function checkWeather() {
       try {
-        const data = await fetchOpenMeteoWeather(lat, lng, controller.signal);
+        const data = await fetchWeatherSnapshot(lat, lng, {
+          signal: controller.signal,
+          timezone: getTimezoneForLocation(lat, lng) ?? undefined,
+        });
         
         // Thunder Buddy condition: precipitation > 0.5mm/hr
         if (data.precipitation > 0.5) {
@@ -8,6 +8,20 @@
  * weather      weather object from WeatherContext
  * sunData      { startHour, endHour } from getSunData() — raw sunrise/sunset
  * score        numeric comfort score (0–100)
+ * venues       venues loaded for the map; custom rules are checked against these
+ * origin       { lat, lng } that "within N km" rules measure from
+ * timeZone     IANA zone for rule days and times
+ * comfort      the user's comfort profile
+ * rulesOpen    show the rule editor sheet
+ * onRulesClose called when the sheet is dismissed
+ *
+ * Custom rules
+ * ────────────
+ * Users build their own alerts (data/notificationRules) in the sheet.
+ * Each poll evaluates them with generateRuleNotifications() against each
+ * venue's cached weather and passes the result through the delivery
+ * policy (data/notificationPolicy), so quiet hours and rate limits apply;
+ * a delivered alert takes the toast ahead of the built-in ones below.
  *
  * Peak Window definition
  * ──────────────────────
@@ -25,6 +39,25 @@
 
 import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { X, Check, Plus, Trash2 } from 'lucide-react';
+import { FILTER_CATEGORIES } from '../data/demoVenues';
+import { generateRuleNotifications, loadPreferences, RADIUS_OPTIONS } from '../data/notificationEngine';
+import {
+  RULE_METRICS,
+  RULE_OPERATORS,
+  RULE_DAYS,
+  RULE_TIMES,
+  RULE_COOLDOWNS,
+  normalizeRule,
+  validateRule,
+  describeRule,
+  loadRules,
+  saveRules,
+  loadRuleState,
+  saveRuleState,
+} from '../data/notificationRules';
+import { deliverNotifications } from '../data/notificationPolicy';
+import { peekVenueWeather } from '../utils/venueWeather';
 
 // ── constants ────────────────────────────────────────────────────
 const AUTO_DISMISS_MS  = 8_000;
@@ -37,6 +70,13 @@ const PEAK_HARD_MAX = 15.0;
 // How many hours to shave off each end of the raw sunrise/sunset window
 const PEAK_SHRINK_HRS = 2.5;
 
+const RULE_ACCENT = '#10B981';
+// Venue types a rule can narrow to
+const RULE_VENUE_TAGS = ['Rooftop', 'Beer Garden', 'Sunny', 'Views', 'River']
+  .map(id => FILTER_CATEGORIES.find(c => c.id === id))
+  .filter(Boolean);
+const RULE_DISTANCES = [{ value: 0, label: 'Anywhere' }, ...RADIUS_OPTIONS.filter(o => o.value > 0)];
+
 /**
  * Derive a true peak sun window from raw sunrise/sunset decimal hours.
  * Falls back to the hard bounds if sunData is missing or invalid.
@@ -203,9 +243,261 @@ function SunToast({ toast, onDismiss }) {
   );
 }
 
+// ── Rule editor ────────────────────────────────────────────────────
+const EMPTY_RULE = {
+  venues: { scope: 'any', tag: null, withinKm: null },
+  conditions: [{ metric: 'score', op: 'gte', value: 80 }],
+  when: { days: 'any', time: 'any' },
+  cooldownMinutes: 180,
+};
+
+function Chips({ options, value, onChange }) {
+  return (
+    <div className="ss-filter-chip-grid">
+      {options.map(option => {
+        const isActive = option.id === value;
+        return (
+          <button
+            key={String(option.id)}
+            type="button"
+            onClick={() => onChange(option.id)}
+            className={`ss-filter-chip ${isActive ? 'ss-filter-chip--active' : ''}`}
+          >
+            <span>{option.label}</span>
+            {isActive && <Check size={14} className="text-blue-600" />}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+function RuleEditor({ initial, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => normalizeRule(initial));
+  const [errors, setErrors] = useState([]);
+  const update = (patch) => setDraft(prev => ({ ...prev, ...patch }));
+  const setVenues = (patch) => update({ venues: { ...draft.venues, ...patch } });
+  const setWhen = (patch) => update({ when: { ...draft.when, ...patch } });
+  const setCondition = (i, patch) => update({
+    conditions: draft.conditions.map((c, j) => (j === i ? { ...c, ...patch } : c)),
+  });
+
+  const save = () => {
+    const rule = normalizeRule(draft);
+    const problems = validateRule(rule);
+    setErrors(problems);
+    if (!problems.length) onSave(rule);
+  };
+
+  const selectStyle = {
+    padding: '8px 10px', borderRadius: 12, border: '1.5px solid #e5e7eb',
+    fontSize: 13, fontWeight: 600, color: '#374151', background: '#fff',
+  };
+
+  return (
+    <>
+      <p className="filter-section-label">NAME (OPTIONAL)</p>
+      <input
+        value={draft.name}
+        onChange={e => update({ name: e.target.value })}
+        placeholder={describeRule(normalizeRule(draft))}
+        style={{ ...selectStyle, width: '100%', marginBottom: 20 }}
+      />
+
+      <p className="filter-section-label">WHICH VENUES</p>
+      <Chips
+        options={[{ id: 'any', label: 'Any venue' }, { id: 'saved', label: 'My saved venues' }]}
+        value={draft.venues.scope}
+        onChange={scope => setVenues({ scope })}
+      />
+      <Chips
+        options={[{ id: null, label: 'Any type' }, ...RULE_VENUE_TAGS.map(c => ({ id: c.id, label: `${c.icon} ${c.label}` }))]}
+        value={draft.venues.tag}
+        onChange={tag => setVenues({ tag })}
+      />
+      <Chips
+        options={RULE_DISTANCES.map(o => ({ id: o.value, label: o.label }))}
+        value={draft.venues.withinKm ?? 0}
+        onChange={withinKm => setVenues({ withinKm: withinKm || null })}
+      />
+
+      <p className="filter-section-label">WHEN CONDITIONS ARE</p>
+      {draft.conditions.map((c, i) => {
+        const metric = RULE_METRICS.find(m => m.id === c.metric);
+        return (
+          <div key={i} className="flex items-center gap-2 mb-3">
+            <select value={c.metric} onChange={e => setCondition(i, { metric: e.target.value })} style={{ ...selectStyle, flex: 1 }}>
+              {RULE_METRICS.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+            </select>
+            <select value={c.op} onChange={e => setCondition(i, { op: e.target.value })} style={selectStyle}>
+              {RULE_OPERATORS.map(op => <option key={op.id} value={op.id}>{op.label}</option>)}
+            </select>
+            <input
+              type="number"
+              value={c.value}
+              min={metric?.min}
+              max={metric?.max}
+              step={metric?.step}
+              onChange={e => setCondition(i, { value: e.target.value })}
+              style={{ ...selectStyle, width: 72 }}
+            />
+            <button
+              type="button"
+              onClick={() => update({ conditions: draft.conditions.filter((_, j) => j !== i) })}
+              aria-label="Remove condition"
+              style={{ background: 'none', border: 'none', color: '#94A3B8', cursor: 'pointer' }}
+            >
+              <X size={16} />
+            </button>
+          </div>
+        );
+      })}
+      <button
+        type="button"
+        onClick={() => update({ conditions: [...draft.conditions, { metric: 'uv', op: 'lt', value: 3 }] })}
+        className="ss-filter-chip"
+        style={{ marginBottom: 20 }}
+      >
+        <Plus size={14} /> Add condition
+      </button>
+
+      <p className="filter-section-label">DAYS</p>
+      <Chips options={RULE_DAYS} value={draft.when.days} onChange={days => setWhen({ days })} />
+      <p className="filter-section-label">TIME OF DAY</p>
+      <Chips options={RULE_TIMES} value={draft.when.time} onChange={time => setWhen({ time })} />
+      <p className="filter-section-label">AT MOST ONCE EVERY</p>
+      <Chips options={RULE_COOLDOWNS} value={draft.cooldownMinutes} onChange={cooldownMinutes => update({ cooldownMinutes })} />
+
+      {errors.map(error => (
+        <p key={error} style={{ margin: '0 0 12px', fontSize: 12, fontWeight: 600, color: '#B91C1C' }}>{error}</p>
+      ))}
+
+      <div className="ss-filter-sheet-footer flex gap-2">
+        <button className="ss-filter-chip" onClick={onCancel} type="button">Cancel</button>
+        <button className="ss-filter-sheet-apply" onClick={save} type="button">Save rule</button>
+      </div>
+    </>
+  );
+}
+
+function RulesSheet({ isOpen, onClose, rules, onChange }) {
+  // null: list; {}: new rule; a rule: editing it
+  const [editing, setEditing] = useState(null);
+
+  const saveRule = (rule) => {
+    const exists = rules.some(r => r.id === rule.id);
+    onChange(exists ? rules.map(r => (r.id === rule.id ? rule : r)) : [...rules, rule]);
+    setEditing(null);
+  };
+
+  const close = () => {
+    setEditing(null);
+    onClose();
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={close}
+            className="ss-filter-sheet-backdrop"
+          />
+          <motion.div
+            initial={{ y: '100%' }}
+            animate={{ y: 0 }}
+            exit={{ y: '100%' }}
+            transition={{ type: 'spring', damping: 25, stiffness: 200 }}
+            className="ss-filter-sheet"
+          >
+            <div className="ss-filter-sheet-head">
+              <h3>{editing ? (editing.id ? 'Edit rule' : 'New rule') : 'Your alert rules'}</h3>
+              <button onClick={close} className="ss-filter-sheet-close">
+                <X size={18} />
+              </button>
+            </div>
+
+            {editing ? (
+              <RuleEditor
+                key={editing.id ?? 'new'}
+                initial={editing.id ? editing : EMPTY_RULE}
+                onSave={saveRule}
+                onCancel={() => setEditing(null)}
+              />
+            ) : (
+              <>
+                {!rules.length && (
+                  <p style={{ fontSize: 13, color: '#64748B', marginBottom: 16 }}>
+                    No rules yet. Try "any rooftop within 5 km scoring 80+ on a weekend afternoon".
+                  </p>
+                )}
+                {rules.map(rule => (
+                  <div
+                    key={rule.id}
+                    className="flex items-center gap-3 mb-3"
+                    style={{ padding: '10px 12px', borderRadius: 14, border: '1.5px solid #e5e7eb', opacity: rule.enabled ? 1 : 0.55 }}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={rule.enabled}
+                      onChange={() => onChange(rules.map(r => (r.id === rule.id ? { ...r, enabled: !r.enabled } : r)))}
+                      aria-label={rule.enabled ? 'Pause rule' : 'Resume rule'}
+                      className="accent-emerald-500"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setEditing(rule)}
+                      style={{ flex: 1, minWidth: 0, textAlign: 'left', background: 'none', border: 'none', cursor: 'pointer', padding: 0 }}
+                    >
+                      <span style={{ display: 'block', fontSize: 13, fontWeight: 700, color: '#1E293B' }}>
+                        {rule.name || describeRule(rule)}
+                      </span>
+                      {rule.name && (
+                        <span style={{ display: 'block', fontSize: 11, color: '#64748B' }}>{describeRule(rule)}</span>
+                      )}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => onChange(rules.filter(r => r.id !== rule.id))}
+                      aria-label="Delete rule"
+                      style={{ background: 'none', border: 'none', color: '#94A3B8', cursor: 'pointer' }}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                ))}
+                <div className="ss-filter-sheet-footer">
+                  <button className="ss-filter-sheet-apply" onClick={() => setEditing({})} type="button">
+                    New rule
+                  </button>
+                </div>
+              </>
+            )}
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+}
+
 // ── Main component ──────────────────────────────────────────────────
-export default function NotificationCenter({ venue, weather, sunData, score = 70 }) {
+export default function NotificationCenter({
+  venue,
+  weather,
+  sunData,
+  score = 70,
+  venues = [],
+  origin,
+  timeZone,
+  comfort,
+  rulesOpen = false,
+  onRulesClose = () => {},
+}) {
   const [activeToast, setActiveToast] = useState(null);
+  const [rules, setRules] = useState(loadRules);
   const cooldownRef  = useRef({});
   const dismissTimer = useRef(null);
 
@@ -220,6 +512,19 @@ export default function NotificationCenter({ venue, weather, sunData, score = 70
   useEffect(() => { sunDataRef.current = sunData;  }, [sunData]);
   useEffect(() => { scoreRef.current   = score;    }, [score]);
 
+  // Same for what custom rules read
+  const rulesRef   = useRef(rules);
+  const contextRef = useRef({ venues, origin, timeZone, comfort });
+  useEffect(() => { rulesRef.current = rules; }, [rules]);
+  useEffect(() => {
+    contextRef.current = { venues, origin, timeZone, comfort };
+  }, [venues, origin, timeZone, comfort]);
+
+  const updateRules = useCallback((next) => {
+    setRules(next);
+    saveRules(next);
+  }, []);
+
   const clearDismissTimer = useCallback(() => {
     if (dismissTimer.current) {
       clearTimeout(dismissTimer.current);
@@ -241,7 +546,47 @@ export default function NotificationCenter({ venue, weather, sunData, score = 70
 
   // ── Poll engine — reads fresh data via refs, never re-creates the
   // interval unless venue or score actually changes. ────────────────
+  // The user's own rules; their cooldowns live in the saved rule state
+  const runCustomRules = useCallback(() => {
+    const currentRules = rulesRef.current;
+    if (!currentRules.some(r => r.enabled)) return null;
+
+    const { venues: currentVenues, ...context } = contextRef.current;
+    const { notifications, state } = generateRuleNotifications(currentRules, currentVenues, {
+      ...context,
+      getWeather: (v) => peekVenueWeather(v)?.weather ?? weatherRef.current,
+      savedVenueIds: loadPreferences().favoriteVenueIds,
+      state: loadRuleState(),
+    });
+    saveRuleState(state);
+
+    const { deliver } = deliverNotifications(notifications, {
+      prefs:    loadPreferences(),
+      timeZone: context.timeZone,
+    });
+    const [first] = deliver;
+    if (!first) return null;
+    return {
+      key:    first.ruleId ? `rule-${first.ruleId}` : first.id,
+      emoji:  first.icon,
+      title:  first.title,
+      body:   first.body,
+      accent: RULE_ACCENT,
+    };
+  }, []);
+
   const runRules = useCallback(() => {
+    const ruleAlert = runCustomRules();
+    if (ruleAlert) {
+      setActiveToast(prev => {
+        if (prev?.key === ruleAlert.key) return prev;
+        clearDismissTimer();
+        dismissTimer.current = setTimeout(dismiss, AUTO_DISMISS_MS);
+        return { ...ruleAlert, id: Date.now() };
+      });
+      return;
+    }
+
     if (!venue) return;
 
     const currentWeather = weatherRef.current;
@@ -273,7 +618,7 @@ export default function NotificationCenter({ venue, weather, sunData, score = 70
       dismissTimer.current = setTimeout(dismiss, AUTO_DISMISS_MS);
       return newToast;
     });
-  }, [venue, dismiss, clearDismissTimer]);
+  }, [venue, dismiss, clearDismissTimer, runCustomRules]);
 
   // Stable dep array — only [venue?.id, score] so the interval is NOT
   // torn down / rebuilt every time weather or sunData props refresh.
@@ -292,14 +637,22 @@ export default function NotificationCenter({ venue, weather, sunData, score = 70
   useEffect(() => () => clearDismissTimer(), [clearDismissTimer]);
 
   return (
-    <AnimatePresence mode="wait">
-      {activeToast && (
-        <SunToast
-          key={activeToast.id}
-          toast={activeToast}
-          onDismiss={dismiss}
-        />
-      )}
-    </AnimatePresence>
+    <>
+      <AnimatePresence mode="wait">
+        {activeToast && (
+          <SunToast
+            key={activeToast.id}
+            toast={activeToast}
+            onDismiss={dismiss}
+          />
+        )}
+      </AnimatePresence>
+      <RulesSheet
+        isOpen={rulesOpen}
+        onClose={onRulesClose}
+        rules={rules}
+        onChange={updateRules}
+      />
+    </>
   );
 }
@@ -1,12 +1,20 @@
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { useGuaranteeBacktest } from '../hooks/useGuaranteeBacktest';
+
+const percent = (ratio) => (ratio == null ? '—' : `${Math.round(ratio * 100)}%`);
+
 export default function OperatorWeatherPanel({ venue, quote }) {
   const [open, setOpen] = useState(false);
+  // The year of history is only fetched once the panel is opened
+  const { report, baseline, history, loading } = useGuaranteeBacktest(venue, {
+    version: quote?.pricingVersion,
+    enabled: open && !!quote,
+  });
   if (!quote) return null;
-  const bookingValue  = venue?.bookingPrice || 120;
-  const attachRate    = quote.riskBand === 'High' ? 68 : quote.riskBand === 'Medium' ? 44 : 22;
-  const projectedMonthly = Math.round(bookingValue * (attachRate / 100) * 18 * (quote.pct));
   const riskColor     = quote.riskColor;
+  const pending       = loading ? '…' : '—';
+  const payoutColor   = report?.withinTarget === false ? '#F87171' : '#34D399';
   return (
     <div className="mt-3 rounded-2xl overflow-hidden"
       style={{ background: 'rgba(255,255,255,0.03)', border: '1px solid rgba(255,255,255,0.09)' }}>
@@ -42,9 +50,19 @@ export default function OperatorWeatherPanel({ venue, quote }) {
             {/* KPI row */}
             <div className="grid grid-cols-3 gap-2 px-4 pb-3">
               {[
-                { label: 'Guarantee Attach Rate', value: `${attachRate}%`, sub: `${quote.riskBand} risk days`, color: riskColor },
-                { label: 'Protected Revenue', value: `$${projectedMonthly}`, sub: 'est. / month', color: '#34D399' },
-                { label: 'Risk Band Today', value: quote.riskBand, sub: `${Math.round(quote.pct * 100)}% premium`, color: riskColor },
+                {
+                  label: 'Payout Ratio',
+                  value: report ? percent(report.payoutRatio) : pending,
+                  sub: report?.targetPayoutRatio != null ? `target ≤ ${percent(report.targetPayoutRatio)}` : 'backtest',
+                  color: payoutColor,
+                },
+                {
+                  label: 'Margin',
+                  value: report ? percent(report.margin) : pending,
+                  sub: baseline ? `${percent(baseline.margin)} on v${baseline.version}` : 'after claims + costs',
+                  color: report?.margin < 0 ? '#F87171' : '#34D399',
+                },
+                { label: 'Risk Band Today', value: quote.riskBand, sub: `${Math.round(quote.pct * 100)}% premium · v${quote.pricingVersion}`, color: riskColor },
               ].map(k => (
                 <div key={k.label} className="rounded-xl px-3 py-2.5 text-center"
                   style={{ background: 'rgba(255,255,255,0.05)', border: '1px solid rgba(255,255,255,0.08)' }}>
@@ -54,6 +72,14 @@ export default function OperatorWeatherPanel({ venue, quote }) {
                 </div>
               ))}
             </div>
+            {/* Backtest provenance */}
+            <p className="mx-4 mb-3 text-[10px] leading-relaxed text-white/40">
+              {history
+                ? `Pricing v${report.version} replayed over ${history.days} evenings (${history.from} – ${history.to}): archived forecasts vs observed rain, ${report.triggerRate != null ? `${percent(report.triggerRate)} of windows paid out` : 'no payouts'}.`
+                : loading
+                  ? 'Backtesting pricing against the last year of weather…'
+                  : 'Backtest unavailable — weather history could not be loaded.'}
+            </p>
             {/* Pitch copy */}
             <div className="mx-4 mb-4 rounded-xl px-3 py-3"
               style={{ background: 'rgba(14,165,233,0.07)', border: '1px solid rgba(14,165,233,0.18)' }}>
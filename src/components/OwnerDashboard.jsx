@@ -5,6 +5,9 @@ import { X } from 'lucide-react';
 import { supabase } from '../lib/supabase';
 import FohWeatherWidget from './FohWeatherWidget';
 import MascotReaction from './MascotReaction';
+import { getVenueHorizonProfile } from '../data/buildings';
+import { buildHorizonFromObstructions } from '../utils/horizonProfile';
+import { calculateBalconySun, parseFacing } from '../utils/calculateBalconySun';
 
 // ── Shared Spinner ──────────────────────────────────────────────────────
 const Spinner = () => (
@@ -92,6 +95,10 @@ const HEATING_FIELDS = [
   { key: 'hasWindProtection', label: 'Awnings / Windbreaks Down',     icon: '🌬️' },
 ];
 
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const STOREY_M = 3.2;
+const emptyObstruction = () => ({ direction: 'N', distanceM: '20', storeys: '3' });
+
 const booleanFromVenue = (currentValue, legacyFallback) => (
   typeof currentValue === 'boolean' ? currentValue : !!legacyFallback
 );
@@ -143,6 +150,12 @@ function OwnerDashboardInner({
   const [vibeSaving, setVibeSaving] = useState(false);
   const [vibeStatus, setVibeStatus] = useState({ text: '', type: '' });
 
+  // ── Sun horizon (what blocks the sun around the terrace) ─────────
+  const [horizonProfile, setHorizonProfile] = useState(safeVenue.horizonProfile || null);
+  const [obstructions, setObstructions] = useState([emptyObstruction()]);
+  const [horizonSaving, setHorizonSaving] = useState(false);
+  const [horizonStatus, setHorizonStatus] = useState({ text: '', type: '' });
+
   const timeoutIdsRef = useRef(new Set());
   const scheduleTimeout = useCallback((callback, delay) => {
     const id = setTimeout(() => { timeoutIdsRef.current.delete(id); callback(); }, delay);
@@ -252,6 +265,59 @@ function OwnerDashboardInner({
     }
   };
 
+  // ── Sun horizon — capture from buildings or entered heights ──────
+  const handleCaptureHorizon = () => {
+    const profile = getVenueHorizonProfile(safeVenue);
+    if (!profile) {
+      flashStatus(setHorizonStatus, 'No building data here yet. Open the map around your venue first', 'error', 4000);
+      return;
+    }
+    setHorizonProfile(profile);
+    flashStatus(setHorizonStatus, `Captured from ${profile.buildingCount} buildings`);
+  };
+
+  const handleBuildHorizon = () => {
+    const entries = obstructions
+      .map(o => ({
+        bearingDeg: parseFacing(o.direction),
+        distanceM: Number(o.distanceM),
+        heightM: Number(o.storeys) * STOREY_M,
+      }))
+      .filter(o => o.distanceM > 0 && o.heightM > 0);
+    if (!entries.length) {
+      flashStatus(setHorizonStatus, 'Add a distance and storeys first', 'error');
+      return;
+    }
+    setHorizonProfile(buildHorizonFromObstructions(entries));
+  };
+
+  const updateObstruction = (index, key, value) =>
+    setObstructions(list => list.map((o, i) => (i === index ? { ...o, [key]: value } : o)));
+
+  const handleSaveHorizon = async () => {
+    if (!horizonProfile) return;
+    onVenueUpdate?.({ ...safeVenue, horizonProfile });
+    flashStatus(setHorizonStatus, '✅ Saved');
+
+    if (!venueId || !supabase) {
+      console.warn('[OwnerDashboard] handleSaveHorizon: no venueId/supabase, local only');
+      return;
+    }
+    setHorizonSaving(true);
+    try {
+      const { error } = await supabase.from('venues').update({ horizonProfile }).eq('id', venueId);
+      if (error) throw error;
+    } catch (err) {
+      console.warn('[OwnerDashboard] handleSaveHorizon DB error (ignored for demo):', err?.message ?? err);
+    } finally {
+      setHorizonSaving(false);
+    }
+  };
+
+  const horizonPreview = horizonProfile
+    ? calculateBalconySun(Number(safeVenue.lat), Number(safeVenue.lng), new Date(), safeVenue.balcony_facing ?? null, 180, 1, horizonProfile)
+    : null;
+
   const addTag    = (tag) => { if (activeTags.length >= 8 || activeTags.includes(tag)) return; setActiveTags(t => [...t, tag]); };
   const removeTag = (tag) => setActiveTags(t => t.filter(x => x !== tag));
   const handleAddCustomTag = () => {
@@ -476,6 +542,59 @@ function OwnerDashboardInner({
             </div>
           </section>
 
+          <div style={{ borderTop: '1px solid rgba(255,255,255,0.1)', margin: '16px 0' }} />
+
+          <section>
+            <SectionHeading>🏙️ Sun Horizon</SectionHeading>
+            <p style={{ fontSize: '0.65rem', color: 'rgba(255,255,255,0.4)', marginBottom: 10 }}>
+              Tell us what blocks the sun around your outdoor area and we'll show punters exactly when it's in sun, like "sun until 3:40pm".
+              Capture it from the map's buildings, or enter the buildings around you.
+            </p>
+            <button onClick={handleCaptureHorizon}
+              style={{ padding: '8px 14px', borderRadius: 8, background: 'rgba(255,255,255,0.08)', color: 'rgba(255,255,255,0.8)', fontWeight: 700, fontSize: '0.75rem', border: '1px solid rgba(255,255,255,0.15)', cursor: 'pointer', marginBottom: 12 }}>
+              Capture from map buildings
+            </button>
+            {obstructions.map((o, i) => (
+              <div key={i} style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr auto', gap: 6, marginBottom: 6, alignItems: 'center' }}>
+                <select value={o.direction} onChange={e => updateObstruction(i, 'direction', e.target.value)} style={inputStyle} aria-label="Direction">
+                  {COMPASS_POINTS.map(d => <option key={d} value={d} style={{ color: '#000' }}>{d}</option>)}
+                </select>
+                <input type="number" min="1" value={o.distanceM} onChange={e => updateObstruction(i, 'distanceM', e.target.value)} placeholder="Metres away" aria-label="Metres away" style={inputStyle} />
+                <input type="number" min="1" value={o.storeys} onChange={e => updateObstruction(i, 'storeys', e.target.value)} placeholder="Storeys" aria-label="Storeys" style={inputStyle} />
+                <button onClick={() => setObstructions(list => list.filter((_, j) => j !== i))} disabled={obstructions.length === 1}
+                  style={{ background: 'none', border: 'none', color: 'rgba(255,255,255,0.5)', cursor: 'pointer', fontSize: '0.8rem', opacity: obstructions.length === 1 ? 0.3 : 1 }}>✕</button>
+              </div>
+            ))}
+            <p style={{ fontSize: '0.6rem', color: 'rgba(255,255,255,0.35)', marginBottom: 8 }}>Direction · metres away · storeys</p>
+            <div style={{ display: 'flex', gap: 8, marginBottom: 12 }}>
+              <button onClick={() => setObstructions(list => [...list, emptyObstruction()])}
+                style={{ padding: '8px 14px', borderRadius: 8, background: 'rgba(255,255,255,0.08)', color: 'rgba(255,255,255,0.7)', fontWeight: 600, fontSize: '0.7rem', border: '1px solid rgba(255,255,255,0.1)', cursor: 'pointer' }}>
+                + Building
+              </button>
+              <button onClick={handleBuildHorizon}
+                style={{ padding: '8px 14px', borderRadius: 8, background: 'rgba(255,255,255,0.08)', color: 'rgba(255,255,255,0.7)', fontWeight: 600, fontSize: '0.7rem', border: '1px solid rgba(255,255,255,0.1)', cursor: 'pointer' }}>
+                Use these heights
+              </button>
+            </div>
+            {horizonPreview && (
+              <p style={{ fontSize: '0.75rem', color: '#FCD34D', fontWeight: 600, marginBottom: 10 }}>
+                {horizonPreview.totalSunHours}h direct sun today
+                {horizonPreview.peakWindow ? ` · ${horizonPreview.peakWindow}` : ''}
+                {horizonPreview.sunUntil ? ` · sun until ${horizonPreview.sunUntil}` : ''}
+                <span style={{ color: 'rgba(255,255,255,0.4)', fontWeight: 500 }}>
+                  {' '}({horizonProfile.source === 'buildings' ? 'from map buildings' : 'from your heights'})
+                </span>
+              </p>
+            )}
+            <div style={{ display: 'flex', alignItems: 'center' }}>
+              <button onClick={handleSaveHorizon} disabled={!horizonProfile || horizonSaving}
+                style={{ padding: '8px 20px', borderRadius: 8, background: '#14B8A6', color: '#fff', fontWeight: 700, fontSize: '0.75rem', border: 'none', cursor: 'pointer', opacity: (!horizonProfile || horizonSaving) ? 0.4 : 1 }}>
+                {horizonSaving ? 'Saving...' : 'Save Horizon'}
+              </button>
+              <InlineStatus text={horizonStatus.text} type={horizonStatus.type} />
+            </div>
+          </section>
+
           <div style={{ height: 48 }} />
         </div>
       </motion.div>
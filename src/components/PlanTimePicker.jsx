@@ -0,0 +1,102 @@
+import React, { useMemo } from 'react';
+import { CalendarClock } from 'lucide-react';
+import { useWeather } from '../context/WeatherContext';
+import { useRegion } from '../context/RegionContext';
+import { MAX_FORECAST_DAYS } from '../utils/weatherProvider';
+import { getZonedParts, zonedTimeToUtc } from '../utils/timezone';
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const FIRST_HOUR = 6;
+const LAST_HOUR = 22;
+// Hour a day starts on when it's first picked
+const DEFAULT_HOUR = 15;
+
+const hourLabel = (hour) => `${hour % 12 || 12}${hour >= 12 ? 'pm' : 'am'}`;
+
+/**
+ * "Now" or a day and hour in the next week to rank venues for. Sets the
+ * target time in WeatherContext, in the region's timezone, and says what
+ * the forecast for that hour looks like.
+ */
+const PlanTimePicker = ({ className = '' }) => {
+    const { targetTime, setTargetTime, targetWeather, forecastLoading } = useWeather();
+    const { region } = useRegion();
+    const timeZone = region.timezone;
+
+    // The next week of local days; a day is identified by its offset from today
+    const days = useMemo(() => {
+        const today = getZonedParts(new Date(), timeZone);
+        return Array.from({ length: MAX_FORECAST_DAYS }, (_, offset) => {
+            const noon = zonedTimeToUtc({ year: today.year, month: today.month, day: today.day + offset, hour: 12 }, timeZone);
+            const p = getZonedParts(noon, timeZone);
+            const label = offset === 0 ? 'Today' : offset === 1 ? 'Tomorrow' : `${WEEKDAY_NAMES[p.weekday]} ${p.day}`;
+            return { offset, label, year: p.year, month: p.month, day: p.day };
+        });
+        // Re-read on each pick, so the list moves on after midnight
+    }, [timeZone, targetTime]);
+
+    const selected = targetTime ? getZonedParts(targetTime, timeZone) : null;
+    const selectedDay = selected
+        ? days.find(d => d.year === selected.year && d.month === selected.month && d.day === selected.day)
+        : null;
+
+    const pick = (day, hour) => {
+        setTargetTime(zonedTimeToUtc({ year: day.year, month: day.month, day: day.day, hour }, timeZone));
+    };
+
+    const onDayChange = (e) => {
+        if (e.target.value === 'now') { setTargetTime(null); return; }
+        const day = days[Number(e.target.value)];
+        let hour = selected?.hour ?? DEFAULT_HOUR;
+        // Later today, not an hour that's already gone
+        if (day.offset === 0) hour = Math.max(hour, getZonedParts(new Date(), timeZone).hour + 1);
+        pick(day, Math.min(Math.max(hour, FIRST_HOUR), LAST_HOUR));
+    };
+
+    const hours = [];
+    for (let h = FIRST_HOUR; h <= LAST_HOUR; h++) hours.push(h);
+
+    let summary = null;
+    if (targetTime) {
+        if (forecastLoading) summary = 'Loading forecast…';
+        else if (!targetWeather) summary = 'No forecast that far ahead yet — venues show current conditions';
+        else {
+            const feels = Math.round(targetWeather.feelsLike ?? targetWeather.temperature);
+            summary = `${targetWeather.description ?? 'Forecast'} · feels ${feels}°C · ${Math.round(targetWeather.precipProbability ?? 0)}% rain`;
+        }
+    }
+
+    return (
+        <div className={`flex flex-col gap-1 ${className}`}>
+            <div className="flex items-center gap-2 text-[13px]">
+                <CalendarClock size={16} className="text-amber-500 flex-shrink-0" />
+                <select
+                    value={selectedDay ? selectedDay.offset : 'now'}
+                    onChange={onDayChange}
+                    aria-label="Plan for day"
+                    className="bg-white border border-gray-200 rounded-lg px-2 py-1 font-semibold text-gray-800"
+                >
+                    <option value="now">Now</option>
+                    {days.map(d => (
+                        <option key={d.offset} value={d.offset}>{d.label}</option>
+                    ))}
+                </select>
+                {selectedDay && (
+                    <select
+                        value={selected.hour}
+                        onChange={e => pick(selectedDay, Number(e.target.value))}
+                        aria-label="Plan for time"
+                        className="bg-white border border-gray-200 rounded-lg px-2 py-1 font-semibold text-gray-800"
+                    >
+                        {hours.map(h => (
+                            <option key={h} value={h}>{hourLabel(h)}</option>
+                        ))}
+                    </select>
+                )}
+            </div>
+            {summary && <p className="text-[11px] text-gray-500 pl-6">{summary}</p>}
+        </div>
+    );
+};
+
+export default PlanTimePicker;
@@ -1,23 +1,58 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
 import { motion } from 'framer-motion';
-import { CloudRain, Droplets, MapPin, Info, ArrowUpRight } from 'lucide-react';
-import { getRainTiming, getRainSuggestion, getRainWindowFinder, isRainSafe } from '../data/rainIntelligence';
+import { CloudRain, Droplets, MapPin, Info } from 'lucide-react';
+import { getRainSuggestion, isRainSafe, isWetStep } from '../data/rainIntelligence';
+import { useRainNowcast } from '../hooks/useRainNowcast';
+import { formatZonedTime } from '../utils/timezone';
 
-const RainIntelligencePanel = ({ venue, weather }) => {
-    const timing = getRainTiming(weather);
-    const suggestion = getRainSuggestion(venue, weather);
-    const windowFinder = getRainWindowFinder(weather);
+const HOUR_MS = 60 * 60 * 1000;
+const RADAR_HOURS = 6;
+// Bars top out at heavy rain (mm/h)
+const RADAR_FULL_SCALE = 7.6;
+const DRY_WINDOW_OPTIONS = [60, 120, 180];
+
+const SOURCE_LABELS = {
+    tomorrow: 'Minute-by-minute nowcast',
+    'open-meteo': '15-minute nowcast',
+};
+
+/**
+ * Peak rain rate in each of the next few hours, from the merged timeline.
+ */
+function getHourlyIntensity(timeline, timeZone, now = Date.now()) {
+    return Array.from({ length: RADAR_HOURS }, (_, i) => {
+        const from = now + i * HOUR_MS;
+        const to = from + HOUR_MS;
+        const steps = timeline.filter(s => s.start < to && s.end > from);
+        const wet = steps.filter(isWetStep);
+        const peak = wet.length ? Math.max(...wet.map(s => s.intensity)) : 0;
+        return {
+            time: i === 0 ? 'Now' : formatZonedTime(from, timeZone),
+            mmPerHour: peak,
+            intensity: Math.min(100, Math.round((peak / RADAR_FULL_SCALE) * 100)),
+            known: steps.length > 0,
+        };
+    });
+}
+
+const RainIntelligencePanel = ({ venue }) => {
+    const { timeline, timing, clearingAt, findDryWindow, timeZone, provider, loading } = useRainNowcast(venue);
+    // Without a real nowcast the timeline comes from the hourly forecast
+    const isLive = !!provider && provider !== 'demo';
+    const [dryMinutes, setDryMinutes] = useState(120);
+    const suggestion = getRainSuggestion(venue, timing);
+    const dryWindow = findDryWindow(dryMinutes);
     const rainSafe = isRainSafe(venue);
+    const radarData = useMemo(() => getHourlyIntensity(timeline, timeZone), [timeline, timeZone]);
 
-    // Mock radar data for visual effect
-    const radarData = [
-        { time: '12:00', intensity: 0 },
-        { time: '13:00', intensity: 20 },
-        { time: '14:00', intensity: 60 },
-        { time: '15:00', intensity: 40 },
-        { time: '16:00', intensity: 10 },
-        { time: '17:00', intensity: 0 },
-    ];
+    let detail = null;
+    if (timing.active) {
+        detail = clearingAt ? `Easing by ${formatZonedTime(clearingAt, timeZone)}` : 'No end in sight yet';
+    } else if (timing.startsAt) {
+        detail = timing.durationMinutes
+            ? `About ${Math.max(15, Math.round(timing.durationMinutes / 15) * 15)} min of ${timing.intensity.label.toLowerCase()}`
+            : `From ${formatZonedTime(timing.startsAt, timeZone)}`;
+    }
 
     return (
         <div className="space-y-6 text-gray-800">
@@ -31,8 +66,11 @@ const RainIntelligencePanel = ({ venue, weather }) => {
                 <div className="w-16 h-16 rounded-full bg-white flex items-center justify-center text-3xl shadow-sm mb-4">
                     {timing.active ? '🌧️' : '☁️'}
                 </div>
-                <h4 className="text-xl font-black text-gray-800">{timing.label}</h4>
-                <p className="text-xs font-bold text-gray-400 uppercase tracking-widest mt-1">Live Venue Radar</p>
+                <h4 className="text-xl font-black text-gray-800">{loading && !timeline.length ? 'Checking the radar…' : timing.label}</h4>
+                {detail && <p className="text-sm font-bold text-gray-600 mt-1">{detail}</p>}
+                <p className="text-xs font-bold text-gray-400 uppercase tracking-widest mt-1">
+                    {SOURCE_LABELS[provider] ?? (isLive ? 'Live Venue Radar' : 'From the hourly forecast')}
+                </p>
 
                 {suggestion && (
                     <div className="mt-4 p-3 bg-white/80 rounded-2xl border border-blue-100/50 shadow-sm">
@@ -41,14 +79,18 @@ const RainIntelligencePanel = ({ venue, weather }) => {
                 )}
             </div>
 
-            {/* Radar Simulation (Visual WoW Factor) */}
+            {/* Peak intensity per hour */}
             <div className="bg-white rounded-3xl p-5 border border-gray-100 shadow-sm">
                 <div className="flex justify-between items-center mb-4">
                     <p className="text-[10px] font-black text-gray-400 uppercase tracking-widest">Expected Intensity</p>
-                    <div className="flex items-center gap-1">
-                        <div className="w-2 h-2 rounded-full bg-blue-500 animate-pulse" />
-                        <span className="text-[10px] font-black text-blue-500 uppercase">Live</span>
-                    </div>
+                    {isLive ? (
+                        <div className="flex items-center gap-1">
+                            <div className="w-2 h-2 rounded-full bg-blue-500 animate-pulse" />
+                            <span className="text-[10px] font-black text-blue-500 uppercase">Live</span>
+                        </div>
+                    ) : (
+                        <span className="text-[10px] font-black text-gray-400 uppercase">Forecast</span>
+                    )}
                 </div>
 
                 <div className="flex items-end justify-between h-20 gap-2 px-1">
@@ -56,8 +98,9 @@ const RainIntelligencePanel = ({ venue, weather }) => {
                         <div key={i} className="flex flex-col items-center flex-1 gap-2">
                             <motion.div
                                 initial={{ height: 0 }}
-                                animate={{ height: `${data.intensity}%` }}
+                                animate={{ height: `${Math.max(data.intensity, data.mmPerHour > 0 ? 6 : 0)}%` }}
                                 className={`w-full rounded-t-lg ${data.intensity > 50 ? 'bg-blue-600' : 'bg-blue-400'}`}
+                                title={data.known ? `${data.mmPerHour.toFixed(1)} mm/h` : 'No data'}
                             />
                             <span className="text-[8px] font-black text-gray-400 uppercase">{data.time}</span>
                         </div>
@@ -66,19 +109,31 @@ const RainIntelligencePanel = ({ venue, weather }) => {
             </div>
 
             {/* Dry Window Finder */}
-            <div className="bg-emerald-50 rounded-3xl p-5 border border-emerald-100 flex items-center justify-between">
+            <div className="bg-emerald-50 rounded-3xl p-5 border border-emerald-100">
                 <div className="flex items-center gap-3">
                     <div className="w-10 h-10 rounded-2xl bg-white flex items-center justify-center shadow-sm">
                         <Droplets className="text-emerald-500" size={18} />
                     </div>
                     <div>
                         <p className="text-[10px] font-black text-emerald-600 uppercase tracking-widest leading-none mb-1">Dry Window Finder</p>
-                        <p className="text-sm font-black text-gray-800">{windowFinder}</p>
+                        <p className="text-sm font-black text-gray-800">
+                            {dryWindow ? dryWindow.label : `No ${dryMinutes / 60}h dry spell in the forecast`}
+                        </p>
                     </div>
                 </div>
-                <button className="w-8 h-8 rounded-full bg-white flex items-center justify-center text-emerald-500 shadow-sm active:scale-90 transition-transform">
-                    <ArrowUpRight size={16} />
-                </button>
+                <div className="flex gap-2 mt-3">
+                    {DRY_WINDOW_OPTIONS.map(minutes => (
+                        <button
+                            key={minutes}
+                            onClick={() => setDryMinutes(minutes)}
+                            className={`px-3 py-1 rounded-full text-[11px] font-black transition-colors ${
+                                dryMinutes === minutes ? 'bg-emerald-500 text-white' : 'bg-white text-emerald-600'
+                            }`}
+                        >
+                            {minutes / 60}h
+                        </button>
+                    ))}
+                </div>
             </div>
 
             {/* Venue Specific Advice */}
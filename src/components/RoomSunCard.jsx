@@ -1,7 +1,8 @@
 import React from 'react';
 import { motion } from 'framer-motion';
+import SunCalendarHeatmap from './SunCalendarHeatmap';
 
-export default function RoomSunCard({ room }) {
+export default function RoomSunCard({ room, venue }) {
   if (!room) return null;
 
   const {
@@ -69,6 +70,8 @@ export default function RoomSunCard({ room }) {
           </p>
         </div>
       </div>
+
+      {venue && <SunCalendarHeatmap venue={venue} room={room} />}
     </motion.div>
   );
 }
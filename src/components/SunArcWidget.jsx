@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { DEFAULT_REGION } from '../config/regions';
 
 // Lightweight sun position calculator (no suncalc dependency needed)
 function getSunPosition(date, lat, lng) {
@@ -43,10 +44,10 @@ function getSunTimes(lat, lng) {
 
 /**
  * SunArcWidget – shows sun position arc, sunrise/sunset times, and sun dot
- * @param {number} lat - Venue latitude (default Melbourne)
- * @param {number} lng - Venue longitude (default Melbourne)
+ * @param {number} lat - Venue latitude (default region centre)
+ * @param {number} lng - Venue longitude (default region centre)
  */
-export default function SunArcWidget({ lat = -37.8136, lng = 144.9631 }) {
+export default function SunArcWidget({ lat = DEFAULT_REGION.center.lat, lng = DEFAULT_REGION.center.lng }) {
   const [now, setNow] = useState(new Date());
   const sunTimes = getSunTimes(lat, lng);
 
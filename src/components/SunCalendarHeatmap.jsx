@@ -0,0 +1,128 @@
+import React, { useMemo, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { getVenueSunCalendar } from '../data/sunshineIntelligence';
+import { MONTH_LABELS } from '../utils/sunCalendar';
+
+/**
+ * SunCalendarHeatmap
+ *
+ * Year view of direct sun for a venue's outdoor area or one of its rooms:
+ * week of the year × hour of the day, plus the average daily sun per month
+ * and the best months. Collapsed until opened, since the year takes a
+ * moment to compute.
+ *
+ * Props:
+ *   venue  {object}  Venue with lat / lng
+ *   room   {object}  Optional room (orientation, horizonProfile, obstructionLevel)
+ *   year   {number}  Calendar year (default: this year)
+ */
+
+const FIRST_HOUR = 5;   // rows run 5am–9pm
+const LAST_HOUR  = 21;
+const CELL = 6;
+const HEATMAP_HEIGHT_PX = 90;
+const HOUR_LABELS = [FIRST_HOUR, (FIRST_HOUR + LAST_HOUR) / 2, LAST_HOUR];
+
+const fmtHour = (h) => `${h % 12 || 12}${h < 12 ? 'am' : 'pm'}`;
+
+// Days → weekly columns of average sun minutes per hour
+function toWeeks(days) {
+  const weeks = [];
+  for (let i = 0; i < days.length; i += 7) {
+    const chunk = days.slice(i, i + 7);
+    weeks.push({
+      month: chunk[0].month,
+      hours: chunk[0].hours.map((_, h) => chunk.reduce((sum, d) => sum + d.hours[h], 0) / chunk.length),
+    });
+  }
+  return weeks;
+}
+
+export default function SunCalendarHeatmap({ venue, room = null, year }) {
+  const [open, setOpen] = useState(false);
+
+  const calendar = useMemo(
+    () => (open ? getVenueSunCalendar(venue, { room, year }) : null),
+    [open, venue?.lat, venue?.lng, venue?.horizonProfile, room, year],
+  );
+  const weeks = useMemo(() => (calendar ? toWeeks(calendar.days) : []), [calendar]);
+
+  if (!Number.isFinite(Number(venue?.lat)) || !Number.isFinite(Number(venue?.lng))) return null;
+
+  const rows = LAST_HOUR - FIRST_HOUR + 1;
+  const width = weeks.length * CELL;
+  const height = rows * CELL;
+  const best = new Set(calendar?.bestMonths || []);
+
+  return (
+    <div className="mt-2">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className="text-[11px] font-bold text-amber-600 flex items-center gap-1"
+        style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer' }}
+      >
+        📅 {open ? 'Hide' : 'Sun across the year'}
+      </button>
+
+      <AnimatePresence>
+        {open && calendar && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="mt-2 overflow-hidden"
+          >
+            <div className="flex gap-1">
+              <div className="flex flex-col justify-between text-[8px] text-slate-400 font-semibold" style={{ height: HEATMAP_HEIGHT_PX }}>
+                {HOUR_LABELS.map(h => <span key={h}>{fmtHour(h)}</span>)}
+              </div>
+              <svg viewBox={`0 0 ${width} ${height}`} width="100%" preserveAspectRatio="none" style={{ height: HEATMAP_HEIGHT_PX, borderRadius: 6, background: 'rgba(15,23,42,0.04)' }}>
+                {weeks.map((week, x) => week.hours.slice(FIRST_HOUR, LAST_HOUR + 1).map((minutes, y) => (
+                  minutes > 0 && (
+                    <rect
+                      key={`${x}:${y}`}
+                      x={x * CELL}
+                      y={y * CELL}
+                      width={CELL}
+                      height={CELL}
+                      fill="#F59E0B"
+                      opacity={Math.min(1, minutes / 60)}
+                    />
+                  )
+                )))}
+              </svg>
+            </div>
+
+            <div className="grid mt-2 gap-1" style={{ gridTemplateColumns: 'repeat(12, 1fr)' }}>
+              {calendar.months.map(m => (
+                <div
+                  key={m.month}
+                  className="flex flex-col items-center rounded-md py-1"
+                  style={{ background: best.has(m.label) ? 'rgba(245,158,11,0.15)' : 'transparent' }}
+                  title={`${m.label}: ${m.avgSunHours}h a day, ${m.sunnyDays} days with an hour or more`}
+                >
+                  <span className="text-[8px] uppercase font-black text-slate-400">{MONTH_LABELS[m.month - 1][0]}</span>
+                  <span className="text-[9px] font-bold" style={{ color: m.avgSunHours > 0 ? '#B45309' : '#94A3B8' }}>
+                    {m.avgSunHours}h
+                  </span>
+                </div>
+              ))}
+            </div>
+
+            <p className="text-[11px] text-slate-600 font-semibold mt-2">
+              {calendar.bestMonths.length
+                ? `Best months: ${calendar.bestMonths.join(', ')}`
+                : 'No direct sun at any time of year'}
+              {calendar.peakHour != null && ` · most sun around ${fmtHour(calendar.peakHour)}`}
+            </p>
+            <p className="text-[10px] text-slate-400 mt-0.5">
+              {calendar.source === 'horizon'
+                ? 'Average direct sun per day, allowing for the surrounding buildings'
+                : 'Average direct sun per day, estimated from which way it faces'}
+            </p>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -7,7 +7,7 @@
  *   - Venue silhouette (type-based)
  *   - Shadow cone sweep
  *   - Timeline scrubber (6am–8pm)
- *   - Sunshine Score™ ring
+ *   - Sunstay Score ring
  *
  * Usage:
  *   <SunShadowSimulator venue={venue} weather={weather} />
@@ -19,8 +19,9 @@ import {
   getVenueFacingBearing,
   getSunExposureAtVenue,
   getSunTimeline,
-  calculateSunshineScore,
 } from '../data/sunshineIntelligence';
+import { scoreVenue } from '../utils/venueScore';
+import { useComfortProfile } from '../context/ComfortProfileContext';
 
 // ── Venue Silhouette Shapes ───────────────────────────────────────
 const VENUE_SHAPES = {
@@ -163,6 +164,7 @@ export default function SunShadowSimulator({ venue, weather = {} }) {
   const [liveData, setLiveData] = useState(null);
   const [scoreData, setScoreData] = useState(null);
   const intervalRef = useRef(null);
+  const { profile: comfort } = useComfortProfile();
 
   // Build timeline on mount
   useEffect(() => {
@@ -188,14 +190,14 @@ export default function SunShadowSimulator({ venue, weather = {} }) {
       const now = new Date();
       const solar = getSolarData(venue, now);
       const exposure = getSunExposureAtVenue(venue, now);
-      const score = calculateSunshineScore(venue, weather, now);
+      const score = scoreVenue(venue, weather, { date: now, comfort });
       setLiveData({ solar, exposure });
       setScoreData(score);
     };
     update();
     intervalRef.current = setInterval(update, 60000);
     return () => clearInterval(intervalRef.current);
-  }, [venue, weather]);
+  }, [venue, weather, comfort]);
 
   const currentSlot = scrubIndex !== null ? timeline[scrubIndex] : null;
   const displayAzimuth = currentSlot?.azimuthDeg ?? liveData?.solar?.azimuthDeg ?? 180;
@@ -243,9 +245,9 @@ export default function SunShadowSimulator({ venue, weather = {} }) {
         {scoreData && (
           <ScoreRing
             score={scoreData.score}
-            gradeColor={scoreData.gradeColor}
-            gradeEmoji={scoreData.gradeEmoji}
-            grade={scoreData.grade}
+            gradeColor={scoreData.grade.color}
+            gradeEmoji={scoreData.grade.emoji}
+            grade={scoreData.grade.grade}
           />
         )}
       </div>
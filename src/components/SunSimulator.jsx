@@ -2,12 +2,13 @@ import React, { useState, useMemo, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import SunCalc from 'suncalc';
 import { Sun, Moon, Clock, Sparkles } from 'lucide-react';
+import { DEFAULT_REGION } from '../config/regions';
 
 const SunSimulator = ({ venue, photoUrl }) => {
     const [time, setTime] = useState(new Date().getHours() + new Date().getMinutes() / 60);
     const [hapticEnabled, setHapticEnabled] = useState(true);
 
-    const venueCoords = { lat: venue.lat || -37.8136, lon: venue.lng || 144.9631 };
+    const venueCoords = { lat: venue.lat || DEFAULT_REGION.center.lat, lon: venue.lng || DEFAULT_REGION.center.lng };
 
     const sunData = useMemo(() => {
         const date = new Date();
@@ -1,22 +1,33 @@
 /**
  * SunshineScoreBadge.jsx
  * ─────────────────────────────────────────────────
- * Compact Sunshine Score™ badge for VenueCard and map markers.
- * Three sizes: 'sm' (map pin), 'md' (card chip), 'lg' (detail panel)
+ * Compact Sunstay Score badge for VenueCard and map markers.
+ * Three sizes: 'sm' (map pin), 'md' (card chip), 'lg' (detail panel
+ * with the per-factor breakdown and the reasons behind the number)
  *
  * Usage:
  *   import SunshineScoreBadge from './SunshineScoreBadge';
  *   <SunshineScoreBadge venue={venue} weather={weather} size="md" />
+ *
+ * Scores against the venue's own grid-cell weather once it loads;
+ * `weather` is only the fallback until then.
  */
 
 import { useMemo } from 'react';
-import { calculateSunshineScore } from '../data/sunshineIntelligence';
+import { scoreVenue } from '../utils/venueScore';
+import { useVenueWeather } from '../hooks/useVenueWeather';
+import { useComfortProfile } from '../context/ComfortProfileContext';
 
 export default function SunshineScoreBadge({ venue, weather = {}, size = 'md', showLabel = true }) {
-  const score = useMemo(
-    () => calculateSunshineScore(venue, weather),
-    [venue, weather]
+  // Prefer conditions at the venue itself; the passed-in weather covers the first render
+  const { weather: venueWeather } = useVenueWeather(venue);
+  const effectiveWeather = venueWeather ?? weather;
+  const { profile: comfort } = useComfortProfile();
+  const result = useMemo(
+    () => scoreVenue(venue, effectiveWeather, { comfort }),
+    [venue, effectiveWeather, comfort]
   );
+  const { score, grade } = result;
 
   if (size === 'sm') {
     // Tiny dot for map markers — just the coloured score number
@@ -24,15 +35,15 @@ export default function SunshineScoreBadge({ venue, weather = {}, size = 'md', s
       <span
         className="inline-flex items-center justify-center rounded-full font-bold leading-none"
         style={{
-          backgroundColor: score.gradeColor,
+          backgroundColor: grade.color,
           color: '#fff',
           fontSize: '9px',
           width: '20px',
           height: '20px',
         }}
-        title={`Sunshine Score: ${score.score}/100`}
+        title={`Sunstay Score: ${score}/100${result.reasons.length ? ` · ${result.reasons.join(' · ')}` : ''}`}
       >
-        {score.score}
+        {score}
       </span>
     );
   }
@@ -42,51 +53,52 @@ export default function SunshineScoreBadge({ venue, weather = {}, size = 'md', s
     return (
       <div
         className="rounded-2xl p-4 border"
-        style={{ backgroundColor: score.gradeBg, borderColor: score.gradeColor + '33' }}
+        style={{ backgroundColor: grade.bg, borderColor: grade.color + '33' }}
       >
         <div className="flex items-center justify-between mb-3">
           <div>
-            <p className="text-xs font-semibold uppercase tracking-wide text-gray-500">Sunshine Score™</p>
-            <p className="text-2xl font-black" style={{ color: score.gradeColor }}>
-              {score.gradeEmoji} {score.score}<span className="text-sm font-normal text-gray-400">/100</span>
+            <p className="text-xs font-semibold uppercase tracking-wide text-gray-500">Sunstay Score</p>
+            <p className="text-2xl font-black" style={{ color: grade.color }}>
+              {grade.emoji} {score}<span className="text-sm font-normal text-gray-400">/100</span>
             </p>
-            <p className="text-sm font-semibold" style={{ color: score.gradeColor }}>{score.gradeLabel}</p>
+            <p className="text-sm font-semibold" style={{ color: grade.color }}>{grade.label}</p>
           </div>
           <div
             className="text-4xl font-black"
-            style={{ color: score.gradeColor, opacity: 0.15 }}
+            style={{ color: grade.color, opacity: 0.15 }}
           >
-            {score.grade}
+            {grade.grade}
           </div>
         </div>
 
         {/* Breakdown bars */}
         <div className="space-y-1.5">
-          {[
-            { label: 'Sun Window', key: 'sunWindow', max: 25 },
-            { label: 'Direct Exposure', key: 'sunExposure', max: 25 },
-            { label: 'Comfort', key: 'comfort', max: 20 },
-            { label: 'Wind Shelter', key: 'wind', max: 15 },
-            { label: 'UV Quality', key: 'uv', max: 10 },
-            { label: 'Golden Hour', key: 'goldenHour', max: 5 },
-          ].map(({ label, key, max }) => (
-            <div key={key} className="flex items-center gap-2">
-              <span className="text-xs text-gray-500 w-28 shrink-0">{label}</span>
+          {result.factors.filter(f => f.applicable).map(f => (
+            <div key={f.id} className="flex items-center gap-2" title={f.reason ?? undefined}>
+              <span className="text-xs text-gray-500 w-28 shrink-0">{f.label}</span>
               <div className="flex-1 h-1.5 rounded-full bg-white/60">
                 <div
                   className="h-full rounded-full transition-all duration-500"
                   style={{
-                    width: `${(score.breakdown[key] / max) * 100}%`,
-                    backgroundColor: score.gradeColor,
+                    width: `${f.value * 100}%`,
+                    backgroundColor: grade.color,
                   }}
                 />
               </div>
-              <span className="text-xs font-semibold w-8 text-right" style={{ color: score.gradeColor }}>
-                {score.breakdown[key]}/{max}
+              <span className="text-xs font-semibold w-12 text-right" style={{ color: grade.color }}>
+                {Math.round(f.points)}/{Math.round(f.maxPoints)}
               </span>
             </div>
           ))}
         </div>
+
+        {result.reasons.length > 0 && (
+          <ul className="mt-3 space-y-0.5">
+            {result.reasons.map(reason => (
+              <li key={reason} className="text-xs text-gray-600">· {reason}</li>
+            ))}
+          </ul>
+        )}
       </div>
     );
   }
@@ -96,13 +108,13 @@ export default function SunshineScoreBadge({ venue, weather = {}, size = 'md', s
     <span
       className="inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-xs font-semibold"
       style={{
-        backgroundColor: score.gradeBg,
-        color: score.gradeColor,
-        border: `1px solid ${score.gradeColor}33`,
+        backgroundColor: grade.bg,
+        color: grade.color,
+        border: `1px solid ${grade.color}33`,
       }}
     >
-      {score.gradeEmoji} {score.score}
-      {showLabel && <span className="font-normal opacity-80">· {score.gradeLabel}</span>}
+      {grade.emoji} {score}
+      {showLabel && <span className="font-normal opacity-80">· {grade.label}</span>}
     </span>
   );
 }
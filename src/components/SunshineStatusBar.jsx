@@ -16,12 +16,13 @@
  */
 
 import React, { useMemo } from 'react';
+import { useVenueWeather } from '../hooks/useVenueWeather';
 import { Sun, Thermometer, Clock, CloudOff } from 'lucide-react';
 import {
     getWindProfile,
     calculateApparentTemp,
     getComfortZone,
-    generateHourlyForecast,
+    getHourlyWindForecast,
     getOptimalBookingTime,
 } from '../data/windIntelligence';
 
@@ -45,7 +46,7 @@ const fmtHour = (h) => {
 /**
  * Given the hourly forecast, calculate how many consecutive sunny hours
  * remain starting from now (index 0 = current hour).
- * A hour is "sunny" if feelsLike comfort is warm/mild and no rain.
+ * A hour is "sunny" if it is daytime, feelsLike comfort is warm/mild and no rain.
  */
 const getSunshineWindow = (forecast) => {
     if (!forecast || forecast.length === 0) return { remainingMins: 0, nextSunnyHour: null };
@@ -58,6 +59,7 @@ const getSunshineWindow = (forecast) => {
     for (let i = 0; i < forecast.length; i++) {
         const h = forecast[i];
         const isSunny = (
+            h.isDay !== false &&
             !h.condition?.toLowerCase().includes('rain') &&
             !h.condition?.toLowerCase().includes('storm') &&
             (h.comfort?.level === 'warm' || h.comfort?.level === 'mild' || h.comfort?.level === 'hot')
@@ -77,6 +79,7 @@ const getSunshineWindow = (forecast) => {
         for (let i = 1; i < forecast.length; i++) {
             const h = forecast[i];
             const isSunny = (
+                h.isDay !== false &&
                 !h.condition?.toLowerCase().includes('rain') &&
                 !h.condition?.toLowerCase().includes('storm') &&
                 (h.comfort?.level === 'warm' || h.comfort?.level === 'mild' || h.comfort?.level === 'hot')
@@ -94,10 +97,11 @@ const getSunshineWindow = (forecast) => {
 // ── component ─────────────────────────────────────────────────────
 
 const SunshineStatusBar = ({ weather, venue, compact = false }) => {
+    const { forecast: venueForecast } = useVenueWeather(venue);
     const data = useMemo(() => {
         if (!weather || !venue) return null;
 
-        const profile = getWindProfile(venue);
+        const profile = getWindProfile(venue, weather.wind?.deg);
         const temp = weather.main?.temp ?? 20;
         const wind = weather.wind?.speed ?? 0;
         const humidity = weather.main?.humidity ?? 50;
@@ -105,7 +109,7 @@ const SunshineStatusBar = ({ weather, venue, compact = false }) => {
             calculateApparentTemp(temp, wind, humidity, profile.shelterFactor)
         );
         const comfort = getComfortZone(feelsLike);
-        const forecast = generateHourlyForecast(temp, wind, humidity, venue);
+        const forecast = getHourlyWindForecast(venueForecast, venue);
         const { remainingMins, nextSunnyHour, sunnyConsecutive } = getSunshineWindow(forecast);
         const optimalWindow = getOptimalBookingTime(forecast);
         const condition = (weather.weather?.[0]?.main ?? '').toLowerCase();
@@ -113,7 +117,7 @@ const SunshineStatusBar = ({ weather, venue, compact = false }) => {
         const isSunny = !isRaining && (sunnyConsecutive > 0);
 
         return { feelsLike, comfort, remainingMins, nextSunnyHour, isSunny, optimalWindow, forecast };
-    }, [weather, venue]);
+    }, [weather, venueForecast, venue]);
 
     if (!data) return null;
 
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import { Sun, Cloud, Wind, CloudRain } from 'lucide-react';
+import { useRegion } from '../context/RegionContext';
 
 const BANNER_GRADIENT = 'linear-gradient(135deg, #1E3A8A 0%, #3B82F6 100%)';
 
@@ -21,8 +22,9 @@ const WeatherIcon = ({ condition, windSpeed }) => {
     return <Sun size={16} className="text-yellow-300" />;
 };
 
-const TopBar = ({ searchQuery, onSearchChange, onRecenter, weather, onFiltersOpen, comfort }) => {
+const TopBar = ({ searchQuery, onSearchChange, onRecenter, weather, lastUpdated, isStale, onFiltersOpen, comfort, onComfortOpen, onRulesOpen }) => {
     const [logoFailed, setLogoFailed] = useState(false);
+    const { regionId, regions, setRegionId } = useRegion();
 
     const temp = weather ? Math.round(weather.main?.temp || 0) : null;
     const condition = (weather?.weather?.[0]?.main || '').toLowerCase();
@@ -78,7 +80,18 @@ const TopBar = ({ searchQuery, onSearchChange, onRecenter, weather, onFiltersOpe
 
                 {/* Centre weather display */}
                 <div className="flex-1 min-w-0 flex flex-col items-center justify-center gap-0.5 relative z-10">
-                    <span className="text-white font-bold text-[13px] tracking-[1.5px] uppercase">Melbourne</span>
+                    <select
+                        value={regionId}
+                        onChange={(e) => setRegionId(e.target.value)}
+                        aria-label="City"
+                        className="bg-transparent text-white font-bold text-[13px] tracking-[1.5px] uppercase text-center cursor-pointer outline-none appearance-none"
+                    >
+                        {regions.map(r => (
+                            <option key={r.id} value={r.id} className="text-gray-900 normal-case">
+                                {r.name}
+                            </option>
+                        ))}
+                    </select>
                     {weather && (
                         <span
                             className="text-white font-black text-[32px] leading-none tracking-tight"
@@ -91,11 +104,34 @@ const TopBar = ({ searchQuery, onSearchChange, onRecenter, weather, onFiltersOpe
                         <span className="text-white/70 text-[11px] font-medium italic">
                             {weather ? descFormatted : 'Loading\u2026'}
                         </span>
-                        {comfort && comfort.label !== 'Loading' && (
-                            <span className="text-[10px] bg-white/20 text-white px-2 py-0.5 rounded-full shadow-sm border border-white/10 font-medium tracking-wide">
-                                {comfort.icon} {comfort.label}
+                        {lastUpdated && (
+                            <span className="text-white/60 text-[10px]">
+                                {isStale ? 'Cached · updated ' : 'Updated '}
+                                {lastUpdated.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
                             </span>
                         )}
+                        <div className="flex items-center gap-1">
+                            {comfort && comfort.label !== 'Loading' && (
+                                <button
+                                    type="button"
+                                    onClick={onComfortOpen}
+                                    aria-label="Edit your comfort profile"
+                                    className="text-[10px] bg-white/20 text-white px-2 py-0.5 rounded-full shadow-sm border border-white/10 font-medium tracking-wide cursor-pointer"
+                                >
+                                    {comfort.icon} {comfort.label}
+                                </button>
+                            )}
+                            {onRulesOpen && (
+                                <button
+                                    type="button"
+                                    onClick={onRulesOpen}
+                                    aria-label="Edit your alert rules"
+                                    className="text-[10px] bg-white/20 text-white px-2 py-0.5 rounded-full shadow-sm border border-white/10 font-medium tracking-wide cursor-pointer"
+                                >
+                                    🔔 Alerts
+                                </button>
+                            )}
+                        </div>
                     </div>
                 </div>
 
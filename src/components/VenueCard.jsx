@@ -15,7 +15,11 @@ import VenueCardSun from './VenueCardSun';
 import VenueCardActions from './VenueCardActions';
 import WindComfortPanel from './WindComfortPanel';
 import RoomSunCard from './RoomSunCard';
+import SunshineScoreBadge from './SunshineScoreBadge';
 import { useWeather } from '../context/WeatherContext';
+import { useVenueWeather } from '../hooks/useVenueWeather';
+import { scoreVenue } from '../utils/venueScore';
+import { useComfortProfile } from '../context/ComfortProfileContext';
 
 // ── Helpers ────────────────────────────────────────────────
 const ACCOMMODATION_VIBES = [
@@ -189,19 +193,17 @@ const RoomIntelligencePanel = ({ roomIntelligence }) => {
 };
 
 // ── Sunstay Score Hero Badge ────────────────────────────────────
-const SunstayScoreBadge = ({ score, bestWindow }) => {
-  const pct = Math.round(Math.max(0, Math.min(100, score)));
+const SunstayScoreBadge = ({ result, bestWindow }) => {
+  const pct = result.score;
+  const { tier, emoji, label } = result.grade;
 
   // Colour ramp: cold/poor → blue, mid → amber, high → emerald
-  const { bg, border, text, fill, glow } = pct >= 75
+  const { bg, border, text, fill, glow } = tier === 'prime' || tier === 'good'
     ? { bg: 'rgba(16,185,129,0.09)', border: 'rgba(16,185,129,0.35)', text: '#065F46', fill: '#10B981', glow: 'rgba(16,185,129,0.15)' }
-    : pct >= 50
+    : tier === 'moderate'
     ? { bg: 'rgba(245,158,11,0.09)', border: 'rgba(245,158,11,0.35)', text: '#92400E', fill: '#F59E0B', glow: 'rgba(245,158,11,0.15)' }
     : { bg: 'rgba(14,165,233,0.08)', border: 'rgba(14,165,233,0.28)', text: '#0C4A6E', fill: '#0EA5E9', glow: 'rgba(14,165,233,0.12)' };
 
-  const emoji = pct >= 75 ? '☀️' : pct >= 50 ? '🌤️' : '🌥️';
-  const label = pct >= 75 ? 'Peak Comfort' : pct >= 50 ? 'Good Conditions' : 'Worth a Look';
-
   // Best window line (only show if there is a meaningful future window)
   const showWindow = bestWindow?.type === 'FUTURE_WINDOW' && bestWindow.startsInHours > 0;
 
@@ -239,6 +241,11 @@ const SunstayScoreBadge = ({ score, bestWindow }) => {
           <span className="text-lg leading-none">{emoji}</span>
         </div>
         <span className="text-lg font-black leading-tight" style={{ color: '#1E293B' }}>{label}</span>
+        {result.reasons.length > 0 && (
+          <span className="text-[11px] font-semibold leading-snug" style={{ color: '#475569' }}>
+            {result.reasons.join(' · ')}
+          </span>
+        )}
         {showWindow && (
           <motion.span
             className="text-[12px] font-bold leading-tight mt-0.5"
@@ -359,15 +366,21 @@ const DetailedForecastAccordion = ({ lat, lng, venue, uvIndex, aqLabel }) => {
 };
 
 // ── Main VenueCard ────────────────────────────────────────────
-function VenueCard({ venue, weather, onClose, onCenter, cozyWeatherActive, setShowOwnerDashboard, setSelectedVenue, liveVenueFeatures }) {
+function VenueCard({ venue, weather: cityWeather, onClose, onCenter, cozyWeatherActive, setShowOwnerDashboard, setSelectedVenue, liveVenueFeatures }) {
+  // Conditions at this venue (shared with its grid cell); city snapshot until loaded
+  const { weather: venueWeather, forecast: venueForecast } = useVenueWeather(venue);
+  const weather = venueWeather ?? cityWeather;
+
   const dragControls = useDragControls();
+  const [showScoreBreakdown, setShowScoreBreakdown] = useState(false);
   const mouseX = useMotionValue(0);
   const mouseY = useMotionValue(0);
   const rotateX = useSpring(useTransform(mouseY, [-0.5, 0.5], [4, -4]), { stiffness: 200, damping: 25 });
   const rotateY = useSpring(useTransform(mouseX, [-0.5, 0.5], [-4, 4]), { stiffness: 200, damping: 25 });
 
-  // Pull calculateSunstayScore + getBestWindow from context
-  const { calculateSunstayScore, getBestWindow } = useWeather();
+  // Pull getBestWindow from context
+  const { getBestWindow } = useWeather();
+  const { profile: comfort } = useComfortProfile();
 
   function handlePointerMove(e) {
     const rect = e.currentTarget.getBoundingClientRect();
@@ -386,9 +399,10 @@ function VenueCard({ venue, weather, onClose, onCenter, cozyWeatherActive, setSh
   const hourlyData = weather?.rawWeather?.hourly ?? (weather?.rawWeather?.time ? weather.rawWeather : null) ?? null;
   const temp       = weather?.rawWeather?.temp ?? weather?.main?.temp ?? weather?.temp ?? 22;
   const wind       = weather?.rawWeather?.wind ?? weather?.wind?.speed ?? 0;
-  // Use context-computed score (venue-adjusted) if available, fall back to prop score
-  const contextScore = typeof calculateSunstayScore === 'function' ? calculateSunstayScore(venue) : null;
-  const score      = contextScore ?? weather?.score ?? weather?.rawWeather?.score ?? 70;
+  // One Sunstay Score for the whole card, against the venue's own weather
+  const scoreResult = useMemo(() => scoreVenue(venue, weather, { comfort }), [venue, weather, comfort]);
+  const score      = scoreResult.score;
+  const { tier }   = scoreResult.grade;
   const uvIndex    = weather?.rawWeather?.uvIndex ?? venue?.weatherNow?.uvIndex ?? 3;
   const precipProb = weather?.rawWeather?.precipProb ?? venue?.weatherNow?.precipProb ?? 0;
   const feelsLike  = weather?.rawWeather?.feelsLike ?? temp;
@@ -480,13 +494,13 @@ function VenueCard({ venue, weather, onClose, onCenter, cozyWeatherActive, setSh
     if (wind > 30)       return { icon: '🌬️', text: 'High Wind — Sit Indoors', color: '#94A3B8' };
     if (cloudNow > 70)   return { icon: '☁️',  text: 'Overcast — Cosy Vibes Today', color: '#64748B' };
     if (cloudNow > 40)   return { icon: '⛅',  text: 'Partly Cloudy — Some Sun Breaks', color: '#94A3B8' };
-    if (score > 75)      return { icon: '☀️',  text: 'Prime Outdoor Conditions', color: '#F59E0B' };
-    if (score >= 50)     return { icon: '🌤️',  text: 'Good Afternoon Sun Expected', color: '#0EA5E9' };
+    if (tier === 'prime') return { icon: '☀️',  text: 'Prime Outdoor Conditions', color: '#F59E0B' };
+    if (tier !== 'cosy') return { icon: '🌤️',  text: 'Good Afternoon Sun Expected', color: '#0EA5E9' };
     return               { icon: '☁️',  text: 'Overcast — Cosy Vibes Today', color: '#64748B' };
-  }, [precipProb, precipProbability, wind, score, cloudcover]);
+  }, [precipProb, precipProbability, wind, tier, cloudcover]);
 
-  const scoreLabel = useMemo(() => { if (score > 75) return 'Perfect Now'; if (score >= 50) return 'Good Choice'; return 'Worth a Look'; }, [score]);
-  const scoreMeaningLabel = useMemo(() => { if (score >= 75) return 'Great conditions'; if (score >= 50) return 'Decent today'; return 'Not ideal'; }, [score]);
+  const scoreLabel = scoreResult.grade.label;
+  const scoreMeaningLabel = scoreResult.reasons[0] ?? scoreLabel;
 
   const displaySunrise = useMemo(() => {
     if (venue?.sunrise) return venue.sunrise;
@@ -567,7 +581,16 @@ function VenueCard({ venue, weather, onClose, onCenter, cozyWeatherActive, setSh
             />
 
             {/* ── SUNSTAY SCORE BADGE + BEST WINDOW ── */}
-            <SunstayScoreBadge score={score} bestWindow={bestWindow} />
+            <SunstayScoreBadge result={scoreResult} bestWindow={bestWindow} />
+            <button
+              type="button"
+              onClick={() => setShowScoreBreakdown(open => !open)}
+              className="self-start text-[11px] font-bold text-slate-500 -mt-1"
+              style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer' }}
+            >
+              {showScoreBreakdown ? 'Hide breakdown' : 'Why this score?'}
+            </button>
+            {showScoreBreakdown && <SunshineScoreBadge venue={venue} weather={weather} size="lg" />}
 
             {/* LIVE PREDICTIVE NOWCAST RADAR TRACKER
                 Only renders when Tomorrow.io detects rain within 45 mins.
@@ -634,7 +657,8 @@ function VenueCard({ venue, weather, onClose, onCenter, cozyWeatherActive, setSh
               sunshineMins={sunshineMins}
               daylightHours={daylightHours}
               venue={venue}
-              weather={weather}
+              score={scoreResult}
+              getBestWindow={getBestWindow}
             />
             <LiveSunTimeline
               sunData={sunData}
@@ -678,7 +702,7 @@ function VenueCard({ venue, weather, onClose, onCenter, cozyWeatherActive, setSh
               <div className="mt-2">
                 <span className="text-[0.7rem] font-black uppercase tracking-widest text-slate-400 block mb-2 px-1">Room Intelligence</span>
                 {venue.roomTypes.map(room => (
-                  <RoomSunCard key={room.id} room={room} />
+                  <RoomSunCard key={room.id} room={room} venue={venue} />
                 ))}
               </div>
             )}
@@ -696,6 +720,8 @@ function VenueCard({ venue, weather, onClose, onCenter, cozyWeatherActive, setSh
               setShowOwnerDashboard={setShowOwnerDashboard}
               setSelectedVenue={setSelectedVenue}
               venue={venue}
+              bestWindow={bestWindow}
+              forecast={venueForecast}
             />
             <div style={{ height: 72 }} />
           </div>
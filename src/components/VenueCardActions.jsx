@@ -1,6 +1,11 @@
 import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { FEATURE_BADGES } from '../config/features';
+import { usePushAlerts } from '../hooks/usePushAlerts';
+import { useCalendarExport } from '../hooks/useCalendarExport';
+
+// Windows worth planning an outing around (see getBestWindow)
+const PLANNABLE_WINDOWS = ['GREAT', 'GOOD'];
 
 const Float = ({ children, delay = 0, range = 6, duration = 4, className = '' }) => (
   <motion.div
@@ -26,7 +31,13 @@ export default function VenueCardActions({
   setShowOwnerDashboard,
   setSelectedVenue,
   venue,
+  bestWindow,
+  forecast,
 }) {
+  const alerts = usePushAlerts(venue?.id);
+  const calendar = useCalendarExport();
+  const canPlan = !!bestWindow?.startsAt && PLANNABLE_WINDOWS.includes(bestWindow.type);
+
   function isHappyHourNow(happyHour) {
     if (!happyHour) return false;
     const now = new Date();
@@ -70,6 +81,48 @@ export default function VenueCardActions({
             <motion.span className="font-black" style={{ fontSize: '15px', color: '#FFFFFF' }} animate={{ scale: [1, 1.05, 1] }} transition={{ duration: 2.8, repeat: Infinity, ease: 'easeInOut' }}>📸 Capture the Vibe</motion.span>
             <input type="file" accept="image/*" capture="environment" className="hidden" onChange={() => {}} />
           </motion.label>
+          {alerts.supported && (
+            <motion.button
+              onClick={alerts.toggle}
+              disabled={alerts.busy}
+              className="flex items-center justify-center gap-2 w-full rounded-2xl font-bold"
+              style={{
+                minHeight: '44px',
+                fontSize: '13px',
+                background: alerts.watching ? 'rgba(245,158,11,0.12)' : '#FFFFFF',
+                border: '1px solid rgba(245,158,11,0.35)',
+                color: '#B45309',
+                opacity: alerts.busy ? 0.6 : 1,
+              }}
+              whileTap={{ scale: 0.97 }}
+            >
+              {alerts.watching ? '🔔 Alerts on — tap to stop' : '🔕 Alert me when it\'s perfect here'}
+            </motion.button>
+          )}
+          {alerts.error && (
+            <span className="font-semibold text-center" style={{ fontSize: '11px', color: '#B91C1C' }}>{alerts.error}</span>
+          )}
+          {canPlan && (
+            <motion.button
+              onClick={() => calendar.addOuting(venue, bestWindow, { forecast: forecast ?? undefined })}
+              disabled={calendar.busy}
+              className="flex items-center justify-center gap-2 w-full rounded-2xl font-bold"
+              style={{
+                minHeight: '44px',
+                fontSize: '13px',
+                background: '#FFFFFF',
+                border: '1px solid rgba(16,185,129,0.35)',
+                color: '#047857',
+                opacity: calendar.busy ? 0.6 : 1,
+              }}
+              whileTap={{ scale: 0.97 }}
+            >
+              📅 Add the best window {bestWindow.startsInHours > 0 ? `(in ${bestWindow.startsInHours}h)` : '(now)'} to my calendar
+            </motion.button>
+          )}
+          {calendar.error && (
+            <span className="font-semibold text-center" style={{ fontSize: '11px', color: '#B91C1C' }}>{calendar.error}</span>
+          )}
         </div>
       </motion.div>
 
@@ -125,6 +125,7 @@ export default function VenueCardHeader({
               expectedRainMm: venue?._weather?.rainMm ?? 0,
               cloudCover: venue?._weather?.cloudCover ?? 0,
               isOutdoor,
+              venue,
             });
             if (!quote) return null;
             return (
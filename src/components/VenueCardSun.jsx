@@ -1,7 +1,7 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 import BalconySunWidget from './BalconySunWidget';
-import SunshineScoreBadge from './SunshineScoreBadge';
+import SunCalendarHeatmap from './SunCalendarHeatmap';
 
 // ── Helpers used only within this file ──────────────────────────
 const ACCOMMODATION_KEYWORDS = [
@@ -86,20 +86,12 @@ const GoldenWindowBar = ({ sunData }) => {
 };
 
 // ── Live score + best window strip ──────────────────────────
-const LiveScoreStrip = ({ venue, weather, calculateSunstayScore, getBestWindow }) => {
-  // Guard: need at least a venue and the context functions
-  if (!venue || typeof calculateSunstayScore !== 'function' || typeof getBestWindow !== 'function') return null;
+const LiveScoreStrip = ({ score, getBestWindow }) => {
+  // Guard: need the card's score result and the context window projection
+  if (!score || typeof getBestWindow !== 'function') return null;
 
-  const score = calculateSunstayScore(venue);
   const window = getBestWindow(8);
-
-  // Choose colour based on score tier
-  const scoreColor =
-    score >= 75 ? '#F59E0B' :   // amber — great
-    score >= 50 ? '#10B981' :   // emerald — good
-    score >= 30 ? '#64748B' :   // slate — marginal
-                  '#3B82F6';    // blue — cold/unfavourable
-
+  const { color } = score.grade;
   const windowColor = window.type === 'CURRENT_PEAK' ? '#F59E0B' : '#10B981';
 
   return (
@@ -107,25 +99,28 @@ const LiveScoreStrip = ({ venue, weather, calculateSunstayScore, getBestWindow }
       className="flex items-center justify-between gap-2 mt-2 pt-2 flex-wrap"
       style={{ borderTop: '1px solid rgba(245,158,11,0.12)' }}
     >
-      {/* Left: Sunstay Score badge */}
-      <div className="flex items-center gap-1.5">
+      {/* Left: Sunstay Score and what's driving it */}
+      <div className="flex items-center gap-1.5 min-w-0">
         <span className="text-[9px] uppercase tracking-widest font-black" style={{ color: '#64748B' }}>
           Sunstay Score
         </span>
         <span
           className="inline-flex items-center gap-1 rounded-full px-2 py-0.5 font-black"
           style={{
-            background: `${scoreColor}18`,
-            color: scoreColor,
-            border: `1px solid ${scoreColor}40`,
+            background: `${color}18`,
+            color,
+            border: `1px solid ${color}40`,
             fontSize: '11px',
           }}
         >
-          {score >= 75 ? '☀️' : score >= 50 ? '😎' : score >= 30 ? '🌤️' : '🥶'} {Math.round(score)}
+          {score.grade.emoji} {score.score}
           <span className="font-normal opacity-70" style={{ fontSize: '9px' }}>/100</span>
         </span>
-        {/* Static SunshineScoreBadge for the venue-level score */}
-        {weather && <SunshineScoreBadge venue={venue} weather={weather} size="md" showLabel={false} />}
+        {score.reasons[0] && (
+          <span className="text-[10px] font-semibold truncate" style={{ color: '#64748B' }}>
+            {score.reasons[0]}
+          </span>
+        )}
       </div>
 
       {/* Right: Forward window projection from getBestWindow */}
@@ -154,10 +149,9 @@ export default function VenueCardSun({
   displaySunset,
   sunshineMins,
   daylightHours,
-  // Venue + live weather props (additive — callers that omit these get old layout)
+  // Venue + live score props (additive — callers that omit these get old layout)
   venue,
-  weather,
-  calculateSunstayScore,
+  score,
   getBestWindow,
 }) {
   if (!hourlyData) return null;
@@ -188,12 +182,7 @@ export default function VenueCardSun({
       </div>
 
       {/* ─── Live Sunstay Score + forward window projection ─── */}
-      <LiveScoreStrip
-        venue={venue}
-        weather={weather}
-        calculateSunstayScore={calculateSunstayScore}
-        getBestWindow={getBestWindow}
-      />
+      <LiveScoreStrip score={score} getBestWindow={getBestWindow} />
 
       {/* Sunrise / Sunset / Sun hours meta row */}
       <div className="flex gap-5 mt-3 pt-3 flex-wrap" style={{ borderTop: '1px solid rgba(0,0,0,0.06)' }}>
@@ -227,6 +216,9 @@ export default function VenueCardSun({
         )}
       </div>
 
+      {/* ─── Year view of direct sun on the venue's outdoor area ─── */}
+      {venue && <SunCalendarHeatmap venue={venue} />}
+
       {/* ─── BalconySunWidget — hotel/apartment only, requires balcony_facing ─── */}
       {showBalconyWidget && (
         <div className="mt-3 pt-3" style={{ borderTop: '1px solid rgba(245,158,11,0.14)' }}>
@@ -234,6 +226,7 @@ export default function VenueCardSun({
             lat={Number(venue.lat)}
             lng={Number(venue.lng)}
             balconyFacing={venue.balcony_facing}
+            horizonProfile={venue.horizonProfile}
             date={new Date()}
             venueName={venue.name}
           />
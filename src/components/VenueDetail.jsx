@@ -19,7 +19,8 @@ import { useWeather } from '../context/WeatherContext';
 import { useAirQuality } from '../hooks/useAirQuality';
 import { calculateApparentTemp } from '../data/windIntelligence';
 import { calculateDynamicToday } from '../utils/sunCalcLogic';
-import { calculateLiveSunScore } from '../utils/sunScore';
+import { scoreVenue } from '../utils/venueScore';
+import { useComfortProfile } from '../context/ComfortProfileContext';
 import { getHappyHourStatus } from '../utils/happyHour';
 
 const TRACK_START_HOUR = 6;
@@ -200,6 +201,7 @@ const VenueDetail = ({ venue, onClose, weather }) => {
     const [weatherGuarantee, setWeatherGuarantee] = useState(false);
     const tomorrowRain = weather?.tomorrowRain || null;
     const { calculateSunstayScore, getTemperature, weather: liveWeather } = useWeather();
+    const { profile: comfort } = useComfortProfile();
     const { airQuality, loading: airQualityLoading } = useAirQuality(venue?.lat, venue?.lng);
 
     // FIX: scroll to top whenever a new venue is opened
@@ -216,28 +218,33 @@ const VenueDetail = ({ venue, onClose, weather }) => {
       expectedRainMm: weather?.rainMm ?? 0,
       cloudCover: weather?.cloudCover ?? 40,
       isOutdoor: !!(venue?.outdoorArea || venue?.rooftop || venue?.beerGarden || venue?.balcony || venue?.vibe?.toLowerCase().includes('garden') || venue?.vibe?.toLowerCase().includes('rooftop')),
+      venue,
     });
 
     if (!venue) return null;
 
     const isAccommodation = checkIsAccommodation(venue);
-    const sunstayScore = calculateSunstayScore(venue);
+    const sunstayScore = calculateSunstayScore(venue, weather);
 
     const hourlyScores = useMemo(() => {
         const radiation = liveWeather?.hourly?.shortwave_radiation || [];
         const precip    = liveWeather?.hourly?.precipitation_probability || [];
         const cloudArr  = liveWeather?.hourly?.cloud_cover || [];
-        const nowHour   = new Date().getHours();
+        const uvArr     = liveWeather?.hourly?.uv_index || [];
+        const now       = new Date();
+        const nowHour   = now.getHours();
         return Array.from({ length: 8 }, (_, i) => {
             const hour = (nowHour + i) % 24;
-            const score = calculateLiveSunScore({
+            const date = new Date(now.getTime() + i * 3600 * 1000);
+            const score = scoreVenue(venue, {
                 shortwaveRadiation: radiation[hour] ?? liveWeather?.shortwaveRadiation ?? 0,
                 apparentTemp:       liveWeather?.main?.feels_like ?? liveWeather?.main?.temp ?? 20,
                 precipProbability:  precip[hour] ?? liveWeather?.precipProbability ?? 0,
                 cloudCover:         cloudArr[hour] ?? liveWeather?.cloudCoverPct ?? liveWeather?.clouds?.all ?? 0,
                 windGusts:          liveWeather?.windGusts ?? 0,
                 isDay:              (hour >= 6 && hour < 20) ? 1 : 0,
-            }).score;
+                uvIndex:            uvArr[hour] ?? null,
+            }, { date, comfort }).score;
             return {
                 hour,
                 score,
@@ -248,7 +255,7 @@ const VenueDetail = ({ venue, onClose, weather }) => {
                      : `${hour - 12}p`,
             };
         });
-    }, [liveWeather]);
+    }, [venue, liveWeather, comfort]);
     const temperature = getTemperature();
     const humidity = weather?.main?.humidity;
     const windSpeedKmh = weather?.wind?.speed != null ? Math.round(weather.wind.speed * 3.6) : null;
@@ -280,6 +287,7 @@ const VenueDetail = ({ venue, onClose, weather }) => {
                 room.orientation,
                 (weather?.clouds?.all || 0) / 100,
                 room.obstructionLevel,
+                room.horizonProfile,
             );
         } catch {
             return null;
@@ -6,12 +6,13 @@ import {
     TrendingDown, Minus, Bell, Info,
 } from 'lucide-react';
 import { useWeather } from '../context/WeatherContext';
+import { useVenueWeather } from '../hooks/useVenueWeather';
 import {
     getWindProfile,
     getWindWarning,
     calculateApparentTemp,
     getComfortZone,
-    generateHourlyForecast,
+    getHourlyWindForecast,
     getWindTrend,
     getOptimalBookingTime,
     getWindImpactExplanation,
@@ -141,7 +142,7 @@ const HourlyForecastStrip = ({ forecast, onHourTap }) => {
                             <div
                                 className="hourly-wind-dot"
                                 style={{ background: dotColors[h.windWarning.level] }}
-                                title={`${h.wind}km/h — ${h.windWarning.label}`}
+                                title={`${h.wind}km/h${h.directionName ? ` ${h.directionName}` : ''}${h.gust != null ? `, gusts ${h.gust}km/h` : ''} — ${h.windWarning.label}`}
                             />
                             <span className="hourly-wind">{h.wind}</span>
                         </motion.div>
@@ -168,6 +169,7 @@ const HourlyForecastStrip = ({ forecast, onHourTap }) => {
 
 const WindComfortPanel = ({ venue }) => {
     const { weather } = useWeather();
+    const { forecast, loading: forecastLoading, error: forecastError } = useVenueWeather(venue);
     const [selectedHour, setSelectedHour] = useState(null);
     const [showAlert, setShowAlert] = useState(false);
 
@@ -179,16 +181,17 @@ const WindComfortPanel = ({ venue }) => {
         const windSpeed = weather.wind?.speed;
         const humidity = weather.main?.humidity;
 
-        const windProfile = getWindProfile(venue);
-        const windWarning = getWindWarning(windSpeed, venue);
+        const windDirection = weather.wind?.deg;
+        const windProfile = getWindProfile(venue, windDirection);
+        const windWarning = getWindWarning(windSpeed, venue, windDirection);
         const apparentTemp = calculateApparentTemp(
             temp, windSpeed, humidity, windProfile.shelterFactor
         );
         const comfort = getComfortZone(apparentTemp);
-        const hourlyForecast = generateHourlyForecast(temp, windSpeed, humidity, venue);
+        const hourlyForecast = getHourlyWindForecast(forecast, venue);
         const windTrend = getWindTrend(hourlyForecast);
         const optimalBooking = getOptimalBookingTime(hourlyForecast);
-        const windImpact = getWindImpactExplanation(temp, windSpeed, apparentTemp, venue);
+        const windImpact = getWindImpactExplanation(temp, windSpeed, apparentTemp, venue, windDirection);
         const alertMessage = getWindAlertMessage(windWarning, venue.venueName);
 
         return {
@@ -206,7 +209,7 @@ const WindComfortPanel = ({ venue }) => {
             windImpact,
             alertMessage,
         };
-    }, [weather, venue]);
+    }, [weather, forecast, venue]);
 
     if (!windData) return null;
 
@@ -216,6 +219,12 @@ const WindComfortPanel = ({ venue }) => {
             ? TrendingDown
             : Minus;
 
+    const forecastNote = forecastLoading
+        ? 'Loading the hourly forecast…'
+        : forecastError
+            ? 'Hourly forecast unavailable right now. Try again later.'
+            : 'No hourly forecast for this venue yet.';
+
     return (
         <div className="wind-comfort-panel">
             {/* ── Section Title ──────────────────────────── */}
@@ -255,10 +264,12 @@ const WindComfortPanel = ({ venue }) => {
             <WindWarningBadge warning={windData.windWarning} />
 
             {/* ── Venue Wind Note ─────────────────────────── */}
-            {windData.windProfile.venueNote && (
+            {(windData.windProfile.shelterNote || windData.windProfile.venueNote) && (
                 <div className="wind-venue-note">
                     <Info size={13} className="text-blue-400 flex-shrink-0 mt-0.5" />
-                    <p>{windData.windProfile.venueNote}</p>
+                    <p>
+                        {[windData.windProfile.shelterNote, windData.windProfile.venueNote].filter(Boolean).join(' · ')}
+                    </p>
                 </div>
             )}
 
@@ -310,10 +321,14 @@ const WindComfortPanel = ({ venue }) => {
                 </div>
             </div>
 
-            <HourlyForecastStrip
-                forecast={windData.hourlyForecast}
-                onHourTap={setSelectedHour}
-            />
+            {windData.hourlyForecast.length > 0 ? (
+                <HourlyForecastStrip
+                    forecast={windData.hourlyForecast}
+                    onHourTap={setSelectedHour}
+                />
+            ) : (
+                <p className="wind-booking-tip">{forecastNote}</p>
+            )}
 
             {/* ── Selected Hour Detail ────────────────────── */}
             <AnimatePresence>
@@ -344,7 +359,9 @@ const WindComfortPanel = ({ venue }) => {
                                 </div>
                                 <div>
                                     <span className="wind-hour-stat-label">Wind</span>
-                                    <span className="wind-hour-stat-value">{selectedHour.wind} km/h</span>
+                                    <span className="wind-hour-stat-value">
+                                        {selectedHour.wind} km/h{selectedHour.gust != null && selectedHour.gust > selectedHour.wind ? ` (gusts ${selectedHour.gust})` : ''}
+                                    </span>
                                 </div>
                             </div>
                             <p className="wind-hour-advice">{selectedHour.comfort.advice}</p>
@@ -3,7 +3,7 @@ import { X, ChevronUp, SlidersHorizontal, Map, List } from 'lucide-react';
 import VenueListCard from './VenueListCard';
 import VenueDetail from '../VenueDetail';
 import FiltersPanel from '../FiltersPanel';
-import { calculateLiveSunScore } from '../../utils/sunScore';
+import { useWeather } from '../../context/WeatherContext';
 
 const QUICK_FILTERS = [
     { id: 'full-sun', label: 'Sunny', icon: '☀️' },
@@ -45,6 +45,7 @@ const ExploreSheet = ({
     externalFiltersOpen,
     onExternalFiltersClose,
 }) => {
+    const { rankVenuesAtTarget } = useWeather();
     const [filtersOpen, setFiltersOpen] = useState(false);
     const effectiveFiltersOpen = externalFiltersOpen || filtersOpen;
     const closeFilters = () => { setFiltersOpen(false); onExternalFiltersClose?.(); };
@@ -184,51 +185,7 @@ const ExploreSheet = ({
                             </button>
                         </div>
                     ) : (
-                        [...venues]
-                            .sort((a, b) => {
-                                const buildInput = () => ({
-                                    shortwaveRadiation: weather?.shortwaveRadiation ?? 0,
-                                    apparentTemp: weather?.main?.feels_like ?? weather?.main?.temp ?? 20,
-                                    precipProbability: weather?.precipProbability ?? 0,
-                                    cloudCover: weather?.cloudCoverPct ?? weather?.clouds?.all ?? 0,
-                                    windGusts: weather?.windGusts ?? (weather?.wind?.speed ?? 0) * 3.6,
-                                    isDay: weather?.isDay ?? 1,
-                                });
-                                const cozyNow =
-                                    (weather?.main?.feels_like ?? weather?.main?.temp ?? 20) <= 16 ||
-                                    (weather?.precipProbability ?? 0) >= 45 ||
-                                    String(weather?.weather?.[0]?.main || '').toLowerCase().includes('rain') ||
-                                    (weather?.windGusts ?? (weather?.wind?.speed ?? 0) * 3.6) >= 35;
-                                const hasHeatA =
-                                    a.tags?.includes('Fireplace') ||
-                                    a.tags?.includes('Heaters') ||
-                                    a.heating ||
-                                    a.fireplace;
-                                const hasHeatB =
-                                    b.tags?.includes('Fireplace') ||
-                                    b.tags?.includes('Heaters') ||
-                                    b.heating ||
-                                    b.fireplace;
-                                const outdoorOnlyA =
-                                    a.tags?.includes('Beer Garden') ||
-                                    a.tags?.includes('Rooftop') ||
-                                    a.tags?.includes('Waterfront') ||
-                                    a.tags?.includes('Outdoor Seating');
-                                const outdoorOnlyB =
-                                    b.tags?.includes('Beer Garden') ||
-                                    b.tags?.includes('Rooftop') ||
-                                    b.tags?.includes('Waterfront') ||
-                                    b.tags?.includes('Outdoor Seating');
-                                const scoreA =
-                                    calculateLiveSunScore(buildInput()).score +
-                                    (cozyNow && hasHeatA ? 22 : 0) -
-                                    (cozyNow && outdoorOnlyA && !hasHeatA ? 8 : 0);
-                                const scoreB =
-                                    calculateLiveSunScore(buildInput()).score +
-                                    (cozyNow && hasHeatB ? 22 : 0) -
-                                    (cozyNow && outdoorOnlyB && !hasHeatB ? 8 : 0);
-                                return scoreB - scoreA;
-                            })
+                        rankVenuesAtTarget(venues)
                             .map(venue => (
                             <VenueListCard
                                 key={venue.id}
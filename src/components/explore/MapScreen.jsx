@@ -1,7 +1,8 @@
 import React, { useState, useRef, useCallback, useMemo } from 'react';
 import { AnimatePresence } from 'framer-motion';
 import { useWeather } from '../../context/WeatherContext';
-import { demoVenues, FILTER_CATEGORIES } from '../../data/demoVenues';
+import { useRegion } from '../../context/RegionContext';
+import { FILTER_CATEGORIES } from '../../data/demoVenues';
 import MapView from '../MapView';
 import TopBar from '../TopBar';
 import ExploreSheet from './ExploreSheet';
@@ -116,6 +117,7 @@ const matchesIntentFilter = (venue, intent) => {
 
 const MapScreen = () => {
     const { weather } = useWeather();
+    const { region, venues: regionVenues } = useRegion();
 
     const [selectedVenue, setSelectedVenue] = useState(null);
     const [sheetMode, setSheetMode] = useState('collapsed');
@@ -166,19 +168,19 @@ const MapScreen = () => {
 
     const filteredVenues = useMemo(() => {
         const normalizedQuery = searchQuery.trim().toLowerCase();
-        return demoVenues.filter(venue => venueMatchesFilters(venue, normalizedQuery, activeFilters));
-    }, [searchQuery, activeFilters, venueMatchesFilters]);
+        return regionVenues.filter(venue => venueMatchesFilters(venue, normalizedQuery, activeFilters));
+    }, [regionVenues, searchQuery, activeFilters, venueMatchesFilters]);
 
     const filteredVenueIds = useMemo(() => {
-        if (filteredVenues.length === demoVenues.length) return null;
+        if (filteredVenues.length === regionVenues.length) return null;
         return filteredVenues.map(v => v.id);
-    }, [filteredVenues]);
+    }, [regionVenues, filteredVenues]);
 
     const resolveVenue = useCallback((venueOrId) => {
         if (!venueOrId) return null;
         if (typeof venueOrId === 'object') return venueOrId;
-        return demoVenues.find(v => String(v.id) === String(venueOrId)) || null;
-    }, []);
+        return regionVenues.find(v => String(v.id) === String(venueOrId)) || null;
+    }, [regionVenues]);
 
     const handleVenueSelect = useCallback((venueOrId, openDetail = false) => {
         const venue = resolveVenue(venueOrId);
@@ -233,14 +235,14 @@ const MapScreen = () => {
     const handleRecenter = useCallback(() => {
         if (mapRef.current?.flyTo) {
             mapRef.current.flyTo({
-                center: [144.9631, -37.8136],
-                zoom: 13,
+                center: [region.center.lng, region.center.lat],
+                zoom: region.zoom,
                 pitch: 45,
                 bearing: -12,
                 duration: 1200,
             });
         }
-    }, []);
+    }, [region]);
 
     const getMarkerColor = useCallback((w) => {
         if (!w) return 'sunny';
@@ -298,7 +300,7 @@ const MapScreen = () => {
                 mapMode={mapMode}
                 onMapModeChange={handleMapModeChange}
                 venues={filteredVenues}
-                totalCount={demoVenues.length}
+                totalCount={regionVenues.length}
                 selectedVenue={selectedVenue}
                 onVenueSelect={(v) => {
                     if (isListMode) setMapMode('map');
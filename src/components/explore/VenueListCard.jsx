@@ -2,19 +2,13 @@ import React from 'react';
 import { motion } from 'framer-motion';
 import { Flame, MapPin } from 'lucide-react';
 import { useWeather } from '../../context/WeatherContext';
-import { calculateLiveSunScore, getComfortTier } from '../../utils/sunScore';
+import { scoreVenue } from '../../utils/venueScore';
+import { useComfortProfile } from '../../context/ComfortProfileContext';
 import { getHappyHourBadge } from '../../utils/happyHour';
 
 const VenueListCard = ({ venue, isSelected, onClick, weather }) => {
     const { cozyMode } = useWeather();
-    const liveInput = {
-        shortwaveRadiation: weather?.shortwaveRadiation ?? 0,
-        apparentTemp: weather?.main?.feels_like ?? weather?.main?.temp ?? 20,
-        precipProbability: weather?.precipProbability ?? 0,
-        cloudCover: weather?.cloudCoverPct ?? weather?.clouds?.all ?? 0,
-        windGusts: weather?.windGusts ?? (weather?.wind?.speed ?? 0) * 3.6,
-        isDay: weather?.isDay ?? 1,
-    };
+    const { profile: comfort } = useComfortProfile();
     const tags = venue.tags || [];
     const hasHeat =
         tags.includes('Fireplace') ||
@@ -22,9 +16,9 @@ const VenueListCard = ({ venue, isSelected, onClick, weather }) => {
         venue?.heating ||
         venue?.fireplace;
     const isCozyPick = cozyMode?.isActive && hasHeat;
-    const baseScore = calculateLiveSunScore(liveInput).score;
-    const displayScore = Math.min(100, baseScore + (isCozyPick ? 22 : 0));
-    const tier = getComfortTier(displayScore);
+    // Ranked lists hand over the score they sorted by
+    const { score: displayScore, grade } = venue._score ?? scoreVenue(venue, weather, { comfort });
+    const { tier } = grade;
     const scorePillStyle = {
         prime:    { bg: 'bg-amber-100',   text: 'text-amber-700',   icon: '☀️'  },
         good:     { bg: 'bg-emerald-100', text: 'text-emerald-700', icon: '🌤️' },
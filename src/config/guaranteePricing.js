@@ -0,0 +1,178 @@
+/**
+ * Weather guarantee pricing
+ * ─────────────────────────────────────────────────────────────
+ * Pricing rules for the rain guarantee, kept as versioned data so a
+ * change in price is a new version that can be backtested (see
+ * utils/guaranteeBacktest) before it is made active, and every sold
+ * policy records the version it was priced with.
+ *
+ * A version holds default rules plus optional per-region overrides and
+ * per-exposure multipliers:
+ *
+ *   premium % = clamp((basePct + Σ loadings) × exposure × rainSafe,
+ *                     minPct, maxPct)
+ *   premium   = max(minPremium, round(bookingValue × premium %))
+ *
+ * A loading adds `add` when the forecast `input` (rainProbability %,
+ * expectedRainMm, cloudCover %) is at least `atLeast`. Exposure keys are
+ * the windIntelligence profile types (getWindProfile().type);
+ * `rainSafeMultiplier` applies to venues with cover (isRainSafe()).
+ * Versions fetched from elsewhere go through registerPricingVersion().
+ *
+ * @module config/guaranteePricing
+ */
+
+const RISK_BANDS = [
+    { band: 'High', minPct: 0.12, color: '#F87171' },
+    { band: 'Medium', minPct: 0.08, color: '#FCD34D' },
+    { band: 'Low', minPct: 0, color: '#34D399' },
+];
+
+// ── Versions ───────────────────────────────────────────────────────────
+
+const PRICING_VERSIONS = {
+    // The original hand-tuned steps, kept so backtests can compare against them
+    '2024.1': {
+        version: '2024.1',
+        effectiveFrom: '2024-11-01',
+        notes: 'Flat rules for every region and venue type',
+        rules: {
+            basePct: 0.05,
+            minPct: 0.05,
+            maxPct: 0.15,
+            minPremium: 6,
+            triggerMm: 10,
+            loadings: [
+                { input: 'rainProbability', atLeast: 40, add: 0.02 },
+                { input: 'rainProbability', atLeast: 65, add: 0.03 },
+                { input: 'expectedRainMm', atLeast: 2, add: 0.02 },
+                { input: 'expectedRainMm', atLeast: 8, add: 0.03 },
+                { input: 'cloudCover', atLeast: 70, add: 0.01 },
+            ],
+            riskBands: RISK_BANDS,
+        },
+        regions: {},
+        exposure: {},
+        rainSafeMultiplier: 1,
+        expenseRatio: 0.15,
+        targetPayoutRatio: 0.6,
+    },
+
+    '2025.1': {
+        version: '2025.1',
+        effectiveFrom: '2025-10-01',
+        notes: 'Region loadings for subtropical storms, exposure multipliers, cover discount',
+        rules: {
+            basePct: 0.05,
+            minPct: 0.04,
+            maxPct: 0.15,
+            minPremium: 6,
+            triggerMm: 10,
+            loadings: [
+                { input: 'rainProbability', atLeast: 40, add: 0.02 },
+                { input: 'rainProbability', atLeast: 65, add: 0.03 },
+                { input: 'expectedRainMm', atLeast: 2, add: 0.02 },
+                { input: 'expectedRainMm', atLeast: 8, add: 0.03 },
+                { input: 'cloudCover', atLeast: 70, add: 0.01 },
+            ],
+            riskBands: RISK_BANDS,
+        },
+        regions: {
+            // Short, heavy afternoon storms: more windows cross the trigger
+            brisbane: {
+                basePct: 0.06,
+                loadings: [
+                    { input: 'rainProbability', atLeast: 30, add: 0.02 },
+                    { input: 'rainProbability', atLeast: 55, add: 0.03 },
+                    { input: 'expectedRainMm', atLeast: 2, add: 0.02 },
+                    { input: 'expectedRainMm', atLeast: 6, add: 0.03 },
+                    { input: 'cloudCover', atLeast: 70, add: 0.01 },
+                ],
+            },
+            sydney: { basePct: 0.055 },
+            perth: { basePct: 0.045 },
+            adelaide: { basePct: 0.045 },
+        },
+        exposure: {
+            rooftop: 1.1,
+            floating: 1.1,
+            waterfront: 1.05,
+            open_park: 1.05,
+            courtyard: 0.95,
+            cafe: 0.95,
+            hotel: 0.9,
+            indoor: 0.9,
+        },
+        rainSafeMultiplier: 0.9,
+        expenseRatio: 0.15,
+        targetPayoutRatio: 0.6,
+    },
+};
+
+export const ACTIVE_PRICING_VERSION = '2025.1';
+
+// ── Access ─────────────────────────────────────────────────────────────
+
+export function listPricingVersions() {
+    return Object.values(PRICING_VERSIONS);
+}
+
+/**
+ * A pricing version by id (default: the active one). Throws for an
+ * unknown id rather than silently pricing with another version.
+ */
+export function getPricingVersion(version = ACTIVE_PRICING_VERSION) {
+    const config = PRICING_VERSIONS[version];
+    if (!config) throw new Error(`Unknown guarantee pricing version "${version}"`);
+    return config;
+}
+
+const isRate = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
+
+/**
+ * Add a version loaded from elsewhere (remote config, an operator's
+ * draft). Versions are immutable once registered.
+ *
+ * @param {object} config same shape as the entries above
+ * @returns {object} the registered config
+ */
+export function registerPricingVersion(config) {
+    const { version, rules } = config || {};
+    if (!version) throw new Error('Pricing config needs a version');
+    if (PRICING_VERSIONS[version]) throw new Error(`Pricing version "${version}" already exists`);
+    if (!rules || ![rules.basePct, rules.minPct, rules.maxPct].every(isRate) || rules.minPct > rules.maxPct) {
+        throw new Error(`Pricing version "${version}": basePct, minPct and maxPct must be rates with minPct ≤ maxPct`);
+    }
+    if (!Number.isFinite(rules.triggerMm) || rules.triggerMm <= 0) {
+        throw new Error(`Pricing version "${version}": triggerMm must be positive`);
+    }
+
+    PRICING_VERSIONS[version] = {
+        regions: {},
+        exposure: {},
+        rainSafeMultiplier: 1,
+        expenseRatio: 0,
+        targetPayoutRatio: null,
+        ...config,
+        rules: { minPremium: 0, loadings: [], riskBands: RISK_BANDS, ...rules },
+    };
+    return PRICING_VERSIONS[version];
+}
+
+/**
+ * Rules for one region and venue profile under a version.
+ *
+ * @param {{ version?: string, regionId?: string, exposure?: string, rainSafe?: boolean }} [profile]
+ * @returns {object} the version's rules with region overrides applied, plus
+ *   `version` and `multiplier` (exposure × rain-safe)
+ */
+export function resolvePricingRules({ version, regionId, exposure, rainSafe = false } = {}) {
+    const config = getPricingVersion(version);
+    const exposureMultiplier = config.exposure[exposure] ?? 1;
+    return {
+        ...config.rules,
+        ...(config.regions[regionId] || {}),
+        version: config.version,
+        multiplier: exposureMultiplier * (rainSafe ? config.rainSafeMultiplier : 1),
+    };
+}
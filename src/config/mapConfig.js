@@ -1,3 +1,5 @@
+import { DEFAULT_REGION } from './regions';
+
 // Mapbox token must be set via VITE_MAPBOX_TOKEN environment variable.
 // In Netlify: Site Settings → Environment Variables → VITE_MAPBOX_TOKEN
 // Never hardcode tokens here — they ship in the JS bundle and trigger security blocks.
@@ -35,15 +37,18 @@ export const MAP_STYLE = {
     ]
 };
 
-export const INITIAL_VIEW_STATE = {
-    longitude: 144.9631,
-    latitude: -37.8136,
-    zoom: 13,
+// Camera for a region profile (see config/regions)
+export const getRegionViewState = (region = DEFAULT_REGION) => ({
+    longitude: region.center.lng,
+    latitude: region.center.lat,
+    zoom: region.zoom,
     pitch: 45,
     bearing: 0
-};
+});
+
+export const INITIAL_VIEW_STATE = getRegionViewState(DEFAULT_REGION);
 
-export const MAX_BOUNDS = [[144.5, -38.2], [145.5, -37.5]];
+export const MAX_BOUNDS = DEFAULT_REGION.bounds;
 
 export const MARKER_STYLE = {
     width: 'auto',
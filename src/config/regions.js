@@ -0,0 +1,230 @@
+/**
+ * Region profiles
+ * ─────────────────────────────────────────────────────────────
+ * Everything city-specific lives here: map centre and bounds, IANA
+ * timezone, hemisphere, season definitions, orientation sun windows
+ * and the default venue dataset. Map, weather, sun engines and booking
+ * screens read the active region (see context/RegionContext) or resolve
+ * one from a venue's coordinates with getRegionForLocation().
+ *
+ * A profile may also set `buildingsUrl`: a GeoJSON FeatureCollection of
+ * building footprints with `height` (metres) for shadow casting (see
+ * data/buildings). Without it, footprints come from the map's own
+ * building tiles.
+ *
+ * @module config/regions
+ */
+
+import { demoVenues } from '../data/demoVenues';
+import { getZonedParts } from '../utils/timezone';
+
+// ── Seasons ────────────────────────────────────────────────────────────
+// `sunWindow` picks which orientation window applies; shoulder seasons
+// blend the summer and winter windows.
+
+const SOUTHERN_SEASONS = [
+    { id: 'summer', label: 'Summer', months: [12, 1, 2], sunWindow: 'summer' },
+    { id: 'autumn', label: 'Autumn', months: [3, 4, 5], sunWindow: 'shoulder' },
+    { id: 'winter', label: 'Winter', months: [6, 7, 8], sunWindow: 'winter' },
+    { id: 'spring', label: 'Spring', months: [9, 10, 11], sunWindow: 'shoulder' },
+];
+
+const NORTHERN_SEASONS = [
+    { id: 'winter', label: 'Winter', months: [12, 1, 2], sunWindow: 'winter' },
+    { id: 'spring', label: 'Spring', months: [3, 4, 5], sunWindow: 'shoulder' },
+    { id: 'summer', label: 'Summer', months: [6, 7, 8], sunWindow: 'summer' },
+    { id: 'autumn', label: 'Autumn', months: [9, 10, 11], sunWindow: 'shoulder' },
+];
+
+// ── Orientation windows ────────────────────────────────────────────────
+// Local clock times when a room/terrace facing each way gets direct sun.
+// Diagonals share the window of the side that dominates in the southern
+// hemisphere (NE/NW with N, SE with E, SW with W).
+
+function orientationWindows({ north, east, south, west, useCases = {} }) {
+    const entry = (w, useCase) => ({ ...w, useCase });
+    const n = entry(north, useCases.north ?? 'Remote work');
+    const e = entry(east, useCases.east ?? 'Morning coffee');
+    const s = entry(south, useCases.south ?? 'Shade retreat');
+    const w = entry(west, useCases.west ?? 'Sunset drinks');
+    return { N: n, NE: n, NW: n, E: e, SE: e, S: s, W: w, SW: w };
+}
+
+// ── Profiles ───────────────────────────────────────────────────────────
+
+export const REGIONS = {
+    melbourne: {
+        id: 'melbourne',
+        name: 'Melbourne',
+        state: 'VIC',
+        center: { lat: -37.8136, lng: 144.9631 },
+        zoom: 13,
+        bounds: [[144.5, -38.2], [145.5, -37.5]],
+        timezone: 'Australia/Melbourne',
+        hemisphere: 'south',
+        seasons: SOUTHERN_SEASONS,
+        orientationWindows: orientationWindows({
+            north: { summer: ['08:00', '17:00'], winter: ['09:00', '15:00'] },
+            east: { summer: ['06:00', '11:00'], winter: ['07:00', '10:00'] },
+            south: { summer: ['10:00', '14:00'], winter: ['11:00', '13:00'] },
+            west: { summer: ['14:00', '20:30'], winter: ['13:00', '17:00'] },
+        }),
+    },
+    sydney: {
+        id: 'sydney',
+        name: 'Sydney',
+        state: 'NSW',
+        center: { lat: -33.8688, lng: 151.2093 },
+        zoom: 13,
+        bounds: [[150.5, -34.2], [151.5, -33.4]],
+        timezone: 'Australia/Sydney',
+        hemisphere: 'south',
+        seasons: SOUTHERN_SEASONS,
+        orientationWindows: orientationWindows({
+            north: { summer: ['08:00', '17:00'], winter: ['09:00', '15:00'] },
+            east: { summer: ['06:00', '11:00'], winter: ['07:00', '10:00'] },
+            south: { summer: ['10:00', '14:00'], winter: ['11:00', '13:00'] },
+            west: { summer: ['14:00', '20:00'], winter: ['13:00', '16:45'] },
+        }),
+    },
+    brisbane: {
+        id: 'brisbane',
+        name: 'Brisbane',
+        state: 'QLD',
+        center: { lat: -27.4698, lng: 153.0251 },
+        zoom: 13,
+        bounds: [[152.6, -27.8], [153.4, -27.0]],
+        // No daylight saving in Queensland — early summer sunrises and sunsets
+        timezone: 'Australia/Brisbane',
+        hemisphere: 'south',
+        seasons: SOUTHERN_SEASONS,
+        orientationWindows: orientationWindows({
+            north: { summer: ['07:00', '16:00'], winter: ['08:30', '15:00'] },
+            east: { summer: ['05:00', '10:00'], winter: ['06:45', '10:00'] },
+            south: { summer: ['09:00', '13:00'], winter: ['11:00', '13:00'] },
+            west: { summer: ['13:00', '18:40'], winter: ['12:30', '16:50'] },
+        }),
+    },
+    perth: {
+        id: 'perth',
+        name: 'Perth',
+        state: 'WA',
+        center: { lat: -31.9523, lng: 115.8613 },
+        zoom: 13,
+        bounds: [[115.6, -32.4], [116.2, -31.6]],
+        timezone: 'Australia/Perth',
+        hemisphere: 'south',
+        seasons: SOUTHERN_SEASONS,
+        orientationWindows: orientationWindows({
+            north: { summer: ['08:00', '16:30'], winter: ['09:00', '15:00'] },
+            east: { summer: ['05:30', '10:30'], winter: ['07:15', '10:30'] },
+            south: { summer: ['10:00', '14:00'], winter: ['11:00', '13:00'] },
+            west: { summer: ['14:00', '19:20'], winter: ['13:00', '17:15'] },
+        }),
+    },
+    adelaide: {
+        id: 'adelaide',
+        name: 'Adelaide',
+        state: 'SA',
+        center: { lat: -34.9285, lng: 138.6007 },
+        zoom: 13,
+        bounds: [[138.3, -35.2], [138.9, -34.6]],
+        timezone: 'Australia/Adelaide',
+        hemisphere: 'south',
+        seasons: SOUTHERN_SEASONS,
+        orientationWindows: orientationWindows({
+            north: { summer: ['08:00', '17:00'], winter: ['09:00', '15:00'] },
+            east: { summer: ['06:15', '11:00'], winter: ['07:20', '10:00'] },
+            south: { summer: ['10:00', '14:00'], winter: ['11:00', '13:00'] },
+            west: { summer: ['14:00', '20:20'], winter: ['13:00', '17:00'] },
+        }),
+    },
+    hobart: {
+        id: 'hobart',
+        name: 'Hobart',
+        state: 'TAS',
+        center: { lat: -42.8821, lng: 147.3272 },
+        zoom: 13,
+        bounds: [[147.0, -43.1], [147.6, -42.6]],
+        timezone: 'Australia/Hobart',
+        hemisphere: 'south',
+        seasons: SOUTHERN_SEASONS,
+        orientationWindows: orientationWindows({
+            north: { summer: ['08:00', '17:30'], winter: ['09:30', '14:30'] },
+            east: { summer: ['06:00', '11:00'], winter: ['07:45', '10:30'] },
+            south: { summer: ['10:00', '14:00'], winter: ['11:30', '12:30'] },
+            west: { summer: ['14:00', '20:40'], winter: ['13:00', '16:40'] },
+        }),
+    },
+};
+
+export const DEFAULT_REGION_ID = 'melbourne';
+export const DEFAULT_REGION = REGIONS[DEFAULT_REGION_ID];
+
+export { NORTHERN_SEASONS, SOUTHERN_SEASONS };
+
+export function getRegion(id) {
+    return REGIONS[id] || DEFAULT_REGION;
+}
+
+export function listRegions() {
+    return Object.values(REGIONS);
+}
+
+export function isInRegion(region, lat, lng) {
+    const [[minLng, minLat], [maxLng, maxLat]] = region.bounds;
+    return lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat;
+}
+
+/**
+ * The region whose bounds contain the point, or null.
+ */
+export function getRegionForLocation(lat, lng) {
+    const la = Number(lat);
+    const ln = Number(lng);
+    if (!Number.isFinite(la) || !Number.isFinite(ln)) return null;
+    return listRegions().find(r => isInRegion(r, la, ln)) || null;
+}
+
+/**
+ * IANA timezone for a point; null when it falls outside every region
+ * (callers then fall back to the device zone).
+ */
+export function getTimezoneForLocation(lat, lng) {
+    return getRegionForLocation(lat, lng)?.timezone ?? null;
+}
+
+/**
+ * Default venue dataset for a region: demo venues inside its bounds.
+ */
+export function getRegionVenues(region = DEFAULT_REGION) {
+    return demoVenues.filter(v => isInRegion(region, Number(v.lat), Number(v.lng)));
+}
+
+/**
+ * Season in effect at `date`, using the region's local calendar month.
+ */
+export function getSeason(date = new Date(), region = DEFAULT_REGION) {
+    const { month } = getZonedParts(date, region.timezone);
+    return region.seasons.find(s => s.months.includes(month)) || region.seasons[0];
+}
+
+const toMinutes = (hhmm) => {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+};
+const fromMinutes = (mins) => `${String(Math.floor(mins / 60)).padStart(2, '0')}:${String(Math.round(mins % 60)).padStart(2, '0')}`;
+
+/**
+ * Sun window [start, end] (local "HH:MM") for an orientation on `date`.
+ * Shoulder seasons use the midpoint of the summer and winter windows.
+ */
+export function getOrientationWindow(region = DEFAULT_REGION, orientation, date = new Date()) {
+    const windows = region.orientationWindows[orientation] || region.orientationWindows.S;
+    const season = getSeason(date, region);
+    if (season.sunWindow !== 'shoulder') {
+        return { window: windows[season.sunWindow], season, useCase: windows.useCase };
+    }
+    const blend = (i) => fromMinutes((toMinutes(windows.summer[i]) + toMinutes(windows.winter[i])) / 2);
+    return { window: [blend(0), blend(1)], season, useCase: windows.useCase };
+}
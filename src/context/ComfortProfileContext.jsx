@@ -0,0 +1,60 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { storage } from '../utils/platform';
+import { DEFAULT_COMFORT_PROFILE, normalizeComfortProfile } from '../utils/comfortProfile';
+
+const ComfortProfileContext = createContext(null);
+
+const STORAGE_KEY = 'sunstay_comfort_profile';
+
+export const useComfortProfile = () => {
+    const ctx = useContext(ComfortProfileContext);
+    if (!ctx) throw new Error('useComfortProfile must be used inside <ComfortProfileProvider>');
+    return ctx;
+};
+
+export const ComfortProfileProvider = ({ children }) => {
+    const [profile, setProfileState] = useState(DEFAULT_COMFORT_PROFILE);
+
+    // Restore the profile the user last saved
+    useEffect(() => {
+        let cancelled = false;
+        storage.getItem(STORAGE_KEY).then((saved) => {
+            if (!cancelled && saved) setProfileState(normalizeComfortProfile(JSON.parse(saved)));
+        }).catch((err) => {
+            console.warn('[ComfortProfile] Could not restore saved profile:', err?.message ?? err);
+        });
+        return () => { cancelled = true; };
+    }, []);
+
+    const persist = useCallback((next) => {
+        storage.setItem(STORAGE_KEY, JSON.stringify(next)).catch(() => {
+            // Storage write failure is non-fatal
+        });
+    }, []);
+
+    // Merge a partial change (`weights` merges per factor)
+    const updateProfile = useCallback((patch) => {
+        setProfileState((current) => {
+            const next = normalizeComfortProfile({
+                ...current,
+                ...patch,
+                weights: { ...current.weights, ...(patch?.weights || {}) },
+            });
+            persist(next);
+            return next;
+        });
+    }, [persist]);
+
+    const resetProfile = useCallback(() => {
+        setProfileState(DEFAULT_COMFORT_PROFILE);
+        storage.removeItem(STORAGE_KEY).catch(() => {});
+    }, []);
+
+    const value = useMemo(() => ({
+        profile,
+        updateProfile,
+        resetProfile,
+    }), [profile, updateProfile, resetProfile]);
+
+    return <ComfortProfileContext.Provider value={value}>{children}</ComfortProfileContext.Provider>;
+};
@@ -0,0 +1,50 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { storage } from '../utils/platform';
+import { DEFAULT_REGION_ID, REGIONS, getRegion, getRegionVenues, listRegions } from '../config/regions';
+
+const RegionContext = createContext(null);
+
+const STORAGE_KEY = 'sunstay_region';
+
+export const useRegion = () => {
+    const ctx = useContext(RegionContext);
+    if (!ctx) throw new Error('useRegion must be used inside <RegionProvider>');
+    return ctx;
+};
+
+export const RegionProvider = ({ children, initialRegionId = DEFAULT_REGION_ID }) => {
+    const [regionId, setRegionIdState] = useState(initialRegionId);
+
+    // Restore the last city the user picked
+    useEffect(() => {
+        let cancelled = false;
+        storage.getItem(STORAGE_KEY).then((saved) => {
+            if (!cancelled && saved && REGIONS[saved]) setRegionIdState(saved);
+        }).catch(() => {});
+        return () => { cancelled = true; };
+    }, []);
+
+    const setRegionId = useCallback((id) => {
+        if (!REGIONS[id]) {
+            console.warn(`[RegionProvider] Unknown region "${id}"`);
+            return;
+        }
+        setRegionIdState(id);
+        storage.setItem(STORAGE_KEY, id).catch(() => {
+            // Storage write failure is non-fatal
+        });
+    }, []);
+
+    const region = getRegion(regionId);
+    const venues = useMemo(() => getRegionVenues(region), [region]);
+
+    const value = useMemo(() => ({
+        region,
+        regionId: region.id,
+        regions: listRegions(),
+        venues,
+        setRegionId,
+    }), [region, venues, setRegionId]);
+
+    return <RegionContext.Provider value={value}>{children}</RegionContext.Provider>;
+};
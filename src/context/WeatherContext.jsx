@@ -1,14 +1,21 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
-import { storage } from '../utils/platform';
-import { calculateLiveSunScore } from '../utils/sunScore';
-import { fetchOpenMeteoWeather } from '../utils/weatherService';
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { swr } from '../utils/cache';
+import { scoreVenue, rankVenues } from '../utils/venueScore';
+import {
+    fetchWeatherSnapshot,
+    weatherProvider,
+    getForecastHour,
+    MAX_FORECAST_DAYS,
+} from '../utils/weatherProvider';
+import { toZonedIso } from '../utils/timezone';
+import { useRegion } from './RegionContext';
+import { useComfortProfile } from './ComfortProfileContext';
 
 const WeatherContext = createContext(null);
 
-const MELBOURNE_COORDS = { lat: -37.8136, lon: 144.9631 };
-const CACHE_EXPIRY = 900000;
-const CACHE_KEY = `sunstay_weather_${MELBOURNE_COORDS.lat.toFixed(2)}_${MELBOURNE_COORDS.lon.toFixed(2)}`;
+const cacheIdFor = ({ lat, lng }) => `${lat.toFixed(2)},${lng.toFixed(2)}`;
 const isAbortError = (error) => error?.name === 'AbortError' || error?.code === 'ERR_CANCELED';
+const HOUR_MS = 60 * 60 * 1000;
 
 const DEMO_WEATHER = {
     main: { temp: 22, feels_like: 21, humidity: 55 },
@@ -17,7 +24,7 @@ const DEMO_WEATHER = {
     clouds: { all: 15 },
     uvi: 5,
     sys: { sunset: Date.now() / 1000 + 14400 },
-    name: 'Melbourne (Demo)',
+    name: 'Demo',
     source: 'demo',
     theme: 'sunny',
 };
@@ -28,63 +35,68 @@ export const useWeather = () => {
     return ctx;
 };
 
-const getCachedWeather = async () => {
-    try {
-        const raw = await storage.getItem(CACHE_KEY);
-        if (!raw) return null;
-        const { data, timestamp } = JSON.parse(raw);
-        if (Date.now() - timestamp > CACHE_EXPIRY) return null;
-        return data;
-    } catch {
-        return null;
-    }
-};
-
-const setCachedWeather = async (data) => {
-    try {
-        await storage.setItem(CACHE_KEY, JSON.stringify({ data, timestamp: Date.now() }));
-    } catch {
-        // Storage write failure is non-fatal
-    }
-};
-
 export const WeatherProvider = ({ children }) => {
+    const { region } = useRegion();
+    const { profile: comfort } = useComfortProfile();
     const [weather, setWeather] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [overrideType, setOverrideType] = useState(null);
+    // When the shown weather was fetched, and whether it is past its TTL
+    // (cached data served while offline or refreshing)
+    const [lastUpdated, setLastUpdated] = useState(null);
+    const [isStale, setIsStale] = useState(false);
+    // Planning: a future time to score and rank venues for (null = now),
+    // and the region's week-long forecast it's read from
+    const [targetTime, setTargetTime] = useState(null);
+    const [forecast, setForecast] = useState(null);
+    const [forecastLoading, setForecastLoading] = useState(false);
 
-    const fetchWeather = useCallback(async (signal) => {
+    const fetchWeather = useCallback(async (signal, { forceRefresh = false } = {}) => {
         setLoading(true);
         setError(null);
 
-        try {
-            // 1. Try cache first
-            const cached = await getCachedWeather();
-            if (cached) {
-                setWeather(cached);
-                setLoading(false);
-                return;
-            }
+        const show = (result) => {
+            if (signal?.aborted) return;
+            setWeather(result.value);
+            setLastUpdated(new Date(result.fetchedAt));
+            setIsStale(result.stale);
+        };
 
-            // 2. Fetch from Open-Meteo (primary source)
-            const data = await fetchOpenMeteoWeather(
-                MELBOURNE_COORDS.lat,
-                MELBOURNE_COORDS.lon,
-                signal
+        try {
+            // Cached snapshot first (even a stale one), refreshed in the background
+            // through the provider registry (Open-Meteo first, failover after).
+            // The fetch is shared and cached, so it isn't tied to this caller's signal.
+            const result = await swr(
+                'weather',
+                cacheIdFor(region.center),
+                () => fetchWeatherSnapshot(
+                    region.center.lat,
+                    region.center.lng,
+                    { name: region.name, timezone: region.timezone }
+                ),
+                {
+                    forceRefresh,
+                    // Fixture data means every live provider failed; retry next load
+                    shouldCache: (data) => data.source !== 'demo',
+                    onUpdate: show,
+                }
             );
-            await setCachedWeather(data);
-            setWeather(data);
+            if (signal?.aborted) return;
+            if (result.value.source === 'demo') setError('Live weather unavailable');
+            show(result);
         } catch (err) {
-            if (isAbortError(err)) return;
+            if (isAbortError(err) || signal?.aborted) return;
 
-            console.warn('[WeatherProvider] Open-Meteo fetch failed, falling back to demo data:', err.message);
-            setWeather(DEMO_WEATHER);
+            console.warn('[WeatherProvider] Weather fetch failed, falling back to demo data:', err.message);
+            setWeather({ ...DEMO_WEATHER, name: `${region.name} (Demo)` });
+            setLastUpdated(null);
+            setIsStale(false);
             setError(err.message);
         } finally {
-            setLoading(false);
+            if (!signal?.aborted) setLoading(false);
         }
-    }, []);
+    }, [region]);
 
     useEffect(() => {
         const controller = new AbortController();
@@ -92,6 +104,33 @@ export const WeatherProvider = ({ children }) => {
         return () => controller.abort();
     }, [fetchWeather]);
 
+    // The snapshot only covers two days, so fetch the full forecast once
+    // the user starts planning
+    const planning = targetTime != null;
+    useEffect(() => {
+        setForecast(null);
+        if (!planning) return;
+        const controller = new AbortController();
+        setForecastLoading(true);
+        weatherProvider.fetchForecast(region.center.lat, region.center.lng, {
+            days: MAX_FORECAST_DAYS,
+            signal: controller.signal,
+        })
+            .then(setForecast)
+            .catch((err) => {
+                if (!isAbortError(err)) console.warn('[WeatherProvider] Forecast fetch failed:', err.message);
+            })
+            .finally(() => { if (!controller.signal.aborted) setForecastLoading(false); });
+        return () => controller.abort();
+    }, [region, planning]);
+
+    // Forecast hour for the target time; null past the forecast's end, and
+    // for a demo forecast, which would pass made-up weather off as a plan
+    const targetWeather = useMemo(
+        () => (targetTime && forecast && forecast.provider !== 'demo' ? getForecastHour(forecast, targetTime) : null),
+        [targetTime, forecast]
+    );
+
     const getWeatherSummary = useCallback(() => {
         if (!weather) return null;
         const condition = weather.weather?.[0]?.main ?? 'Unknown';
@@ -133,9 +172,15 @@ export const WeatherProvider = ({ children }) => {
             return { type: 'UNKNOWN', label: '⚡ Checking conditions...', score: 0, startsInHours: null };
         }
 
+        // Locate "now" by its local wall-clock label so DST days (23/25 hours)
+        // index correctly; fall back to the fixed offset for older cached data.
+        const timeZone = hourly._timezone ?? region.timezone;
+        const nowLabel = toZonedIso(Date.now(), timeZone).slice(0, 13);
+        const labelIndex = hourly.time?.findIndex(t => t?.startsWith(nowLabel)) ?? -1;
         const tzOffsetSeconds = hourly._tzOffsetSeconds ?? 36000;
-        const nowUnix = Math.floor(Date.now() / 1000);
-        const currentHour = Math.floor((nowUnix + tzOffsetSeconds) / 3600) % 24;
+        const currentHour = labelIndex >= 0
+            ? labelIndex
+            : Math.floor((Math.floor(Date.now() / 1000) + tzOffsetSeconds) / 3600) % 24;
 
         const inputForIndex = (i) => {
             const safeIndex = Math.min(Math.max(i, 0), hourly.shortwave_radiation.length - 1);
@@ -146,12 +191,12 @@ export const WeatherProvider = ({ children }) => {
                 precipProbability: hourly.precipitation_probability?.[safeIndex] ?? 0,
                 cloudCover: hourly.cloud_cover?.[safeIndex] ?? 0,
                 windGusts: weather.windGusts ?? (weather.wind?.speed ?? 0) * 3.6,
-                isDay: hourOfDay >= 6 && hourOfDay <= 20 ? 1 : 0,
+                isDay: hourly.is_day?.[safeIndex] ?? (hourOfDay >= 6 && hourOfDay <= 20 ? 1 : 0),
                 uvIndex: hourly.uv_index?.[safeIndex] ?? null,
             };
         };
 
-        const currentScore = calculateLiveSunScore(inputForIndex(currentHour)).score;
+        const currentScore = scoreVenue(null, inputForIndex(currentHour), { comfort }).score;
         let bestScore = currentScore;
         let bestOffset = 0;
 
@@ -159,7 +204,7 @@ export const WeatherProvider = ({ children }) => {
             const slotIndex = Math.min(currentHour + offset, hourly.shortwave_radiation.length - 1);
             const scores = [slotIndex, slotIndex + 1, slotIndex + 2]
                 .filter(idx => idx < hourly.shortwave_radiation.length)
-                .map(idx => calculateLiveSunScore(inputForIndex(idx)).score);
+                .map(idx => scoreVenue(null, inputForIndex(idx), { comfort }).score);
             const avgScore = scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
             if (avgScore > bestScore) {
                 bestScore = avgScore;
@@ -167,28 +212,56 @@ export const WeatherProvider = ({ children }) => {
             }
         }
 
-        if (bestScore >= 75) return { type: 'GREAT', label: '☀️ Great conditions', score: bestScore, startsInHours: bestOffset };
-        if (bestScore >= 50) return { type: 'GOOD', label: '🌤 Good conditions', score: bestScore, startsInHours: bestOffset };
-        if (bestScore >= 30) return { type: 'FAIR', label: '⛅ Fair conditions', score: bestScore, startsInHours: bestOffset };
-        return { type: 'POOR', label: '🌧 Poor conditions', score: bestScore, startsInHours: bestOffset };
-    }, [weather]);
+        // The scored window is three hours from the top of the hour; instants
+        // are for calendar export (data/calendarEvents)
+        const windowStart = Math.floor(Date.now() / HOUR_MS) * HOUR_MS + bestOffset * HOUR_MS;
+        const window = {
+            score: bestScore,
+            startsInHours: bestOffset,
+            startsAt: new Date(windowStart).toISOString(),
+            endsAt: new Date(windowStart + 3 * HOUR_MS).toISOString(),
+        };
 
-    const calculateSunstayScore = useCallback((venue) => {
-        if (!weather) return 75;
-        const { isActive: cozyActive } = getCozyModeMeta();
-        if (cozyActive && venue.tags?.some(t => ['Fireplace', 'Indoor Warmth', 'Cozy', 'Covered'].includes(t))) {
-            return 90;
-        }
-        const baseScore = venue.sunshineScore ?? 50;
-        const severity = getWeatherSeverity();
-        const penaltyMap = { mild: 0, moderate: -10, severe: -20, stormy: -35, unknown: 0 };
-        return Math.max(0, Math.min(100, baseScore + (penaltyMap[severity] ?? 0)));
-    }, [weather, getCozyModeMeta, getWeatherSeverity]);
+        if (bestScore >= 75) return { type: 'GREAT', label: '☀️ Great conditions', ...window };
+        if (bestScore >= 50) return { type: 'GOOD', label: '🌤 Good conditions', ...window };
+        if (bestScore >= 30) return { type: 'FAIR', label: '⛅ Fair conditions', ...window };
+        return { type: 'POOR', label: '🌧 Poor conditions', ...window };
+    }, [weather, region, comfort]);
+
+    // The region's conditions on their own, for the city-wide widget
+    const liveSunScore = useMemo(() => {
+        if (!weather) return null;
+        const result = scoreVenue(null, weather, { location: region.center, comfort });
+        return { ...result, label: result.grade.label, emoji: result.grade.emoji };
+    }, [weather, region, comfort]);
+
+    /**
+     * Sunstay Score (utils/venueScore) for a venue, 0–100, for the user's
+     * comfort profile. Pass the venue's own weather when it's loaded; the
+     * region's is used otherwise. With a target time set, the venue is
+     * scored on the forecast and the sun for that time instead, once the
+     * forecast covers it; until then it keeps its score for now.
+     */
+    const calculateSunstayScore = useCallback((venue, venueWeather) => {
+        if (!venue) return null;
+        if (targetWeather) return scoreVenue(venue, targetWeather, { date: targetTime, comfort }).score;
+        return scoreVenue(venue, venueWeather ?? weather, { comfort }).score;
+    }, [weather, comfort, targetTime, targetWeather]);
+
+    // Venues best first (each with `_score`) for the target time, or now.
+    // A target time the forecast doesn't reach (or hasn't loaded for) isn't
+    // ranked: sun geometry alone would pass for a projected score.
+    const rankVenuesAtTarget = useCallback((venues) => {
+        if (!targetTime) return rankVenues(venues, weather, { comfort });
+        return targetWeather ? rankVenues(venues, targetWeather, { date: targetTime, comfort }) : venues;
+    }, [weather, comfort, targetTime, targetWeather]);
 
     const value = {
         weather,
         loading,
         error,
+        lastUpdated,
+        isStale,
         overrideType,
         setOverrideType,
         refetch: fetchWeather,
@@ -197,6 +270,12 @@ export const WeatherProvider = ({ children }) => {
         getWeatherSeverity,
         getBestWindow,
         calculateSunstayScore,
+        rankVenuesAtTarget,
+        liveSunScore,
+        targetTime,
+        setTargetTime,
+        targetWeather,
+        forecastLoading,
     };
 
     return (
@@ -0,0 +1,236 @@
+/**
+ * Building footprints
+ * ─────────────────────────────────────────────────
+ * In-memory store of building footprints and heights, used to cast
+ * shadows (utils/shadows) and to tell whether a venue's outdoor area is
+ * actually in direct sun.
+ *
+ * Two ways in, both GeoJSON-shaped:
+ *   - a region's local file (`buildingsUrl` in config/regions), fetched
+ *     with loadBuildingsGeoJson()
+ *   - the Mapbox Streets `building` layer, harvested by VenueMap from the
+ *     tiles it has loaded (addBuildingFeatures())
+ *
+ * Heights come from `height` / `render_height`, else `building:levels`
+ * (3.2 m a storey), else DEFAULT_BUILDING_HEIGHT_M. Footprints are kept
+ * in a coarse grid so lookups around a venue stay cheap.
+ */
+
+import { getSunPositionForMap } from '../utils/sunPosition';
+import { isInsideFootprint, isPointShaded, MIN_SUN_ALTITUDE_DEG } from '../utils/shadows';
+import { buildHorizonFromBuildings } from '../utils/horizonProfile';
+
+export const DEFAULT_BUILDING_HEIGHT_M = 9;
+const STOREY_HEIGHT_M = 3.2;
+// Seated eye height in a ground-level outdoor area
+export const OUTDOOR_EYE_HEIGHT_M = 1.5;
+// Look this far around a venue for buildings that can block the sun
+const SHADE_RADIUS_M = 400;
+// Points sampled around the venue pin: the pin and a ring at this radius
+const SAMPLE_RING_M = 8;
+
+const CELL_DEG = 0.002; // ~200 m
+const buildingsById = new Map();
+const grid = new Map();
+const loadedUrls = new Map();
+
+const cellIndex = (deg) => Math.floor(deg / CELL_DEG);
+
+// Grid keys for every cell a [[west, south], [east, north]] box touches
+function cellKeys([[west, south], [east, north]]) {
+    const keys = [];
+    for (let i = cellIndex(south); i <= cellIndex(north); i++) {
+        for (let j = cellIndex(west); j <= cellIndex(east); j++) keys.push(`${i}:${j}`);
+    }
+    return keys;
+}
+
+function readHeight(props = {}) {
+    const explicit = Number(props.height ?? props.render_height);
+    if (Number.isFinite(explicit) && explicit > 0) return explicit;
+    const levels = Number(props['building:levels'] ?? props.levels);
+    if (Number.isFinite(levels) && levels > 0) return levels * STOREY_HEIGHT_M;
+    return DEFAULT_BUILDING_HEIGHT_M;
+}
+
+/**
+ * GeoJSON Feature (Polygon or MultiPolygon) → building records, one per
+ * polygon. Holes are dropped; they don't change the shadow on the ground.
+ */
+export function normalizeBuildingFeature(feature, fallbackId) {
+    const geometry = feature?.geometry;
+    const polygons = geometry?.type === 'Polygon' ? [geometry.coordinates]
+        : geometry?.type === 'MultiPolygon' ? geometry.coordinates
+            : [];
+    const props = feature.properties || {};
+    if (props.underground === 'true' || props.underground === true) return [];
+
+    const height = readHeight(props);
+    const minHeight = Math.max(0, Number(props.min_height ?? props.render_min_height) || 0);
+    const baseId = feature.id ?? props.id ?? fallbackId;
+    return polygons
+        .filter(rings => rings?.[0]?.length >= 4)
+        .map((rings, i) => ({
+            id: polygons.length > 1 ? `${baseId}:${i}` : String(baseId),
+            footprint: rings[0],
+            height,
+            minHeight: Math.min(minHeight, height),
+        }));
+}
+
+function indexBuilding(building) {
+    const lats = building.footprint.map(p => p[1]);
+    const lngs = building.footprint.map(p => p[0]);
+    const box = [[Math.min(...lngs), Math.min(...lats)], [Math.max(...lngs), Math.max(...lats)]];
+    for (const key of cellKeys(box)) {
+        if (!grid.has(key)) grid.set(key, new Set());
+        grid.get(key).add(building.id);
+    }
+}
+
+/**
+ * Add GeoJSON building features. A feature already stored under the same
+ * id is kept, so tiles that repeat a building don't duplicate it; vector
+ * tile features without an id are keyed by their first vertex.
+ *
+ * @param {object[]} features
+ * @param {string} [source] label stored on each building
+ * @returns {number} buildings added
+ */
+export function addBuildingFeatures(features, source = 'geojson') {
+    let added = 0;
+    for (const feature of features || []) {
+        const first = feature?.geometry?.coordinates?.flat(3).slice(0, 2) ?? [];
+        const fallbackId = `${source}@${first.map(n => Number(n).toFixed(6)).join(',')}`;
+        for (const building of normalizeBuildingFeature(feature, fallbackId)) {
+            if (buildingsById.has(building.id)) continue;
+            building.source = source;
+            buildingsById.set(building.id, building);
+            indexBuilding(building);
+            added += 1;
+        }
+    }
+    return added;
+}
+
+/**
+ * Load a GeoJSON FeatureCollection of buildings once per URL.
+ * @returns {Promise<number>} buildings added by this load
+ */
+export function loadBuildingsGeoJson(url) {
+    if (!loadedUrls.has(url)) {
+        const load = fetch(url)
+            .then((response) => {
+                if (!response.ok) throw new Error(`Buildings HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(collection => addBuildingFeatures(collection.features, url))
+            .catch((err) => {
+                loadedUrls.delete(url);
+                throw err;
+            });
+        loadedUrls.set(url, load);
+    }
+    return loadedUrls.get(url);
+}
+
+/**
+ * Buildings whose footprint comes within roughly `radiusM` of a point.
+ */
+export function getBuildingsNear(lat, lng, radiusM = SHADE_RADIUS_M) {
+    const dLat = radiusM / 110540;
+    const dLng = radiusM / (111320 * Math.cos(lat * Math.PI / 180));
+    return getBuildingsInBounds([[lng - dLng, lat - dLat], [lng + dLng, lat + dLat]]);
+}
+
+/**
+ * Buildings touching a [[west, south], [east, north]] box.
+ */
+export function getBuildingsInBounds(bounds) {
+    const ids = new Set();
+    for (const key of cellKeys(bounds)) grid.get(key)?.forEach(id => ids.add(id));
+    return [...ids].map(id => buildingsById.get(id));
+}
+
+export function getBuildingCount() {
+    return buildingsById.size;
+}
+
+// ── Venue shading ─────────────────────────────────────────────────
+
+const isRooftopVenue = (venue) =>
+    (venue?.tags || []).includes('Rooftop') || String(venue?.vibe || '').toLowerCase().includes('rooftop');
+
+// Where a venue's outdoor area is seen from: the point, how high it sits,
+// and the venue's own building(s), which never count as blockers
+function getVenueViewpoint(venue) {
+    const origin = venue?.outdoorLocation ?? venue;
+    const lat = Number(origin?.lat);
+    const lng = Number(origin?.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+    const nearby = getBuildingsNear(lat, lng);
+    const own = nearby.filter(b => isInsideFootprint([lng, lat], b));
+    const heightM = venue?.outdoorHeightM
+        ?? (isRooftopVenue(venue) && own.length
+            ? Math.max(...own.map(b => b.height)) + OUTDOOR_EYE_HEIGHT_M
+            : OUTDOOR_EYE_HEIGHT_M);
+    return { lat, lng, nearby, heightM, ignore: new Set(own.map(b => b.id)) };
+}
+
+/**
+ * Whether buildings shade a venue's outdoor area at `date`.
+ *
+ * The area is sampled at the venue pin (or `venue.outdoorLocation`) and
+ * at four points around it. The building the pin stands in is the venue
+ * itself and never counts as a blocker; rooftops are sampled at its
+ * height (or `venue.outdoorHeightM`).
+ *
+ * @returns {{ hasData: boolean, sunUp: boolean, shadedFraction: number|null,
+ *   blockedBy: string[] }}
+ *   `hasData` is false when no footprints are loaded near the venue, in
+ *   which case callers should fall back to their own heuristics
+ */
+export function getVenueBuildingShade(venue, date = new Date()) {
+    const empty = { hasData: false, sunUp: false, shadedFraction: null, blockedBy: [] };
+    const view = getVenueViewpoint(venue);
+    if (!view) return empty;
+    const { lat, lng, nearby, heightM, ignore } = view;
+
+    const sun = getSunPositionForMap(lat, lng, date);
+    const sunUp = sun.altitude >= MIN_SUN_ALTITUDE_DEG;
+    if (!nearby.length) return { ...empty, sunUp };
+
+    const dLat = SAMPLE_RING_M / 110540;
+    const dLng = SAMPLE_RING_M / (111320 * Math.cos(lat * Math.PI / 180));
+    const samples = [[0, 0], [dLat, 0], [-dLat, 0], [0, dLng], [0, -dLng]]
+        .map(([a, b]) => ({ lat: lat + a, lng: lng + b }));
+
+    const blockedBy = new Set();
+    let shaded = 0;
+    for (const point of samples) {
+        const result = isPointShaded(point, nearby, sun, { heightM, ignore });
+        if (result.shaded) shaded += 1;
+        if (result.blockedBy) blockedBy.add(result.blockedBy);
+    }
+    return {
+        hasData: true,
+        sunUp,
+        shadedFraction: shaded / samples.length,
+        blockedBy: [...blockedBy],
+    };
+}
+
+/**
+ * Horizon profile (utils/horizonProfile) of a venue's outdoor area from
+ * the footprints loaded around it, seen from the same point and height
+ * as getVenueBuildingShade(). Null when no footprints are loaded there.
+ */
+export function getVenueHorizonProfile(venue) {
+    const view = getVenueViewpoint(venue);
+    if (!view?.nearby.length) return null;
+    return buildHorizonFromBuildings(view.lat, view.lng, view.nearby, {
+        heightM: view.heightM,
+        ignore: view.ignore,
+    });
+}
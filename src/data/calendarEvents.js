@@ -0,0 +1,163 @@
+/**
+ * Calendar events for bookings and planned outings
+ * ─────────────────────────────────────────────────────────────
+ * Turns a confirmed booking (api/bookings) or a "best window" suggestion
+ * (findBestWindow in data/timelineIntelligence, getBestWindow in
+ * WeatherContext) into an event for utils/ical: the venue's address and
+ * coordinates, and a snapshot of the forecast for the window in the
+ * description.
+ *
+ * UIDs are derived from the booking or outing id, so re-exporting, or a
+ * subscribed feed (api/calendar) refreshing, updates the same event with
+ * the latest forecast and booking status rather than adding a copy.
+ *
+ * @module data/calendarEvents
+ */
+
+import { DEFAULT_REGION, getTimezoneForLocation } from '../config/regions';
+import { getHourlyWindForecast } from './windIntelligence';
+import { formatZonedTime, getZonedParts } from '../utils/timezone';
+
+const UID_DOMAIN = 'sunstay.app';
+const HOUR_MS = 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+// Normalized forecasts run 7 days; hours beyond that have no snapshot yet
+const FORECAST_HOURS = 8 * 24;
+
+const formatZonedDay = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    return `${WEEKDAYS[p.weekday]} ${p.day} ${MONTHS[p.month - 1]}`;
+};
+
+const venueName = (venue, fallback) => venue?.venueName || venue?.name || fallback || 'Sunstay venue';
+
+const venueGeo = (venue) => {
+    const lat = Number(venue?.lat);
+    const lng = Number(venue?.lng);
+    return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+const venueLocation = (venue, fallbackName) => {
+    const name = venueName(venue, fallbackName);
+    return venue?.address ? `${name}, ${venue.address}` : name;
+};
+
+/**
+ * The forecast for each hour of a window, one line per hour, e.g.
+ * "2pm · 23°C, feels 22°C · clear · wind 9 km/h SW · rain 10%".
+ *
+ * @param {object} forecast — normalized forecast with `hourly`
+ * @param {object} venue — for shelter in "feels like" and wind
+ * @param {{ startsAt: string|number, endsAt: string|number, timeZone?: string,
+ *   now?: number }} window
+ * @returns {string|null} null when the forecast doesn't reach the window yet
+ */
+export function describeForecastWindow(forecast, venue, { startsAt, endsAt, timeZone, now = Date.now() }) {
+    const start = new Date(startsAt).getTime();
+    const end = new Date(endsAt).getTime();
+    const firstHour = start - (start % HOUR_MS);
+    const rainByHour = new Map((forecast?.hourly || []).map(h => [h.timestamp, h.precipProbability]));
+
+    const lines = getHourlyWindForecast(forecast, venue, { now, hours: FORECAST_HOURS, timeZone })
+        .filter(h => h.timestamp >= firstHour && h.timestamp < end)
+        .map((h) => {
+            const rain = rainByHour.get(h.timestamp);
+            return [
+                formatZonedTime(h.timestamp, timeZone).replace(':00', ''),
+                `${h.temp}°C, feels ${h.feelsLike}°C`,
+                h.condition,
+                `wind ${h.wind} km/h${h.directionName ? ` ${h.directionName}` : ''}`,
+                Number.isFinite(rain) ? `rain ${Math.round(rain)}%` : null,
+            ].filter(Boolean).join(' · ');
+        });
+    if (!lines.length) return null;
+
+    const asOf = `${formatZonedDay(now, timeZone)}, ${formatZonedTime(now, timeZone)}`;
+    return [`Forecast (as of ${asOf}):`, ...lines].join('\n');
+}
+
+const forecastSection = (forecast, venue, window) => {
+    const snapshot = forecast ? describeForecastWindow(forecast, venue, window) : null;
+    return snapshot ?? 'Forecast not out yet. A subscribed Sunstay calendar adds it once it is.';
+};
+
+/**
+ * Calendar event for a booking. Cancelled bookings stay in a feed as
+ * cancelled events so subscribed calendars remove them.
+ *
+ * @param {object} booking — from api/bookings
+ * @param {object} [venue] — for address and coordinates
+ * @param {{ forecast?: object, now?: number }} [options]
+ */
+export function bookingToCalendarEvent(booking, venue, { forecast, now = Date.now() } = {}) {
+    const name = venueName(venue, booking.venueName);
+    const timeZone = booking.timezone;
+    const window = { startsAt: booking.startsAt, endsAt: booking.endsAt, timeZone, now };
+    const party = `${booking.guests} guest${booking.guests === 1 ? '' : 's'}`;
+
+    return {
+        uid: `booking-${booking.id}@${UID_DOMAIN}`,
+        start: booking.startsAt,
+        end: booking.endsAt,
+        summary: `${name} · ${booking.areaName ?? 'Booking'} (${party})`,
+        description: [
+            `Sunstay booking ${booking.id}: ${party}${booking.areaName ? ` in the ${booking.areaName}` : ''}.`,
+            forecastSection(forecast, venue, window),
+        ].join('\n\n'),
+        location: venueLocation(venue, booking.venueName),
+        geo: venueGeo(venue),
+        status: booking.status === 'cancelled' || booking.status === 'expired' ? 'CANCELLED' : 'CONFIRMED',
+        lastModified: booking.updatedAt,
+        stamp: now,
+    };
+}
+
+/**
+ * A planned outing from a best-window suggestion. Returns null when the
+ * window has no start time to put in a calendar.
+ *
+ * @param {object} venue
+ * @param {{ startsAt?: string, endsAt?: string, label?: string, score?: number }} window
+ *   as returned by findBestWindow() or getBestWindow()
+ */
+export function bestWindowToOuting(venue, window) {
+    if (!venue || !window?.startsAt || !window?.endsAt) return null;
+    return {
+        venueId: venue.id,
+        venueName: venueName(venue),
+        timezone: getTimezoneForLocation(venue.lat, venue.lng) ?? DEFAULT_REGION.timezone,
+        startsAt: window.startsAt,
+        endsAt: window.endsAt,
+        label: window.label ?? null,
+        score: Number.isFinite(window.score) ? Math.round(window.score) : null,
+    };
+}
+
+/**
+ * Calendar event for a planned outing (see bestWindowToOuting()).
+ *
+ * @param {object} outing
+ * @param {object} [venue]
+ * @param {{ forecast?: object, now?: number }} [options]
+ */
+export function outingToCalendarEvent(outing, venue, { forecast, now = Date.now() } = {}) {
+    const name = venueName(venue, outing.venueName);
+    const window = { startsAt: outing.startsAt, endsAt: outing.endsAt, timeZone: outing.timezone, now };
+    const why = outing.score != null
+        ? `Sunstay's best window here (score ${outing.score}/100).`
+        : 'Sunstay\'s best window here.';
+
+    return {
+        uid: `outing-${outing.id ?? `${outing.venueId}-${Date.parse(outing.startsAt)}`}@${UID_DOMAIN}`,
+        start: outing.startsAt,
+        end: outing.endsAt,
+        summary: `☀️ ${name}`,
+        description: [why, forecastSection(forecast, venue, window)].join('\n\n'),
+        location: venueLocation(venue, outing.venueName),
+        geo: venueGeo(venue),
+        status: 'TENTATIVE',
+        lastModified: outing.updatedAt,
+        stamp: now,
+    };
+}
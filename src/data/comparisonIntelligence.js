@@ -14,7 +14,7 @@ export const compareVenues = (venues, weather) => {
     if (!venues || venues.length < 2) return null;
 
     const reports = venues.map(venue => {
-        const wind = getWindWarning(weather?.wind?.speed, venue);
+        const wind = getWindWarning(weather?.wind?.speed, venue, weather?.wind?.deg);
         const uvi = weather?.uvi ?? 0;
         const condition = weather?.weather?.[0]?.main?.toLowerCase() || '';
 
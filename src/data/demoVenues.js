@@ -159,6 +159,7 @@ export const demoVenues = [
         heating: 'heated outdoor',
         hasCozy: true,
         notes: 'Real Good Company venue (brewery).',
+        windShelter: [{ from: 'E', by: 'the brewhouse' }],
     },
     {
         id: 'dv-05',
@@ -300,6 +301,7 @@ export const demoVenues = [
         tags: ['Premium', 'Sunny', 'Large Groups', 'Indoor Warmth'],
         heating: 'heated outdoor',
         notes: 'Demo-only example venue for outreach deck.',
+        windShelter: [{ from: 'W', by: 'the Flinders Lane buildings', kind: 'wall', widthDeg: 120 }],
     },
     {
         id: 'dv-14',
@@ -356,6 +358,7 @@ export const demoVenues = [
         tags: ['Premium', 'Rooftop', 'Wheelchair Accessible'],
         heating: 'heated outdoor',
         notes: 'Demo-only example venue for outreach deck.',
+        windShelter: [{ from: 'N', by: 'the laneway buildings', widthDeg: 120 }, { from: 'S', by: 'the laneway buildings', widthDeg: 120 }],
     },
     {
         id: 'dv-18',
@@ -441,6 +444,7 @@ export const demoVenues = [
         tags: ['Hidden', 'Vines', 'Beer Garden', 'Pet Friendly', 'Heaters'],
         heating: 'heated outdoor',
         notes: 'Real Sand Hill Road venue.',
+        windShelter: ['N', 'E', 'S', 'W'].map(from => ({ from, by: 'the garden walls', kind: 'wall' })),
     },
     {
         id: 'dv-25',
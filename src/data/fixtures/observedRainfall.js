@@ -0,0 +1,57 @@
+/**
+ * Observed Rainfall Recordings
+ * ─────────────────────────────────────────────────
+ * Hourly rainfall in the same shape as weatherRegistry.fetchObserved(),
+ * for running weather guarantees end to end offline. Pass one to
+ * createFixtureAdapter({ observed }) — shifted onto the booking window
+ * with replayRecording() — and settle against that registry.
+ *
+ * Values are illustrative Melbourne afternoons, not archived data.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function recording(name, startIso, values) {
+    const start = Date.parse(startIso);
+    return {
+        provider: 'fixture',
+        source: `recording:${name}`,
+        hourly: values.map((precipitation, i) => ({
+            time: new Date(start + i * HOUR_MS).toISOString(),
+            timestamp: start + i * HOUR_MS,
+            durationMinutes: 60,
+            precipitation,
+        })),
+    };
+}
+
+export const RECORDED_RAINFALL = {
+    // Thunderstorm from mid-afternoon: ~16mm over four hours
+    storm: recording('storm', '2025-11-14T01:00:00.000Z',
+        [0, 0, 0.2, 3.4, 6.8, 4.1, 1.2, 0.3, 0, 0, 0, 0]),
+    // Scattered showers: ~3mm, never near the trigger
+    showers: recording('showers', '2025-10-03T01:00:00.000Z',
+        [0, 0.4, 1.2, 0.8, 0, 0.1, 0.5, 0, 0, 0, 0, 0]),
+    // Heavy burst just before the usual evening window, then clearing
+    lateClearing: recording('lateClearing', '2025-12-20T01:00:00.000Z',
+        [0, 5.2, 7.9, 1.0, 0.2, 0, 0, 0, 0, 0, 0, 0]),
+    dry: recording('dry', '2025-09-12T01:00:00.000Z',
+        Array(12).fill(0)),
+};
+
+/**
+ * Copy of a recording moved so its first hour starts at `start`
+ * (rounded down to the hour), to replay it over any booking window.
+ */
+export function replayRecording(rec, start) {
+    const target = Math.floor(new Date(start).getTime() / HOUR_MS) * HOUR_MS;
+    const shift = target - rec.hourly[0].timestamp;
+    return {
+        ...rec,
+        hourly: rec.hourly.map(h => ({
+            ...h,
+            timestamp: h.timestamp + shift,
+            time: new Date(h.timestamp + shift).toISOString(),
+        })),
+    };
+}
@@ -9,13 +9,42 @@
  *   2. Booking Urgency   — demand signals + flash deals
  *   3. Weather Changes   — alerts for condition shifts
  *   4. Weekly Planning   — digest / planning summaries
+ *   5. Your Rules        — user-built rules (data/notificationRules)
+ *
+ * generateNotifications() reads current conditions while the app is
+ * open; generateForecastNotifications() looks ahead through a venue's
+ * forecast for the scheduled push alerts (see api/pushSubscriptions);
+ * generateRuleNotifications() evaluates the user's own rules.
+ *
+ * Every notification names the `condition` it reports (with `venueId`,
+ * that's what data/notificationPolicy deduplicates and expires on).
+ * The generators only say what is true now; whether and when to deliver
+ * it is the policy layer's call.
  */
 
-import { getWindProfile, calculateApparentTemp, getComfortZone, getWindWarning } from './windIntelligence';
+import {
+    getWindProfile,
+    calculateApparentTemp,
+    getComfortZone,
+    getWindWarning,
+    getHourlyWindForecast,
+} from './windIntelligence';
+import { buildRainTimeline, getRainTiming } from './rainIntelligence';
+import {
+    describeRule,
+    formatRuleReadings,
+    isInRuleWindow,
+    matchesRuleVenue,
+    meetsRuleConditions,
+    readRuleMetrics,
+} from './notificationRules';
+import { isWithinComfort } from '../utils/comfortProfile';
+import { formatZonedTime, getZonedParts, toZonedDateKey } from '../utils/timezone';
 
 // ── Default User Preferences ─────────────────────────────────────
 export const DEFAULT_PREFERENCES = {
     favoriteVenueIds: [],
+    // Used when there's no comfortProfile (utils/comfortProfile)
     weatherPrefs: {
         minTemp: 22,
         maxTemp: 26,
@@ -24,6 +53,8 @@ export const DEFAULT_PREFERENCES = {
     },
     frequency: 'perfect',  // 'all' | 'perfect' | 'digest'
     alertTime: '08:00',
+    // Alerts in this local window are held and sent as one summary after (data/notificationPolicy)
+    quietHours: { enabled: true, start: '22:00', end: '07:00' },
     venueTypes: [],         // empty = all types
     radiusKm: 10,
     enabledCategories: {
@@ -116,8 +147,27 @@ function isSunday() {
     return new Date().getDay() === 0;
 }
 
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
 function getDayName() {
-    return ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][new Date().getDay()];
+    return WEEKDAY_NAMES[new Date().getDay()];
+}
+
+/**
+ * Whether conditions suit the user: their comfort profile when set,
+ * otherwise the plain `weatherPrefs` thresholds.
+ */
+function meetsPreferences(prefs, { feelsLike, windKmh, sunny }) {
+    const comfortProfile = prefs.comfortProfile;
+    if (comfortProfile) {
+        return isWithinComfort(comfortProfile, { apparentTemp: feelsLike, windKmh })
+            && (comfortProfile.shadePreference !== 'sun' || sunny);
+    }
+    const wpref = prefs.weatherPrefs;
+    const tempOk = feelsLike >= wpref.minTemp && feelsLike <= wpref.maxTemp;
+    const windOk = windKmh <= wpref.maxWind;
+    const sunOk = !wpref.preferSunny || sunny;
+    return tempOk && windOk && sunOk;
 }
 
 function timeStr() {
@@ -147,6 +197,7 @@ export function generateNotifications(weather, venues, prefs, dismissed = new Se
     const favVenues = venues.filter(v => prefs.favoriteVenueIds.includes(v.id));
     const temp = weather.main?.temp;
     const windSpeed = weather.wind?.speed;
+    const windDirection = weather.wind?.deg;
     const humidity = weather.main?.humidity;
     const enabled = prefs.enabledCategories || {};
 
@@ -155,16 +206,15 @@ export function generateNotifications(weather, venues, prefs, dismissed = new Se
         const targetVenues = favVenues.length > 0 ? favVenues : venues.slice(0, 6);
 
         targetVenues.forEach(venue => {
-            const profile = getWindProfile(venue);
+            const profile = getWindProfile(venue, windDirection);
             const feelsLike = calculateApparentTemp(temp, windSpeed, humidity, profile.shelterFactor);
             const comfort = getComfortZone(Math.round(feelsLike));
-            const wind = getWindWarning(windSpeed, venue);
-            const wpref = prefs.weatherPrefs;
-
-            const tempOk = feelsLike >= wpref.minTemp && feelsLike <= wpref.maxTemp;
-            const windOk = (windSpeed * 3.6) <= wpref.maxWind;  // convert m/s to km/h
-            const sunOk = !wpref.preferSunny || isSunny(weather);
-            const isPerfect = tempOk && windOk && sunOk;
+            const wind = getWindWarning(windSpeed, venue, windDirection);
+            const isPerfect = meetsPreferences(prefs, {
+                feelsLike,
+                windKmh: windSpeed * 3.6,  // convert m/s to km/h
+                sunny: isSunny(weather),
+            });
 
             const dedupKey = `perfect-${venue.id}-${now.toDateString()}`;
             if (isPerfect && !dismissed.has(dedupKey)) {
@@ -172,6 +222,7 @@ export function generateNotifications(weather, venues, prefs, dismissed = new Se
                     id: nextId(),
                     dedupKey,
                     category: 'perfect',
+                    condition: 'perfect',
                     priority: 'high',
                     icon: '☀️',
                     title: `${venue.venueName} is perfect right now`,
@@ -191,6 +242,7 @@ export function generateNotifications(weather, venues, prefs, dismissed = new Se
                     id: nextId(),
                     dedupKey: windDedupKey,
                     category: 'perfect',
+                    condition: 'wind-calm',
                     priority: 'medium',
                     icon: '🍃',
                     title: `Wind died down at ${venue.venueName}`,
@@ -213,6 +265,7 @@ export function generateNotifications(weather, venues, prefs, dismissed = new Se
                     id: nextId(),
                     dedupKey,
                     category: 'perfect',
+                    condition: 'morning-forecast',
                     priority: 'high',
                     icon: '🌅',
                     title: `${getDayName()} looks perfect for outdoor drinks`,
@@ -238,6 +291,7 @@ export function generateNotifications(weather, venues, prefs, dismissed = new Se
                     id: nextId(),
                     dedupKey,
                     category: 'urgency',
+                    condition: 'high-demand',
                     priority: 'high',
                     icon: '🔥',
                     title: `High demand alert`,
@@ -258,6 +312,7 @@ export function generateNotifications(weather, venues, prefs, dismissed = new Se
                     id: nextId(),
                     dedupKey,
                     category: 'urgency',
+                    condition: 'flash-deal',
                     priority: 'medium',
                     icon: '⚡',
                     title: `Flash weather deal`,
@@ -280,6 +335,7 @@ export function generateNotifications(weather, venues, prefs, dismissed = new Se
                     id: nextId(),
                     dedupKey,
                     category: 'urgency',
+                    condition: 'last-sunny',
                     priority: 'low',
                     icon: '🍂',
                     title: `Make the most of autumn sun`,
@@ -297,7 +353,7 @@ export function generateNotifications(weather, venues, prefs, dismissed = new Se
         // Wind picking up
         if (windSpeed > 8) {
             const affectedVenues = venues.filter(v => {
-                const p = getWindProfile(v);
+                const p = getWindProfile(v, windDirection);
                 return p.exposure > 0.6;
             }).slice(0, 2);
 
@@ -308,6 +364,7 @@ export function generateNotifications(weather, venues, prefs, dismissed = new Se
                         id: nextId(),
                         dedupKey,
                         category: 'weather',
+                        condition: 'wind',
                         priority: 'medium',
                         icon: '💨',
                         title: `Wind picking up at ${v.venueName}`,
@@ -331,6 +388,7 @@ export function generateNotifications(weather, venues, prefs, dismissed = new Se
                     id: nextId(),
                     dedupKey,
                     category: 'weather',
+                    condition: 'uv',
                     priority: 'high',
                     icon: '🔆',
                     title: `UV index extreme today`,
@@ -350,6 +408,7 @@ export function generateNotifications(weather, venues, prefs, dismissed = new Se
                 id: nextId(),
                 dedupKey,
                 category: 'weather',
+                condition: 'rain-clear',
                 priority: 'medium',
                 icon: '🌈',
                 title: `Rain clearing at ${clearingTime}`,
@@ -366,6 +425,7 @@ export function generateNotifications(weather, venues, prefs, dismissed = new Se
                     id: nextId(),
                     dedupKey,
                     category: 'weather',
+                    condition: 'rain-clear',
                     priority: 'medium',
                     icon: '🌈',
                     title: `Skies have cleared up`,
@@ -392,6 +452,7 @@ export function generateNotifications(weather, venues, prefs, dismissed = new Se
                     id: nextId(),
                     dedupKey,
                     category: 'digest',
+                    condition: 'weekly',
                     priority: 'low',
                     icon: '📋',
                     title: `Your weekly venue planner`,
@@ -409,12 +470,247 @@ export function generateNotifications(weather, venues, prefs, dismissed = new Se
 }
 
 
+// ═══════════════════════════════════════════════════════════════════
+// Forecast Notifications
+// ═══════════════════════════════════════════════════════════════════
+
+// How far ahead wind and rain changes are worth a heads-up
+const CHANGE_LOOKAHEAD_HOURS = 6;
+
+function isSunnyCondition(condition) {
+    return condition === 'clear' || condition === 'partly_cloudy';
+}
+
+// "3pm", or "3:30pm" off the hour
+function hourLabel(timestamp, timeZone) {
+    return formatZonedTime(timestamp, timeZone).replace(':00', '');
+}
+
+/**
+ * Look ahead through each saved venue's forecast and return the alerts
+ * worth pushing, e.g. "The Garden Bar hits 24°C and sunny at 3pm".
+ * Only `prefs.favoriteVenueIds` are considered. Dedup keys are scoped to
+ * the venue's local day, so the same alert isn't sent twice in a day.
+ *
+ * @param {Map<string, object>|object} forecasts — venue id → normalized forecast
+ * @param {array}  venues — venue objects, at least the saved ones
+ * @param {object} prefs  — user preferences object
+ * @param {{ now?: number, timeZone?: string, dismissed?: Set }} [options]
+ *   `timeZone` for day boundaries and labels, defaults to each forecast's
+ * @returns {Notification[]}
+ */
+export function generateForecastNotifications(forecasts, venues, prefs, { now = Date.now(), timeZone, dismissed = new Set() } = {}) {
+    const favVenues = (venues || []).filter(v => prefs.favoriteVenueIds?.includes(v.id));
+    const enabled = prefs.enabledCategories || {};
+    const stamp = new Date(now).toISOString();
+    const notifs = [];
+    const add = (notif) => {
+        if (!dismissed.has(notif.dedupKey)) {
+            notifs.push({ id: nextId(), time: stamp, read: false, ...notif });
+        }
+    };
+
+    let digestZone = timeZone;
+    let bestBet = null;
+    let goodVenueCount = 0;
+
+    favVenues.forEach(venue => {
+        const forecast = forecasts instanceof Map ? forecasts.get(venue.id) : forecasts?.[venue.id];
+        if (!forecast?.hourly?.length) return;
+
+        const zone = timeZone ?? forecast.timezone ?? undefined;
+        digestZone = digestZone ?? zone;
+        const today = toZonedDateKey(now, zone);
+        const hours = getHourlyWindForecast(forecast, venue, { now, hours: 48, timeZone: zone });
+        if (!hours.length) return;
+
+        const isToday = (h) => toZonedDateKey(h.timestamp, zone) === today;
+        const perfectHours = hours.filter(h => h.isDay !== false && meetsPreferences(prefs, {
+            feelsLike: h.feelsLike,
+            windKmh: h.wind,
+            sunny: isSunnyCondition(h.condition),
+        }));
+
+        // ── Perfect conditions later today ──
+        const perfect = perfectHours.find(isToday);
+        if (enabled.perfectConditions !== false && perfect) {
+            const sky = isSunnyCondition(perfect.condition) ? 'sunny' : 'dry';
+            add({
+                dedupKey: `forecast-perfect-${venue.id}-${today}`,
+                category: 'perfect',
+                condition: 'perfect',
+                priority: 'high',
+                icon: '☀️',
+                title: perfect.isCurrent
+                    ? `${venue.venueName} is ${perfect.temp}°C and ${sky} right now`
+                    : `${venue.venueName} hits ${perfect.temp}°C and ${sky} at ${hourLabel(perfect.timestamp, zone)}`,
+                body: `Feels like ${perfect.feelsLike}°C with ${perfect.windWarning.level === 'green' ? 'calm winds' : 'a light breeze'} — ideal for outdoor seating`,
+                venueId: venue.id,
+                venueName: venue.venueName,
+                startsAt: new Date(perfect.timestamp).toISOString(),
+                actionLabel: 'View Venue',
+            });
+        }
+
+        if (perfectHours.length) {
+            goodVenueCount += 1;
+            const next = perfectHours.find(h => !isToday(h));
+            if (next && (!bestBet || next.timestamp < bestBet.hour.timestamp)) {
+                bestBet = { venue, hour: next, zone };
+            }
+        }
+
+        // ── Weather changes within the next few hours ──
+        if (enabled.weatherChanges !== false) {
+            const current = hours[0];
+            const upcoming = hours.slice(1, CHANGE_LOOKAHEAD_HOURS + 1).filter(isToday);
+
+            const isWindy = (h) => h.windMs > 8 && getWindProfile(venue, h.direction).exposure > 0.6;
+            const windy = !isWindy(current) && upcoming.find(isWindy);
+            if (windy) {
+                add({
+                    dedupKey: `forecast-wind-${venue.id}-${today}`,
+                    category: 'weather',
+                    condition: 'wind',
+                    priority: 'medium',
+                    icon: '💨',
+                    title: `Wind picking up at ${venue.venueName} by ${hourLabel(windy.timestamp, zone)}`,
+                    body: `${windy.wind} km/h${windy.directionName ? ` ${windy.directionName}` : ''} winds — indoor seating still available`,
+                    venueId: venue.id,
+                    venueName: venue.venueName,
+                    startsAt: new Date(windy.timestamp).toISOString(),
+                    actionLabel: 'Check Indoor Options',
+                });
+            }
+
+            const rain = getRainTiming(buildRainTimeline({ forecast, now }), { now });
+            const rainWithin = rain.minutes > 0 && rain.minutes <= CHANGE_LOOKAHEAD_HOURS * 60;
+            if (rainWithin && toZonedDateKey(rain.startsAt, zone) === today) {
+                add({
+                    dedupKey: `forecast-rain-${venue.id}-${today}`,
+                    category: 'weather',
+                    condition: 'rain',
+                    priority: 'medium',
+                    icon: '🌧️',
+                    title: `Rain reaching ${venue.venueName} around ${hourLabel(rain.startsAt, zone)}`,
+                    body: `${rain.intensity.label} expected — head out before then or grab a covered table`,
+                    venueId: venue.id,
+                    venueName: venue.venueName,
+                    startsAt: rain.startsAt.toISOString(),
+                    actionLabel: 'Check Forecast',
+                });
+            }
+        }
+    });
+
+    // ── Weekly planning, on Sundays ──
+    if (enabled.weeklyPlanning !== false && favVenues.length && getZonedParts(now, digestZone).weekday === 0) {
+        const today = toZonedDateKey(now, digestZone);
+        let best = '';
+        if (bestBet) {
+            const { venue, hour, zone } = bestBet;
+            const day = WEEKDAY_NAMES[getZonedParts(hour.timestamp, zone).weekday];
+            best = ` Best bet: ${venue.venueName} on ${day} at ${hourLabel(hour.timestamp, zone)}.`;
+        }
+        add({
+            dedupKey: `forecast-weekly-${today}`,
+            category: 'digest',
+            condition: 'weekly',
+            priority: 'low',
+            icon: '📋',
+            title: 'Your weekly venue planner',
+            body: `${goodVenueCount} of your ${favVenues.length} saved venues look good over the next two days.${best}`,
+            venueId: bestBet?.venue.id,
+            venueName: bestBet?.venue.venueName,
+            actionLabel: 'Plan Ahead',
+        });
+    }
+
+    return notifs;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════
+// Custom Rule Notifications
+// ═══════════════════════════════════════════════════════════════════
+/**
+ * Evaluate the user's rules (data/notificationRules) against venues'
+ * current conditions. A rule fires when it starts matching — some
+ * venue passing its filters meets every condition inside its day and
+ * time window — and then stays quiet until it has stopped matching and
+ * its cooldown has passed. One notification per rule, naming the best
+ * scoring venue.
+ *
+ * @param {object[]} rules
+ * @param {array}    venues
+ * @param {{ getWeather: (venue: object) => object|null, now?: number,
+ *   timeZone?: string, origin?: { lat: number, lng: number },
+ *   savedVenueIds?: string[], comfort?: object, state?: object }} context
+ *   `state` is the previous result's (see loadRuleState)
+ * @returns {{ notifications: Notification[], state: object }}
+ */
+export function generateRuleNotifications(rules, venues, {
+    getWeather,
+    now = Date.now(),
+    timeZone,
+    origin,
+    savedVenueIds = [],
+    comfort,
+    state = {},
+} = {}) {
+    const notifications = [];
+    const nextState = {};
+
+    (rules || []).filter(r => r.enabled).forEach(rule => {
+        const previous = state[rule.id] || {};
+        let matches = [];
+
+        if (isInRuleWindow(rule, now, timeZone)) {
+            matches = (venues || [])
+                .filter(v => matchesRuleVenue(rule, v, { origin, savedVenueIds }))
+                .map(venue => ({ venue, metrics: readRuleMetrics(venue, getWeather(venue), { now, comfort }) }))
+                .filter(({ metrics }) => meetsRuleConditions(rule, metrics))
+                .sort((a, b) => (b.metrics.score ?? 0) - (a.metrics.score ?? 0));
+        }
+
+        const matching = matches.length > 0;
+        const cooledDown = !previous.lastFiredAt || now - previous.lastFiredAt >= rule.cooldownMinutes * 60 * 1000;
+        const fires = matching && !previous.matching && cooledDown;
+        nextState[rule.id] = { matching, lastFiredAt: fires ? now : previous.lastFiredAt ?? null };
+        if (!fires) return;
+
+        const [{ venue, metrics }] = matches;
+        const others = matches.length - 1;
+        notifications.push({
+            id: nextId(),
+            dedupKey: `rule-${rule.id}-${now}`,
+            category: 'custom',
+            condition: `rule-${rule.id}`,
+            priority: 'high',
+            icon: '🔔',
+            title: `${venue.venueName} matches “${rule.name || describeRule(rule)}”`,
+            body: formatRuleReadings(rule, metrics)
+                + (others > 0 ? ` · ${others} more venue${others === 1 ? '' : 's'} too` : ''),
+            venueId: venue.id,
+            venueName: venue.venueName,
+            ruleId: rule.id,
+            time: new Date(now).toISOString(),
+            read: false,
+            actionLabel: 'View Venue',
+        });
+    });
+
+    return { notifications, state: nextState };
+}
+
+
 // ── Category Metadata ────────────────────────────────────────────
 export const NOTIFICATION_CATEGORIES = {
     perfect: { label: 'Perfect Conditions', icon: '☀️', color: '#f59e0b' },
     urgency: { label: 'Booking Urgency', icon: '🔥', color: '#ef4444' },
     weather: { label: 'Weather Changes', icon: '🌦️', color: '#3b82f6' },
     digest: { label: 'Weekly Planning', icon: '📋', color: '#8b5cf6' },
+    custom: { label: 'Your Rules', icon: '🔔', color: '#10b981' },
 };
 
 export const FREQUENCY_OPTIONS = [
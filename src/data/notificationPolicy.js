@@ -0,0 +1,265 @@
+/**
+ * Notification delivery policy
+ * ─────────────────────────────────────────────────────────────
+ * Decides which of the notifications the engine generates (see
+ * data/notificationEngine) actually reach the user, and when:
+ *
+ *   Dedup        one alert per venue + condition: none while an earlier one
+ *                still stands today, or within DEDUP_WINDOW_MINUTES of its
+ *                target time, so a forecast shifting 3pm → 4pm doesn't
+ *                alert again (rule alerts keep their own cooldown)
+ *   Rate limits  at most `max` alerts per category per window
+ *   Quiet hours  alerts wait in the digest queue until quiet hours end
+ *   Digest       'digest' frequency queues everything for one summary on
+ *                Sunday evening; queued alerts go out as a single digest
+ *   Expiry       a delivered perfect-conditions or weather alert whose
+ *                condition no longer holds is expired, and stale queued
+ *                alerts are dropped
+ *
+ * applyDeliveryPolicy() is pure: it takes everything the engine says is
+ * true right now plus the delivery log and queue, and returns what to
+ * deliver, what expired and the next log and queue. deliverNotifications()
+ * runs it for the in-app notification list in localStorage;
+ * api/pushSubscriptions keeps a log and queue per push subscription.
+ *
+ * @module data/notificationPolicy
+ */
+
+import { getZonedParts, toZonedDateKey } from '../utils/timezone';
+import { DEFAULT_PREFERENCES, loadNotifications, saveNotifications } from './notificationEngine';
+
+export const DEDUP_WINDOW_MINUTES = 180;
+
+// Per category; prefs.rateLimits overrides individual entries
+export const DEFAULT_RATE_LIMITS = {
+    perfect: { max: 3, windowMinutes: 24 * 60 },
+    urgency: { max: 1, windowMinutes: 24 * 60 },
+    weather: { max: 4, windowMinutes: 6 * 60 },
+    digest: { max: 1, windowMinutes: 6 * 24 * 60 },
+    custom: { max: 6, windowMinutes: 24 * 60 },
+};
+
+// Alerts about conditions that can stop holding; urgency, digests and
+// rule alerts (which fire on a change) are left alone
+const EXPIRING_CATEGORIES = ['perfect', 'weather'];
+
+// Rule alerts already fire on a change with the rule's own cooldown
+const SELF_THROTTLED_CATEGORIES = ['custom'];
+
+// 'digest' frequency releases its queue from this local hour on Sundays
+const WEEKLY_DIGEST_HOUR = 17;
+
+const FREQUENCY_CATEGORIES = {
+    perfect: ['perfect', 'custom'],
+};
+
+const MINUTE = 60 * 1000;
+const LOG_RETENTION_MS = 7 * 24 * 60 * MINUTE;
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * What dedup and expiry compare: the venue (or "any") and the condition.
+ */
+export const getNotificationSignature = (notification) =>
+    `${notification.venueId ?? 'any'}:${notification.condition ?? notification.category}`;
+
+// When the alert is about: a forecast hour, else when it was generated
+const getTargetTime = (notification) => Date.parse(notification.startsAt ?? notification.time);
+
+const parseClock = (value) => {
+    const [hour, minute] = String(value).split(':').map(Number);
+    return (hour || 0) * 60 + (minute || 0);
+};
+
+/**
+ * Whether `now` falls inside quiet hours in `timeZone`. Windows may wrap
+ * midnight (22:00–07:00).
+ */
+export function isInQuietHours(quietHours, now = Date.now(), timeZone) {
+    if (!quietHours?.enabled) return false;
+    const local = getZonedParts(now, timeZone);
+    const minutes = local.hour * 60 + local.minute;
+    const start = parseClock(quietHours.start);
+    const end = parseClock(quietHours.end);
+    if (start === end) return false;
+    return start < end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+function isWeeklyDigestDue(now, timeZone) {
+    const local = getZonedParts(now, timeZone);
+    return local.weekday === 0 && local.hour >= WEEKLY_DIGEST_HOUR;
+}
+
+const toLogEntry = (notification, now) => ({
+    id: notification.id,
+    tag: notification.dedupKey,
+    signature: getNotificationSignature(notification),
+    category: notification.category,
+    targetAt: getTargetTime(notification),
+    deliveredAt: now,
+    expiredAt: null,
+});
+
+/**
+ * One notification summarising queued alerts, best first.
+ */
+export function buildDigest(items, { now = Date.now(), weekly = false } = {}) {
+    const sorted = [...items].sort((a, b) =>
+        (PRIORITY_ORDER[a.priority] ?? 3) - (PRIORITY_ORDER[b.priority] ?? 3));
+    const shown = sorted.slice(0, 3).map(n => n.title);
+    const more = sorted.length - shown.length;
+    return {
+        id: `digest-${now}`,
+        dedupKey: `digest-${now}`,
+        category: 'digest',
+        condition: 'digest',
+        priority: 'low',
+        icon: '📬',
+        title: weekly
+            ? 'Your weekly Sunstay digest'
+            : `${sorted.length} alert${sorted.length === 1 ? '' : 's'} while notifications were quiet`,
+        body: shown.join(' · ') + (more > 0 ? ` · and ${more} more` : ''),
+        items: sorted.map(n => n.id),
+        time: new Date(now).toISOString(),
+        read: false,
+        actionLabel: 'See All',
+    };
+}
+
+/**
+ * Run the delivery policy over one evaluation.
+ *
+ * @param {Notification[]} candidates — everything the engine reports now,
+ *   generated without a dismissed set so absent conditions can expire
+ * @param {{ log?: object[], queue?: Notification[], prefs?: object,
+ *   now?: number, timeZone?: string }} [state]
+ *   `log` and `queue` from the previous run; `prefs` supplies
+ *   `frequency`, `quietHours` and optional `rateLimits`
+ * @returns {{ deliver: Notification[], expired: object[], dropped: object[],
+ *   log: object[], queue: Notification[] }} `expired` are log entries
+ *   (with `id` and `tag`) whose alerts should be withdrawn; `dropped`
+ *   pairs a candidate with the reason it was held back
+ */
+export function applyDeliveryPolicy(candidates, {
+    log = [],
+    queue = [],
+    prefs = DEFAULT_PREFERENCES,
+    now = Date.now(),
+    timeZone,
+} = {}) {
+    const frequency = prefs.frequency ?? DEFAULT_PREFERENCES.frequency;
+    const quietHours = prefs.quietHours ?? DEFAULT_PREFERENCES.quietHours;
+    const rateLimits = { ...DEFAULT_RATE_LIMITS, ...prefs.rateLimits };
+    const current = new Set(candidates.map(getNotificationSignature));
+    const isStale = (category, signature) => EXPIRING_CATEGORIES.includes(category) && !current.has(signature);
+
+    // ── Expiry ──
+    const expired = [];
+    const nextLog = log
+        .filter(entry => now - entry.deliveredAt < LOG_RETENTION_MS)
+        .map(entry => {
+            if (entry.expiredAt || !isStale(entry.category, entry.signature)) return entry;
+            const updated = { ...entry, expiredAt: now };
+            expired.push(updated);
+            return updated;
+        });
+    const nextQueue = queue.filter(n => !isStale(n.category, getNotificationSignature(n)));
+
+    // ── Dedup, frequency, quiet hours, rate limits ──
+    const quiet = isInQuietHours(quietHours, now, timeZone);
+    const allowed = FREQUENCY_CATEGORIES[frequency];
+    const windowMs = DEDUP_WINDOW_MINUTES * MINUTE;
+    const today = toZonedDateKey(now, timeZone);
+    // An alert still standing today covers its condition for the rest of
+    // the day; otherwise the same condition within the window is a repeat
+    const seen = [
+        ...nextLog.map(e => ({
+            signature: e.signature,
+            targetAt: e.targetAt,
+            standing: !e.expiredAt && EXPIRING_CATEGORIES.includes(e.category)
+                && toZonedDateKey(e.deliveredAt, timeZone) === today,
+        })),
+        ...nextQueue.map(n => ({ signature: getNotificationSignature(n), targetAt: getTargetTime(n), standing: true })),
+    ];
+    const isDuplicate = (signature, targetAt) => seen.some(s => s.signature === signature
+        && (s.standing || Math.abs(s.targetAt - targetAt) < windowMs));
+    const isRateLimited = (category) => {
+        const limit = rateLimits[category];
+        if (!limit) return false;
+        const since = now - limit.windowMinutes * MINUTE;
+        return nextLog.filter(e => e.category === category && e.deliveredAt >= since).length >= limit.max;
+    };
+
+    const deliver = [];
+    const dropped = [];
+    const sorted = [...candidates].sort((a, b) =>
+        (PRIORITY_ORDER[a.priority] ?? 3) - (PRIORITY_ORDER[b.priority] ?? 3));
+
+    for (const notification of sorted) {
+        const signature = getNotificationSignature(notification);
+        const targetAt = getTargetTime(notification);
+        let reason = null;
+        const throttled = SELF_THROTTLED_CATEGORIES.includes(notification.category);
+        if (!throttled && isDuplicate(signature, targetAt)) reason = 'duplicate';
+        else if (allowed && !allowed.includes(notification.category)) reason = 'frequency';
+        else if (frequency === 'digest' || quiet) {
+            nextQueue.push(notification);
+        } else if (isRateLimited(notification.category)) reason = 'rate_limited';
+        else {
+            deliver.push(notification);
+            nextLog.push(toLogEntry(notification, now));
+        }
+
+        if (reason) dropped.push({ notification, reason });
+        else seen.push({ signature, targetAt, standing: true });
+    }
+
+    // ── Digest ──
+    const weekly = frequency === 'digest';
+    if (nextQueue.length && !quiet && (!weekly || isWeeklyDigestDue(now, timeZone))) {
+        const digest = buildDigest(nextQueue, { now, weekly });
+        deliver.push(digest);
+        // Logged individually so they still dedup and expire
+        nextLog.push(...nextQueue.map(n => toLogEntry(n, now)), { ...toLogEntry(digest, now), signature: digest.id });
+        nextQueue.length = 0;
+    }
+
+    return { deliver, expired, dropped, log: nextLog, queue: nextQueue };
+}
+
+// ── In-app Delivery ──────────────────────────────────────────────
+const DELIVERY_STATE_KEY = 'sunstay_notification_delivery';
+
+export function loadDeliveryState() {
+    try {
+        const raw = localStorage.getItem(DELIVERY_STATE_KEY);
+        if (raw) return { log: [], queue: [], ...JSON.parse(raw) };
+    } catch { /* ignore */ }
+    return { log: [], queue: [] };
+}
+
+export function saveDeliveryState(state) {
+    localStorage.setItem(DELIVERY_STATE_KEY, JSON.stringify({ log: state.log, queue: state.queue }));
+}
+
+/**
+ * Run the policy for the in-app notification list: new alerts are added
+ * to the stored notifications and expired ones removed from it.
+ *
+ * @param {Notification[]} candidates — from generateNotifications() etc.
+ *   with no dismissed set
+ * @param {{ prefs: object, now?: number, timeZone?: string }} options
+ * @returns {{ deliver: Notification[], expired: object[], dropped: object[] }}
+ */
+export function deliverNotifications(candidates, { prefs, now = Date.now(), timeZone } = {}) {
+    const result = applyDeliveryPolicy(candidates, { ...loadDeliveryState(), prefs, now, timeZone });
+    saveDeliveryState(result);
+
+    const expiredIds = new Set(result.expired.map(e => e.id));
+    const kept = loadNotifications().filter(n => !expiredIds.has(n.id));
+    saveNotifications([...result.deliver, ...kept]);
+
+    return { deliver: result.deliver, expired: result.expired, dropped: result.dropped };
+}
@@ -0,0 +1,242 @@
+/**
+ * Custom notification rules
+ * ─────────────────────────────────────────────────────────────
+ * Alerts the user composes themselves, e.g. "any rooftop within 5km
+ * scoring 80+ on a weekend afternoon" or "UV below 3 at my saved
+ * venues". A rule is plain data:
+ *
+ *   {
+ *     id, name, enabled,
+ *     venues:     { scope: 'any' | 'saved', tag: 'Rooftop' | null, withinKm: 5 | null },
+ *     conditions: [{ metric: 'score', op: 'gte', value: 80 }, ...],   all must hold
+ *     when:       { days: 'any' | 'weekdays' | 'weekends', time: 'any' | 'afternoon' | ... },
+ *     cooldownMinutes,
+ *   }
+ *
+ * Unnamed rules are shown by describeRule(). Metrics are read through
+ * the venue's Sunstay Score (utils/venueScore), so "feels like" allows
+ * for the venue's shelter and the comfort profile applies. The engine
+ * (data/notificationEngine generateRuleNotifications) fires a rule when
+ * it starts matching, then not again until the cooldown has passed.
+ * Rules and that per-rule state are kept in localStorage.
+ *
+ * @module data/notificationRules
+ */
+
+import { scoreVenue } from '../utils/venueScore';
+import { getZonedParts } from '../utils/timezone';
+
+export const RULE_METRICS = [
+    { id: 'score', label: 'Sunstay score', unit: '', min: 0, max: 100, step: 5 },
+    { id: 'feelsLike', label: 'Feels like', unit: '°C', min: -5, max: 45, step: 1 },
+    { id: 'temp', label: 'Temperature', unit: '°C', min: -5, max: 45, step: 1 },
+    { id: 'wind', label: 'Wind', unit: ' km/h', min: 0, max: 80, step: 5 },
+    { id: 'uv', label: 'UV index', unit: '', min: 0, max: 14, step: 1 },
+    { id: 'cloud', label: 'Cloud cover', unit: '%', min: 0, max: 100, step: 10 },
+    { id: 'rainChance', label: 'Chance of rain', unit: '%', min: 0, max: 100, step: 10 },
+];
+
+export const RULE_OPERATORS = [
+    { id: 'gte', label: '≥', test: (a, b) => a >= b },
+    { id: 'lte', label: '≤', test: (a, b) => a <= b },
+    { id: 'gt', label: '>', test: (a, b) => a > b },
+    { id: 'lt', label: '<', test: (a, b) => a < b },
+];
+
+export const RULE_DAYS = [
+    { id: 'any', label: 'Any day' },
+    { id: 'weekdays', label: 'Weekdays' },
+    { id: 'weekends', label: 'Weekends' },
+];
+
+// Local hours, end exclusive
+export const RULE_TIMES = [
+    { id: 'any', label: 'Any time', from: 0, to: 24 },
+    { id: 'morning', label: 'Morning', from: 6, to: 12 },
+    { id: 'afternoon', label: 'Afternoon', from: 12, to: 17 },
+    { id: 'evening', label: 'Evening', from: 17, to: 22 },
+];
+
+export const RULE_COOLDOWNS = [
+    { id: 60, label: '1 hour' },
+    { id: 180, label: '3 hours' },
+    { id: 720, label: '12 hours' },
+    { id: 1440, label: '1 day' },
+];
+
+const byId = (list, id) => list.find(item => item.id === id);
+
+let _ruleSeq = Date.now();
+
+/**
+ * A complete rule from a partial one, with defaults filled in and
+ * unknown metrics, operators and options dropped.
+ */
+export function normalizeRule(rule = {}) {
+    const venues = rule.venues || {};
+    const when = rule.when || {};
+    const withinKm = Number(venues.withinKm);
+    const conditions = (rule.conditions || [])
+        .filter(c => byId(RULE_METRICS, c.metric) && byId(RULE_OPERATORS, c.op) && Number.isFinite(Number(c.value)))
+        .map(c => ({ metric: c.metric, op: c.op, value: Number(c.value) }));
+
+    return {
+        id: rule.id ?? `rule-${++_ruleSeq}`,
+        name: String(rule.name || '').trim(),
+        enabled: rule.enabled !== false,
+        venues: {
+            scope: venues.scope === 'saved' ? 'saved' : 'any',
+            tag: venues.tag || null,
+            withinKm: withinKm > 0 ? withinKm : null,
+        },
+        conditions,
+        when: {
+            days: byId(RULE_DAYS, when.days) ? when.days : 'any',
+            time: byId(RULE_TIMES, when.time) ? when.time : 'any',
+        },
+        cooldownMinutes: Math.max(0, Number(rule.cooldownMinutes) || 180),
+    };
+}
+
+/**
+ * Reasons a rule can't be saved yet; empty when it's fine.
+ */
+export function validateRule(rule) {
+    const errors = [];
+    if (!rule.conditions?.length) errors.push('Add at least one weather condition');
+    return errors;
+}
+
+const formatCondition = (c) => {
+    const metric = byId(RULE_METRICS, c.metric);
+    const op = byId(RULE_OPERATORS, c.op);
+    return `${metric.label.toLowerCase()} ${op.label} ${c.value}${metric.unit}`;
+};
+
+/**
+ * One-line summary, e.g. "Any Rooftop within 5 km · sunstay score ≥ 80 ·
+ * weekends, afternoon".
+ */
+export function describeRule(rule) {
+    const { scope, tag, withinKm } = rule.venues;
+    const where = [
+        scope === 'saved' ? 'Saved venues' : tag ? `Any ${tag}` : 'Any venue',
+        scope === 'saved' && tag ? `(${tag})` : null,
+        withinKm ? `within ${withinKm} km` : null,
+    ].filter(Boolean).join(' ');
+
+    const when = [
+        rule.when.days !== 'any' ? byId(RULE_DAYS, rule.when.days).label.toLowerCase() : null,
+        rule.when.time !== 'any' ? byId(RULE_TIMES, rule.when.time).label.toLowerCase() : null,
+    ].filter(Boolean).join(', ');
+
+    return [where, ...rule.conditions.map(formatCondition), when].filter(Boolean).join(' · ');
+}
+
+function distanceKm(a, b) {
+    const rad = (deg) => deg * Math.PI / 180;
+    const dLat = rad(b.lat - a.lat);
+    const dLng = rad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Whether a venue passes the rule's venue filters.
+ *
+ * @param {{ origin?: { lat: number, lng: number }, savedVenueIds?: string[] }} [context]
+ *   `origin` is where "within N km" is measured from
+ */
+export function matchesRuleVenue(rule, venue, { origin, savedVenueIds = [] } = {}) {
+    const { scope, tag, withinKm } = rule.venues;
+    if (scope === 'saved' && !savedVenueIds.includes(venue.id)) return false;
+    if (tag && !venue.tags?.includes(tag)) return false;
+    if (withinKm && origin) {
+        const lat = Number(venue.lat);
+        const lng = Number(venue.lng);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+        if (distanceKm(origin, { lat, lng }) > withinKm) return false;
+    }
+    return true;
+}
+
+/**
+ * Whether `now` falls in the rule's days and time of day, in `timeZone`.
+ */
+export function isInRuleWindow(rule, now = Date.now(), timeZone) {
+    const local = getZonedParts(now, timeZone);
+    const weekend = local.weekday === 0 || local.weekday === 6;
+    if (rule.when.days === 'weekdays' && weekend) return false;
+    if (rule.when.days === 'weekends' && !weekend) return false;
+    const { from, to } = byId(RULE_TIMES, rule.when.time);
+    const hour = local.hour + local.minute / 60;
+    return hour >= from && hour < to;
+}
+
+/**
+ * The values rule conditions test, read through the venue's score so
+ * shelter and the comfort profile apply. Missing readings are null.
+ */
+export function readRuleMetrics(venue, weather, { now = Date.now(), comfort } = {}) {
+    const result = scoreVenue(venue, weather, { date: new Date(now), comfort });
+    const c = result.conditions;
+    return {
+        score: weather ? result.score : null,
+        feelsLike: result.apparentTemp ?? c.apparentTemp,
+        temp: c.temp,
+        wind: c.windKmh,
+        uv: c.uvIndex,
+        cloud: c.cloudCover,
+        rainChance: c.rainChance,
+    };
+}
+
+/**
+ * Whether every condition holds for `metrics`. A missing reading never
+ * matches, so "UV below 3" doesn't fire just because UV is unknown.
+ */
+export function meetsRuleConditions(rule, metrics) {
+    return rule.conditions.length > 0 && rule.conditions.every(c => {
+        const value = metrics[c.metric];
+        return value != null && byId(RULE_OPERATORS, c.op).test(value, c.value);
+    });
+}
+
+export function formatRuleReadings(rule, metrics) {
+    return rule.conditions.map(c => {
+        const metric = byId(RULE_METRICS, c.metric);
+        return `${metric.label} ${Math.round(metrics[c.metric])}${metric.unit}`;
+    }).join(' · ');
+}
+
+// ── Persistence Helpers ──────────────────────────────────────────
+const RULES_KEY = 'sunstay_notification_rules';
+const RULE_STATE_KEY = 'sunstay_notification_rule_state';
+
+export function loadRules() {
+    try {
+        const raw = localStorage.getItem(RULES_KEY);
+        if (raw) return JSON.parse(raw).map(normalizeRule);
+    } catch { /* ignore */ }
+    return [];
+}
+
+export function saveRules(rules) {
+    localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+}
+
+/**
+ * Per-rule `{ matching, lastFiredAt }`, keyed by rule id.
+ */
+export function loadRuleState() {
+    try {
+        const raw = localStorage.getItem(RULE_STATE_KEY);
+        if (raw) return JSON.parse(raw);
+    } catch { /* ignore */ }
+    return {};
+}
+
+export function saveRuleState(state) {
+    localStorage.setItem(RULE_STATE_KEY, JSON.stringify(state));
+}
@@ -1,39 +1,173 @@
 /**
  * Rain Intelligence Engine
  * ─────────────────────────────────────────────────
- * Provides precipitation timing, duration estimates,
- * and dry window recommendations.
+ * Precipitation timing, intensity, duration and dry
+ * windows for a venue, from a rain timeline:
+ *
+ *   nowcast  — minute (Tomorrow.io) or 15-minute (Open-Meteo)
+ *              intensity steps, see weatherRegistry `fetchNowcast`
+ *   forecast — normalized hourly forecast, used past the nowcast
+ *   current  — current conditions, for "raining now" when neither
+ *              covers the present moment
+ *
+ * Build the timeline once with buildRainTimeline() and pass it to the
+ * getters. hooks/useRainNowcast does this per venue.
  */
 
+import { formatZonedTime } from '../utils/timezone';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Below this (mm/h) a step counts as dry
+export const RAIN_THRESHOLD_MM_H = 0.1;
+// A forecast hour with rain in it counts as wet from this chance (%),
+// and regardless of the amount from the higher one
+const WET_CHANCE = 40;
+const CERTAIN_CHANCE = 70;
+
+// Met Office bands, mm/h
+const INTENSITY_LEVELS = [
+    { level: 'heavy', label: 'Heavy rain', min: 7.6 },
+    { level: 'moderate', label: 'Rain', min: 2.5 },
+    { level: 'light', label: 'Light rain', min: 0 },
+];
+
+const WET_CONDITIONS = ['rain', 'drizzle', 'thunderstorm', 'shower'];
+
 /**
- * Calculates when rain will arrive based on forecast data.
- * @param {Object} weather - Current weather/forecast object
- * @returns {Object} { minutes: Number, label: String, active: Boolean }
+ * Merge nowcast steps, forecast hours and current conditions into one
+ * sorted list of `{ start, end, intensity, chance, source }` (ms, mm/h, %),
+ * from now on. The nowcast wins wherever it has data, unless it is a
+ * demo one.
+ *
+ * @param {{ nowcast?: object, forecast?: object, current?: object, now?: number }} sources
+ * @returns {object[]}
  */
-export const getRainTiming = (weather) => {
-    // If it's already raining
-    const condition = weather?.weather?.[0]?.main?.toLowerCase() || '';
-    if (condition.includes('rain') || condition.includes('drizzle')) {
-        return { minutes: 0, label: 'Raining now', active: true };
+export function buildRainTimeline({ nowcast, forecast, current, now = Date.now() } = {}) {
+    const steps = [];
+
+    // A demo nowcast is made up, so it must not override a real forecast
+    const measured = nowcast?.provider === 'demo' ? null : nowcast;
+    const interval = (measured?.intervalMinutes || 1) * MINUTE;
+    for (const step of measured?.steps || []) {
+        if (!Number.isFinite(step.timestamp) || step.timestamp + interval <= now) continue;
+        steps.push({
+            start: step.timestamp,
+            end: step.timestamp + interval,
+            intensity: step.precipitationIntensity ?? 0,
+            chance: null,
+            source: 'nowcast',
+        });
     }
+    const nowcastEnd = steps.length ? steps[steps.length - 1].end : -Infinity;
 
-    // Look for precipitation forecast
-    // In a real app, this would check hourly forecast slots
-    // For demo, we use a 'rain_arrival' field in minutes from now
-    const arrival = weather?.rain_arrival;
+    for (const hour of forecast?.hourly || []) {
+        const start = Math.max(hour.timestamp, nowcastEnd);
+        const end = hour.timestamp + HOUR;
+        if (!Number.isFinite(hour.timestamp) || end <= now || end <= start) continue;
+        steps.push({
+            start,
+            end,
+            intensity: hour.precipitation ?? 0,
+            chance: hour.precipProbability ?? null,
+            source: 'forecast',
+        });
+    }
 
-    if (arrival === undefined || arrival === null) {
-        return { minutes: -1, label: 'No rain expected', active: false };
+    steps.sort((a, b) => a.start - b.start);
+
+    // Neither source covers the present: fall back to what's falling now
+    if (isRainingNow(current) && !steps.some(s => s.start <= now && s.end > now)) {
+        const nextStart = steps.find(s => s.start > now)?.start ?? now + 15 * MINUTE;
+        steps.unshift({
+            start: now,
+            end: Math.min(nextStart, now + 15 * MINUTE),
+            intensity: Math.max(current.precipitation ?? 0, 0.5),
+            chance: null,
+            source: 'current',
+        });
     }
 
-    if (arrival <= 0) return { minutes: 0, label: 'Raining now', active: true };
+    return steps;
+}
+
+function isRainingNow(current) {
+    if (!current) return false;
+    if ((current.precipitation ?? 0) >= RAIN_THRESHOLD_MM_H) return true;
+    const condition = String(current.condition ?? current.weather?.[0]?.main ?? '').toLowerCase();
+    return WET_CONDITIONS.some(c => condition.includes(c));
+}
+
+export function isWetStep(step) {
+    if (step.chance == null) return step.intensity >= RAIN_THRESHOLD_MM_H;
+    return (step.intensity >= RAIN_THRESHOLD_MM_H && step.chance >= WET_CHANCE)
+        || step.chance >= CERTAIN_CHANCE;
+}
+
+/**
+ * Intensity band for a rate in mm/h.
+ * @returns {{ level: 'light'|'moderate'|'heavy', label: string, mmPerHour: number }}
+ */
+export function getRainIntensity(mmPerHour) {
+    const band = INTENSITY_LEVELS.find(l => mmPerHour >= l.min) ?? INTENSITY_LEVELS[INTENSITY_LEVELS.length - 1];
+    return { level: band.level, label: band.label, mmPerHour: Math.round(mmPerHour * 10) / 10 };
+}
+
+const formatMinutes = (minutes) => {
+    if (minutes < 60) return `${minutes}m`;
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return m ? `${h}h ${m}m` : `${h}h`;
+};
+
+// The unbroken run of steps from `index` that all pass `test`
+function spellFrom(timeline, index, test) {
+    let last = index;
+    while (
+        last + 1 < timeline.length
+        && test(timeline[last + 1])
+        && timeline[last + 1].start <= timeline[last].end
+    ) last++;
+    return timeline.slice(index, last + 1);
+}
+
+/**
+ * When the next rain arrives, how hard and for how long.
+ *
+ * @param {object[]} timeline from buildRainTimeline()
+ * @param {{ now?: number }} [options]
+ * @returns {{ active: boolean, minutes: number, label: string,
+ *   startsAt: Date|null, endsAt: Date|null, durationMinutes: number|null,
+ *   intensity: object|null }} `minutes` is 0 while raining and -1 with no rain
+ *   in the timeline; `endsAt` is null when the rain outlasts the data
+ */
+export function getRainTiming(timeline, { now = Date.now() } = {}) {
+    const index = (timeline || []).findIndex(s => s.end > now && isWetStep(s));
+    if (index < 0) {
+        return { active: false, minutes: -1, label: 'No rain expected', startsAt: null, endsAt: null, durationMinutes: null, intensity: null };
+    }
+
+    const spell = spellFrom(timeline, index, isWetStep);
+    const startsAt = Math.max(spell[0].start, now);
+    const runsOff = spell[spell.length - 1] === timeline[timeline.length - 1];
+    const endsAt = runsOff ? null : spell[spell.length - 1].end;
+    const intensity = getRainIntensity(Math.max(...spell.map(s => s.intensity)));
+    const active = spell[0].start <= now;
+    const minutes = active ? 0 : Math.round((startsAt - now) / MINUTE);
 
     return {
-        minutes: arrival,
-        label: `Rain in ${arrival}m`,
-        active: false
+        active,
+        minutes,
+        label: active
+            ? (intensity.level === 'light' ? 'Raining now' : `${intensity.label} now`)
+            : `${intensity.label} in ${formatMinutes(minutes)}`,
+        startsAt: new Date(startsAt),
+        endsAt: endsAt ? new Date(endsAt) : null,
+        durationMinutes: endsAt ? Math.round((endsAt - startsAt) / MINUTE) : null,
+        intensity,
     };
-};
+}
 
 /**
  * Determines if a venue is "rain-safe" based on its tags.
@@ -45,9 +179,10 @@ export const isRainSafe = (venue) => {
 
 /**
  * Provides a "Smart Suggestion" for rain scenarios.
+ * @param {object} venue
+ * @param {object} timing from getRainTiming()
  */
-export const getRainSuggestion = (venue, weather) => {
-    const timing = getRainTiming(weather);
+export const getRainSuggestion = (venue, timing) => {
     const safe = isRainSafe(venue);
 
     if (timing.active) {
@@ -64,18 +199,41 @@ export const getRainSuggestion = (venue, weather) => {
 };
 
 /**
- * Finds the next 3-hour dry window.
- * For demo purposes, we'll mock this from the weather metadata.
+ * The first dry spell of at least `minutes` in the timeline. Stretches
+ * without data don't count as dry.
+ *
+ * @param {object[]} timeline from buildRainTimeline()
+ * @param {{ minutes?: number, now?: number, timeZone?: string }} [options]
+ * @returns {{ start: Date, end: Date|null, label: string }|null} `end` is null
+ *   when the spell outlasts the data; null when there is no such window
  */
-export const getRainWindowFinder = (weather) => {
-    const nextDry = weather?.next_dry_window; // e.g., "7pm - 10pm"
-    if (!nextDry) return "Clear skies ahead";
-    return `Next dry window: ${nextDry}`;
+export const getRainWindowFinder = (timeline, { minutes = 180, now = Date.now(), timeZone } = {}) => {
+    const steps = timeline || [];
+    const isDry = (s) => !isWetStep(s);
+
+    for (let i = 0; i < steps.length; i++) {
+        if (steps[i].end <= now || !isDry(steps[i])) continue;
+        const spell = spellFrom(steps, i, isDry);
+        const start = Math.max(spell[0].start, now);
+        const last = spell[spell.length - 1];
+        if (last.end - start >= minutes * MINUTE) {
+            const end = last === steps[steps.length - 1] ? null : last.end;
+            const time = (ms) => formatZonedTime(ms, timeZone);
+            let label;
+            if (start <= now) label = end ? `Dry now until ${time(end)}` : 'Dry for the foreseeable';
+            else label = end ? `Next dry window: ${time(start)} – ${time(end)}` : `Dry from ${time(start)}`;
+            return { start: new Date(start), end: end ? new Date(end) : null, label };
+        }
+        i += spell.length - 1;
+    }
+    return null;
 };
 
 /**
- * Checks if rain is clearing soon.
+ * When the rain falling now is expected to stop.
+ * @returns {Date|null} null when it isn't raining or the rain outlasts the data
  */
-export const getRainClearingTime = (weather) => {
-    return weather?.rain_clearing_time || null; // e.g. "3:00 PM"
+export const getRainClearingTime = (timeline, { now = Date.now() } = {}) => {
+    const timing = getRainTiming(timeline, { now });
+    return timing.active ? timing.endsAt : null;
 };
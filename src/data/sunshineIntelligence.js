@@ -1,16 +1,21 @@
 /**
  * Sunshine Intelligence Engine
  * ─────────────────────────────────────────────────
- * Three systems unified:
+ * Two systems unified:
  *   1. Real suncalc integration — sun position, window, golden hour
- *   2. Sunshine Score™ (0–100) — composite outdoor comfort rating
- *   3. Sun orientation engine — venue facing vs solar azimuth
+ *   2. Sun orientation engine — venue facing vs solar azimuth
+ *
+ * The Sunstay Score built on these lives in utils/venueScore.
  *
  * Requires: suncalc@^1.9.0 (already in package.json)
  */
 
 import SunCalc from 'suncalc';
-import { getWindProfile, calculateApparentTemp, getComfortZone } from './windIntelligence';
+import { getVenueBuildingShade } from './buildings';
+import { getHorizonAltitude, normalizeHorizonProfile } from '../utils/horizonProfile';
+import { computeSunCalendar } from '../utils/sunCalendar';
+import { parseFacing } from '../utils/calculateBalconySun';
+import { getTimezoneForLocation } from '../config/regions';
 
 // ── Sun Position & Window ─────────────────────────────────────────
 
@@ -178,11 +183,31 @@ export function getSunExposureAtVenue(venue, date = new Date()) {
     isLit = false;
   }
 
-  const profile = getWindProfile(venue);
   // Shade factor can block sun even when it's geometrically overhead
   const effectiveShadeFactor = (venue.shielding?.shadeFactor || 50) / 100;
   if (effectiveShadeFactor > 0.85 && quality === 'direct') quality = 'partial';
 
+  // Surrounding buildings overrule the facing heuristic: a rooftop among
+  // towers is not sunny just because it faces north. A stored horizon
+  // profile says so directly; loaded footprints are checked as well
+  const horizon = normalizeHorizonProfile(venue.horizonProfile);
+  const buildingShade = getVenueBuildingShade(venue, date);
+  let shadedByBuildings = false;
+  if (horizon && quality !== 'shade' && solar.altitudeDeg < getHorizonAltitude(horizon, solarAzimuth)) {
+    quality = 'shade';
+    isLit = false;
+    shadedByBuildings = true;
+  }
+  if (buildingShade.hasData && quality !== 'shade') {
+    if (buildingShade.shadedFraction === 1) {
+      quality = 'shade';
+      isLit = false;
+      shadedByBuildings = true;
+    } else if (buildingShade.shadedFraction > 0) {
+      quality = 'partial';
+    }
+  }
+
   return {
     isLit,
     angleDiff: Math.round(diff),
@@ -190,9 +215,11 @@ export function getSunExposureAtVenue(venue, date = new Date()) {
     solarAzimuth: solar.azimuthDeg,
     altitudeDeg: solar.altitudeDeg,
     facingBearing,
+    buildingShade: buildingShade.hasData ? buildingShade : null,
     label:
       quality === 'direct' ? 'Direct sunshine' :
       quality === 'partial' ? 'Partial sun' :
+      shadedByBuildings ? 'Shaded by nearby buildings' :
       'In shade right now',
   };
 }
@@ -233,128 +260,22 @@ export function getSunTimeline(venue, date = new Date()) {
   return slots;
 }
 
-// ── Sunshine Score™ ───────────────────────────────────────────────
-
-/**
- * Calculate the Sunshine Score™ (0–100) for a venue.
- *
- * Composite of:
- *   - Sun window remaining (0–25 pts) — how much sun is left today
- *   - Direct sun exposure quality (0–25 pts) — is sun hitting the space right now
- *   - Comfort zone / feels-like temp (0–20 pts) — BOM apparent temp
- *   - Wind exposure (0–15 pts) — venue shelter factor
- *   - UV index quality (0–10 pts) — sweet spot is UV 3–6
- *   - Time-of-day bonus (0–5 pts) — golden hour premium
- *
- * @param {object} venue — venue object with lat/lng/shielding
- * @param {object} weather — { temp, windSpeed, humidity, uvIndex, cloudCover }
- * @param {Date} date — defaults to now
- * @returns {{ score, grade, gradeLabel, gradeColor, breakdown, label }}
- */
-export function calculateSunshineScore(venue, weather = {}, date = new Date()) {
-  const solar = getSolarData(venue, date);
-  const exposure = getSunExposureAtVenue(venue, date);
-  const profile = getWindProfile(venue);
-
-  const temp = weather.temp ?? 20;
-  const windSpeed = (weather.windSpeed ?? 10) / 3.6; // convert km/h to m/s
-  const humidity = weather.humidity ?? 60;
-  const uvIndex = weather.uvIndex ?? venue.weatherNow?.uvIndex ?? 5;
-  const cloudCover = weather.cloudCover ?? 0; // 0–100%
-
-  const apparentTemp = calculateApparentTemp(temp, windSpeed, humidity, profile.shelterFactor);
-  const comfort = getComfortZone(apparentTemp);
-
-  let score = 0;
-  const breakdown = {};
-
-  // 1. Sun window remaining (0–25 pts)
-  let sunPts = 0;
-  if (solar?.isSunUp) {
-    const mins = solar.minutesUntilSunset;
-    if (mins >= 240) sunPts = 25;       // 4+ hours
-    else if (mins >= 120) sunPts = 20;  // 2–4 hours
-    else if (mins >= 60) sunPts = 13;   // 1–2 hours
-    else if (mins >= 30) sunPts = 7;    // 30–60 min
-    else sunPts = 3;                    // < 30 min
-
-    // Cloud cover penalty
-    const cloudPenalty = Math.round((cloudCover / 100) * sunPts * 0.6);
-    sunPts = Math.max(0, sunPts - cloudPenalty);
-  }
-  breakdown.sunWindow = sunPts;
-  score += sunPts;
-
-  // 2. Direct sun exposure quality (0–25 pts)
-  let exposurePts = 0;
-  if (exposure.quality === 'direct') exposurePts = 25;
-  else if (exposure.quality === 'partial') exposurePts = 12;
-  else exposurePts = 0;
-  breakdown.sunExposure = exposurePts;
-  score += exposurePts;
-
-  // 3. Comfort zone (0–20 pts)
-  const comfortMap = { warm: 20, mild: 16, cool: 8, hot: 6, cold: 2, extreme: 0, unknown: 0 };
-  const comfortPts = comfortMap[comfort.level] ?? 0;
-  breakdown.comfort = comfortPts;
-  score += comfortPts;
-
-  // 4. Wind (0–15 pts) — lower exposure = better
-  const windPts = Math.round((1 - profile.exposure) * 15);
-  breakdown.wind = windPts;
-  score += windPts;
-
-  // 5. UV index (0–10 pts) — sweet spot 3–6, penalty for 0–2 (no sun) or 9+ (dangerous)
-  let uvPts = 0;
-  if (uvIndex >= 3 && uvIndex <= 6) uvPts = 10;
-  else if (uvIndex === 7 || uvIndex === 8) uvPts = 7;
-  else if (uvIndex === 2) uvPts = 4;
-  else if (uvIndex === 1) uvPts = 2;
-  else if (uvIndex >= 9) uvPts = 3; // high UV, score but flag
-  breakdown.uv = uvPts;
-  score += uvPts;
-
-  // 6. Golden hour bonus (0–5 pts)
-  const goldenPts = solar?.isGoldenHour ? 5 : 0;
-  breakdown.goldenHour = goldenPts;
-  score += goldenPts;
-
-  score = Math.min(100, Math.max(0, Math.round(score)));
-
-  // Grade
-  let grade, gradeLabel, gradeColor, gradeBg, gradeEmoji;
-  if (score >= 85) {
-    grade = 'S'; gradeLabel = 'Perfect Sun'; gradeColor = '#f59e0b'; gradeBg = '#fef3c7'; gradeEmoji = '✨';
-  } else if (score >= 65) {
-    grade = 'A'; gradeLabel = 'Great Sunshine'; gradeColor = '#10b981'; gradeBg = '#d1fae5'; gradeEmoji = '☀️';
-  } else if (score >= 40) {
-    grade = 'B'; gradeLabel = 'Partial Sun'; gradeColor = '#f97316'; gradeBg = '#ffedd5'; gradeEmoji = '🌤️';
-  } else {
-    grade = 'C'; gradeLabel = 'Low Sun'; gradeColor = '#6b7280'; gradeBg = '#f3f4f6'; gradeEmoji = '☁️';
-  }
-
-  return {
-    score,
-    grade,
-    gradeLabel,
-    gradeColor,
-    gradeBg,
-    gradeEmoji,
-    breakdown,
-    solar,
-    exposure,
-    comfort,
-    apparentTemp,
-    label: `${gradeEmoji} ${score}/100 · ${gradeLabel}`,
-  };
-}
-
 /**
- * Sort venues by Sunshine Score descending — the "Best Right Now" sort.
+ * Year of direct sun for a venue's outdoor area, or for one of its rooms
+ * (see utils/sunCalendar). A room uses its own orientation, horizon
+ * profile and obstruction level; the venue uses getVenueFacingBearing()
+ * and its own horizon profile. Null without coordinates.
  */
-export function sortByShineScore(venues, weather = {}, date = new Date()) {
-  return [...venues]
-    .map(v => ({ venue: v, score: calculateSunshineScore(v, weather, date) }))
-    .sort((a, b) => b.score.score - a.score.score)
-    .map(({ venue, score }) => ({ ...venue, _sunshineScore: score }));
+export function getVenueSunCalendar(venue, { room = null, year } = {}) {
+  const lat = Number(venue?.lat);
+  const lng = Number(venue?.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+  return computeSunCalendar(lat, lng, {
+    year,
+    facingDeg: room ? parseFacing(room.orientation) : getVenueFacingBearing(venue),
+    profile: room ? room.horizonProfile : venue.horizonProfile,
+    obstructionLevel: room?.obstructionLevel,
+    timeZone: getTimezoneForLocation(lat, lng),
+  });
 }
@@ -23,7 +23,7 @@ export const calculateHourComfort = (hourData, venue) => {
     else if (temp < 18 || temp > 30) score -= 20;
 
     // Wind scoring
-    const wind = getWindWarning(windSpeed, venue);
+    const wind = getWindWarning(windSpeed, venue, hourData.wind_deg);
     if (wind.level === 'green') score += 10;
     else if (wind.level === 'red') score -= 30;
 
@@ -66,6 +66,9 @@ export const findBestWindow = (hourlyData, venue) => {
         start: `${start}:00`,
         end: `${end === 24 ? 0 : end}:00`,
         label: `${start % 12 || 12}${start >= 12 ? 'pm' : 'am'} - ${end % 12 || 12}${end >= 12 ? 'pm' : 'am'}`,
-        score: Math.round(bestScore)
+        score: Math.round(bestScore),
+        // Instants for calendar export (data/calendarEvents)
+        startsAt: new Date(hourlyData[bestStartIndex].dt * 1000).toISOString(),
+        endsAt: new Date((hourlyData[bestStartIndex + 2].dt + 3600) * 1000).toISOString(),
     };
 };
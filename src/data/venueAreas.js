@@ -0,0 +1,140 @@
+/**
+ * Venue Seating Areas
+ * ─────────────────────────────────────────────────
+ * Bookable areas inside a venue (rooftop deck, beer garden, indoor
+ * lounge…) and how each one experiences the weather: sun exposure,
+ * wind shelter (from the windIntelligence exposure profiles) and
+ * whether it is covered from rain.
+ *
+ * Venues can list their own `areas`; otherwise a sensible set is
+ * derived from tags and vibe so every demo venue has something to book.
+ */
+
+import { detectWindExposure, getExposureProfile } from './windIntelligence';
+import { getOrientationWindow, getRegionForLocation, DEFAULT_REGION } from '../config/regions';
+import { getZonedHour } from '../utils/timezone';
+
+// ── Area Types ────────────────────────────────────────────────────
+// `exposure` keys into the wind exposure profiles; `sunExposure` is the
+// share of open-sky sunshine the area gets while the sun is on it.
+
+export const AREA_TYPES = {
+    rooftop: { name: 'Rooftop deck', emoji: '🏙️', exposure: 'rooftop', covered: false, sunExposure: 1.0 },
+    beer_garden: { name: 'Beer garden', emoji: '🍺', exposure: 'beer_garden', covered: false, sunExposure: 0.85 },
+    waterfront: { name: 'Waterfront deck', emoji: '🌊', exposure: 'waterfront', covered: false, sunExposure: 0.9 },
+    streetside: { name: 'Streetside tables', emoji: '🚶', exposure: 'streetside', covered: false, sunExposure: 0.7 },
+    courtyard: { name: 'Courtyard', emoji: '🌿', exposure: 'courtyard', covered: false, sunExposure: 0.6 },
+    balcony: { name: 'Balcony', emoji: '🌅', exposure: 'streetside', covered: false, sunExposure: 0.8 },
+    covered_terrace: { name: 'Covered terrace', emoji: '⛱️', exposure: 'courtyard', covered: true, sunExposure: 0.4 },
+    indoor: { name: 'Indoor lounge', emoji: '🛋️', exposure: 'indoor', covered: true, sunExposure: 0.1 },
+};
+
+// Share of sunshine an oriented area keeps outside its sun window
+const OFF_WINDOW_SUN = 0.35;
+
+const toArea = (raw, venue, capacity) => {
+    const base = AREA_TYPES[raw.type] || AREA_TYPES.beer_garden;
+    const profile = getExposureProfile(raw.exposure ?? base.exposure);
+    return {
+        id: raw.id ?? raw.type,
+        type: raw.type ?? 'beer_garden',
+        name: raw.name ?? base.name,
+        emoji: raw.emoji ?? base.emoji,
+        covered: raw.covered ?? base.covered,
+        sunExposure: raw.sunExposure ?? base.sunExposure,
+        orientation: raw.orientation ?? null,
+        shelterFactor: raw.shelterFactor ?? profile.shelterFactor,
+        capacity: raw.capacity ?? capacity,
+        venueId: venue?.id ?? null,
+    };
+};
+
+/**
+ * Infer area types for a venue without an explicit `areas` list.
+ */
+function deriveAreaTypes(venue) {
+    const tags = Array.isArray(venue?.tags) ? venue.tags : [];
+    const vibe = String(venue?.vibe || '').toLowerCase();
+    const types = [];
+    const add = (type) => { if (!types.includes(type)) types.push(type); };
+
+    if (tags.includes('Rooftop') || vibe.includes('rooftop')) add('rooftop');
+    if (tags.includes('Beer Garden') || tags.includes('Garden') || vibe.includes('garden')) add('beer_garden');
+    if (tags.includes('River') || vibe.includes('waterfront') || vibe.includes('wharf')) add('waterfront');
+    if (vibe.includes('street')) add('streetside');
+    if (vibe.includes('courtyard') || vibe.includes('laneway')) add('courtyard');
+    if (venue?.hasBalcony) add('balcony');
+    if (tags.some(t => ['Covered', 'Veranda', 'Umbrellas'].includes(t))) add('covered_terrace');
+
+    if (!types.length) {
+        const exposure = detectWindExposure(venue);
+        add(AREA_TYPES[exposure] ? exposure : 'beer_garden');
+    }
+    add('indoor');
+    return types;
+}
+
+/**
+ * Bookable areas for a venue. Area capacity comes from the area itself,
+ * else an even split of the venue's `capacity` (null when unknown).
+ *
+ * @returns {Array<{ id: string, type: string, name: string, emoji: string,
+ *   covered: boolean, sunExposure: number, orientation: string|null,
+ *   shelterFactor: number, capacity: number|null }>}
+ */
+export function getVenueAreas(venue) {
+    if (!venue) return [];
+    const raws = Array.isArray(venue.areas) && venue.areas.length
+        ? venue.areas
+        : deriveAreaTypes(venue).map(type => ({ type }));
+
+    const total = Number(venue.capacity);
+    const share = Number.isFinite(total) && total > 0 ? Math.floor(total / raws.length) : null;
+    return raws.map(raw => toArea(raw, venue, share));
+}
+
+export function getVenueArea(venue, areaId) {
+    const areas = getVenueAreas(venue);
+    return areas.find(a => a.id === areaId) || areas[0] || null;
+}
+
+/**
+ * Fraction of open-sky sunshine the area gets at `date` (0–1). Areas with
+ * an `orientation` only get full sun inside that side's regional window.
+ */
+export function getAreaSunFactor(area, venue, date = new Date()) {
+    if (!area) return 1;
+    if (!area.orientation) return area.sunExposure;
+
+    const region = getRegionForLocation(venue?.lat, venue?.lng) ?? DEFAULT_REGION;
+    const { window } = getOrientationWindow(region, area.orientation, date);
+    const toHour = (hhmm) => {
+        const [h, m] = hhmm.split(':').map(Number);
+        return h + m / 60;
+    };
+    const hour = getZonedHour(date, region.timezone);
+    const inWindow = hour >= toHour(window[0]) && hour < toHour(window[1]);
+    return area.sunExposure * (inWindow ? 1 : OFF_WINDOW_SUN);
+}
+
+/**
+ * How one normalized forecast hour feels in an area.
+ *
+ * @param {object} area   from getVenueAreas
+ * @param {object} hour   normalized hourly entry (windSpeed m/s, cloudCover 0–1)
+ * @param {object} [venue]
+ * @returns {{ sunFactor: number, rainChance: number, windSpeed: number, covered: boolean }}
+ *   `rainChance` is 0 for covered areas; `windSpeed` (m/s) is after shelter
+ */
+export function getAreaConditions(area, hour, venue) {
+    const date = new Date(hour?.timestamp ?? hour?.time ?? Date.now());
+    const rain = hour?.precipProbability ?? hour?.precipitation_probability ?? 0;
+    const wind = hour?.windSpeed ?? 0;
+    const shelter = area?.shelterFactor ?? 0;
+    return {
+        sunFactor: getAreaSunFactor(area, venue, date),
+        rainChance: area?.covered ? 0 : rain,
+        windSpeed: wind * (1 - shelter),
+        covered: !!area?.covered,
+    };
+}
@@ -385,8 +385,3 @@ export const FILTER_CATEGORIES = [
     { id: 'smoking', label: 'Smoking Area', icon: '🚬', tag: 'Smoking Area' },
 ];
 
-// Melbourne center coordinates for initial map view
-export const MELBOURNE_CENTER = {
-    lat: -37.8136,
-    lng: 144.9631
-};
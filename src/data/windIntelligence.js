@@ -6,6 +6,10 @@
  * and booking intelligence.
  */
 
+import { getZonedHour } from '../utils/timezone';
+
+const HOUR_MS = 60 * 60 * 1000;
+
 // ── Wind Exposure Profiles ────────────────────────────────────────
 // Each venue gets a wind exposure profile based on its type, location,
 // and surrounding environment. This is a static dataset enriched from
@@ -45,6 +49,80 @@ const VENUE_WIND_NOTES = {
     'dv-23': 'Fitzroy garden courtyard — protected by surrounding walls',
 };
 
+// ── Directional Shelter ───────────────────────────────────────────
+// Venues declare the sides their outdoor area is sheltered on as
+// `windShelter`: compass points ('W') or
+//   { from: 'W' | degrees, by?: 'laneway walls', kind?: 'wall'|'building'|'screen',
+//     strength?: 0–1, widthDeg?: number }
+// `from` is where the blocked wind comes from, as in "sheltered from
+// westerlies". Wind inside the sheltered arc is cut by `strength`; the
+// cut fades out over SHELTER_FADE_DEG either side.
+
+const SHELTER_STRENGTH = { wall: 0.85, building: 0.75, screen: 0.5 };
+const DEFAULT_SHELTER_WIDTH_DEG = 90;
+const SHELTER_FADE_DEG = 30;
+
+const COMPASS_BEARINGS = {
+    N: 0, NNE: 22.5, NE: 45, ENE: 67.5, E: 90, ESE: 112.5, SE: 135, SSE: 157.5,
+    S: 180, SSW: 202.5, SW: 225, WSW: 247.5, W: 270, WNW: 292.5, NW: 315, NNW: 337.5,
+};
+
+const WIND_NAMES = ['northerly', 'north-easterly', 'easterly', 'south-easterly', 'southerly', 'south-westerly', 'westerly', 'north-westerly'];
+
+const normalizeBearing = (deg) => ((deg % 360) + 360) % 360;
+
+const angularDiff = (a, b) => {
+    const diff = Math.abs(a - b) % 360;
+    return diff > 180 ? 360 - diff : diff;
+};
+
+function parseBearing(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? normalizeBearing(value) : null;
+    const key = String(value ?? '').trim().toUpperCase();
+    return key in COMPASS_BEARINGS ? COMPASS_BEARINGS[key] : null;
+}
+
+/**
+ * "westerly", "south-easterly"… for a wind bearing (degrees it blows from).
+ */
+export function getWindName(bearing) {
+    if (!Number.isFinite(bearing)) return null;
+    return WIND_NAMES[Math.round(normalizeBearing(bearing) / 45) % 8];
+}
+
+/**
+ * A venue's declared shelter, parsed to
+ * `[{ bearing, widthDeg, strength, by }]`. Invalid entries are dropped.
+ */
+export function getVenueShelter(venue) {
+    const raw = Array.isArray(venue?.windShelter) ? venue.windShelter : [];
+    return raw
+        .map(entry => (typeof entry === 'object' && entry !== null ? entry : { from: entry }))
+        .map(entry => ({
+            bearing: parseBearing(entry.from),
+            widthDeg: entry.widthDeg ?? DEFAULT_SHELTER_WIDTH_DEG,
+            strength: Math.min(1, Math.max(0, entry.strength ?? SHELTER_STRENGTH[entry.kind] ?? SHELTER_STRENGTH.building)),
+            by: entry.by ?? null,
+        }))
+        .filter(entry => entry.bearing != null);
+}
+
+/**
+ * How much of the wind from `windDirection` the declared shelter blocks,
+ * 0–1, and the shelter doing it.
+ */
+export function getShelterFromWind(shelter, windDirection) {
+    if (!Number.isFinite(windDirection) || !shelter?.length) return { blocked: 0, by: null };
+    let best = { blocked: 0, by: null };
+    for (const side of shelter) {
+        const off = angularDiff(windDirection, side.bearing) - side.widthDeg / 2;
+        const fade = off <= 0 ? 1 : Math.max(0, 1 - off / SHELTER_FADE_DEG);
+        const blocked = side.strength * fade;
+        if (blocked > best.blocked) best = { blocked, by: side.by };
+    }
+    return best;
+}
+
 /**
  * Detect the wind exposure profile type for a venue based on its
  * vibe, tags, and name.
@@ -73,16 +151,47 @@ export function detectWindExposure(venue) {
 }
 
 /**
- * Get the full wind exposure profile for a venue.
+ * Exposure profile for a profile type (e.g. 'rooftop', 'indoor').
+ * Unknown types get the beer garden profile.
+ */
+export function getExposureProfile(type) {
+    return WIND_EXPOSURE_PROFILES[type] || WIND_EXPOSURE_PROFILES.beer_garden;
+}
+
+/**
+ * Get the full wind exposure profile for a venue. With a wind bearing
+ * (degrees the wind blows from), `exposure` and `shelterFactor` are for
+ * wind from that side, using the venue's declared `windShelter`;
+ * `baseExposure` keeps the type's static figure.
+ *
+ * @param {object} venue
+ * @param {number|null} [windDirection]
  */
-export function getWindProfile(venue) {
+export function getWindProfile(venue, windDirection = null) {
     const type = detectWindExposure(venue);
     const profile = WIND_EXPOSURE_PROFILES[type] || WIND_EXPOSURE_PROFILES.beer_garden;
     const note = venue?.id ? VENUE_WIND_NOTES[venue.id] || null : null;
+    const shelter = getVenueShelter(venue);
+    const { blocked, by } = getShelterFromWind(shelter, windDirection);
+    const exposure = Math.round(profile.exposure * (1 - blocked) * 100) / 100;
+    const windName = getWindName(windDirection);
+
+    let shelterNote = null;
+    if (windName && blocked >= 0.25) {
+        shelterNote = `Sheltered from the ${windName}${by ? ` by ${by}` : ''}`;
+    } else if (windName && shelter.length) {
+        shelterNote = `Open to the ${windName}`;
+    }
 
     return {
         type,
         ...profile,
+        exposure,
+        shelterFactor: Math.round((1 - exposure) * 100) / 100,
+        baseExposure: profile.exposure,
+        windDirection: Number.isFinite(windDirection) ? windDirection : null,
+        shelteredSides: shelter,
+        shelterNote,
         venueNote: note,
     };
 }
@@ -225,10 +334,14 @@ export function getComfortZone(apparentTemp) {
  *   Orange: 9-14 m/s — Windy
  *   Red:    14+ m/s  — High Wind
  *
- * @returns {{ level, label, advice, color, bgColor, borderColor, icon, effectiveWind }}
+ * @param {number} windSpeedMs
+ * @param {object} venue
+ * @param {number|null} [windDirection] degrees the wind blows from; applies the
+ *   venue's declared shelter
+ * @returns {{ level, label, advice, color, bgColor, borderColor, icon, effectiveWind, shelterNote }}
  */
-export function getWindWarning(windSpeedMs, venue) {
-    const profile = getWindProfile(venue);
+export function getWindWarning(windSpeedMs, venue, windDirection = null) {
+    const profile = getWindProfile(venue, windDirection);
     const effectiveWind = (windSpeedMs || 0) * profile.exposure;
     const windKmh = Math.round(effectiveWind * 3.6);
 
@@ -243,6 +356,7 @@ export function getWindWarning(windSpeedMs, venue) {
             icon: '🍃',
             effectiveWind: windKmh,
             exposureLabel: profile.label,
+            shelterNote: profile.shelterNote,
         };
     }
     if (effectiveWind < 9) {
@@ -256,6 +370,7 @@ export function getWindWarning(windSpeedMs, venue) {
             icon: '🌿',
             effectiveWind: windKmh,
             exposureLabel: profile.label,
+            shelterNote: profile.shelterNote,
         };
     }
     if (effectiveWind < 14) {
@@ -269,6 +384,7 @@ export function getWindWarning(windSpeedMs, venue) {
             icon: '💨',
             effectiveWind: windKmh,
             exposureLabel: profile.label,
+            shelterNote: profile.shelterNote,
         };
     }
     return {
@@ -281,83 +397,64 @@ export function getWindWarning(windSpeedMs, venue) {
         icon: '🌬️',
         effectiveWind: windKmh,
         exposureLabel: profile.label,
+        shelterNote: profile.shelterNote,
     };
 }
 
 // ── Wind Trend Analysis ───────────────────────────────────────────
 
+const fmtHourLabel = (h) => {
+    if (h === 0) return '12am';
+    if (h === 12) return '12pm';
+    return h > 12 ? `${h - 12}pm` : `${h}am`;
+};
+
 /**
- * Generate an hourly comfort forecast for a venue across the day.
- * Uses a realistic diurnal wind pattern for Melbourne: calm mornings,
- * building through afternoon, calming in the evening.
+ * Hour-by-hour wind and comfort at a venue from the forecast, starting
+ * with the current hour. Each hour applies the venue's shelter for that
+ * hour's wind bearing, so a sea breeze swinging onto an exposed side
+ * shows up when it does.
  *
- * @param {number} currentTemp - current temperature in °C
- * @param {number} currentWind - current wind speed in m/s
- * @param {number} humidity - current humidity %
+ * @param {object} forecast - normalized forecast (utils/weatherNormalize) with `hourly`
  * @param {object} venue - venue object for exposure calculation
- * @returns {Array<{ hour, label, temp, wind, feelsLike, comfort, windWarning }>}
+ * @param {{ now?: number, hours?: number, timeZone?: string }} [options] -
+ *   `timeZone` for hour labels, defaults to the forecast's
+ * @returns {Array<{ hour, label, timestamp, temp, wind, windMs, gust, direction,
+ *   directionName, feelsLike, comfort, windWarning, condition, isDay, isCurrent }>}
+ *   wind and gust in km/h; empty until a forecast is available
  */
-export function generateHourlyForecast(currentTemp, currentWind, humidity, venue) {
-    const profile = getWindProfile(venue);
-    const now = new Date();
-    const currentHour = now.getHours();
-    const safeCurrentTemp = Number.isFinite(Number(currentTemp)) ? Number(currentTemp) : 20;
-    const safeCurrentWind = Number.isFinite(Number(currentWind)) ? Number(currentWind) : 0;
-    const safeHumidity = Number.isFinite(Number(humidity)) ? Number(humidity) : 50;
-
-    // Melbourne diurnal wind multipliers (relative to current measurement)
-    // Morning: 0.4x, midday: 0.8x, afternoon: 1.3x peak, evening: 0.6x
-    const windMultipliers = {
-        0: 0.3, 1: 0.25, 2: 0.2, 3: 0.2, 4: 0.25, 5: 0.3,
-        6: 0.35, 7: 0.4, 8: 0.5, 9: 0.6, 10: 0.7, 11: 0.85,
-        12: 0.95, 13: 1.05, 14: 1.15, 15: 1.25, 16: 1.3, 17: 1.2,
-        18: 1.0, 19: 0.8, 20: 0.65, 21: 0.5, 22: 0.4, 23: 0.35,
-    };
-
-    // Temperature variation pattern (deviation from current)
-    const tempOffsets = {
-        0: -3, 1: -3.5, 2: -4, 3: -4.5, 4: -4, 5: -3.5,
-        6: -3, 7: -2, 8: -1, 9: 0, 10: 1, 11: 2,
-        12: 3, 13: 3.5, 14: 4, 15: 3.5, 16: 3, 17: 2,
-        18: 1, 19: 0, 20: -1, 21: -1.5, 22: -2, 23: -2.5,
-    };
-
-    // Normalize wind multipliers relative to current hour
-    const currentMultiplier = windMultipliers[currentHour] || 1;
-    const baseWind = safeCurrentWind / currentMultiplier;
-
-    // Normalize temp offsets relative to current hour
-    const currentTempOffset = tempOffsets[currentHour] || 0;
-    const baseTemp = safeCurrentTemp - currentTempOffset;
-
-    const hours = [];
-    for (let i = 0; i < 24; i++) {
-        const h = (currentHour + i) % 24;
-        const hourWind = baseWind * (windMultipliers[h] || 1);
-        const hourTemp = baseTemp + (tempOffsets[h] || 0);
-        const feelsLike = calculateApparentTemp(hourTemp, hourWind, safeHumidity, profile.shelterFactor);
-        const comfort = getComfortZone(feelsLike);
-        const windWarning = getWindWarning(hourWind, venue);
-
-        // Format hour label
-        const isPM = h >= 12;
-        const displayH = h === 0 ? 12 : h > 12 ? h - 12 : h;
-        const label = i === 0 ? 'Now' : `${displayH}${isPM ? 'pm' : 'am'}`;
-
-        hours.push({
-            hour: h,
-            label,
-            temp: Math.round(hourTemp),
-            wind: Math.round(hourWind * 3.6), // km/h
-            windMs: Math.round(hourWind * 10) / 10,
-            feelsLike: Math.round(feelsLike),
-            comfort,
-            windWarning,
-            isCurrent: i === 0,
+export function getHourlyWindForecast(forecast, venue, { now = Date.now(), hours = 24, timeZone } = {}) {
+    const zone = timeZone ?? forecast?.timezone ?? undefined;
+    const currentHourStart = now - (now % HOUR_MS);
+
+    return (forecast?.hourly || [])
+        .filter(h => Number.isFinite(h.timestamp) && h.timestamp >= currentHourStart && h.temperature != null)
+        .slice(0, hours)
+        .map((h, i) => {
+            const windMs = h.windSpeed ?? 0;
+            const direction = Number.isFinite(h.windDirection) ? h.windDirection : null;
+            const profile = getWindProfile(venue, direction);
+            const feelsLike = calculateApparentTemp(h.temperature, windMs, h.humidity, profile.shelterFactor);
+            const hour = Math.floor(getZonedHour(h.timestamp, zone));
+
+            return {
+                hour,
+                label: i === 0 ? 'Now' : fmtHourLabel(hour),
+                timestamp: h.timestamp,
+                temp: Math.round(h.temperature),
+                wind: Math.round(windMs * 3.6),
+                windMs: Math.round(windMs * 10) / 10,
+                gust: h.windGust != null ? Math.round(h.windGust * 3.6) : null,
+                direction,
+                directionName: getWindName(direction),
+                feelsLike: Math.round(feelsLike),
+                comfort: getComfortZone(feelsLike),
+                windWarning: getWindWarning(windMs, venue, direction),
+                condition: h.condition ?? null,
+                isDay: h.isDay ?? null,
+                isCurrent: i === 0,
+            };
         });
-    }
-
-    return hours;
 }
 
 /**
@@ -376,7 +473,12 @@ export function getWindTrend(hourlyForecast) {
     const ratio = now > 0 ? delta / now : delta;
 
     if (ratio > 0.3 || delta > 3) {
-        return { direction: 'building', label: 'Wind building through afternoon', icon: '📈' };
+        // Name the peak, e.g. the afternoon sea breeze, when the forecast has one
+        const peak = hourlyForecast.slice(0, 12).reduce((max, h) => (h.windMs > max.windMs ? h : max));
+        const label = peak.timestamp != null
+            ? `Wind building to ${peak.wind}km/h${peak.directionName ? ` ${peak.directionName}` : ''} by ${peak.label}`
+            : 'Wind building through afternoon';
+        return { direction: 'building', label, icon: '📈', peak };
     }
     if (ratio < -0.3 || delta < -3) {
         return { direction: 'calming', label: 'Winds calming down', icon: '📉' };
@@ -389,7 +491,7 @@ export function getWindTrend(hourlyForecast) {
  * Returns the best contiguous block of "comfortable" hours.
  */
 export function getOptimalBookingTime(hourlyForecast) {
-    if (!hourlyForecast || hourlyForecast.length === 0) return null;
+    if (!hourlyForecast || hourlyForecast.length < 3) return null;
 
     // Score each hour: higher is better
     const scored = hourlyForecast.map((h) => {
@@ -455,19 +557,20 @@ export function getOptimalBookingTime(hourlyForecast) {
  * Generate a wind impact explanation string.
  * Example: "15km/h westerly makes 24°C feel like 21°C"
  */
-export function getWindImpactExplanation(tempC, windSpeedMs, apparentTemp, venue) {
+export function getWindImpactExplanation(tempC, windSpeedMs, apparentTemp, venue, windDirection = null) {
     if (tempC == null || windSpeedMs == null || apparentTemp == null) return null;
 
-    const profile = getWindProfile(venue);
+    const profile = getWindProfile(venue, windDirection);
     const effectiveKmh = Math.round(windSpeedMs * profile.exposure * 3.6);
     const diff = Math.round(tempC - apparentTemp);
+    const wind = getWindName(windDirection) ?? 'wind';
 
     if (Math.abs(diff) < 1) {
-        return `${effectiveKmh}km/h wind has minimal effect on comfort`;
+        return `${effectiveKmh}km/h ${wind} has minimal effect on comfort`;
     }
 
     if (diff > 0) {
-        return `${effectiveKmh}km/h wind makes ${Math.round(tempC)}°C feel like ${Math.round(apparentTemp)}°C`;
+        return `${effectiveKmh}km/h ${wind} makes ${Math.round(tempC)}°C feel like ${Math.round(apparentTemp)}°C`;
     }
 
     return `Calm conditions make ${Math.round(tempC)}°C feel like ${Math.round(apparentTemp)}°C`;
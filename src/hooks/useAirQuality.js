@@ -1,8 +1,5 @@
 import { useEffect, useMemo, useState } from 'react';
-import { storage } from '../utils/platform';
-
-const CACHE_KEY_PREFIX = 'sunstay_air_quality_';
-const CACHE_EXPIRY = 20 * 60 * 1000;
+import { swr } from '../utils/cache';
 
 const toNumber = (value) => {
     const numeric = Number(value);
@@ -100,86 +97,61 @@ const fetchFromOpenMeteo = async (lat, lng, signal) => {
     };
 };
 
+// OpenAQ first (when keyed), Open-Meteo otherwise; null when both fail
+const fetchAirQuality = async (lat, lng) => {
+    try {
+        const data = await fetchFromOpenAQ(lat, lng);
+        if (data) return data;
+    } catch {
+        // fall through to Open-Meteo
+    }
+    try {
+        return await fetchFromOpenMeteo(lat, lng);
+    } catch {
+        return null;
+    }
+};
+
 export const useAirQuality = (lat, lng) => {
     const [airQuality, setAirQuality] = useState(null);
     const [loading, setLoading] = useState(false);
 
-    const cacheKey = useMemo(() => {
+    const cacheId = useMemo(() => {
         const latitude = Number(lat);
         const longitude = Number(lng);
         if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
-        return `${CACHE_KEY_PREFIX}${latitude.toFixed(2)}_${longitude.toFixed(2)}`;
+        return `${latitude.toFixed(2)},${longitude.toFixed(2)}`;
     }, [lat, lng]);
 
     useEffect(() => {
         let cancelled = false;
-        const controller = new AbortController();
-
-        const load = async () => {
-            if (!cacheKey) {
-                setAirQuality(null);
-                setLoading(false);
-                return;
-            }
-
-            setLoading(true);
-
-            try {
-                const cachedString = await storage.getItem(cacheKey);
-                if (cachedString) {
-                    const { data, timestamp } = JSON.parse(cachedString);
-                    if (Date.now() - timestamp < CACHE_EXPIRY) {
-                        if (!cancelled) {
-                            setAirQuality(data);
-                            setLoading(false);
-                        }
-                        return;
-                    }
-                }
-            } catch {
-                // cache miss
-            }
-
-            let liveData = null;
-
-            try {
-                liveData = await fetchFromOpenAQ(lat, lng, controller.signal);
-            } catch (error) {
-                if (error?.name === 'AbortError') return;
-                liveData = null;
-            }
-
-            if (!liveData) {
-                try {
-                    liveData = await fetchFromOpenMeteo(lat, lng, controller.signal);
-                } catch (error) {
-                    if (error?.name === 'AbortError') return;
-                    liveData = null;
-                }
-            }
-
-            if (!cancelled) {
-                setAirQuality(liveData);
-                setLoading(false);
-            }
-
-            if (liveData && !cancelled) {
-                try {
-                    await storage.setItem(cacheKey, JSON.stringify({ data: liveData, timestamp: Date.now() }));
-                } catch {
-                    // cache write failed
-                }
-            }
+
+        if (!cacheId) {
+            setAirQuality(null);
+            setLoading(false);
+            return;
+        }
+
+        const apply = ({ value }) => {
+            if (!cancelled) setAirQuality(value);
         };
 
-        load();
+        setLoading(true);
+        // Shared, cached fetch: unmounting only stops state updates
+        swr('airQuality', cacheId, () => fetchAirQuality(lat, lng), {
+            shouldCache: (data) => data != null,
+            onUpdate: apply,
+        })
+            .then(apply)
+            .catch(() => apply({ value: null }))
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
 
         return () => {
             cancelled = true;
-            controller.abort();
         };
-    }, [lat, lng, cacheKey]);
+    }, [lat, lng, cacheId]);
 
     return { airQuality, loading };
 };
-
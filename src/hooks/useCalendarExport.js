@@ -0,0 +1,58 @@
+/**
+ * useCalendarExport — "add to calendar" for bookings and best windows,
+ * and subscribing to the user's Sunstay calendar feed (api/calendar).
+ * Exports download an .ics file, which the device opens in its calendar
+ * app; a best window is also kept as a planned outing so the feed
+ * carries it with fresh forecasts.
+ *
+ * Returns { feedAvailable, busy, error, addBooking, addOuting, subscribe }.
+ */
+import { useState, useCallback } from 'react';
+import {
+  exportBookingIcs,
+  exportOutingIcs,
+  getCalendarFeed,
+  isCalendarFeedAvailable,
+  savePlannedOuting,
+} from '../api/calendar';
+import { downloadIcs } from '../utils/ical';
+
+export function useCalendarExport() {
+  const feedAvailable = isCalendarFeedAvailable();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = useCallback(async (task) => {
+    setBusy(true);
+    setError(null);
+    try {
+      return await task();
+    } catch (err) {
+      console.warn('[useCalendarExport] Calendar export failed:', err?.message ?? err);
+      setError(err?.message ?? 'Could not add to your calendar');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  }, []);
+
+  // `forecast` may be omitted; the venue's forecast is fetched for the snapshot
+  const addBooking = useCallback((booking, { venue, forecast } = {}) => run(async () => {
+    downloadIcs(`sunstay-booking-${booking.id}`, await exportBookingIcs(booking, { venue, forecast }));
+    return booking;
+  }), [run]);
+
+  const addOuting = useCallback((venue, window, { forecast } = {}) => run(async () => {
+    const outing = await savePlannedOuting(venue, window);
+    downloadIcs(`sunstay-${outing.id}`, await exportOutingIcs(outing, { venue, forecast }));
+    return outing;
+  }), [run]);
+
+  const subscribe = useCallback(() => run(async () => {
+    const feed = await getCalendarFeed();
+    if (feed.webcalUrl) window.location.href = feed.webcalUrl;
+    return feed;
+  }), [run]);
+
+  return { feedAvailable, busy, error, addBooking, addOuting, subscribe };
+}
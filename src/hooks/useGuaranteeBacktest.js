@@ -0,0 +1,61 @@
+/**
+ * useGuaranteeBacktest — how guarantee pricing would have performed at a
+ * venue over the past year (see utils/guaranteeBacktest).
+ *
+ * Returns { report, baseline, history, loading, error }:
+ *   report   — backtest of `version` (default: active) for the venue's
+ *              region, exposure and cover
+ *   baseline — the same history priced with the oldest version, for
+ *              comparison; null when that is `version` itself
+ *   history  — { from, to, source, days } of the samples used
+ * Stays null (with `error`) when the archive can't be reached; nothing
+ * is estimated in its place.
+ */
+import { useState, useEffect } from 'react';
+import { getRegion } from '../config/regions';
+import { ACTIVE_PRICING_VERSION, listPricingVersions } from '../config/guaranteePricing';
+import { fetchGuaranteeHistory } from '../api/guaranteeHistory';
+import { backtestPricing } from '../utils/guaranteeBacktest';
+import { getVenueRiskProfile } from '../utils/weatherGuarantee';
+
+const EMPTY = { report: null, baseline: null, history: null };
+
+export function useGuaranteeBacktest(venue, { version = ACTIVE_PRICING_VERSION, enabled = true } = {}) {
+  const [data, setData] = useState(EMPTY);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const { regionId, exposure, rainSafe } = getVenueRiskProfile(venue);
+  const bookingValue = venue?.bookingPrice || 120;
+
+  useEffect(() => {
+    if (!venue || !enabled) return;
+    const controller = new AbortController();
+    setLoading(true);
+
+    fetchGuaranteeHistory(getRegion(regionId), { signal: controller.signal })
+      .then(({ samples, from, to, source }) => {
+        const options = { regionId, exposure, rainSafe, bookingValue };
+        const oldest = listPricingVersions()[0].version;
+        setData({
+          report: backtestPricing(samples, { ...options, version }),
+          baseline: oldest === version ? null : backtestPricing(samples, { ...options, version: oldest }),
+          history: { from, to, source, days: samples.length },
+        });
+        setError(null);
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        console.warn('[useGuaranteeBacktest] history unavailable:', err.message);
+        setData(EMPTY);
+        setError(err.message);
+      })
+      .finally(() => { if (!controller.signal.aborted) setLoading(false); });
+
+    return () => controller.abort();
+    // The profile is what matters, not the venue object's identity
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [regionId, exposure, rainSafe, bookingValue, version, enabled]);
+
+  return { ...data, loading, error };
+}
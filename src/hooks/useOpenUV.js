@@ -1,8 +1,19 @@
 import { useState, useEffect } from 'react';
+import { swr } from '../utils/cache';
 
-// In-memory cache: key = "lat,lng", value = { burnTimeMins, expiresAt }
-const _cache = new Map();
-const CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour — UV index changes slowly
+// Not a weatherRegistry capability: OpenUV's safe exposure time for a
+// skin type has no equivalent in the normalized weather shape, which
+// only carries the UV index.
+async function fetchBurnTime(lat, lng) {
+  // FIX: cast lat/lng via Number() before .toFixed() to prevent TypeError crash
+  // when coordinates arrive as string primitives from venue data
+  const response = await fetch(`https://api.openuv.io/api/v1/uv?lat=${Number(lat).toFixed(4)}&lng=${Number(lng).toFixed(4)}`, {
+    headers: { 'x-access-token': import.meta.env.VITE_OPENUV_API_KEY },
+  });
+  const data = await response.json();
+  const mins = data?.result?.safe_exposure_time?.st3;
+  return typeof mins === 'number' ? mins : null;
+}
 
 export function useOpenUV(lat, lng) {
   const [burnTimeMins, setBurnTimeMins] = useState(null);
@@ -12,26 +23,16 @@ export function useOpenUV(lat, lng) {
     if (!import.meta.env.VITE_OPENUV_API_KEY) return;
     let isMounted = true;
 
-    const cacheKey = `${lat},${lng}`;
-    const cached = _cache.get(cacheKey);
-    if (cached && Date.now() < cached.expiresAt) {
-      setBurnTimeMins(cached.burnTimeMins);
-      return;
-    }
+    const apply = ({ value }) => {
+      if (isMounted && value != null) setBurnTimeMins(value);
+    };
 
-    // FIX: cast lat/lng via Number() before .toFixed() to prevent TypeError crash
-    // when coordinates arrive as string primitives from venue data
-    fetch(`https://api.openuv.io/api/v1/uv?lat=${Number(lat).toFixed(4)}&lng=${Number(lng).toFixed(4)}`, {
-      headers: { 'x-access-token': import.meta.env.VITE_OPENUV_API_KEY },
+    // UV index changes slowly, so the cached value is served for an hour
+    swr('uv', `${Number(lat).toFixed(4)},${Number(lng).toFixed(4)}`, () => fetchBurnTime(lat, lng), {
+      shouldCache: (mins) => mins != null,
+      onUpdate: apply,
     })
-      .then(r => r.json())
-      .then(data => {
-        const mins = data?.result?.safe_exposure_time?.st3;
-        if (typeof mins === 'number') {
-          _cache.set(cacheKey, { burnTimeMins: mins, expiresAt: Date.now() + CACHE_TTL_MS });
-          if (isMounted) setBurnTimeMins(mins);
-        }
-      })
+      .then(apply)
       .catch(() => {});
 
     return () => { isMounted = false; };
@@ -0,0 +1,89 @@
+/**
+ * usePushAlerts — "alert me" for one venue. Watching a venue subscribes
+ * this browser to Web Push (utils/webPush) and adds the venue to the
+ * stored subscription's saved venues (api/pushSubscriptions), which the
+ * scheduled sendDueAlerts() evaluates. Unwatching the last venue drops
+ * the subscription.
+ *
+ * Returns { supported, watching, busy, error, toggle }.
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { loadPreferences, savePreferences } from '../data/notificationEngine';
+import {
+  getPushSubscription,
+  removePushSubscription,
+  savePushSubscription,
+  updatePushPreferences,
+} from '../api/pushSubscriptions';
+import {
+  isPushSupported,
+  getBrowserPushSubscription,
+  subscribeBrowserToPush,
+  unsubscribeBrowserFromPush,
+} from '../utils/webPush';
+
+const deviceTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export function usePushAlerts(venueId) {
+  const supported = isPushSupported();
+  const [watching, setWatching] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!supported || venueId == null) return;
+    let isMounted = true;
+
+    (async () => {
+      const browserSub = await getBrowserPushSubscription();
+      const stored = browserSub ? await getPushSubscription(browserSub.endpoint) : null;
+      if (isMounted) setWatching(!!stored?.preferences?.favoriteVenueIds?.includes(venueId));
+    })().catch((err) => {
+      console.warn('[usePushAlerts] Could not read subscription:', err?.message ?? err);
+    });
+
+    return () => { isMounted = false; };
+  }, [supported, venueId]);
+
+  const toggle = useCallback(async () => {
+    if (!supported || venueId == null) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const browserSub = watching ? await getBrowserPushSubscription() : await subscribeBrowserToPush();
+      const stored = browserSub ? await getPushSubscription(browserSub.endpoint) : null;
+      const prefs = stored?.preferences ?? loadPreferences();
+      const others = (prefs.favoriteVenueIds || []).filter(id => id !== venueId);
+      const favoriteVenueIds = watching ? others : [...others, venueId];
+
+      // Keep the in-app engine's saved venues in step
+      savePreferences({ ...loadPreferences(), favoriteVenueIds });
+
+      // Without a browser subscription there is nothing stored to update
+      if (!browserSub) {
+        setWatching(false);
+        return;
+      }
+      if (!favoriteVenueIds.length) {
+        await removePushSubscription(browserSub.endpoint);
+        await unsubscribeBrowserFromPush();
+      } else if (stored) {
+        await updatePushPreferences(browserSub.endpoint, { ...prefs, favoriteVenueIds });
+      } else {
+        await savePushSubscription({
+          subscription: browserSub.toJSON(),
+          preferences: { ...prefs, favoriteVenueIds },
+          timezone: deviceTimeZone(),
+        });
+      }
+      setWatching(!watching);
+    } catch (err) {
+      console.warn('[usePushAlerts] Could not update alerts:', err?.message ?? err);
+      setError(err?.message ?? 'Could not update alerts');
+    } finally {
+      setBusy(false);
+    }
+  }, [supported, venueId, watching]);
+
+  return { supported, watching, busy, error, toggle };
+}
@@ -0,0 +1,81 @@
+/**
+ * useRainNowcast — rain timing, intensity and dry windows at a venue.
+ * Combines the cell's nowcast (see utils/venueWeather fetchCellNowcast)
+ * with its hourly forecast and current conditions from useVenueWeather.
+ *
+ * Returns { timeline, timing, clearingAt, findDryWindow, timeZone, provider, loading }:
+ *   timeline      — merged rain steps, see data/rainIntelligence buildRainTimeline
+ *   timing        — getRainTiming() for now
+ *   clearingAt    — when the current rain stops, or null
+ *   findDryWindow — (minutes) => next dry window of that length, or null
+ */
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useVenueWeather } from './useVenueWeather';
+import { fetchCellNowcast, getVenueWeatherCell } from '../utils/venueWeather';
+import { getTimezoneForLocation } from '../config/regions';
+import {
+  buildRainTimeline,
+  getRainTiming,
+  getRainClearingTime,
+  getRainWindowFinder,
+} from '../data/rainIntelligence';
+
+// Re-read the timeline against the clock this often, so "in 10m" counts down
+const TICK_MS = 60 * 1000;
+
+export function useRainNowcast(venue) {
+  const { current, forecast, loading: weatherLoading } = useVenueWeather(venue);
+  const cell = getVenueWeatherCell(venue);
+  const cellKey = cell?.key ?? null;
+  const [nowcast, setNowcast] = useState(null);
+  const [loading, setLoading] = useState(!!cellKey);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!cellKey) { setNowcast(null); setLoading(false); return; }
+    let isMounted = true;
+    setLoading(true);
+
+    fetchCellNowcast(cell, {
+      onUpdate: (fresh) => { if (isMounted) setNowcast(fresh); },
+    })
+      .then((value) => { if (isMounted) setNowcast(value); })
+      .catch((err) => {
+        // The hourly forecast still gives a coarser answer
+        console.warn('[useRainNowcast] nowcast fetch failed:', err.message);
+        if (isMounted) setNowcast(null);
+      })
+      .finally(() => { if (isMounted) setLoading(false); });
+
+    return () => { isMounted = false; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cellKey]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const timeline = useMemo(
+    () => buildRainTimeline({ nowcast, forecast, current, now }),
+    [nowcast, forecast, current, now]
+  );
+
+  const timeZone = cell ? getTimezoneForLocation(cell.lat, cell.lng) ?? undefined : undefined;
+  const timing = useMemo(() => getRainTiming(timeline, { now }), [timeline, now]);
+  const clearingAt = useMemo(() => getRainClearingTime(timeline, { now }), [timeline, now]);
+  const findDryWindow = useCallback(
+    (minutes) => getRainWindowFinder(timeline, { minutes, now, timeZone }),
+    [timeline, now, timeZone]
+  );
+
+  return {
+    timeline,
+    timing,
+    clearingAt,
+    findDryWindow,
+    timeZone,
+    provider: nowcast?.provider ?? null,
+    loading: loading || weatherLoading,
+  };
+}
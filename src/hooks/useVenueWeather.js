@@ -0,0 +1,99 @@
+/**
+ * useVenueWeather — weather at a venue's own location.
+ * Nearby venues share one grid-cell fetch (see utils/venueWeather),
+ * so mounting many cards in the same suburb costs a single request.
+ *
+ * Returns { weather, current, forecast, cellKey, loading, error }:
+ *   weather  — legacy OWM-like shape, same as useWeather().weather
+ *   current  — normalized current conditions
+ *   forecast — normalized hourly/daily forecast
+ * All three are null until the first fetch resolves.
+ */
+import { useState, useEffect } from 'react';
+import {
+  fetchVenueWeather,
+  fetchVenuesWeather,
+  getVenueWeatherCell,
+  peekVenueWeather,
+} from '../utils/venueWeather';
+
+const EMPTY = { weather: null, current: null, forecast: null };
+
+export function useVenueWeather(venue) {
+  const cellKey = getVenueWeatherCell(venue)?.key ?? null;
+  const [data, setData] = useState(() => peekVenueWeather(venue));
+  const [loading, setLoading] = useState(!data && !!cellKey);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!cellKey) { setData(null); setLoading(false); return; }
+    let isMounted = true;
+
+    // Show whatever is cached at once; a stale cell refreshes in the background
+    const cached = peekVenueWeather(venue);
+    setData(cached);
+    setLoading(!cached);
+
+    fetchVenueWeather(venue, {
+      onUpdate: (fresh) => { if (isMounted) setData(fresh); },
+    })
+      .then((result) => {
+        if (!isMounted) return;
+        setData(result);
+        setError(null);
+      })
+      .catch((err) => {
+        if (!isMounted) return;
+        console.warn('[useVenueWeather] fetch failed:', err.message);
+        setError(err.message);
+      })
+      .finally(() => { if (isMounted) setLoading(false); });
+
+    return () => { isMounted = false; };
+    // venue identity changes on every parent render; the cell is what matters
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cellKey]);
+
+  const { weather, current, forecast } = data || EMPTY;
+  return { weather, current, forecast, cellKey, loading, error };
+}
+
+/**
+ * useVenuesWeather — batch variant for lists and map pins.
+ * Returns { byVenueId, loading } where byVenueId maps String(venue.id)
+ * to the legacy weather shape for that venue's cell.
+ */
+export function useVenuesWeather(venues) {
+  const [byVenueId, setByVenueId] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  // Re-fetch only when the set of cells changes, not on every array identity change
+  const cellSignature = (venues || [])
+    .map(v => `${v?.id}@${getVenueWeatherCell(v)?.key ?? ''}`)
+    .join('|');
+
+  useEffect(() => {
+    if (!venues?.length) { setByVenueId({}); return; }
+    let isMounted = true;
+
+    setLoading(true);
+    fetchVenuesWeather(venues, {
+      onUpdate: (ids, fresh) => {
+        if (!isMounted) return;
+        setByVenueId(prev => ({ ...prev, ...Object.fromEntries(ids.map(id => [id, fresh.weather])) }));
+      },
+    })
+      .then((result) => {
+        if (!isMounted) return;
+        const next = {};
+        result.forEach((entry, id) => { next[id] = entry.weather; });
+        setByVenueId(next);
+      })
+      .finally(() => { if (isMounted) setLoading(false); });
+
+    return () => { isMounted = false; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cellSignature]);
+
+  return { byVenueId, loading };
+}
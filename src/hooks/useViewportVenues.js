@@ -0,0 +1,68 @@
+/**
+ * useViewportVenues — venues inside the visible map area.
+ * Loads a padded box around `bounds` through api/venues, and skips the
+ * request when the new viewport still fits inside the last loaded box
+ * (unless that load was truncated, so zooming in fills in the gaps).
+ *
+ * Complete Supabase results go through the shared cache, so the last
+ * viewport's venues show immediately on the next launch (and offline)
+ * while they refresh.
+ *
+ * Returns { venues, loading, error, truncated, source, fetchedAt, stale }.
+ */
+import { useState, useEffect, useRef } from 'react';
+import { boundsContain, fetchVenuesInBounds, padBounds } from '../api/venues';
+import { swr } from '../utils/cache';
+
+const VIEWPORT_PADDING = 0.25;
+
+const boundsKey = (bounds) => (bounds ? bounds.flat().map(n => Number(n).toFixed(4)).join(',') : '');
+
+export function useViewportVenues(bounds) {
+  const [state, setState] = useState({
+    venues: [],
+    loading: Boolean(bounds),
+    error: null,
+    truncated: false,
+    source: null,
+    fetchedAt: null,
+    stale: false,
+  });
+  const loadedRef = useRef(null); // { bounds, truncated }
+  const key = boundsKey(bounds);
+
+  useEffect(() => {
+    if (!bounds) return;
+    const loaded = loadedRef.current;
+    if (loaded && !loaded.truncated && boundsContain(loaded.bounds, bounds)) return;
+
+    let cancelled = false;
+    const padded = padBounds(bounds, VIEWPORT_PADDING);
+    setState(prev => ({ ...prev, loading: true }));
+
+    const apply = ({ value, fetchedAt, stale }) => {
+      if (cancelled) return;
+      const { venues, truncated, source } = value;
+      loadedRef.current = { bounds: padded, truncated };
+      setState({ venues, loading: false, error: null, truncated, source, fetchedAt, stale });
+    };
+
+    // Shared, cached fetch: moving on only stops state updates
+    swr('venues', boundsKey(padded), () => fetchVenuesInBounds(padded), {
+      shouldCache: (result) => result.source === 'supabase' && !result.truncated,
+      onUpdate: apply,
+    })
+      .then(apply)
+      .catch((err) => {
+        if (cancelled) return;
+        console.warn('[useViewportVenues] fetch failed:', err.message);
+        setState(prev => ({ ...prev, loading: false, error: err.message }));
+      });
+
+    return () => { cancelled = true; };
+    // bounds is a fresh array on every map move; the rounded key is what matters
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [key]);
+
+  return state;
+}
@@ -3,56 +3,55 @@
  * ────────────────────────────────────────────
  * Prevents double-tap booking duplication via:
  *   1. isSubmitting mutex (useRef for synchronous guard)
- *   2. Server-side availability verification before payment
- *   3. Melbourne timezone timestamps
+ *   2. An idempotency key per attempt, reused on retry, so the booking
+ *      service returns the original hold instead of creating another
+ *   3. Seats held through the booking service before payment, confirmed after
+ *   4. Timestamps in the venue's region timezone (see config/regions)
+ *
+ * Bookings are for a seating area and a time window; the window's
+ * forecast for that area is shown with BookingWindowTimeline. Once
+ * confirmed, the booking can be added to the user's calendar, or their
+ * calendar subscribed to the Sunstay feed (api/calendar).
  *
  * @module screens/Booking/BookingSummary
  */
 
-import React, { useState, useRef, useCallback } from 'react';
+import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+import { DEFAULT_REGION, getRegionForLocation } from '../../config/regions';
+import {
+    BOOKING_STATUS,
+    DEFAULT_DURATION_MINUTES,
+    cancelBooking,
+    checkSlots,
+    confirmBooking,
+    createIdempotencyKey,
+    holdSlot,
+} from '../../api/bookings';
+import { purchaseGuarantee } from '../../api/guarantees';
+import { getVenueAreas } from '../../data/venueAreas';
+import { useVenueWeather } from '../../hooks/useVenueWeather';
+import { useCalendarExport } from '../../hooks/useCalendarExport';
+import BookingWindowTimeline from '../../components/BookingWindowTimeline';
 
-const MELBOURNE_TZ = 'Australia/Melbourne';
-const formatMelbourneTime = (date = new Date()) =>
+const formatRegionTime = (region, date = new Date()) =>
     new Intl.DateTimeFormat('en-AU', {
-        timeZone: MELBOURNE_TZ,
+        timeZone: region.timezone,
         dateStyle: 'medium',
         timeStyle: 'short',
     }).format(date);
 
-// ── Availability Mock ───────────────────────────────────────────────
-
-/**
- * Verify venue availability on the server BEFORE processing payment.
- * Currently a mock — replace with real API call when backend is ready.
- *
- * @param {string} venueId
- * @param {string} dateISO  - ISO date string (e.g., '2026-02-20')
- * @param {number} guests
- * @returns {Promise<{ available: boolean, reason?: string }>}
- */
-const verifyAvailability = async (venueId, dateISO, guests = 1) => {
-    // Simulate server round-trip
-    await new Promise(resolve => setTimeout(resolve, 300));
-
-    // TODO: Replace with real endpoint
-    // POST /api/bookings/verify { venueId, date, guests }
-    console.log(
-        `[BookingSummary] Verifying availability: venue=${venueId} date=${dateISO} guests=${guests}`
-    );
-
-    // Mock: always available (for demo)
-    return { available: true };
-};
+// Errors after which the attempt's booking is finished, so a retry needs a new key
+const TERMINAL_ERRORS = ['slot_full', 'slot_unavailable', 'hold_expired'];
 
 // Simulated payment processor for investor demo
-const processPayment = async () => {
+const processPayment = async ({ bookingId }) => {
     return new Promise((resolve) => {
         setTimeout(() => {
             console.log("[SunStay Demo] Mock payment successful.");
             resolve({
                 success: true,
                 status: "success",
-                bookingId: "DEMO-" + Math.floor(Math.random() * 10000),
+                bookingId,
                 transactionId: "DEMO-" + Math.floor(Math.random() * 10000),
             });
         }, 1500); // 1.5-second fake loading delay for realism
@@ -66,10 +65,27 @@ const processPayment = async () => {
  * @param {object} props.venue - Selected venue object
  * @param {string} props.date - Selected date (ISO string)
  * @param {number} [props.guests=1] - Number of guests
+ * @param {string} [props.areaId] - Initial seating area (default: venue's first area)
+ * @param {string} [props.startTime] - Initial window start, venue-local 'HH:mm'
+ *   (default: first time with room)
+ * @param {number} [props.durationMinutes] - Window length
+ * @param {object[]} [props.weatherHours] - Normalized forecast hours; fetched for the venue when omitted
+ * @param {object} [props.guarantee] - Weather guarantee quote to buy with the booking
  * @param {function} [props.onClose] - Close callback
  * @param {function} [props.onSuccess] - Success callback with booking result
  */
-const BookingSummary = ({ venue, date, guests = 1, onClose, onSuccess }) => {
+const BookingSummary = ({
+    venue,
+    date,
+    guests = 1,
+    areaId: initialAreaId = null,
+    startTime: initialStartTime = null,
+    durationMinutes = DEFAULT_DURATION_MINUTES,
+    weatherHours = null,
+    guarantee = null,
+    onClose,
+    onSuccess,
+}) => {
     // ── Mutex: prevents double-tap ───────────────────────────────
     const isSubmittingRef = useRef(false);
     const [isSubmitting, setIsSubmitting] = useState(false);
@@ -79,6 +95,49 @@ const BookingSummary = ({ venue, date, guests = 1, onClose, onSuccess }) => {
     const [errorMessage, setErrorMessage] = useState('');
     const [bookingResult, setBookingResult] = useState(null);
 
+    // ── Area + time window ───────────────────────────────────────
+    const areas = useMemo(() => getVenueAreas(venue), [venue]);
+    const [areaId, setAreaId] = useState(initialAreaId ?? areas[0]?.id ?? null);
+    const [startTime, setStartTime] = useState(initialStartTime);
+    const [slots, setSlots] = useState([]);
+    const [slotsLoading, setSlotsLoading] = useState(true);
+    const [slotsVersion, setSlotsVersion] = useState(0); // bump to re-check seats
+    const area = areas.find(a => a.id === areaId) ?? areas[0] ?? null;
+
+    useEffect(() => {
+        let cancelled = false;
+        setSlotsLoading(true);
+        checkSlots(venue, date, { guests, areaId: area?.id, durationMinutes })
+            .then((result) => {
+                if (!cancelled) setSlots(result.slots);
+            })
+            .catch((err) => {
+                if (cancelled) return;
+                console.warn('[BookingSummary] Slot check failed:', err.message);
+                setSlots([]);
+                setErrorMessage(err.message);
+            })
+            .finally(() => { if (!cancelled) setSlotsLoading(false); });
+        return () => { cancelled = true; };
+    }, [venue, date, guests, area?.id, durationMinutes, slotsVersion]);
+
+    // An unpicked time means "first time with room"
+    const selectedSlot = startTime
+        ? slots.find(s => s.start === startTime) ?? null
+        : slots.find(s => s.available) ?? null;
+
+    const { forecast } = useVenueWeather(weatherHours ? null : venue);
+    const hours = weatherHours ?? forecast?.hourly ?? null;
+
+    // ── Idempotency: one key per attempt, kept across retries ────
+    const idempotencyKeyRef = useRef(null);
+    useEffect(() => {
+        idempotencyKeyRef.current = null;
+    }, [venue?.id, date, guests, area?.id, selectedSlot?.id, durationMinutes]);
+
+    const region = getRegionForLocation(venue?.lat, venue?.lng) ?? DEFAULT_REGION;
+    const calendar = useCalendarExport();
+
     /**
      * Main booking flow: lock → verify → pay → unlock
      */
@@ -88,44 +147,83 @@ const BookingSummary = ({ venue, date, guests = 1, onClose, onSuccess }) => {
             console.warn('[BookingSummary] Blocked duplicate submission');
             return;
         }
+        if (!selectedSlot) {
+            setErrorMessage('Pick a time to book.');
+            return;
+        }
         isSubmittingRef.current = true;
         setIsSubmitting(true);
         setErrorMessage('');
 
+        idempotencyKeyRef.current ??= createIdempotencyKey();
+
         try {
-            // Phase 1: Verify availability
+            // Phase 1: Hold seats (availability is checked by the service)
             setPhase('verifying');
-            const availability = await verifyAvailability(venue.id, date, guests);
+            const booking = await holdSlot({
+                venue,
+                date,
+                guests,
+                areaId: area?.id,
+                slotId: selectedSlot.id,
+                durationMinutes,
+                idempotencyKey: idempotencyKeyRef.current,
+            });
 
-            if (!availability.available) {
-                throw new Error(
-                    availability.reason || 'This venue is no longer available for the selected date.'
-                );
+            if (booking.status === BOOKING_STATUS.CONFIRMED) {
+                // A previous attempt already went through
+                setPhase('success');
+                setBookingResult({ success: true, bookingId: booking.id, booking });
+                onSuccess?.({ success: true, bookingId: booking.id, booking });
+                return;
+            }
+            if (booking.status !== BOOKING_STATUS.HELD) {
+                idempotencyKeyRef.current = null;
+                throw new Error('This booking attempt has lapsed. Please try again.');
             }
 
             // Phase 2: Process payment
             setPhase('paying');
-            const melbourneTimestamp = formatMelbourneTime(new Date());
-            const result = await processPayment({
+            const localTimestamp = formatRegionTime(region, new Date());
+            const payment = await processPayment({
+                bookingId: booking.id,
                 venueId: venue.id,
                 venueName: venue.venueName || venue.name,
+                areaName: booking.areaName,
                 date,
+                window: `${selectedSlot.start}–${selectedSlot.end}`,
                 guests,
-                submittedAt: melbourneTimestamp,
-                timezone: MELBOURNE_TZ,
+                submittedAt: localTimestamp,
+                timezone: region.timezone,
             });
 
-            if (!result.success) {
-                throw new Error(result.error || 'Payment processing failed. Please try again.');
+            if (!payment.success) {
+                await cancelBooking(booking.id).catch(() => {});
+                idempotencyKeyRef.current = null;
+                throw new Error(payment.error || 'Payment processing failed. Please try again.');
             }
 
-            // Phase 3: Success
+            // Phase 3: Confirm
+            const confirmed = await confirmBooking(booking.id, { paymentRef: payment.transactionId });
+            const result = { ...payment, bookingId: confirmed.id, booking: confirmed };
+            if (guarantee) {
+                // The booking stands even if the policy can't be recorded
+                result.guarantee = await purchaseGuarantee({ booking: confirmed, quote: guarantee, venue })
+                    .catch((err) => {
+                        console.warn('[BookingSummary] Weather guarantee not recorded:', err.message);
+                        return null;
+                    });
+            }
             setPhase('success');
             setBookingResult(result);
             onSuccess?.(result);
 
         } catch (err) {
             console.error('[BookingSummary] Booking failed:', err.message);
+            if (TERMINAL_ERRORS.includes(err.code)) {
+                idempotencyKeyRef.current = null;
+                setSlotsVersion(v => v + 1); // seats were taken meanwhile
+            }
             setPhase('error');
             setErrorMessage(err.message);
         } finally {
@@ -133,7 +231,7 @@ const BookingSummary = ({ venue, date, guests = 1, onClose, onSuccess }) => {
             isSubmittingRef.current = false;
             setIsSubmitting(false);
         }
-    }, [venue, date, guests, onSuccess]);
+    }, [venue, region, date, guests, area, selectedSlot, durationMinutes, guarantee, onSuccess]);
 
     // ── Phase-specific button text ───────────────────────────────
     const getButtonText = () => {
@@ -170,13 +268,57 @@ const BookingSummary = ({ venue, date, guests = 1, onClose, onSuccess }) => {
                 </div>
                 <div style={styles.metaRow}>
                     <span>📅 {date}</span>
+                    {selectedSlot && <span>🕓 {selectedSlot.start}–{selectedSlot.end}</span>}
                     <span>👥 {guests} guest{guests > 1 ? 's' : ''}</span>
                 </div>
                 <div style={styles.timestamp}>
-                    🕐 Melbourne time: {formatMelbourneTime()}
+                    🕐 {region.name} time: {formatRegionTime(region)}
                 </div>
             </div>
 
+            {/* Area + time pickers */}
+            <div style={styles.pickerLabel}>Where would you like to sit?</div>
+            <div style={styles.chipRow}>
+                {areas.map(a => (
+                    <button
+                        key={a.id}
+                        type="button"
+                        onClick={() => setAreaId(a.id)}
+                        disabled={isSubmitting || phase === 'success'}
+                        style={{ ...styles.chip, ...(a.id === area?.id ? styles.chipActive : {}) }}
+                    >
+                        {a.emoji} {a.name}
+                    </button>
+                ))}
+            </div>
+
+            <div style={styles.pickerLabel}>Time</div>
+            <select
+                value={selectedSlot?.start ?? ''}
+                onChange={(e) => setStartTime(e.target.value || null)}
+                disabled={isSubmitting || phase === 'success' || slotsLoading}
+                style={styles.select}
+                aria-label="Booking time"
+            >
+                {!selectedSlot && <option value="">{slotsLoading ? 'Checking times…' : 'No times left'}</option>}
+                {slots.map(slot => (
+                    <option key={slot.id} value={slot.start} disabled={!slot.available}>
+                        {slot.start}–{slot.end}{slot.available ? ` · ${slot.remaining} seats left` : ' · full'}
+                    </option>
+                ))}
+            </select>
+
+            {selectedSlot && (
+                <BookingWindowTimeline
+                    venue={venue}
+                    weatherHours={hours}
+                    windowStart={selectedSlot.startsAt}
+                    windowEnd={selectedSlot.endsAt}
+                    timezone={region.timezone}
+                    area={area}
+                />
+            )}
+
             {/* Error Message */}
             {errorMessage && (
                 <div style={styles.errorBanner}>
@@ -189,13 +331,39 @@ const BookingSummary = ({ venue, date, guests = 1, onClose, onSuccess }) => {
                 <div style={styles.successBanner}>
                     <div>🎉 Booking confirmed!</div>
                     <div style={styles.bookingId}>ID: {bookingResult.bookingId}</div>
+                    {bookingResult.guarantee && (
+                        <div style={styles.guaranteeNote}>
+                            🌧️ Weather guarantee active — ${bookingResult.guarantee.coverAmount} back if more than {bookingResult.guarantee.triggerMm}mm falls
+                        </div>
+                    )}
+                    <div style={styles.calendarRow}>
+                        <button
+                            type="button"
+                            onClick={() => calendar.addBooking(bookingResult.booking, { venue, forecast: forecast ?? undefined })}
+                            disabled={calendar.busy}
+                            style={styles.calendarBtn}
+                        >
+                            📅 Add to calendar
+                        </button>
+                        {calendar.feedAvailable && (
+                            <button
+                                type="button"
+                                onClick={calendar.subscribe}
+                                disabled={calendar.busy}
+                                style={styles.calendarBtn}
+                            >
+                                🔄 Sync all bookings
+                            </button>
+                        )}
+                    </div>
+                    {calendar.error && <div style={styles.calendarError}>{calendar.error}</div>}
                 </div>
             )}
 
             {/* Confirm Button — disabled during submission */}
             <button
                 onClick={handleConfirmBooking}
-                disabled={isSubmitting || phase === 'success'}
+                disabled={isSubmitting || phase === 'success' || !selectedSlot?.available}
                 style={{
                     ...styles.confirmBtn,
                     ...(isSubmitting ? styles.confirmBtnDisabled : {}),
@@ -276,6 +444,45 @@ const styles = {
         fontSize: '11px',
         color: 'rgba(255,255,255,0.5)',
     },
+    pickerLabel: {
+        fontSize: '11px',
+        fontWeight: '700',
+        letterSpacing: '0.5px',
+        textTransform: 'uppercase',
+        color: 'rgba(255,255,255,0.5)',
+        marginBottom: '8px',
+    },
+    chipRow: {
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '8px',
+        marginBottom: '16px',
+    },
+    chip: {
+        background: 'rgba(255,255,255,0.06)',
+        border: '1px solid rgba(255,255,255,0.12)',
+        borderRadius: '999px',
+        color: 'rgba(255,255,255,0.8)',
+        fontSize: '12px',
+        padding: '6px 12px',
+        cursor: 'pointer',
+    },
+    chipActive: {
+        background: 'rgba(245, 158, 11, 0.2)',
+        border: '1px solid rgba(245, 158, 11, 0.6)',
+        color: '#fcd34d',
+        fontWeight: '700',
+    },
+    select: {
+        width: '100%',
+        background: 'rgba(255,255,255,0.06)',
+        border: '1px solid rgba(255,255,255,0.12)',
+        borderRadius: '10px',
+        color: '#fff',
+        fontSize: '13px',
+        padding: '10px',
+        marginBottom: '4px',
+    },
     errorBanner: {
         background: 'rgba(239, 68, 68, 0.15)',
         border: '1px solid rgba(239, 68, 68, 0.3)',
@@ -301,8 +508,34 @@ const styles = {
         marginTop: '4px',
         fontFamily: 'monospace',
     },
+    guaranteeNote: {
+        fontSize: '12px',
+        marginTop: '8px',
+    },
+    calendarRow: {
+        display: 'flex',
+        justifyContent: 'center',
+        gap: '8px',
+        marginTop: '12px',
+    },
+    calendarBtn: {
+        background: 'rgba(255,255,255,0.08)',
+        border: '1px solid rgba(134, 239, 172, 0.4)',
+        borderRadius: '999px',
+        color: '#86efac',
+        fontSize: '12px',
+        fontWeight: '700',
+        padding: '6px 12px',
+        cursor: 'pointer',
+    },
+    calendarError: {
+        fontSize: '11px',
+        color: '#fca5a5',
+        marginTop: '8px',
+    },
     confirmBtn: {
         width: '100%',
+        marginTop: '16px',
         padding: '14px',
         borderRadius: '14px',
         border: 'none',
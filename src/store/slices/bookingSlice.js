@@ -9,6 +9,9 @@
  *   - Auto re-checks availability when severity crosses threshold
  *     (e.g., Sunny → Stormy transition)
  *   - previousSeverityRef tracks transitions
+ *   - Availability and the user's bookings come from api/bookings
+ *   - Loading bookings also settles weather guarantees whose window
+ *     has passed (api/guarantees)
  *
  * @module store/slices/bookingSlice
  */
@@ -17,6 +20,14 @@ import React, {
     createContext, useContext, useReducer,
     useEffect, useRef, useCallback,
 } from 'react';
+import {
+    cancelBooking as cancelBookingRequest,
+    checkSlots,
+    DEFAULT_DURATION_MINUTES,
+    listBookings,
+    modifyPartySize as modifyPartySizeRequest,
+} from '../../api/bookings';
+import { listGuarantees } from '../../api/guarantees';
 
 // ── Weather Severity Levels ─────────────────────────────────────────
 
@@ -84,9 +95,14 @@ const hasCrossedThreshold = (prev, next) => {
 const initialState = {
     selectedVenue: null,
     bookingDate: null,
-    availability: null,       // { available: boolean, checkedAt: string } | null
+    bookingWindow: { start: null, durationMinutes: DEFAULT_DURATION_MINUTES }, // start: venue-local 'HH:mm'
+    areaId: null,             // seating area (see data/venueAreas); null = venue's first area
+    guests: 2,
+    availability: null,       // { available, slots, area, areas, timezone, weatherSeverity, checkedAt } | null
     weatherSeverity: 'sunny',
     isChecking: false,
+    bookings: [],             // the current user's bookings, soonest first
+    guarantees: [],           // weather guarantees on those bookings, with any settlement
     error: null,
 };
 
@@ -101,6 +117,7 @@ const bookingReducer = (state, action) => {
             return {
                 ...state,
                 selectedVenue: action.payload,
+                areaId: null,       // areas belong to the venue
                 availability: null, // reset on venue change
                 error: null,
             };
@@ -112,6 +129,19 @@ const bookingReducer = (state, action) => {
                 availability: null, // reset on date change
             };
 
+        case 'SET_WINDOW':
+            return {
+                ...state,
+                bookingWindow: { ...state.bookingWindow, ...action.payload },
+                availability: null,
+            };
+
+        case 'SET_AREA':
+            return { ...state, areaId: action.payload, availability: null };
+
+        case 'SET_GUESTS':
+            return { ...state, guests: action.payload, availability: null };
+
         case 'SET_WEATHER_SEVERITY':
             return { ...state, weatherSeverity: action.payload };
 
@@ -123,7 +153,7 @@ const bookingReducer = (state, action) => {
                 ...state,
                 isChecking: false,
                 availability: {
-                    available: action.payload.available,
+                    ...action.payload,
                     checkedAt: new Date().toISOString(),
                 },
             };
@@ -136,8 +166,25 @@ const bookingReducer = (state, action) => {
                 error: action.payload,
             };
 
+        case 'SET_BOOKINGS':
+            return { ...state, bookings: action.payload };
+
+        case 'SET_GUARANTEES':
+            return { ...state, guarantees: action.payload };
+
+        case 'BOOKING_UPDATED':
+            return {
+                ...state,
+                bookings: state.bookings.some(b => b.id === action.payload.id)
+                    ? state.bookings.map(b => (b.id === action.payload.id ? action.payload : b))
+                    : [...state.bookings, action.payload],
+            };
+
+        case 'BOOKING_ERROR':
+            return { ...state, error: action.payload };
+
         case 'RESET':
-            return initialState;
+            return { ...initialState, bookings: state.bookings, guarantees: state.guarantees };
 
         default:
             return state;
@@ -155,7 +202,14 @@ const BookingContext = createContext(null);
  *   state: typeof initialState,
  *   selectVenue: (venue: object) => void,
  *   setDate: (date: string) => void,
+ *   setWindow: (window: { start?: string, durationMinutes?: number }) => void,
+ *   setArea: (areaId: string | null) => void,
+ *   setGuests: (guests: number) => void,
  *   checkAvailability: () => Promise<void>,
+ *   loadBookings: () => Promise<void>,
+ *   recordBooking: (booking: object) => void,
+ *   cancelBooking: (id: string) => Promise<object | null>,
+ *   changePartySize: (id: string, guests: number) => Promise<object | null>,
  *   reset: () => void,
  * }}
  */
@@ -186,13 +240,27 @@ export const BookingProvider = ({ children, weather = null }) => {
         dispatch({ type: 'SET_DATE', payload: date });
     }, []);
 
+    const setWindow = useCallback((window) => {
+        dispatch({ type: 'SET_WINDOW', payload: window });
+    }, []);
+
+    const setArea = useCallback((areaId) => {
+        dispatch({ type: 'SET_AREA', payload: areaId });
+    }, []);
+
+    const setGuests = useCallback((guests) => {
+        dispatch({ type: 'SET_GUESTS', payload: guests });
+    }, []);
+
     const reset = useCallback(() => {
         dispatch({ type: 'RESET' });
     }, []);
 
     /**
-     * Check availability for the current venue + date.
-     * This is a mock — replace with real API call.
+     * Check availability for the current venue, date, area, window length
+     * and party size. `selectedSlot` is the window starting at
+     * `bookingWindow.start`, if one was picked. The weather severity at
+     * check time is kept alongside so the UI can warn about it.
      */
     const checkAvailability = useCallback(async () => {
         if (!state.selectedVenue || !state.bookingDate) return;
@@ -200,28 +268,32 @@ export const BookingProvider = ({ children, weather = null }) => {
         dispatch({ type: 'CHECK_AVAILABILITY_START' });
 
         try {
-            // Mock server-side check
-            await new Promise(resolve => setTimeout(resolve, 400));
-
-            // TODO: Replace with real API
-            // const result = await api.post('/bookings/check', {
-            //   venueId: state.selectedVenue.id,
-            //   date: state.bookingDate,
-            // });
-
-            const isStormy = state.weatherSeverity === 'stormy';
-            const available = !isStormy; // Stormy weather blocks outdoor bookings (demo logic)
+            const { available, slots, timezone, area, areas } = await checkSlots(
+                state.selectedVenue,
+                state.bookingDate,
+                {
+                    guests: state.guests,
+                    areaId: state.areaId,
+                    durationMinutes: state.bookingWindow.durationMinutes,
+                }
+            );
+            const selectedSlot = slots.find(s => s.start === state.bookingWindow.start) ?? null;
 
             dispatch({
                 type: 'CHECK_AVAILABILITY_SUCCESS',
-                payload: { available },
+                payload: {
+                    available: selectedSlot ? selectedSlot.available : available,
+                    slots,
+                    selectedSlot,
+                    area,
+                    areas,
+                    timezone,
+                    weatherSeverity: state.weatherSeverity,
+                },
             });
 
             if (!available) {
-                console.warn(
-                    '[bookingSlice] Venue unavailable due to weather severity:',
-                    state.weatherSeverity
-                );
+                console.warn('[bookingSlice] No slots left for', state.selectedVenue.id, state.bookingDate);
             }
         } catch (err) {
             dispatch({
@@ -229,7 +301,51 @@ export const BookingProvider = ({ children, weather = null }) => {
                 payload: err.message,
             });
         }
-    }, [state.selectedVenue, state.bookingDate, state.weatherSeverity]);
+    }, [
+        state.selectedVenue, state.bookingDate, state.bookingWindow,
+        state.areaId, state.guests, state.weatherSeverity,
+    ]);
+
+    const loadBookings = useCallback(async () => {
+        try {
+            dispatch({ type: 'SET_BOOKINGS', payload: await listBookings() });
+        } catch (err) {
+            console.warn('[bookingSlice] Could not load bookings:', err.message);
+            dispatch({ type: 'BOOKING_ERROR', payload: err.message });
+        }
+        try {
+            dispatch({ type: 'SET_GUARANTEES', payload: await listGuarantees() });
+        } catch (err) {
+            console.warn('[bookingSlice] Could not load guarantees:', err.message);
+        }
+    }, []);
+
+    /** Add or refresh a booking made elsewhere (e.g. BookingSummary's onSuccess). */
+    const recordBooking = useCallback((booking) => {
+        if (booking?.id) dispatch({ type: 'BOOKING_UPDATED', payload: booking });
+    }, []);
+
+    const cancelBooking = useCallback(async (id) => {
+        try {
+            const booking = await cancelBookingRequest(id);
+            dispatch({ type: 'BOOKING_UPDATED', payload: booking });
+            return booking;
+        } catch (err) {
+            dispatch({ type: 'BOOKING_ERROR', payload: err.message });
+            return null;
+        }
+    }, []);
+
+    const changePartySize = useCallback(async (id, guests) => {
+        try {
+            const booking = await modifyPartySizeRequest(id, guests);
+            dispatch({ type: 'BOOKING_UPDATED', payload: booking });
+            return booking;
+        } catch (err) {
+            dispatch({ type: 'BOOKING_ERROR', payload: err.message });
+            return null;
+        }
+    }, []);
 
 
     // ── Weather Severity Listener ─────────────────────────────────
@@ -263,7 +379,14 @@ export const BookingProvider = ({ children, weather = null }) => {
         state,
         selectVenue,
         setDate,
+        setWindow,
+        setArea,
+        setGuests,
         checkAvailability,
+        loadBookings,
+        recordBooking,
+        cancelBooking,
+        changePartySize,
         reset,
     };
 
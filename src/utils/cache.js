@@ -0,0 +1,309 @@
+/**
+ * Unified cache
+ * ─────────────────────────────────────────────────────────────
+ * One cache for venues and weather: an in-memory front backed by
+ * IndexedDB (or localStorage via utils/platform where IndexedDB is
+ * missing), so the app opens with the last known data on a slow or
+ * dropped connection.
+ *
+ * Each data type has a policy. An entry is fresh for `ttlMs`; after that
+ * swr() still serves it while refreshing in the background
+ * (stale-while-revalidate), until `maxAgeMs`, when it is dropped. A type
+ * keeps at most `maxEntries`, evicting the oldest fetch first. Values
+ * larger than MAX_PERSISTED_BYTES are kept in memory only.
+ *
+ * @module utils/cache
+ */
+
+import { storage } from './platform';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const CACHE_POLICIES = {
+    weather:      { ttlMs: 15 * MINUTE, maxAgeMs: DAY,       maxEntries: 20 },
+    current:      { ttlMs: 15 * MINUTE, maxAgeMs: DAY,       maxEntries: 20 },
+    forecast:     { ttlMs: HOUR,        maxAgeMs: DAY,       maxEntries: 20 },
+    venueWeather: { ttlMs: 15 * MINUTE, maxAgeMs: 12 * HOUR, maxEntries: 200 },
+    nowcast:      { ttlMs: 15 * MINUTE, maxAgeMs: HOUR,      maxEntries: 20 },
+    radar:        { ttlMs: 5 * MINUTE,  maxAgeMs: HOUR,      maxEntries: 5 },
+    uv:           { ttlMs: HOUR,        maxAgeMs: 12 * HOUR, maxEntries: 50 },
+    airQuality:   { ttlMs: 20 * MINUTE, maxAgeMs: 12 * HOUR, maxEntries: 50 },
+    venues:       { ttlMs: 10 * MINUTE, maxAgeMs: 7 * DAY,   maxEntries: 30 },
+    // Forecast-vs-observed history for guarantee backtests
+    guaranteeHistory: { ttlMs: DAY,     maxAgeMs: 30 * DAY,  maxEntries: 12 },
+};
+
+const DEFAULT_POLICY = { ttlMs: 15 * MINUTE, maxAgeMs: DAY, maxEntries: 50 };
+
+export const MAX_PERSISTED_BYTES = 512 * 1024;
+
+const DB_NAME = 'sunstay-cache';
+const DB_VERSION = 1;
+const STORE = 'entries';
+const LS_PREFIX = 'sunstay_cache:';
+const LS_INDEX_PREFIX = 'sunstay_cache_index:';
+
+const policyFor = (type) => CACHE_POLICIES[type] || DEFAULT_POLICY;
+const entryKey = (type, id) => `${type}:${id}`;
+
+// ── Persistent backends ────────────────────────────────────────────────
+// Both expose get / put / remove / list(type) → [{ key, fetchedAt }].
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+function createIndexedDbBackend(db) {
+    const tx = (mode) => db.transaction(STORE, mode).objectStore(STORE);
+    return {
+        get: (key) => requestToPromise(tx('readonly').get(key)),
+        put: (entry) => requestToPromise(tx('readwrite').put(entry)),
+        remove: (key) => requestToPromise(tx('readwrite').delete(key)),
+        async list(type) {
+            const entries = await requestToPromise(tx('readonly').index('type').getAll(type));
+            return entries.map(({ key, fetchedAt }) => ({ key, fetchedAt }));
+        },
+    };
+}
+
+// localStorage has no indexes, so each type keeps a small key list
+const storageBackend = {
+    async get(key) {
+        const raw = await storage.getItem(LS_PREFIX + key);
+        return raw ? JSON.parse(raw) : null;
+    },
+    async put(entry) {
+        await storage.setItem(LS_PREFIX + entry.key, JSON.stringify(entry));
+        const index = (await this.list(entry.type)).filter(e => e.key !== entry.key);
+        index.push({ key: entry.key, fetchedAt: entry.fetchedAt });
+        await storage.setItem(LS_INDEX_PREFIX + entry.type, JSON.stringify(index));
+    },
+    async remove(key) {
+        const type = key.slice(0, key.indexOf(':'));
+        await storage.removeItem(LS_PREFIX + key);
+        const index = (await this.list(type)).filter(e => e.key !== key);
+        await storage.setItem(LS_INDEX_PREFIX + type, JSON.stringify(index));
+    },
+    async list(type) {
+        const raw = await storage.getItem(LS_INDEX_PREFIX + type);
+        return raw ? JSON.parse(raw) : [];
+    },
+};
+
+let _backendPromise = null;
+
+function getBackend() {
+    if (_backendPromise) return _backendPromise;
+    _backendPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(storageBackend);
+            return;
+        }
+        try {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+                store.createIndex('type', 'type');
+            };
+            request.onsuccess = () => resolve(createIndexedDbBackend(request.result));
+            request.onerror = () => {
+                console.warn('[Cache] IndexedDB unavailable, using localStorage:', request.error?.message);
+                resolve(storageBackend);
+            };
+            request.onblocked = () => resolve(storageBackend);
+        } catch (err) {
+            console.warn('[Cache] IndexedDB unavailable, using localStorage:', err?.message);
+            resolve(storageBackend);
+        }
+    });
+    return _backendPromise;
+}
+
+// ── Memory front ───────────────────────────────────────────────────────
+
+const _memory = new Map();   // key → entry
+const _inflight = new Map(); // key → Promise<result>
+
+const isExpired = (entry, now = Date.now()) => now >= entry.staleUntil;
+const isStale = (entry, now = Date.now()) => now >= entry.freshUntil;
+
+const toResult = (entry, fromCache) => ({
+    value: entry.value,
+    fetchedAt: entry.fetchedAt,
+    stale: isStale(entry),
+    fromCache,
+});
+
+function rememberInMemory(entry) {
+    _memory.set(entry.key, entry);
+    const { maxEntries } = policyFor(entry.type);
+    const ofType = [..._memory.values()].filter(e => e.type === entry.type);
+    if (ofType.length <= maxEntries) return;
+    ofType
+        .sort((a, b) => a.fetchedAt - b.fetchedAt)
+        .slice(0, ofType.length - maxEntries)
+        .forEach(e => _memory.delete(e.key));
+}
+
+async function prunePersisted(backend, type) {
+    const { maxEntries, maxAgeMs } = policyFor(type);
+    const now = Date.now();
+    const metas = (await backend.list(type)).sort((a, b) => b.fetchedAt - a.fetchedAt);
+    const doomed = metas.filter((m, i) => i >= maxEntries || now - m.fetchedAt >= maxAgeMs);
+    await Promise.all(doomed.map(m => backend.remove(m.key)));
+}
+
+const approxBytes = (value) => {
+    try {
+        return JSON.stringify(value)?.length ?? 0;
+    } catch {
+        return Infinity;
+    }
+};
+
+// ── Public API ─────────────────────────────────────────────────────────
+
+/**
+ * Synchronous lookup in the memory front only, for render paths.
+ * @returns {{ value: any, fetchedAt: number, stale: boolean, fromCache: true }|null}
+ */
+export function cachePeek(type, id) {
+    const entry = _memory.get(entryKey(type, id));
+    if (!entry || isExpired(entry)) return null;
+    return toResult(entry, true);
+}
+
+/**
+ * Look up an entry in memory, then persistent storage. Entries past
+ * their type's `maxAgeMs` are treated as missing.
+ * @returns {Promise<{ value: any, fetchedAt: number, stale: boolean, fromCache: true }|null>}
+ */
+export async function cacheGet(type, id) {
+    const key = entryKey(type, id);
+    let entry = _memory.get(key);
+
+    if (!entry) {
+        try {
+            entry = await (await getBackend()).get(key);
+        } catch (err) {
+            console.warn('[Cache] Read failed:', err?.message ?? err);
+            entry = null;
+        }
+        if (entry && !isExpired(entry)) rememberInMemory(entry);
+    }
+
+    if (!entry || isExpired(entry)) return null;
+    return toResult(entry, true);
+}
+
+/**
+ * Store a value. `ttlMs` overrides the type's freshness window.
+ * Persistence failures (quota, private mode) are logged, not thrown.
+ */
+export async function cacheSet(type, id, value, { ttlMs } = {}) {
+    const policy = policyFor(type);
+    const fetchedAt = Date.now();
+    const entry = {
+        key: entryKey(type, id),
+        type,
+        value,
+        fetchedAt,
+        freshUntil: fetchedAt + (ttlMs ?? policy.ttlMs),
+        staleUntil: fetchedAt + policy.maxAgeMs,
+    };
+    rememberInMemory(entry);
+
+    if (approxBytes(value) <= MAX_PERSISTED_BYTES) {
+        try {
+            const backend = await getBackend();
+            await backend.put(entry);
+            await prunePersisted(backend, type);
+        } catch (err) {
+            console.warn(`[Cache] Could not persist ${entry.key}:`, err?.message ?? err);
+        }
+    }
+    return toResult(entry, false);
+}
+
+export async function cacheDelete(type, id) {
+    const key = entryKey(type, id);
+    _memory.delete(key);
+    try {
+        await (await getBackend()).remove(key);
+    } catch {
+        // Nothing persisted, or storage unavailable
+    }
+}
+
+/**
+ * Drop every entry of `type`.
+ */
+export async function cacheClear(type) {
+    [..._memory.values()].filter(e => e.type === type).forEach(e => _memory.delete(e.key));
+    try {
+        const backend = await getBackend();
+        await Promise.all((await backend.list(type)).map(m => backend.remove(m.key)));
+    } catch (err) {
+        console.warn(`[Cache] Could not clear ${type}:`, err?.message ?? err);
+    }
+}
+
+function revalidate(type, id, fetcher, { shouldCache, ttlMs }) {
+    const key = entryKey(type, id);
+    if (_inflight.has(key)) return _inflight.get(key);
+
+    const promise = (async () => {
+        const value = await fetcher();
+        if (shouldCache(value)) return cacheSet(type, id, value, { ttlMs });
+        return { value, fetchedAt: Date.now(), stale: false, fromCache: false };
+    })().finally(() => _inflight.delete(key));
+
+    _inflight.set(key, promise);
+    return promise;
+}
+
+/**
+ * Stale-while-revalidate read.
+ *
+ *   fresh entry  → returned, no request
+ *   stale entry  → returned now; `fetcher` runs in the background and
+ *                  `onUpdate(result)` receives the new value
+ *   no entry     → awaits `fetcher`
+ *
+ * If `fetcher` fails and any unexpired entry exists (including with
+ * `forceRefresh`), that entry is returned instead of throwing.
+ * Concurrent calls for the same key share one `fetcher` run.
+ *
+ * @param {string} type   key into CACHE_POLICIES
+ * @param {string} id
+ * @param {() => Promise<any>} fetcher
+ * @param {{ forceRefresh?: boolean, ttlMs?: number,
+ *   shouldCache?: (value: any) => boolean,
+ *   onUpdate?: (result: object) => void }} [options]
+ *   `shouldCache` returning false (e.g. demo data) serves the value
+ *   without storing it
+ * @returns {Promise<{ value: any, fetchedAt: number, stale: boolean, fromCache: boolean }>}
+ */
+export async function swr(type, id, fetcher, options = {}) {
+    const { forceRefresh = false, ttlMs, shouldCache = () => true, onUpdate } = options;
+    const cached = await cacheGet(type, id);
+
+    if (cached && !forceRefresh) {
+        if (!cached.stale) return cached;
+        revalidate(type, id, fetcher, { shouldCache, ttlMs })
+            .then(result => onUpdate?.(result))
+            .catch(err => console.warn(`[Cache] Refresh of ${entryKey(type, id)} failed, keeping cached data:`, err?.message ?? err));
+        return cached;
+    }
+
+    try {
+        return await revalidate(type, id, fetcher, { shouldCache, ttlMs });
+    } catch (err) {
+        if (!cached) throw err;
+        console.warn(`[Cache] Fetch of ${entryKey(type, id)} failed, serving cached data:`, err?.message ?? err);
+        return cached;
+    }
+}
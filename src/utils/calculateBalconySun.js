@@ -1,4 +1,6 @@
-import SunCalc from 'suncalc';
+import { getRegionForLocation } from '../config/regions';
+import { computeSunWindows, getLongestWindow, normalizeHorizonProfile } from './horizonProfile';
+import { formatZonedTime, getZonedHour } from './timezone';
 
 /**
  * Direction string → centre azimuth in degrees (0 = North, clockwise)
@@ -22,19 +24,11 @@ const DIRECTION_MAP = {
   NNW: 337.5,
 };
 
-/**
- * Convert SunCalc azimuth (radians, 0 = South, clockwise) → degrees (0 = North, clockwise)
- */
-function suncalcAzimuthToDeg(azimuthRad) {
-  const deg = (azimuthRad * 180) / Math.PI;
-  return (deg + 180) % 360;
-}
-
 /**
  * Parse balconyFacing into a centre azimuth (degrees, 0=N clockwise).
  * Accepts compass strings ('N', 'NE', 'SSW' etc.) or numeric degrees.
  */
-function parseFacing(balconyFacing) {
+export function parseFacing(balconyFacing) {
   if (balconyFacing === null || balconyFacing === undefined) return null;
   if (typeof balconyFacing === 'number') return ((balconyFacing % 360) + 360) % 360;
   const key = String(balconyFacing).trim().toUpperCase();
@@ -67,6 +61,11 @@ function formatHour(decimalHour) {
 /**
  * calculateBalconySun
  *
+ * Walks the day minute by minute in the venue's local time (device time
+ * outside known regions) and counts the minutes the sun is both inside
+ * the balcony's field of view and above the horizon profile, when there
+ * is one (see utils/horizonProfile).
+ *
  * @param {number}        lat            Venue latitude
  * @param {number}        lng            Venue longitude
  * @param {Date}          date           Date to calculate for (defaults to today)
@@ -75,14 +74,21 @@ function formatHour(decimalHour) {
  *                                       90° reflects real hotel balcony geometry with side partitions.
  *                                       Use 120 only for open-ended terraces.
  * @param {number}        [minAltitudeDeg=5]  Minimum solar altitude to count as direct sun
+ * @param {object|null}   [horizonProfile]    Obstruction horizon for the balcony
  *
  * @returns {{
  *   totalSunHours:     number,
  *   peakWindow:        string | null,
  *   sunnyHours:        number[],
+ *   sunWindows:        { start: Date, end: Date }[],
+ *   sunUntil:          string | null,
+ *   nextSun:           string | null,
  *   balconyFacingDeg:  number | null,
  *   balconyFacingLabel: string,
+ *   horizonSource:     string | null,
  * }}
+ *   `sunnyHours` are the local hours with at least half an hour of sun;
+ *   `sunUntil` / `nextSun` are relative to `date`, e.g. "3:40pm"
  */
 export function calculateBalconySun(
   lat,
@@ -91,60 +97,39 @@ export function calculateBalconySun(
   balconyFacing = null,
   fovDeg = 90,           // ← tightened from 120 to 90 (±45° either side)
   minAltitudeDeg = 5,
+  horizonProfile = null,
 ) {
   if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
-    return { totalSunHours: 0, peakWindow: null, sunnyHours: [], balconyFacingDeg: null, balconyFacingLabel: 'Unknown' };
+    return {
+      totalSunHours: 0, peakWindow: null, sunnyHours: [], sunWindows: [], sunUntil: null, nextSun: null,
+      balconyFacingDeg: null, balconyFacingLabel: 'Unknown', horizonSource: null,
+    };
   }
 
   const facingDeg = parseFacing(balconyFacing);
-  const halfFov   = fovDeg / 2;
-
-  const baseDate = new Date(date);
-  baseDate.setHours(0, 0, 0, 0);
-
-  const sunnyHours = [];
-
-  for (let hour = 0; hour < 24; hour++) {
-    const t = new Date(baseDate);
-    t.setHours(hour, 30, 0, 0); // sample at HH:30 — mid-hour is more representative
+  const profile   = normalizeHorizonProfile(horizonProfile);
+  const timeZone  = getRegionForLocation(lat, lng)?.timezone ?? null;
 
-    const pos = SunCalc.getPosition(t, lat, lng);
-    const altitudeDeg = (pos.altitude * 180) / Math.PI;
+  const { minutes, intervals, sunUntil, nextSun } = computeSunWindows(lat, lng, date, {
+    profile, facingDeg, fovDeg, minAltitudeDeg, timeZone,
+  });
 
-    if (altitudeDeg < minAltitudeDeg) continue;
+  const totalSunHours = Math.round((minutes / 60) * 10) / 10;
 
-    // No facing specified → count all sunlit hours (e.g. open rooftop)
-    if (facingDeg === null) {
-      sunnyHours.push(hour);
-      continue;
-    }
-
-    const sunAzimuthDeg = suncalcAzimuthToDeg(pos.azimuth);
-    if (angularDiff(sunAzimuthDeg, facingDeg) <= halfFov) {
-      sunnyHours.push(hour);
+  // Minutes of sun in each local hour
+  const minutesByHour = new Array(24).fill(0);
+  for (const { start, end } of intervals) {
+    for (let t = start.getTime(); t < end.getTime(); t += 60 * 1000) {
+      minutesByHour[Math.floor(getZonedHour(t, timeZone))] += 1;
     }
   }
+  const sunnyHours = minutesByHour.flatMap((m, hour) => (m >= 30 ? [hour] : []));
 
-  const totalSunHours = sunnyHours.length;
-
-  // Peak window → longest consecutive run of sunny hours
-  let peakWindow = null;
-  if (sunnyHours.length > 0) {
-    let bestStart = sunnyHours[0], bestLen = 1;
-    let curStart  = sunnyHours[0], curLen  = 1;
-
-    for (let i = 1; i < sunnyHours.length; i++) {
-      if (sunnyHours[i] === sunnyHours[i - 1] + 1) {
-        curLen++;
-        if (curLen > bestLen) { bestLen = curLen; bestStart = curStart; }
-      } else {
-        curStart = sunnyHours[i];
-        curLen   = 1;
-      }
-    }
-
-    peakWindow = `${formatHour(bestStart)} to ${formatHour(bestStart + bestLen)}`;
-  }
+  // Peak window → longest unbroken run of sun
+  const longest = getLongestWindow(intervals);
+  const peakWindow = longest
+    ? `${formatHour(getZonedHour(longest.start, timeZone))} to ${formatHour(getZonedHour(longest.end, timeZone))}`
+    : null;
 
   // Closest compass label for the facing
   let balconyFacingLabel = 'Unknown';
@@ -158,7 +143,17 @@ export function calculateBalconySun(
     balconyFacingLabel = String(balconyFacing);
   }
 
-  return { totalSunHours, peakWindow, sunnyHours, balconyFacingDeg: facingDeg, balconyFacingLabel };
+  return {
+    totalSunHours,
+    peakWindow,
+    sunnyHours,
+    sunWindows: intervals,
+    sunUntil: sunUntil ? formatZonedTime(sunUntil, timeZone) : null,
+    nextSun: nextSun ? formatZonedTime(nextSun, timeZone) : null,
+    balconyFacingDeg: facingDeg,
+    balconyFacingLabel,
+    horizonSource: profile?.source ?? null,
+  };
 }
 
 export default calculateBalconySun;
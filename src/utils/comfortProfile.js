@@ -0,0 +1,111 @@
+/**
+ * Personal comfort profile
+ * ─────────────────────────────────────────────────────────────
+ * What "nice out" means to this user. The Sunstay Score
+ * (utils/venueScore) reads it through `options.comfort`, so someone who
+ * loves 30°C, or burns at UV 4, gets different top venues from the
+ * defaults:
+ *
+ *   idealMinC / idealMaxC  feels-like range they're happy sitting in
+ *   maxWindKmh             wind they'll put up with
+ *   skinType               Fitzpatrick I–VI; sets the UV they burn at
+ *   shadePreference        'sun' | 'mixed' | 'shade'
+ *   rainTolerance          'low' | 'some' | 'high'
+ *   weights                per-factor multipliers (0–2) on SCORE_FACTORS
+ *
+ * The defaults reproduce the standard score. Profiles are stored
+ * as-is and cleaned with normalizeComfortProfile() on the way in.
+ *
+ * @module utils/comfortProfile
+ */
+
+export const SKIN_TYPES = [
+    { id: 1, label: 'Type I', description: 'Always burns, never tans', burnUv: 2 },
+    { id: 2, label: 'Type II', description: 'Burns easily, tans a little', burnUv: 4 },
+    { id: 3, label: 'Type III', description: 'Sometimes burns, tans gradually', burnUv: 6 },
+    { id: 4, label: 'Type IV', description: 'Rarely burns, tans easily', burnUv: 8 },
+    { id: 5, label: 'Type V', description: 'Very rarely burns', burnUv: 10 },
+    { id: 6, label: 'Type VI', description: 'Never burns', burnUv: 12 },
+];
+
+export const SHADE_PREFERENCES = [
+    { id: 'sun', label: 'Full sun' },
+    { id: 'mixed', label: 'Sun and shade' },
+    { id: 'shade', label: 'Shade' },
+];
+
+// How hard a given chance of rain counts against a venue
+export const RAIN_TOLERANCES = [
+    { id: 'low', label: 'Hate getting wet', sensitivity: 1.5 },
+    { id: 'some', label: 'A shower is fine', sensitivity: 1 },
+    { id: 'high', label: "Don't mind rain", sensitivity: 0.5 },
+];
+
+// Multipliers a user can set on each factor's weight
+export const MAX_FACTOR_WEIGHT = 2;
+
+export const DEFAULT_COMFORT_PROFILE = {
+    idealMinC: 20,
+    idealMaxC: 26,
+    maxWindKmh: 25,
+    skinType: 3,
+    shadePreference: 'sun',
+    rainTolerance: 'some',
+    weights: {},
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const finite = (value, fallback) =>
+    (value == null || value === '' || !Number.isFinite(Number(value)) ? fallback : Number(value));
+
+/**
+ * Fill in and clamp a stored or edited profile. Unknown values fall back
+ * to the defaults rather than throwing, since profiles come from storage.
+ *
+ * @param {object} [profile]
+ * @returns {object}
+ */
+export function normalizeComfortProfile(profile) {
+    const p = { ...DEFAULT_COMFORT_PROFILE, ...(profile || {}) };
+    const idealMinC = clamp(finite(p.idealMinC, DEFAULT_COMFORT_PROFILE.idealMinC), 0, 40);
+    const idealMaxC = clamp(finite(p.idealMaxC, DEFAULT_COMFORT_PROFILE.idealMaxC), idealMinC, 45);
+
+    const weights = {};
+    for (const [id, value] of Object.entries(p.weights || {})) {
+        const weight = finite(value, null);
+        if (weight != null) weights[id] = clamp(weight, 0, MAX_FACTOR_WEIGHT);
+    }
+
+    return {
+        idealMinC,
+        idealMaxC,
+        maxWindKmh: clamp(finite(p.maxWindKmh, DEFAULT_COMFORT_PROFILE.maxWindKmh), 5, 80),
+        skinType: SKIN_TYPES.some(s => s.id === Number(p.skinType)) ? Number(p.skinType) : DEFAULT_COMFORT_PROFILE.skinType,
+        shadePreference: SHADE_PREFERENCES.some(s => s.id === p.shadePreference) ? p.shadePreference : DEFAULT_COMFORT_PROFILE.shadePreference,
+        rainTolerance: RAIN_TOLERANCES.some(r => r.id === p.rainTolerance) ? p.rainTolerance : DEFAULT_COMFORT_PROFILE.rainTolerance,
+        weights,
+    };
+}
+
+/**
+ * UV index at which this profile's skin starts to burn.
+ */
+export function getBurnUv(profile) {
+    return (SKIN_TYPES.find(s => s.id === profile?.skinType) ?? SKIN_TYPES[2]).burnUv;
+}
+
+export function getRainSensitivity(profile) {
+    return (RAIN_TOLERANCES.find(r => r.id === profile?.rainTolerance) ?? RAIN_TOLERANCES[1]).sensitivity;
+}
+
+/**
+ * Whether conditions suit this profile outright: feels-like in range and
+ * wind within tolerance. Used for "perfect right now" alerts.
+ */
+export function isWithinComfort(profile, { apparentTemp, windKmh }) {
+    const p = normalizeComfortProfile(profile);
+    return apparentTemp != null
+        && apparentTemp >= p.idealMinC
+        && apparentTemp <= p.idealMaxC
+        && (windKmh ?? 0) <= p.maxWindKmh;
+}
@@ -1,7 +1,11 @@
 import SunCalc from 'suncalc';
+import { getTimezoneForLocation } from '../config/regions';
+import { formatZonedTime, getZonedHour } from './timezone';
 
 /**
  * Calculates a useful visible sun window for a given location.
+ * Hours and labels are in the location's region timezone (device zone
+ * outside every region).
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
  * @returns {{startHour: number, endHour: number, text: string}|null}
@@ -24,15 +28,16 @@ export function getSunData(lat, lng) {
     return null;
   }
 
-  const startHour = startTime.getHours() + startTime.getMinutes() / 60;
-  const endHour = endTime.getHours() + endTime.getMinutes() / 60;
+  const timeZone = getTimezoneForLocation(lat, lng);
+  const startHour = getZonedHour(startTime, timeZone);
+  const endHour = getZonedHour(endTime, timeZone);
   
   // Final safety check
   if (startHour >= endHour) {
     return null;
   }
 
-  const formatTime = (date) => date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }).replace(' ', '');
+  const formatTime = (date) => formatZonedTime(date, timeZone);
 
   return {
     startHour,
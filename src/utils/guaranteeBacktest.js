@@ -0,0 +1,123 @@
+/**
+ * Guarantee pricing backtests
+ * ─────────────────────────────────────────────────────────────
+ * Replays a pricing version over history: for each past day, quote the
+ * guarantee from what was forecast, then pay out if the rain observed in
+ * the booking window crossed that quote's trigger. The totals say what
+ * the version would have earned:
+ *
+ *   payoutRatio = payouts / premiums          (claims cost per $ of premium)
+ *   margin      = 1 − payoutRatio − expenseRatio
+ *
+ * Samples come from api/guaranteeHistory (Open-Meteo forecast archive vs
+ * observed rainfall) or any source with the same shape:
+ *   { date, regionId, forecast: { rainProbability, expectedRainMm, cloudCover },
+ *     observedRainMm }
+ *
+ * @module utils/guaranteeBacktest
+ */
+
+import { getPricingVersion } from '../config/guaranteePricing';
+import { getWeatherGuaranteeQuote } from './weatherGuarantee';
+
+const round = (value, places = 3) => {
+    const f = 10 ** places;
+    return Math.round(value * f) / f;
+};
+
+function emptyTotals() {
+    return { policies: 0, premiums: 0, payouts: 0, triggered: 0 };
+}
+
+function addPolicy(totals, premium, payout) {
+    totals.policies += 1;
+    totals.premiums += premium;
+    totals.payouts += payout;
+    if (payout > 0) totals.triggered += 1;
+}
+
+function summarize(totals, expenseRatio) {
+    const payoutRatio = totals.premiums > 0 ? totals.payouts / totals.premiums : null;
+    return {
+        policies: totals.policies,
+        premiums: round(totals.premiums, 2),
+        payouts: round(totals.payouts, 2),
+        triggerRate: totals.policies ? round(totals.triggered / totals.policies) : null,
+        payoutRatio: payoutRatio == null ? null : round(payoutRatio),
+        margin: payoutRatio == null ? null : round(1 - payoutRatio - expenseRatio),
+    };
+}
+
+/**
+ * Run one pricing version over history for a venue profile.
+ *
+ * @param {object[]} samples  see module doc
+ * @param {{ version?: string, regionId?: string, exposure?: string,
+ *   rainSafe?: boolean, bookingValue?: number }} [options]
+ *   Profile fields price every sample as that venue; a sample's own
+ *   `regionId` is used when none is given.
+ * @returns {{ version: string, period: { from: string, to: string } | null,
+ *   policies: number, premiums: number, payouts: number, triggerRate: number|null,
+ *   payoutRatio: number|null, margin: number|null, expenseRatio: number,
+ *   targetPayoutRatio: number|null, withinTarget: boolean|null,
+ *   byBand: Object<string, object> }}
+ *   `byBand` splits the totals by quoted risk band, which shows whether
+ *   the bands separate risky days from safe ones
+ */
+export function backtestPricing(samples, {
+    version,
+    regionId,
+    exposure,
+    rainSafe = false,
+    bookingValue = 120,
+} = {}) {
+    const config = getPricingVersion(version);
+    const totals = emptyTotals();
+    const bands = {};
+    const dates = [];
+
+    for (const sample of samples || []) {
+        if (!Number.isFinite(sample?.observedRainMm)) continue;
+        const quote = getWeatherGuaranteeQuote({
+            bookingValue,
+            rainProbability: sample.forecast?.rainProbability ?? 0,
+            expectedRainMm: sample.forecast?.expectedRainMm ?? 0,
+            cloudCover: sample.forecast?.cloudCover ?? 0,
+            regionId: regionId ?? sample.regionId,
+            exposure,
+            rainSafe,
+            version: config.version,
+        });
+        const payout = sample.observedRainMm > quote.triggerMm ? bookingValue : 0;
+        addPolicy(totals, quote.price, payout);
+        addPolicy(bands[quote.riskBand] ??= emptyTotals(), quote.price, payout);
+        if (sample.date) dates.push(sample.date);
+    }
+
+    dates.sort();
+    const summary = summarize(totals, config.expenseRatio);
+    const target = config.targetPayoutRatio ?? null;
+    return {
+        version: config.version,
+        period: dates.length ? { from: dates[0], to: dates[dates.length - 1] } : null,
+        ...summary,
+        expenseRatio: config.expenseRatio,
+        targetPayoutRatio: target,
+        withinTarget: target == null || summary.payoutRatio == null ? null : summary.payoutRatio <= target,
+        byBand: Object.fromEntries(
+            Object.entries(bands).map(([band, t]) => [band, summarize(t, config.expenseRatio)])
+        ),
+    };
+}
+
+/**
+ * backtestPricing() for several versions over the same history.
+ *
+ * @param {object[]} samples
+ * @param {string[]} versions
+ * @param {object} [options] as for backtestPricing, minus `version`
+ * @returns {object[]} one report per version, in the order given
+ */
+export function compareVersions(samples, versions, options = {}) {
+    return versions.map(version => backtestPricing(samples, { ...options, version }));
+}
@@ -0,0 +1,259 @@
+/**
+ * Obstruction horizon profiles
+ * ─────────────────────────────────────────────────────────────
+ * A horizon profile records, for a viewpoint (a terrace, a balcony, a
+ * room's window), the lowest sun altitude that clears whatever stands
+ * around it, per azimuth bucket:
+ *
+ *   { bucketDeg: 10, altitudes: [36 numbers], source, capturedAt }
+ *
+ * Bucket i covers azimuths [i·bucketDeg, (i+1)·bucketDeg), azimuth 0 =
+ * north, clockwise, altitudes in degrees (0 = flat horizon). Profiles are
+ * captured from building footprints (buildHorizonFromBuildings) or from
+ * heights an owner enters for the buildings around them
+ * (buildHorizonFromObstructions), and stored on the venue or room as
+ * `horizonProfile`.
+ *
+ * computeSunWindows() walks a day minute by minute and tests the actual
+ * sun position against the profile, which is what gives "sun until
+ * 3:40pm" rather than a seasonal window.
+ *
+ * @module utils/horizonProfile
+ */
+
+import SunCalc from 'suncalc';
+import { createProjection } from './shadows';
+import { startOfZonedDay } from './timezone';
+
+const DEG = Math.PI / 180;
+const MINUTE_MS = 60 * 1000;
+
+export const DEFAULT_BUCKET_DEG = 10;
+// Buildings further than this don't make the profile; at that range even
+// a tower only lifts the horizon a few degrees
+export const MAX_HORIZON_DISTANCE_M = 400;
+// Footprint edges are walked in steps this long when capturing
+const EDGE_STEP_M = 2;
+// Eye height used when a profile is entered or captured without one
+const DEFAULT_VIEW_HEIGHT_M = 1.5;
+
+const normalizeAzimuth = (deg) => ((deg % 360) + 360) % 360;
+
+const angularDiff = (a, b) => {
+    const diff = Math.abs(a - b) % 360;
+    return diff > 180 ? 360 - diff : diff;
+};
+
+const elevation = (riseM, distanceM) =>
+    riseM > 0 && distanceM > 0 ? Math.atan2(riseM, distanceM) / DEG : 0;
+
+function emptyAltitudes(bucketDeg) {
+    return new Array(Math.round(360 / bucketDeg)).fill(0);
+}
+
+function toProfile(altitudes, bucketDeg, source, extra = {}) {
+    return {
+        bucketDeg,
+        altitudes: altitudes.map(a => Math.round(a * 10) / 10),
+        source,
+        capturedAt: new Date().toISOString(),
+        ...extra,
+    };
+}
+
+/**
+ * Validate a stored profile. Anything malformed comes back as null so
+ * callers fall back to their facing-only estimate.
+ *
+ * @param {object} profile
+ * @returns {object|null}
+ */
+export function normalizeHorizonProfile(profile) {
+    if (!profile || !Array.isArray(profile.altitudes)) return null;
+    const bucketDeg = Number(profile.bucketDeg) || DEFAULT_BUCKET_DEG;
+    const count = Math.round(360 / bucketDeg);
+    if (count * bucketDeg !== 360 || profile.altitudes.length !== count) return null;
+    const altitudes = profile.altitudes.map(a => Math.min(90, Math.max(0, Number(a) || 0)));
+    return { ...profile, bucketDeg, altitudes };
+}
+
+/**
+ * Minimum unobstructed sun altitude towards `azimuthDeg`.
+ */
+export function getHorizonAltitude(profile, azimuthDeg) {
+    if (!profile) return 0;
+    const index = Math.floor(normalizeAzimuth(azimuthDeg) / profile.bucketDeg) % profile.altitudes.length;
+    return profile.altitudes[index];
+}
+
+// ── Capture ────────────────────────────────────────────────────────────
+
+/**
+ * Profile seen from a point by the buildings around it (data/buildings
+ * records). The nearest part of a footprint along any bearing lies on its
+ * outline, so walking each outline finds the highest angle the building
+ * reaches in every bucket it spans.
+ *
+ * @param {number} lat
+ * @param {number} lng
+ * @param {object[]} buildings
+ * @param {{ heightM?: number, ignore?: Set<string>, bucketDeg?: number }} [options]
+ *   `heightM` is the viewpoint's height above ground; `ignore` skips
+ *   buildings by id (the venue's own)
+ * @returns {object} profile, `source: 'buildings'`
+ */
+export function buildHorizonFromBuildings(lat, lng, buildings, {
+    heightM = DEFAULT_VIEW_HEIGHT_M,
+    ignore,
+    bucketDeg = DEFAULT_BUCKET_DEG,
+} = {}) {
+    const altitudes = emptyAltitudes(bucketDeg);
+    const { toXY } = createProjection(lat, lng);
+    let used = 0;
+
+    for (const building of buildings || []) {
+        if (ignore?.has(building.id) || !(building.height > heightM)) continue;
+        const ring = building.footprint.map(toXY);
+        let reached = false;
+        for (let i = 1; i < ring.length; i++) {
+            const [x0, y0] = ring[i - 1];
+            const [x1, y1] = ring[i];
+            const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, y1 - y0) / EDGE_STEP_M));
+            for (let s = 0; s <= steps; s++) {
+                const x = x0 + ((x1 - x0) * s) / steps;
+                const y = y0 + ((y1 - y0) * s) / steps;
+                const distance = Math.hypot(x, y);
+                if (distance > MAX_HORIZON_DISTANCE_M) continue;
+                const azimuth = normalizeAzimuth(Math.atan2(x, y) / DEG);
+                const index = Math.floor(azimuth / bucketDeg) % altitudes.length;
+                const altitude = elevation(building.height - heightM, Math.max(distance, 1));
+                if (altitude > altitudes[index]) altitudes[index] = altitude;
+                reached = true;
+            }
+        }
+        if (reached) used += 1;
+    }
+    return toProfile(altitudes, bucketDeg, 'buildings', { viewHeightM: heightM, buildingCount: used });
+}
+
+/**
+ * Profile from surrounding buildings described by hand, e.g. "an 8-storey
+ * block 30 m to the west". Each obstruction covers `widthDeg` centred on
+ * its bearing.
+ *
+ * @param {{ bearingDeg: number, widthDeg?: number, distanceM: number,
+ *   heightM: number }[]} obstructions
+ * @param {{ heightM?: number, bucketDeg?: number }} [options]
+ *   `heightM` is the viewpoint's height above ground
+ * @returns {object} profile, `source: 'manual'`
+ */
+export function buildHorizonFromObstructions(obstructions, {
+    heightM = DEFAULT_VIEW_HEIGHT_M,
+    bucketDeg = DEFAULT_BUCKET_DEG,
+} = {}) {
+    const altitudes = emptyAltitudes(bucketDeg);
+    for (const { bearingDeg, widthDeg = 45, distanceM, heightM: obstacleM } of obstructions || []) {
+        if (![bearingDeg, distanceM, obstacleM].every(Number.isFinite)) continue;
+        const altitude = elevation(obstacleM - heightM, Math.max(distanceM, 1));
+        altitudes.forEach((current, i) => {
+            // A bucket is covered when any part of it falls inside the span
+            const centre = (i + 0.5) * bucketDeg;
+            if (angularDiff(centre, bearingDeg) <= widthDeg / 2 + bucketDeg / 2 && altitude > current) {
+                altitudes[i] = altitude;
+            }
+        });
+    }
+    return toProfile(altitudes, bucketDeg, 'manual', { viewHeightM: heightM });
+}
+
+// ── Sun windows ────────────────────────────────────────────────────────
+
+/**
+ * Whether the sun (altitude / azimuth in degrees, azimuth 0 = north) is on
+ * a viewpoint: above `minAltitudeDeg` and the horizon profile, and within
+ * the field of view when the viewpoint faces a particular way.
+ */
+export function isSunVisible({ altitude, azimuth }, {
+    profile = null,
+    facingDeg = null,
+    fovDeg = 180,
+    minAltitudeDeg = 0,
+} = {}) {
+    return altitude >= Math.max(minAltitudeDeg, getHorizonAltitude(profile, azimuth))
+        && (facingDeg == null || angularDiff(azimuth, facingDeg) <= fovDeg / 2);
+}
+
+/**
+ * SunCalc position as { altitude, azimuth } in degrees, azimuth 0 = north.
+ */
+export function getSunDegrees(date, lat, lng) {
+    const pos = SunCalc.getPosition(date, lat, lng);
+    return { altitude: pos.altitude / DEG, azimuth: normalizeAzimuth(pos.azimuth / DEG + 180) };
+}
+
+/**
+ * Minute-by-minute direct sun at a viewpoint over one local day.
+ *
+ * @param {number} lat
+ * @param {number} lng
+ * @param {Date} [date]  any instant in the day; also the "now" that
+ *   `sunUntil` / `nextSun` are measured from
+ * @param {{ profile?: object|null, facingDeg?: number|null, fovDeg?: number,
+ *   minAltitudeDeg?: number, stepMinutes?: number, timeZone?: string|null }} [options]
+ *   `facingDeg` null means the view is open all round (a rooftop);
+ *   `timeZone` null uses the device zone
+ * @returns {{ minutes: number, intervals: { start: Date, end: Date }[],
+ *   sunUntil: Date|null, nextSun: Date|null }}
+ *   `sunUntil` is when the sun goes if it is on the viewpoint at `date`,
+ *   `nextSun` when it next arrives otherwise (both null when neither
+ *   happens again that day)
+ */
+export function computeSunWindows(lat, lng, date = new Date(), {
+    profile = null,
+    facingDeg = null,
+    fovDeg = 180,
+    minAltitudeDeg = 0,
+    stepMinutes = 1,
+    timeZone = null,
+} = {}) {
+    const horizon = normalizeHorizonProfile(profile);
+    const now = new Date(date).getTime();
+    const dayStart = startOfZonedDay(now, timeZone).getTime();
+    // The next local midnight; +36h always lands in the next day, DST or not
+    const dayEnd = startOfZonedDay(dayStart + 36 * 60 * MINUTE_MS, timeZone).getTime();
+    const stepMs = stepMinutes * MINUTE_MS;
+
+    const intervals = [];
+    let openedAt = null;
+    for (let t = dayStart; t < dayEnd; t += stepMs) {
+        const lit = isSunVisible(getSunDegrees(new Date(t), lat, lng), {
+            profile: horizon, facingDeg, fovDeg, minAltitudeDeg,
+        });
+
+        if (lit && openedAt == null) openedAt = t;
+        if (!lit && openedAt != null) {
+            intervals.push({ start: new Date(openedAt), end: new Date(t) });
+            openedAt = null;
+        }
+    }
+    if (openedAt != null) intervals.push({ start: new Date(openedAt), end: new Date(dayEnd) });
+
+    const current = intervals.find(w => w.start.getTime() <= now && now < w.end.getTime());
+    const next = intervals.find(w => w.start.getTime() > now);
+    return {
+        minutes: intervals.reduce((sum, w) => sum + (w.end - w.start) / MINUTE_MS, 0),
+        intervals,
+        sunUntil: current ? current.end : null,
+        nextSun: current ? null : next?.start ?? null,
+    };
+}
+
+/**
+ * The longest window from computeSunWindows(), or null.
+ */
+export function getLongestWindow(intervals) {
+    return (intervals || []).reduce(
+        (best, w) => (!best || w.end - w.start > best.end - best.start ? w : best),
+        null
+    );
+}
@@ -0,0 +1,124 @@
+/**
+ * iCalendar (RFC 5545) output
+ * ─────────────────────────────────────────────────────────────
+ * Just enough of the format for Sunstay's exports: VEVENTs with UTC
+ * times, text escaping and 75-octet line folding, wrapped in a
+ * VCALENDAR that subscribed calendars refresh on a schedule. What goes
+ * into an event is decided by data/calendarEvents.
+ *
+ * @module utils/ical
+ */
+
+const PRODUCT_ID = '-//Sunstay//Sunstay Calendar//EN';
+const MAX_LINE_OCTETS = 75;
+
+const encoder = new TextEncoder();
+
+/**
+ * `20261019T053000Z` for an instant (ISO string, ms or Date).
+ */
+export function formatIcsDate(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+export function escapeIcsText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Continuation lines start with a space; never split a UTF-8 sequence
+function foldLine(line) {
+    if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * One VEVENT.
+ *
+ * @param {{ uid: string, start: string|number, end: string|number,
+ *   summary: string, description?: string, location?: string,
+ *   geo?: { lat: number, lng: number }, url?: string,
+ *   status?: 'CONFIRMED'|'TENTATIVE'|'CANCELLED', lastModified?: string|number,
+ *   stamp?: string|number }} event
+ *   `uid` must stay the same across exports so calendars update the
+ *   event instead of adding another
+ * @returns {string[]} content lines, unfolded
+ */
+export function buildIcsEvent(event) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatIcsDate(event.stamp ?? Date.now())}`,
+        `DTSTART:${formatIcsDate(event.start)}`,
+        `DTEND:${formatIcsDate(event.end)}`,
+        `SUMMARY:${escapeIcsText(event.summary)}`,
+    ];
+    if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+    if (Number.isFinite(event.geo?.lat) && Number.isFinite(event.geo?.lng)) {
+        lines.push(`GEO:${event.geo.lat.toFixed(6)};${event.geo.lng.toFixed(6)}`);
+    }
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${formatIcsDate(event.lastModified)}`);
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * A complete .ics document.
+ *
+ * @param {object[]} events — as for buildIcsEvent()
+ * @param {{ name?: string, refreshMinutes?: number }} [options]
+ *   `refreshMinutes` asks subscribed calendars to re-fetch that often
+ * @returns {string}
+ */
+export function buildIcsCalendar(events, { name, refreshMinutes } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+    ];
+    if (name) lines.push(`X-WR-CALNAME:${escapeIcsText(name)}`);
+    if (refreshMinutes) {
+        lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+    }
+    for (const event of events) lines.push(...buildIcsEvent(event));
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Save `ics` as a file in the browser, which hands it to the user's
+ * calendar app.
+ */
+export function downloadIcs(filename, ics) {
+    const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename.endsWith('.ics') ? filename : `${filename}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
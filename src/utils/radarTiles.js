@@ -0,0 +1,191 @@
+/**
+ * Precipitation Radar Tiles
+ * ─────────────────────────────────────────────────────────────
+ * Time-stamped raster frames for the map's radar overlay. Providers
+ * are plain objects, tried in priority order (lowest first) until one
+ * returns frames:
+ *
+ *   { id, label, priority, isAvailable?(), fetchFrames(options) }
+ *
+ * `fetchFrames` resolves to
+ *   { provider, label, attribution, tileSize, maxzoom, legend,
+ *     frames: [{ time, forecast, tiles: [url template] }] }
+ * with `time` in ms, frames oldest first, and `forecast` set on
+ * extrapolated frames after the latest observation.
+ *
+ * VITE_RADAR_PROVIDER pins one provider. VITE_RADAR_TILE_DIR points the
+ * `local` provider at a tile directory (e.g. `/radar-tiles` under
+ * public/) laid out as
+ *   frames.json               { frames: [{ time, path?, forecast? }], tileSize?, maxzoom?, legend? }
+ *   <path or time>/{z}/{x}/{y}.png
+ * with `time` in Unix seconds or ISO 8601, for testing without a network.
+ *
+ * @module utils/radarTiles
+ */
+
+import { swr } from './cache';
+
+const PINNED_PROVIDER = (import.meta.env.VITE_RADAR_PROVIDER || '').trim();
+const LOCAL_TILE_DIR = (import.meta.env.VITE_RADAR_TILE_DIR || '').trim().replace(/\/$/, '');
+const OPENWEATHER_KEY = (import.meta.env.VITE_OPENWEATHER_KEY || '').trim();
+
+const RAINVIEWER_INDEX_URL = 'https://api.rainviewer.com/public/weather-maps.json';
+// Universal Blue colour scheme, smoothed, snow shown
+const RAINVIEWER_TILE_OPTIONS = '2/1_1';
+
+// Colour stops for the legend, light to heavy
+export const DEFAULT_RADAR_LEGEND = [
+    { color: '#88ddee', label: 'Light' },
+    { color: '#0077aa', label: 'Moderate' },
+    { color: '#ffaa00', label: 'Heavy' },
+    { color: '#c10000', label: 'Storm' },
+];
+
+const OPENWEATHER_LEGEND = [
+    { color: '#c8c8ff', label: 'Light' },
+    { color: '#7878ff', label: 'Moderate' },
+    { color: '#5000dc', label: 'Heavy' },
+    { color: '#1400b4', label: 'Storm' },
+];
+
+const toMs = (time) => (typeof time === 'number' ? time * 1000 : Date.parse(time));
+
+async function fetchJson(url, signal, name) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) throw new Error(`${name} error: ${response.status}`);
+    return response.json();
+}
+
+export const localRadarProvider = {
+    id: 'local',
+    label: 'Local tiles',
+    priority: 0,
+    isAvailable: () => !!LOCAL_TILE_DIR,
+    async fetchFrames({ signal } = {}) {
+        const manifest = await fetchJson(`${LOCAL_TILE_DIR}/frames.json`, signal, 'Local radar');
+        return {
+            provider: 'local',
+            label: 'Local tiles',
+            attribution: manifest.attribution ?? 'Local radar tiles',
+            tileSize: manifest.tileSize ?? 256,
+            maxzoom: manifest.maxzoom ?? 10,
+            legend: manifest.legend ?? DEFAULT_RADAR_LEGEND,
+            frames: (manifest.frames || []).map(frame => ({
+                time: toMs(frame.time),
+                forecast: !!frame.forecast,
+                tiles: [`${LOCAL_TILE_DIR}/${frame.path ?? frame.time}/{z}/{x}/{y}.png`],
+            })),
+        };
+    },
+};
+
+// Free and keyless: the last two hours of radar in 10-minute frames,
+// plus any short-range extrapolation it publishes
+export const rainViewerProvider = {
+    id: 'rainviewer',
+    label: 'RainViewer',
+    priority: 10,
+    async fetchFrames({ signal } = {}) {
+        const index = await fetchJson(RAINVIEWER_INDEX_URL, signal, 'RainViewer');
+        const toFrame = (forecast) => (frame) => ({
+            time: frame.time * 1000,
+            forecast,
+            tiles: [`${index.host}${frame.path}/256/{z}/{x}/{y}/${RAINVIEWER_TILE_OPTIONS}.png`],
+        });
+        return {
+            provider: 'rainviewer',
+            label: 'RainViewer',
+            attribution: '<a href="https://www.rainviewer.com/" target="_blank">RainViewer</a>',
+            tileSize: 256,
+            // Higher zooms are served blank; the map overzooms level 7
+            maxzoom: 7,
+            legend: DEFAULT_RADAR_LEGEND,
+            frames: [
+                ...(index.radar?.past || []).map(toFrame(false)),
+                ...(index.radar?.nowcast || []).map(toFrame(true)),
+            ],
+        };
+    },
+};
+
+// Current precipitation only, so a single frame and nothing to animate
+export const openWeatherMapRadarProvider = {
+    id: 'openweathermap',
+    label: 'OpenWeatherMap',
+    priority: 20,
+    isAvailable: () => !!OPENWEATHER_KEY,
+    async fetchFrames() {
+        return {
+            provider: 'openweathermap',
+            label: 'OpenWeatherMap',
+            attribution: 'OpenWeatherMap',
+            tileSize: 256,
+            maxzoom: 12,
+            legend: OPENWEATHER_LEGEND,
+            frames: [{
+                time: Date.now(),
+                forecast: false,
+                tiles: [`https://tile.openweathermap.org/map/precipitation_new/{z}/{x}/{y}.png?appid=${OPENWEATHER_KEY}`],
+            }],
+        };
+    },
+};
+
+export const RADAR_PROVIDERS = [localRadarProvider, rainViewerProvider, openWeatherMapRadarProvider];
+
+/**
+ * Providers to try, in order: the pinned one alone when set, else every
+ * available provider by priority.
+ */
+export function getRadarProviders(providers = RADAR_PROVIDERS, pinned = PINNED_PROVIDER) {
+    if (pinned) return providers.filter(p => p.id === pinned);
+    return providers
+        .filter(p => !p.isAvailable || p.isAvailable())
+        .sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Radar frames from the first provider that has any. Cached briefly,
+ * since new frames only appear every few minutes.
+ *
+ * @param {{ signal?: AbortSignal, forceRefresh?: boolean, onUpdate?: (frames: object) => void }} [options]
+ * @returns {Promise<object>} see the module header for the shape
+ */
+export async function fetchRadarFrames({ signal, forceRefresh = false, onUpdate } = {}) {
+    const providers = getRadarProviders();
+    if (!providers.length) throw new Error(`Unknown radar provider: ${PINNED_PROVIDER}`);
+
+    const fetcher = async () => {
+        let lastError = null;
+        for (const provider of providers) {
+            try {
+                const result = await provider.fetchFrames({ signal });
+                const frames = result.frames
+                    .filter(f => Number.isFinite(f.time))
+                    .sort((a, b) => a.time - b.time);
+                if (frames.length) return { ...result, frames };
+            } catch (err) {
+                if (err?.name === 'AbortError') throw err;
+                console.warn(`[radarTiles] ${provider.id} failed:`, err.message);
+                lastError = err;
+            }
+        }
+        throw lastError ?? new Error('No radar frames available');
+    };
+
+    const { value } = await swr('radar', PINNED_PROVIDER || 'auto', fetcher, {
+        forceRefresh,
+        onUpdate: onUpdate && (({ value: fresh }) => onUpdate(fresh)),
+    });
+    return value;
+}
+
+/**
+ * Index of the latest observed frame, where playback should rest.
+ */
+export function getLatestObservedIndex(frames) {
+    for (let i = frames.length - 1; i >= 0; i--) {
+        if (!frames[i].forecast) return i;
+    }
+    return Math.max(0, frames.length - 1);
+}
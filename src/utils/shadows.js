@@ -0,0 +1,179 @@
+/**
+ * Building shadow geometry
+ * ─────────────────────────────────────────────────────────────
+ * Casts shadows from extruded building footprints for a sun position
+ * (getSunPositionForMap: altitude / azimuth in degrees, azimuth 0 = north,
+ * clockwise).
+ *
+ * A building is { id, footprint: [[lng, lat], …], height, minHeight }
+ * with heights in metres. Geometry runs in a local metre grid around
+ * each building, which is accurate to well under a metre at city scale.
+ *
+ *   getShadowPolygon()  — ground shadow as a GeoJSON ring, for the map.
+ *                         It is the convex hull of the footprint and its
+ *                         projection, so an L-shaped building casts a
+ *                         slightly fuller shadow than it should.
+ *   isPointShaded()     — exact test: does the ray from a point towards
+ *                         the sun pass through any building?
+ *
+ * @module utils/shadows
+ */
+
+const DEG = Math.PI / 180;
+const M_PER_DEG_LAT = 110540;
+const M_PER_DEG_LNG = 111320;
+
+// Below this the sun is treated as down for shading purposes
+export const MIN_SUN_ALTITUDE_DEG = 1;
+// Shadows of low sun are capped; beyond this other terrain dominates
+export const MAX_SHADOW_LENGTH_M = 600;
+
+// ── Local metre projection ─────────────────────────────────────────────
+
+/**
+ * Flat metre grid centred on (lat0, lng0): toXY([lng, lat]) → [east, north].
+ */
+export function createProjection(lat0, lng0) {
+    const kx = M_PER_DEG_LNG * Math.cos(lat0 * DEG);
+    return {
+        toXY: ([lng, lat]) => [(lng - lng0) * kx, (lat - lat0) * M_PER_DEG_LAT],
+        toLngLat: ([x, y]) => [lng0 + x / kx, lat0 + y / M_PER_DEG_LAT],
+    };
+}
+
+// Unit vector pointing from the ground towards the sun, in (east, north)
+const towardsSun = (azimuthDeg) => [Math.sin(azimuthDeg * DEG), Math.cos(azimuthDeg * DEG)];
+
+const shadowLength = (height, altitudeDeg) =>
+    Math.min(MAX_SHADOW_LENGTH_M, Math.max(0, height) / Math.tan(altitudeDeg * DEG));
+
+// ── Polygon helpers ────────────────────────────────────────────────────
+
+// Andrew's monotone chain; returns a counter-clockwise hull
+function convexHull(points) {
+    const pts = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    if (pts.length < 3) return pts;
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const lower = [];
+    for (const p of pts) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+        lower.push(p);
+    }
+    const upper = [];
+    for (let i = pts.length - 1; i >= 0; i--) {
+        const p = pts[i];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+        upper.push(p);
+    }
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+function pointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+function segmentsCross(a, b, c, d) {
+    const orient = (p, q, r) => Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+    return orient(a, b, c) !== orient(a, b, d) && orient(c, d, a) !== orient(c, d, b);
+}
+
+function segmentHitsRing(a, b, ring) {
+    if (pointInRing(a, ring) || pointInRing(b, ring)) return true;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        if (segmentsCross(a, b, ring[j], ring[i])) return true;
+    }
+    return false;
+}
+
+/**
+ * Whether a [lng, lat] point falls inside a building's footprint.
+ */
+export function isInsideFootprint(point, building) {
+    return pointInRing(point, building.footprint);
+}
+
+// ── Shadows ────────────────────────────────────────────────────────────
+
+/**
+ * Ground shadow of one building.
+ *
+ * @param {object} building
+ * @param {{ altitude: number, azimuth: number }} sun  degrees
+ * @returns {number[][]|null} closed [lng, lat] ring, or null when the sun
+ *   is down or the building casts nothing
+ */
+export function getShadowPolygon(building, sun) {
+    if (!sun || sun.altitude < MIN_SUN_ALTITUDE_DEG) return null;
+    const ring = building.footprint;
+    if (!ring?.length || !(building.height > 0)) return null;
+
+    const [lng0, lat0] = ring[0];
+    const { toXY, toLngLat } = createProjection(lat0, lng0);
+    const [ux, uy] = towardsSun(sun.azimuth);
+    const near = shadowLength(building.minHeight || 0, sun.altitude);
+    const far = shadowLength(building.height, sun.altitude);
+
+    const xy = ring.map(toXY);
+    const cast = (d) => xy.map(([x, y]) => [x - ux * d, y - uy * d]);
+    const hull = convexHull([...cast(near), ...cast(far)]);
+    if (hull.length < 3) return null;
+    const out = hull.map(toLngLat);
+    out.push(out[0]);
+    return out;
+}
+
+/**
+ * Shadows for many buildings as a GeoJSON FeatureCollection (one Polygon
+ * per building, `properties.id` / `properties.height`).
+ */
+export function getShadowFeatures(buildings, sun) {
+    const features = [];
+    for (const building of buildings || []) {
+        const ring = getShadowPolygon(building, sun);
+        if (!ring) continue;
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Polygon', coordinates: [ring] },
+            properties: { id: building.id, height: building.height },
+        });
+    }
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Whether a point at `heightM` above ground is in a building's shadow.
+ *
+ * @param {{ lat: number, lng: number }} point
+ * @param {object[]} buildings  nearby buildings (see data/buildings)
+ * @param {{ altitude: number, azimuth: number }} sun  degrees
+ * @param {{ heightM?: number, ignore?: Set<string> }} [options]
+ *   `ignore` skips buildings by id (e.g. the one the point stands on)
+ * @returns {{ shaded: boolean, blockedBy: string|null }}
+ *   `shaded` is true when the sun is down too, with `blockedBy` null
+ */
+export function isPointShaded(point, buildings, sun, { heightM = 1.5, ignore } = {}) {
+    if (!sun || sun.altitude < MIN_SUN_ALTITUDE_DEG) return { shaded: true, blockedBy: null };
+
+    const { toXY } = createProjection(point.lat, point.lng);
+    const [ux, uy] = towardsSun(sun.azimuth);
+    const rise = Math.tan(sun.altitude * DEG);
+
+    for (const building of buildings || []) {
+        if (ignore?.has(building.id) || !(building.height > heightM)) continue;
+        // Stretch of the sun ray that is between the building's base and top
+        const from = Math.max(0, ((building.minHeight || 0) - heightM) / rise);
+        const to = Math.min(MAX_SHADOW_LENGTH_M, (building.height - heightM) / rise);
+        if (to <= from) continue;
+        const ring = building.footprint.map(toXY);
+        if (segmentHitsRing([ux * from, uy * from], [ux * to, uy * to], ring)) {
+            return { shaded: true, blockedBy: building.id };
+        }
+    }
+    return { shaded: false, blockedBy: null };
+}
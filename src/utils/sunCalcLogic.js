@@ -1,18 +1,9 @@
 import SunCalc from 'suncalc';
-
-/**
- * Orientation-to-time mapping for Melbourne
- */
-const ORIENTATION_WINDOWS = {
-    "N": { summer: ["08:00", "17:00"], winter: ["09:00", "15:00"], useCase: "Remote work" },
-    "NE": { summer: ["08:00", "17:00"], winter: ["09:00", "15:00"], useCase: "Remote work" },
-    "NW": { summer: ["08:00", "17:00"], winter: ["09:00", "15:00"], useCase: "Remote work" },
-    "E": { summer: ["06:00", "11:00"], winter: ["07:00", "10:00"], useCase: "Morning coffee" },
-    "SE": { summer: ["06:00", "11:00"], winter: ["07:00", "10:00"], useCase: "Morning coffee" },
-    "S": { summer: ["10:00", "14:00"], winter: ["11:00", "13:00"], useCase: "Shade retreat" },
-    "W": { summer: ["14:00", "20:30"], winter: ["13:00", "17:00"], useCase: "Sunset drinks" },
-    "SW": { summer: ["14:00", "20:30"], winter: ["13:00", "17:00"], useCase: "Sunset drinks" }
-};
+import { DEFAULT_REGION, getOrientationWindow, getRegionForLocation } from '../config/regions';
+import { formatZonedTime, getZonedHour, getZonedParts, toZonedIso, zonedTimeToUtc } from './timezone';
+import { parseFacing } from './calculateBalconySun';
+import { computeSunWindows, getLongestWindow, normalizeHorizonProfile } from './horizonProfile';
+import { MIN_SUN_ALTITUDE_DEG } from './shadows';
 
 const FALLBACK_TIMES = {
     summer: { sunrise: "06:00", sunset: "20:30" },
@@ -28,72 +19,131 @@ function getDuration(start, end) {
     return Math.max(0, parseTimeString(end) - parseTimeString(start));
 }
 
+// Share of its window's sun a room keeps with each `obstructionLevel`
+export const OBSTRUCTION_FACTORS = { Open: 1.0, Partial: 0.7, Heavy: 0.4 };
+
+// A room or terrace sees the half of the sky its facade faces
+export const FACADE_FOV_DEG = 180;
+
+// Sun windows for a room with a horizon profile, facing `orientation`
+function horizonWindows(lat, lng, orientation, profile, date, timeZone) {
+    return computeSunWindows(lat, lng, date, {
+        profile,
+        facingDeg: parseFacing(orientation),
+        fovDeg: FACADE_FOV_DEG,
+        minAltitudeDeg: MIN_SUN_ALTITUDE_DEG,
+        timeZone,
+    });
+}
+
+// Noon on the local solstice that starts the region's summer or winter
+function solsticeDate(region, which, year) {
+    const juneIsSummer = region.hemisphere === 'north';
+    const month = (which === 'summer') === juneIsSummer ? 6 : 12;
+    return zonedTimeToUtc({ year, month, day: 21, hour: 12 }, region.timezone);
+}
+
 /**
  * Estimates sun hours for a room based on orientation and seasonal milestones.
+ * Windows come from the region profile (defaults to Melbourne).
+ *
+ * With a horizon profile (utils/horizonProfile) the hours are worked out
+ * from the sun's path on the summer and winter solstices at the region
+ * centre, against the room's actual surroundings, and `obstructionLevel`
+ * is not used.
  */
-export function estimateSunProfile(orientation, obstructionLevel) {
-    const window = ORIENTATION_WINDOWS[orientation] || ORIENTATION_WINDOWS["S"];
-    const obstructionMap = { Open: 1.0, Partial: 0.7, Heavy: 0.4 };
-    const factor = obstructionMap[obstructionLevel] || 1.0;
-
-    const summerHours = getDuration(window.summer[0], window.summer[1]) * factor;
-    const winterHours = getDuration(window.winter[0], window.winter[1]) * factor;
+export function estimateSunProfile(orientation, obstructionLevel, region = DEFAULT_REGION, horizonProfile = null) {
+    const window = region.orientationWindows[orientation] || region.orientationWindows["S"];
+    const profile = normalizeHorizonProfile(horizonProfile);
+
+    let summerHours;
+    let winterHours;
+    let peakTime;
+    if (profile) {
+        const { lat, lng } = region.center;
+        const year = getZonedParts(new Date(), region.timezone).year;
+        const summer = horizonWindows(lat, lng, orientation, profile, solsticeDate(region, 'summer', year), region.timezone);
+        const winter = horizonWindows(lat, lng, orientation, profile, solsticeDate(region, 'winter', year), region.timezone);
+        summerHours = summer.minutes / 60;
+        winterHours = winter.minutes / 60;
+        const peak = getLongestWindow(summer.intervals);
+        const clock = (d) => toZonedIso(d, region.timezone).slice(11);
+        peakTime = peak ? `${clock(peak.start)}\u2013${clock(peak.end)}` : null;
+    } else {
+        const factor = OBSTRUCTION_FACTORS[obstructionLevel] || 1.0;
+        summerHours = getDuration(window.summer[0], window.summer[1]) * factor;
+        winterHours = getDuration(window.winter[0], window.winter[1]) * factor;
+        peakTime = `${window.summer[0]}\u2013${window.summer[1]}`;
+    }
 
     return {
         summerHours: parseFloat(summerHours.toFixed(1)),
         winterHours: parseFloat(winterHours.toFixed(1)),
         bestSeason: (orientation === "S") ? "Spring/Autumn" : (summerHours > winterHours ? "Summer" : "Winter"),
-        peakTime: `${window.summer[0]}\u2013${window.summer[1]}`,
-        useCase: window.useCase
+        peakTime,
+        useCase: window.useCase,
+        source: profile ? 'horizon' : 'orientation'
     };
 }
 
 /**
- * Live prediction for today's sun hours.
+ * Live prediction for today's sun hours. The region (and so the season,
+ * orientation windows and local clock) is resolved from the coordinates.
+ *
+ * With a horizon profile the window is today's actual sun on the room,
+ * minute by minute, and the result also says until when the sun stays
+ * (`sunUntil`) or when it next arrives (`nextSun`).
  */
-export function calculateDynamicToday(lat, lng, orientation, cloudCover = 0, obstructionLevel = "Open") {
-    const month = new Date().getMonth();
-    const isSummer = month >= 10 || month <= 2;
+export function calculateDynamicToday(lat, lng, orientation, cloudCover = 0, obstructionLevel = "Open", horizonProfile = null) {
+    const now = new Date();
+    const region = getRegionForLocation(lat, lng) ?? DEFAULT_REGION;
+    const profile = normalizeHorizonProfile(horizonProfile);
+    const { window: seasonWindow, season } = getOrientationWindow(region, orientation, now);
+    const isSummer = season.sunWindow === 'summer';
 
     let sunTimes;
     try {
-        sunTimes = SunCalc.getTimes(new Date(), lat, lng);
+        sunTimes = SunCalc.getTimes(now, lat, lng);
     } catch (e) {
         console.warn("SunCalc failed, using fallback times", e);
         const fb = isSummer ? FALLBACK_TIMES.summer : FALLBACK_TIMES.winter;
-        const today = new Date();
+        const today = getZonedParts(now, region.timezone);
         const setTime = (timeStr) => {
-            const [h, m] = timeStr.split(':');
-            const d = new Date(today);
-            d.setHours(h, m, 0, 0);
-            return d;
+            const [hour, minute] = timeStr.split(':').map(Number);
+            return zonedTimeToUtc({ ...today, hour, minute }, region.timezone);
         };
         sunTimes = { sunrise: setTime(fb.sunrise), sunset: setTime(fb.sunset) };
     }
 
-    const window = ORIENTATION_WINDOWS[orientation] || ORIENTATION_WINDOWS["S"];
-    const obstructionMap = { Open: 1.0, Partial: 0.7, Heavy: 0.4 };
-    const factor = obstructionMap[obstructionLevel] || 1.0;
+    const factor = OBSTRUCTION_FACTORS[obstructionLevel] || 1.0;
 
-    const seasonWindow = isSummer ? window.summer : window.winter;
     const winStart = parseTimeString(seasonWindow[0]);
     const winEnd = parseTimeString(seasonWindow[1]);
 
-    const sunrise = sunTimes.sunrise.getHours() + sunTimes.sunrise.getMinutes() / 60;
-    const sunset = sunTimes.sunset.getHours() + sunTimes.sunset.getMinutes() / 60;
-
-    const effectiveStart = Math.max(winStart, sunrise);
-    const effectiveEnd = Math.min(winEnd, sunset);
+    // Both sides in the venue's local clock, whatever zone the device is in
+    const sunrise = getZonedHour(sunTimes.sunrise, region.timezone);
+    const sunset = getZonedHour(sunTimes.sunset, region.timezone);
 
+    let effectiveStart = Math.max(winStart, sunrise);
+    let effectiveEnd = Math.min(winEnd, sunset);
     let predictedHours = Math.max(0, effectiveEnd - effectiveStart);
 
+    let horizon = null;
+    if (profile) {
+        horizon = horizonWindows(lat, lng, orientation, profile, now, region.timezone);
+        const peak = getLongestWindow(horizon.intervals);
+        predictedHours = horizon.minutes / 60;
+        effectiveStart = peak ? getZonedHour(peak.start, region.timezone) : 0;
+        effectiveEnd = peak ? getZonedHour(peak.end, region.timezone) : 0;
+    }
+
     const cloudReduction = cloudCover < 0.3
         ? cloudCover * 0.3
         : cloudCover < 0.7
             ? 0.09 + (cloudCover - 0.3) * 0.7
             : 0.37 + (cloudCover - 0.7) * 1.3;
     predictedHours = predictedHours * (1 - cloudReduction);
-    predictedHours = predictedHours * factor;
+    if (!profile) predictedHours = predictedHours * factor;
 
     const fmt = (hrs) => {
         const h = Math.floor(hrs);
@@ -103,10 +153,17 @@ export function calculateDynamicToday(lat, lng, orientation, cloudCover = 0, obs
         return `${h12}:${m.toString().padStart(2, '0')}${ampm}`;
     };
 
-    return {
+    const result = {
         predictedHours: parseFloat(predictedHours.toFixed(1)),
         cloudCover,
-        season: isSummer ? 'summer' : 'winter',
+        season: season.id,
         optimalWindow: `${fmt(effectiveStart)}\u2013${fmt(effectiveEnd)}`
     };
+    if (!horizon) return result;
+    return {
+        ...result,
+        optimalWindow: horizon.intervals.length ? result.optimalWindow : null,
+        sunUntil: horizon.sunUntil ? formatZonedTime(horizon.sunUntil, region.timezone) : null,
+        nextSun: horizon.nextSun ? formatZonedTime(horizon.nextSun, region.timezone) : null
+    };
 }
@@ -0,0 +1,122 @@
+/**
+ * Sun-hours calendar
+ * ─────────────────────────────────────────────────────────────
+ * Direct sun on a viewpoint for every day of a year, hour by hour, so a
+ * guest booking months ahead can see whether a north-facing balcony gets
+ * sun in July. Each day is walked in `stepMinutes` steps with SunCalc
+ * and tested like the day engines (utils/horizonProfile): field of view
+ * from the facing, then the horizon profile when there is one. Without a
+ * profile the room's `obstructionLevel` scales the minutes instead, as
+ * estimateSunProfile() does.
+ *
+ * Hours are local to `timeZone` (device zone when null). Clocks are read
+ * at local noon each day; DST changes overnight, when there is no sun to
+ * misfile.
+ *
+ * @module utils/sunCalendar
+ */
+
+import { getSunDegrees, isSunVisible, normalizeHorizonProfile } from './horizonProfile';
+import { getTimeZoneOffsetSeconds, zonedTimeToUtc } from './timezone';
+import { FACADE_FOV_DEG, OBSTRUCTION_FACTORS } from './sunCalcLogic';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+export const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// How many months the "best months" summary names
+const BEST_MONTH_COUNT = 3;
+
+const pad = (n) => String(n).padStart(2, '0');
+const round1 = (value) => Math.round(value * 10) / 10;
+
+function daysInYear(year) {
+    return (Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / (24 * HOUR_MS);
+}
+
+/**
+ * Sun minutes per local hour for every day of `year`.
+ *
+ * @param {number} lat
+ * @param {number} lng
+ * @param {{ year?: number, facingDeg?: number|null, fovDeg?: number,
+ *   profile?: object|null, obstructionLevel?: string, minAltitudeDeg?: number,
+ *   stepMinutes?: number, timeZone?: string|null }} [options]
+ * @returns {{ year: number, timeZone: string|null, source: 'horizon'|'orientation',
+ *   days: { date: string, month: number, hours: number[], sunHours: number }[],
+ *   months: { month: number, label: string, avgSunHours: number, sunnyDays: number }[],
+ *   bestMonths: string[], peakHour: number|null }}
+ *   `days[].hours` has 24 entries (sun minutes in each local hour);
+ *   `sunnyDays` counts days with at least an hour of sun; `peakHour` is the
+ *   local hour that gets the most sun over the year
+ */
+export function computeSunCalendar(lat, lng, {
+    year = new Date().getFullYear(),
+    facingDeg = null,
+    fovDeg = FACADE_FOV_DEG,
+    profile = null,
+    obstructionLevel = 'Open',
+    minAltitudeDeg = 1,
+    stepMinutes = 10,
+    timeZone = null,
+} = {}) {
+    const horizon = normalizeHorizonProfile(profile);
+    const factor = horizon ? 1 : OBSTRUCTION_FACTORS[obstructionLevel] || 1.0;
+    const view = { profile: horizon, facingDeg, fovDeg, minAltitudeDeg };
+
+    const days = [];
+    const hourTotals = new Array(24).fill(0);
+    for (let i = 0; i < daysInYear(year); i++) {
+        const day = new Date(Date.UTC(year, 0, 1 + i));
+        const wallClock = { year, month: day.getUTCMonth() + 1, day: day.getUTCDate() };
+        const noon = zonedTimeToUtc({ ...wallClock, hour: 12 }, timeZone).getTime();
+        const offsetMs = getTimeZoneOffsetSeconds(timeZone, noon) * 1000;
+        const midnight = Date.UTC(wallClock.year, wallClock.month - 1, wallClock.day) - offsetMs;
+
+        const hours = new Array(24).fill(0);
+        // Sample the middle of each step
+        for (let t = midnight + (stepMinutes * MINUTE_MS) / 2; t < midnight + 24 * HOUR_MS; t += stepMinutes * MINUTE_MS) {
+            if (isSunVisible(getSunDegrees(new Date(t), lat, lng), view)) {
+                hours[Math.floor((t - midnight) / HOUR_MS)] += stepMinutes * factor;
+            }
+        }
+        hours.forEach((minutes, h) => { hourTotals[h] += minutes; });
+        const sunMinutes = hours.reduce((a, b) => a + b, 0);
+        days.push({
+            date: `${year}-${pad(wallClock.month)}-${pad(wallClock.day)}`,
+            month: wallClock.month,
+            hours: hours.map(Math.round),
+            sunHours: round1(sunMinutes / 60),
+        });
+    }
+
+    const months = MONTH_LABELS.map((label, m) => {
+        const inMonth = days.filter(d => d.month === m + 1);
+        const total = inMonth.reduce((sum, d) => sum + d.sunHours, 0);
+        return {
+            month: m + 1,
+            label,
+            avgSunHours: inMonth.length ? round1(total / inMonth.length) : 0,
+            sunnyDays: inMonth.filter(d => d.sunHours >= 1).length,
+        };
+    });
+
+    const bestMonths = months
+        .filter(m => m.avgSunHours > 0)
+        .sort((a, b) => b.avgSunHours - a.avgSunHours || a.month - b.month)
+        .slice(0, BEST_MONTH_COUNT)
+        .sort((a, b) => a.month - b.month)
+        .map(m => m.label);
+
+    const peak = Math.max(...hourTotals);
+    return {
+        year,
+        timeZone,
+        source: horizon ? 'horizon' : 'orientation',
+        days,
+        months,
+        bestMonths,
+        peakHour: peak > 0 ? hourTotals.indexOf(peak) : null,
+    };
+}
@@ -8,6 +8,7 @@
  */
 
 import SunCalc from 'suncalc';
+import { getShadowPolygon, MAX_SHADOW_LENGTH_M, MIN_SUN_ALTITUDE_DEG } from './shadows';
 
 export function getSunPositionForMap(lat, lng, date = new Date()) {
     try {
@@ -77,20 +78,42 @@ export function getMapboxLightPreset(sunPosition) {
     return { anchor: 'viewport', color: '#ffffff', intensity: 0.3 + (altitude / 90) * 0.3, position: [1.5, azimuth, altitude] };
 }
 
-export function computeShadowProjection(lat, lng, buildingHeight = 10, date = new Date()) {
+/**
+ * Shadow of a single building at a point. Without a `footprint` the
+ * building is taken as a 10 m square centred on the point; pass the real
+ * [lng, lat] ring when known. Whole-map shadows use utils/shadows with
+ * footprints from data/buildings.
+ */
+export function computeShadowProjection(lat, lng, buildingHeight = 10, date = new Date(), footprint = null) {
     const sunPos = getSunPositionForMap(lat, lng, date);
-    const shadowLength = sunPos.isDaylight && sunPos.altitude > 1
-        ? buildingHeight / Math.tan(sunPos.altitude * (Math.PI / 180))
+    const shadowLength = sunPos.isDaylight && sunPos.altitude > MIN_SUN_ALTITUDE_DEG
+        ? Math.min(MAX_SHADOW_LENGTH_M, buildingHeight / Math.tan(sunPos.altitude * (Math.PI / 180)))
         : 0;
     const shadowBearing = (sunPos.azimuth + 180) % 360;
+    const ring = getShadowPolygon(
+        { footprint: footprint ?? squareFootprint(lat, lng, DEFAULT_FOOTPRINT_M), height: buildingHeight },
+        sunPos
+    );
     return {
         shadowLength: parseFloat(shadowLength.toFixed(1)),
         shadowBearing: parseFloat(shadowBearing.toFixed(1)),
-        shadowPolygon: null,
-        implemented: false,
+        shadowPolygon: ring ? { type: 'Polygon', coordinates: [ring] } : null,
+        implemented: true,
     };
 }
 
+const DEFAULT_FOOTPRINT_M = 10;
+
+function squareFootprint(lat, lng, sizeM) {
+    const dLat = sizeM / 2 / 110540;
+    const dLng = sizeM / 2 / (111320 * Math.cos(lat * (Math.PI / 180)));
+    return [
+        [lng - dLng, lat - dLat], [lng + dLng, lat - dLat],
+        [lng + dLng, lat + dLat], [lng - dLng, lat + dLat],
+        [lng - dLng, lat - dLat],
+    ];
+}
+
 export function computeTerrainShading(lat, lng, date = new Date()) {
     const sunPos = getSunPositionForMap(lat, lng, date);
     return {
@@ -0,0 +1,124 @@
+/**
+ * Time zone helpers
+ * ─────────────────────────────────────────────────────────────
+ * Wall-clock maths in an IANA zone via Intl, so DST transitions
+ * (e.g. Melbourne/Sydney/Adelaide/Hobart) are handled instead of
+ * assuming a fixed UTC offset. Brisbane and Perth simply never shift.
+ *
+ * Passing `timeZone` as null/undefined uses the device zone.
+ *
+ * @module utils/timezone
+ */
+
+const _formatters = new Map();
+
+function getFormatter(timeZone) {
+    const key = timeZone || 'local';
+    if (!_formatters.has(key)) {
+        _formatters.set(key, new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone || undefined,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            weekday: 'short',
+        }));
+    }
+    return _formatters.get(key);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Wall-clock components of `date` in `timeZone`.
+ * @returns {{ year: number, month: number, day: number, hour: number,
+ *   minute: number, second: number, weekday: number }} month is 1–12, weekday 0=Sun
+ */
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+        parts[type] = value;
+    }
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour) % 24,
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAYS[parts.weekday] ?? 0,
+    };
+}
+
+/**
+ * UTC offset of `timeZone` at `date`, in seconds (AEST = 36000, AEDT = 39600).
+ */
+export function getTimeZoneOffsetSeconds(timeZone, date = new Date()) {
+    const ms = new Date(date).getTime();
+    const p = getZonedParts(ms, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - Math.floor(ms / 1000) * 1000) / 1000);
+}
+
+/**
+ * Fractional local hour (e.g. 17.5 for 5:30pm) of `date` in `timeZone`.
+ */
+export function getZonedHour(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return p.hour + p.minute / 60;
+}
+
+/**
+ * Local calendar date key `YYYY-MM-DD` of `date` in `timeZone`.
+ */
+export function toZonedDateKey(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/**
+ * Local wall-clock ISO string without zone (`YYYY-MM-DDTHH:mm`), the same
+ * format Open-Meteo returns for `timezone=<zone>`.
+ */
+export function toZonedIso(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * The instant at which `timeZone` shows the given wall-clock time.
+ * Times skipped by a DST jump resolve to the instant just after the gap.
+ *
+ * @param {{ year: number, month: number, day: number, hour?: number, minute?: number }} wallClock month 1–12
+ * @returns {Date}
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const firstOffset = getTimeZoneOffsetSeconds(timeZone, guess);
+    let utc = guess - firstOffset * 1000;
+    const secondOffset = getTimeZoneOffsetSeconds(timeZone, utc);
+    if (secondOffset !== firstOffset) utc = guess - secondOffset * 1000;
+    return new Date(utc);
+}
+
+/**
+ * Local midnight (as an instant) of the day containing `date` in `timeZone`.
+ */
+export function startOfZonedDay(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day }, timeZone);
+}
+
+/**
+ * Format a time-of-day in `timeZone`, e.g. "5:42pm".
+ */
+export function formatZonedTime(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const h12 = p.hour % 12 || 12;
+    return `${h12}:${pad(p.minute)}${p.hour >= 12 ? 'pm' : 'am'}`;
+}
@@ -0,0 +1,418 @@
+/**
+ * Sunstay Score pipeline
+ * ─────────────────────────────────────────────────────────────
+ * The one score. Pins, cards, lists, badges and the detail screen all
+ * score a venue through scoreVenue(), so the same venue under the same
+ * conditions gets the same number everywhere, and can say why.
+ *
+ * The score is a weighted sum of named factors, each rated 0–1:
+ *
+ *   solar      sun up, how strong and how long it has left
+ *   exposure   sun actually on the seats (facing, buildings, horizon)
+ *   comfort    feels-like temperature at the venue
+ *   rain       chance of rain, less what the venue covers
+ *   shelter    how protected the space is
+ *   wind       wind felt at the venue's exposure
+ *   uv         UV in the pleasant band, not burning
+ *   amenities  heaters when cold, cover when wet, shade when hot
+ *
+ * A factor that doesn't apply (exposure for an indoor-only venue,
+ * anything weather-based when no weather is known) is left out and the
+ * remaining weights scale up to 100.
+ *
+ * What counts as comfortable — temperature range, wind, UV, sun or
+ * shade, rain, and how much each factor matters — comes from the user's
+ * comfort profile (utils/comfortProfile), passed as `options.comfort`.
+ *
+ * Weather may be any shape the app passes around: flat hourly inputs
+ * (shortwaveRadiation, apparentTemp, precipProbability, windGusts km/h),
+ * the legacy OWM-like context/venue weather (wind in m/s) or a
+ * normalized provider payload (utils/weatherNormalize).
+ *
+ * @module utils/venueScore
+ */
+
+import { getSolarData, getSunExposureAtVenue } from '../data/sunshineIntelligence';
+import { calculateApparentTemp, getWindProfile } from '../data/windIntelligence';
+import { getBurnUv, getRainSensitivity, normalizeComfortProfile } from './comfortProfile';
+
+export const SCORE_FACTORS = [
+    { id: 'solar', label: 'Sunshine', weight: 22 },
+    { id: 'exposure', label: 'Sun on the seats', weight: 18 },
+    { id: 'comfort', label: 'Comfort', weight: 15 },
+    { id: 'rain', label: 'Rain', weight: 12 },
+    { id: 'amenities', label: 'Amenities', weight: 10 },
+    { id: 'shelter', label: 'Shelter', weight: 8 },
+    { id: 'wind', label: 'Wind', weight: 8 },
+    { id: 'uv', label: 'UV', weight: 7 },
+];
+
+// Degrees outside the comfortable range at which comfort reaches zero
+const COMFORT_RANGE_C = 10;
+// Wind starts to count at this share of the user's tolerance, and rules
+// out sitting outside at 1.6× it
+const WIND_ONSET = 0.4;
+const WIND_SPAN = 1.2;
+// Cold enough to want a heater, hot enough to want cooling, relative to
+// the comfortable range
+const COLD_BELOW_MIN_C = 6;
+const HOT_ABOVE_MAX_C = 4;
+// Shortwave radiation treated as full sun (W/m²)
+const FULL_SUN_RADIATION = 800;
+// How many reasons the summary keeps
+const REASON_COUNT = 3;
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+const num = (...values) => values.find(v => typeof v === 'number' && Number.isFinite(v)) ?? null;
+
+const fmtDuration = (mins) => {
+    const h = Math.floor(mins / 60);
+    const m = mins % 60;
+    return h ? (m ? `${h}h ${m}m` : `${h}h`) : `${m}m`;
+};
+
+// ── Inputs ─────────────────────────────────────────────────────────────
+
+/**
+ * Read the conditions the score uses from any weather shape (see module
+ * doc). Unknown values come back null rather than guessed.
+ *
+ * @returns {{ temp: number|null, apparentTemp: number|null, humidity: number|null,
+ *   windKmh: number|null, gustKmh: number|null, uvIndex: number|null,
+ *   cloudCover: number|null, rainChance: number|null, radiation: number|null,
+ *   isDay: boolean|null }}  cloudCover and rainChance in %
+ */
+export function readScoreConditions(weather) {
+    const w = weather || {};
+    const raw = w.rawWeather || {};
+    const normalized = w.temperature !== undefined && w.feelsLike !== undefined;
+    const ms = (v) => (Number.isFinite(v) ? v * 3.6 : null);
+
+    return {
+        temp: num(w.temp, w.temperature, w.main?.temp, raw.temp),
+        apparentTemp: num(w.apparentTemp, w.feelsLike, w.main?.feels_like, raw.feelsLike),
+        humidity: num(w.humidity, w.main?.humidity),
+        windKmh: normalized
+            ? ms(w.windSpeed)
+            : num(ms(w.wind?.speed), raw.wind, w.windSpeed),
+        gustKmh: normalized
+            ? ms(w.windGust)
+            : num(w.windGusts, ms(w.wind?.gust)),
+        windDirection: num(w.windDirection, w.wind?.deg, w.wind_deg),
+        uvIndex: num(w.uvIndex, w.uvi, raw.uvIndex),
+        cloudCover: normalized
+            ? (Number.isFinite(w.cloudCover) ? w.cloudCover * 100 : null)
+            : num(w.cloudCoverPct, w.clouds?.all, w.cloudCover),
+        rainChance: num(w.precipProbability, w.rainChance, w.precipProb, raw.precipProb),
+        radiation: num(w.shortwaveRadiation),
+        isDay: w.isDay == null ? null : Boolean(w.isDay),
+    };
+}
+
+/**
+ * What a venue offers against the weather, from its fields and tags.
+ */
+export function readVenueFeatures(venue) {
+    const v = venue || {};
+    const tags = (Array.isArray(v.tags) ? v.tags : []).map(t => String(t).toLowerCase());
+    const vibe = (Array.isArray(v.vibe) ? v.vibe.join(' ') : String(v.vibe || '')).toLowerCase();
+    const has = (...names) => names.some(n => tags.includes(n) || vibe.includes(n));
+
+    const indoorShare = num(v.indoorPercentage, v.indoor_percentage) ?? (has('indoor') ? 100 : 0);
+    const outdoor = Boolean(v.outdoorSeating ?? v.outdoor ?? v.hasOutdoor)
+        || has('beer garden', 'rooftop', 'garden', 'terrace', 'courtyard', 'outdoor seating', 'waterfront', 'balcony')
+        || Boolean(v.balcony_facing)
+        || (v.roomTypes || []).some(r => r.hasBalcony || r.hasOutdoorArea);
+
+    return {
+        outdoor: outdoor || indoorShare < 80,
+        indoorShare,
+        covered: Boolean(v.coveredOutdoor ?? v.covered_outdoor) || has('covered'),
+        heating: Boolean(v.heatersOn ?? v.hasHeaters ?? v.hasHeater ?? v.has_heater)
+            || Boolean(v.fireplaceOn ?? v.hasFireplace ?? v.has_fireplace)
+            || has('fireplace', 'heaters', 'firepit', 'indoor warmth')
+            || (Boolean(v.heating) && v.heating !== 'no heating'),
+        cooling: Boolean(v.hasAC ?? v.has_ac) || v.cooling === 'air-conditioned',
+        umbrellas: Boolean(v.hasUmbrellas) || has('umbrellas', 'shaded'),
+        windbreaks: Boolean(v.hasWindProtection),
+        // Owner-rated 1–10, else the venue audit's 0–100 windbreak
+        shelterRating: num(v.shelterRating, v.shelter_rating)
+            ?? (Number.isFinite(v.shielding?.windbreak) ? v.shielding.windbreak / 10 : null),
+        // Share of seating the audit found covered from rain, 0–1
+        rainCover: Number.isFinite(v.shielding?.rainCover) ? Math.min(100, v.shielding.rainCover) / 100 : 0,
+        sunnyTagged: has('sunny', 'afternoon sun', 'morning sun', 'midday sun', 'evening sun'),
+        shadedTagged: has('shaded'),
+    };
+}
+
+// ── Factors ────────────────────────────────────────────────────────────
+// Each returns { value: 0–1, reason } or null when it doesn't apply.
+
+function solarFactor({ conditions, solar }) {
+    const { radiation, isDay, cloudCover } = conditions;
+    if (radiation != null) {
+        if (isDay === false || radiation <= 0) return { value: 0, reason: 'No sun at this hour' };
+        const value = clamp01(radiation / FULL_SUN_RADIATION);
+        return { value, reason: value >= 0.7 ? 'Strong sunshine' : value >= 0.35 ? 'Some sunshine' : 'Weak, hazy sun' };
+    }
+    if (!solar) return isDay === false ? { value: 0, reason: 'No sun at this hour' } : null;
+    if (!solar.isSunUp) return { value: 0, reason: solar.sunWindowLabel };
+
+    const mins = solar.minutesUntilSunset;
+    let value = mins >= 240 ? 1 : mins >= 120 ? 0.8 : mins >= 60 ? 0.55 : mins >= 30 ? 0.3 : 0.12;
+    value *= 1 - ((cloudCover ?? 0) / 100) * 0.6;
+    if (solar.isGoldenHour) value = Math.min(1, value + 0.1);
+
+    const cloudy = (cloudCover ?? 0) >= 70;
+    return {
+        value,
+        reason: cloudy
+            ? `Heavy cloud (${Math.round(cloudCover)}%), ${fmtDuration(mins)} of daylight left`
+            : solar.isGoldenHour
+                ? `Golden hour, ${fmtDuration(mins)} of sun left`
+                : `${fmtDuration(mins)} of sun left`,
+    };
+}
+
+function exposureFactor({ venue, features, exposure, solar, prefs }) {
+    if (!venue || !features.outdoor) return null;
+    if (!exposure || (solar && !solar.isSunUp)) return { value: 0, reason: exposure?.label || 'Sun has set' };
+
+    let value = exposure.quality === 'direct' ? 1 : exposure.quality === 'partial' ? 0.5 : 0;
+    // Owner-set tags nudge the geometry; they know their terrace
+    if (features.sunnyTagged) value += 0.15;
+    if (features.shadedTagged) value -= 0.2;
+    if (features.covered) value -= 0.1;
+    // Hotels: blend in how sunny their rooms are
+    const rooms = venue.roomTypes || [];
+    if (rooms.length) {
+        const roomAvg = rooms.reduce((sum, r) => sum + (r.sunScore || 50), 0) / rooms.length;
+        value = (value + roomAvg / 100) / 2;
+    }
+    value = clamp01(value);
+    // Sun-seekers want it all; shade-seekers the opposite; in between, dappled
+    if (prefs.shadePreference === 'shade') value = 1 - value;
+    else if (prefs.shadePreference === 'mixed') value = 1 - Math.abs(value - 0.5);
+    return { value, reason: exposure.label };
+}
+
+function comfortFactor({ conditions, profile, prefs }) {
+    const { temp, windKmh, humidity } = conditions;
+    const apparent = conditions.apparentTemp
+        ?? (temp != null ? calculateApparentTemp(temp, (windKmh ?? 0) / 3.6, humidity, profile?.shelterFactor ?? 0) : null);
+    if (apparent == null) return null;
+    const below = prefs.idealMinC - apparent;
+    const above = apparent - prefs.idealMaxC;
+    const delta = Math.max(0, below, above) / COMFORT_RANGE_C;
+    const feels = `Feels ${Math.round(apparent)}°C`;
+    return {
+        value: clamp01(1 - delta * delta),
+        reason: below > 0 ? `${feels}, colder than you like`
+            : above > 0 ? `${feels}, hotter than you like`
+                : `${feels}, just how you like it`,
+        apparentTemp: apparent,
+    };
+}
+
+function rainFactor({ conditions, venue, features, prefs }) {
+    const { rainChance } = conditions;
+    if (rainChance == null) return null;
+    const felt = Math.min(100, rainChance * getRainSensitivity(prefs));
+    const cover = venue
+        ? Math.max(features.indoorShare / 100, features.rainCover, features.covered ? 0.7 : 0, features.umbrellas ? 0.3 : 0)
+        : 0;
+    const value = clamp01(1 - (felt / 100) * (1 - cover));
+    const reason = rainChance < 15
+        ? 'Little chance of rain'
+        : cover >= 0.7
+            ? `${Math.round(rainChance)}% chance of rain, but well covered`
+            : `${Math.round(rainChance)}% chance of rain`;
+    return { value, reason };
+}
+
+function shelterFactor({ venue, features, profile }) {
+    if (!venue) return null;
+    let value = features.shelterRating != null
+        ? Math.max(profile.shelterFactor, features.shelterRating / 10)
+        : profile.shelterFactor;
+    if (features.windbreaks) value += 0.15;
+    if (features.covered) value += 0.1;
+    return { value: clamp01(value), reason: profile.label };
+}
+
+function windFactor({ conditions, venue, features, profile, prefs }) {
+    const felt = conditions.gustKmh ?? conditions.windKmh;
+    if (felt == null) return null;
+    const exposure = venue ? profile.exposure * (features.windbreaks ? 0.7 : 1) : 1;
+    const effective = felt * exposure;
+    const tolerance = prefs.maxWindKmh;
+    const value = clamp01(1 - Math.max(0, effective - tolerance * WIND_ONSET) / (tolerance * WIND_SPAN));
+    // Credit the shelter when it's what keeps a windy day calm here
+    const sheltered = venue && profile.exposure < profile.baseExposure && felt >= tolerance * 0.6;
+    const reason = effective < tolerance * 0.6
+        ? (sheltered ? profile.shelterNote : 'Calm here')
+        : `${conditions.gustKmh != null ? 'Gusts' : 'Wind'} ${Math.round(felt)} km/h${venue && profile.exposure >= 0.75 ? ', and it is exposed' : ''}`;
+    return { value, reason };
+}
+
+function uvFactor({ conditions, features, solar, prefs }) {
+    const uv = conditions.uvIndex;
+    if (uv == null) return null;
+    if (uv < 0.5 || (solar && !solar.isSunUp)) return { value: 0, reason: 'No UV' };
+    const rounded = Math.round(uv);
+    // Pleasant from UV 3 up to where this skin type burns
+    const burnUv = getBurnUv(prefs);
+    const burning = rounded > burnUv + 2;
+    let value = burning ? 0.3
+        : rounded > burnUv ? 0.7
+            : rounded >= Math.min(3, burnUv) ? 1
+                : rounded === 2 ? 0.4
+                    : 0.2;
+    if (burning && (features.covered || features.umbrellas)) value = 0.6;
+    return {
+        value,
+        reason: burning ? `UV ${rounded}, you'd burn fast`
+            : rounded > burnUv ? `UV ${rounded}, strong for your skin`
+                : rounded >= 3 ? `UV ${rounded}, pleasant`
+                    : `Low UV (${rounded})`,
+    };
+}
+
+function amenitiesFactor({ venue, features, conditions, comfort, prefs }) {
+    const feels = comfort?.apparentTemp ?? conditions.temp;
+    // Which amenities matter depends on the weather
+    if (!venue || (feels == null && conditions.rainChance == null)) return null;
+    const wet = (conditions.rainChance ?? 0) > 50;
+
+    if (feels != null && feels < prefs.idealMinC - COLD_BELOW_MIN_C) {
+        return features.heating
+            ? { value: 1, reason: 'Heaters or a fire for the cold' }
+            : { value: features.indoorShare >= 80 ? 0.6 : 0.15, reason: 'Nothing to warm up by' };
+    }
+    if (wet) {
+        return features.indoorShare >= 80 || features.covered
+            ? { value: 1, reason: 'Cover from the rain' }
+            : { value: 0.1, reason: 'No cover if it rains' };
+    }
+    if (feels != null && feels > prefs.idealMaxC + HOT_ABOVE_MAX_C) {
+        return features.cooling || features.indoorShare >= 80 || features.umbrellas
+            ? { value: 1, reason: 'Somewhere cool out of the heat' }
+            : { value: 0.2, reason: 'Little relief from the heat' };
+    }
+    return features.outdoor
+        ? { value: 1, reason: 'Outdoor seating for the conditions' }
+        : { value: 0.5, reason: 'Indoor only' };
+}
+
+const FACTOR_FNS = {
+    solar: solarFactor,
+    exposure: exposureFactor,
+    comfort: comfortFactor,
+    rain: rainFactor,
+    amenities: amenitiesFactor,
+    shelter: shelterFactor,
+    wind: windFactor,
+    uv: uvFactor,
+};
+
+// ── Grades ─────────────────────────────────────────────────────────────
+
+const GRADES = [
+    { min: 85, grade: 'S', tier: 'prime', label: 'Perfect Sun', color: '#f59e0b', bg: '#fef3c7', emoji: '✨' },
+    { min: 65, grade: 'A', tier: 'good', label: 'Great Sunshine', color: '#10b981', bg: '#d1fae5', emoji: '☀️' },
+    { min: 40, grade: 'B', tier: 'moderate', label: 'Partial Sun', color: '#f97316', bg: '#ffedd5', emoji: '🌤️' },
+    { min: 0, grade: 'C', tier: 'cosy', label: 'Low Sun', color: '#6b7280', bg: '#f3f4f6', emoji: '☁️' },
+];
+
+/**
+ * Grade, tier, label and colours for a score. Every score display uses
+ * these bands.
+ *
+ * @returns {{ grade: string, tier: 'prime'|'good'|'moderate'|'cosy', label: string,
+ *   color: string, bg: string, emoji: string }}
+ */
+export function getScoreGrade(score) {
+    const { min: _min, ...grade } = GRADES.find(g => score >= g.min) ?? GRADES[GRADES.length - 1];
+    return grade;
+}
+
+// ── Pipeline ───────────────────────────────────────────────────────────
+
+/**
+ * Score a venue 0–100 for the given conditions. Pass the venue's own
+ * weather (useVenueWeather) where it's loaded, so bay-side and inland
+ * venues are judged on their local conditions.
+ *
+ * @param {object|null} venue  null scores the conditions alone at
+ *   `location` (a city-wide "how good is it out")
+ * @param {object|null} weather  any shape, see module doc
+ * @param {{ date?: Date, location?: { lat: number, lng: number },
+ *   comfort?: object }} [options]  `comfort` is the user's comfort profile
+ *   (utils/comfortProfile); defaults when omitted
+ * @returns {{ score: number, grade: object, factors: { id: string, label: string,
+ *   weight: number, applicable: boolean, value: number|null, points: number,
+ *   maxPoints: number, reason: string|null }[], reasons: string[], conditions: object,
+ *   exposure: object|null, solar: object|null, apparentTemp: number|null }}
+ *   `points` are out of `maxPoints`, the factor's weight rescaled; `reasons` are
+ *   the few factors that moved the score most, best first
+ */
+export function scoreVenue(venue, weather, { date = new Date(), location, comfort } = {}) {
+    const prefs = normalizeComfortProfile(comfort);
+    const conditions = readScoreConditions(weather);
+    if (conditions.uvIndex == null && venue?.weatherNow?.uvIndex != null) {
+        conditions.uvIndex = venue.weatherNow.uvIndex;
+    }
+    const place = venue ?? location;
+    const hasCoords = Number(place?.lat) && Number(place?.lng);
+    const solar = hasCoords ? getSolarData({ lat: Number(place.lat), lng: Number(place.lng) }, date) : null;
+    const exposure = venue && hasCoords ? getSunExposureAtVenue(venue, date) : null;
+    const profile = venue ? getWindProfile(venue, conditions.windDirection) : null;
+    const features = readVenueFeatures(venue);
+
+    const context = { venue, conditions, solar, exposure, profile, features, prefs };
+    context.comfort = comfortFactor(context);
+
+    const rated = SCORE_FACTORS.map(({ id, label, weight: baseWeight }) => {
+        const result = id === 'comfort' ? context.comfort : FACTOR_FNS[id](context);
+        const weight = baseWeight * (prefs.weights[id] ?? 1);
+        return { id, label, weight, applicable: result != null, value: result?.value ?? null, reason: result?.reason ?? null };
+    });
+
+    const totalWeight = rated.filter(f => f.applicable).reduce((sum, f) => sum + f.weight, 0);
+    const scale = totalWeight > 0 ? 100 / totalWeight : 0;
+    const factors = rated.map(f => ({
+        ...f,
+        points: f.applicable ? Math.round(f.value * f.weight * scale * 10) / 10 : 0,
+        maxPoints: f.applicable ? Math.round(f.weight * scale * 10) / 10 : 0,
+    }));
+    const score = Math.round(factors.reduce((sum, f) => sum + f.points, 0));
+
+    // The factors furthest from middling, weighted, say the most
+    const reasons = factors
+        .filter(f => f.applicable && f.weight > 0 && f.reason)
+        .map(f => ({ f, pull: (f.value - 0.5) * f.weight }))
+        .sort((a, b) => Math.abs(b.pull) - Math.abs(a.pull))
+        .slice(0, REASON_COUNT)
+        .sort((a, b) => b.pull - a.pull)
+        .map(({ f }) => f.reason);
+
+    return {
+        score: Math.min(100, Math.max(0, score)),
+        grade: getScoreGrade(score),
+        factors,
+        reasons,
+        conditions,
+        exposure,
+        solar,
+        apparentTemp: context.comfort?.apparentTemp ?? null,
+    };
+}
+
+/**
+ * Venues sorted best first, each with its score result as `_score`.
+ */
+export function rankVenues(venues, weather, options) {
+    return (venues || [])
+        .map(venue => ({ ...venue, _score: scoreVenue(venue, weather, options) }))
+        .sort((a, b) => b._score.score - a._score.score);
+}
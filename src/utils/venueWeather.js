@@ -0,0 +1,178 @@
+/**
+ * Per-venue weather
+ * ─────────────────────────────────────────────────────────────
+ * Resolves weather at each venue's own coordinates instead of one
+ * city-wide snapshot. Coordinates are snapped to a ~2 km grid so
+ * neighbouring venues share a single fetch, and concurrent requests
+ * for the same cell are de-duplicated. Results live in the shared cache
+ * (utils/cache) under the `venueWeather` type.
+ *
+ * @module utils/venueWeather
+ */
+
+import { weatherRegistry } from './weatherRegistry';
+import { toLegacyWeather } from './weatherService';
+import { getTimezoneForLocation } from '../config/regions';
+import { cachePeek, swr } from './cache';
+
+// 0.02° ≈ 2.2 km N–S / 1.8 km E–W at Melbourne's latitude — fine enough to
+// separate bay-side suburbs from inland ones, matching Open-Meteo's model grid.
+export const WEATHER_GRID_DEG = 0.02;
+
+const MAX_CONCURRENT_CELLS = 4;
+
+let _active = 0;
+const _queue = [];
+
+function runLimited(task) {
+    return new Promise((resolve, reject) => {
+        const start = () => {
+            _active += 1;
+            task().then(resolve, reject).finally(() => {
+                _active -= 1;
+                _queue.shift()?.();
+            });
+        };
+        if (_active < MAX_CONCURRENT_CELLS) start();
+        else _queue.push(start);
+    });
+}
+
+/**
+ * Snap a coordinate to the shared weather grid.
+ * @returns {{ lat: number, lng: number, key: string }}
+ */
+export function snapToWeatherGrid(lat, lng, step = WEATHER_GRID_DEG) {
+    const snap = (v) => Number((Math.round(Number(v) / step) * step).toFixed(4));
+    const cellLat = snap(lat);
+    const cellLng = snap(lng);
+    return { lat: cellLat, lng: cellLng, key: `${cellLat.toFixed(2)},${cellLng.toFixed(2)}` };
+}
+
+/**
+ * Grid cell for a venue, or null when it has no usable coordinates.
+ */
+export function getVenueWeatherCell(venue) {
+    const lat = Number(venue?.lat);
+    const lng = Number(venue?.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    return snapToWeatherGrid(lat, lng);
+}
+
+/**
+ * Cached weather for a venue's cell (possibly stale), from the in-memory
+ * cache front. Synchronous so render paths (map pins, list sorting) can
+ * use it without awaiting.
+ */
+export function peekVenueWeather(venue) {
+    const cell = getVenueWeatherCell(venue);
+    return cell ? cachePeek('venueWeather', cell.key)?.value ?? null : null;
+}
+
+async function loadCell(cell) {
+    const timezone = getTimezoneForLocation(cell.lat, cell.lng) ?? undefined;
+    const [current, forecast] = await Promise.all([
+        weatherRegistry.fetchCurrent(cell.lat, cell.lng, { timezone }),
+        weatherRegistry.fetchForecast(cell.lat, cell.lng, { days: 2, timezone }),
+    ]);
+    return {
+        cell,
+        current,
+        forecast,
+        weather: toLegacyWeather(current, forecast, { timezone }),
+        fetchedAt: Date.now(),
+    };
+}
+
+/**
+ * Fetch weather for a grid cell through the provider registry.
+ * A stale cached cell is returned straight away and refreshed in the
+ * background; `onUpdate` receives the refreshed data.
+ *
+ * @param {{ lat: number, lng: number, key: string }} cell
+ * @param {{ forceRefresh?: boolean, onUpdate?: (data: object) => void }} [options]
+ * @returns {Promise<{ cell: object, current: object, forecast: object,
+ *   weather: object, fetchedAt: number }>} `weather` is the legacy
+ *   OWM-like shape WeatherContext exposes; `current`/`forecast` are normalized.
+ */
+export async function fetchCellWeather(cell, { forceRefresh = false, onUpdate } = {}) {
+    // No caller signal here: the fetch is shared, so one unmounting
+    // consumer must not cancel it for the others.
+    const { value } = await swr('venueWeather', cell.key, () => runLimited(() => loadCell(cell)), {
+        forceRefresh,
+        // Demo fixture data isn't kept so the next request retries live providers
+        shouldCache: (data) => data.current.provider !== 'demo',
+        onUpdate: onUpdate && (({ value: fresh }) => onUpdate(fresh)),
+    });
+    return value;
+}
+
+/**
+ * Fetch weather for a venue's location (shared with nearby venues).
+ * @returns {Promise<object|null>} see fetchCellWeather; null without coordinates
+ */
+export function fetchVenueWeather(venue, options = {}) {
+    const cell = getVenueWeatherCell(venue);
+    if (!cell) return Promise.resolve(null);
+    return fetchCellWeather(cell, options);
+}
+
+/**
+ * Fetch weather for many venues, one request per distinct grid cell.
+ * Failed cells are omitted rather than failing the batch.
+ *
+ * @param {object[]} venues
+ * @param {{ forceRefresh?: boolean,
+ *   onUpdate?: (venueIds: string[], data: object) => void }} [options]
+ *   `onUpdate` fires when a stale cell finishes refreshing
+ * @returns {Promise<Map<string, object>>} venue id → fetchCellWeather result
+ */
+export async function fetchVenuesWeather(venues, { forceRefresh = false, onUpdate } = {}) {
+    const byCell = new Map();
+    for (const venue of venues || []) {
+        const cell = getVenueWeatherCell(venue);
+        if (!cell || venue.id == null) continue;
+        if (!byCell.has(cell.key)) byCell.set(cell.key, { cell, ids: [] });
+        byCell.get(cell.key).ids.push(String(venue.id));
+    }
+
+    const result = new Map();
+    await Promise.all([...byCell.values()].map(async ({ cell, ids }) => {
+        try {
+            const data = await fetchCellWeather(cell, {
+                forceRefresh,
+                onUpdate: onUpdate && ((fresh) => onUpdate(ids, fresh)),
+            });
+            ids.forEach(id => result.set(id, data));
+        } catch (err) {
+            console.warn(`[VenueWeather] Cell ${cell.key} failed:`, err.message);
+        }
+    }));
+    return result;
+}
+
+// Minute-level Tomorrow.io when keyed, else Open-Meteo's 15-minute steps.
+// No fallback: with neither, rain timing falls back to the hourly forecast
+const NOWCAST_PROVIDERS = ['tomorrow', 'open-meteo'];
+
+/**
+ * Rain nowcast for a grid cell (see weatherRegistry `fetchNowcast`),
+ * shared by the venues in it and cached under the `nowcast` type.
+ *
+ * @param {{ lat: number, lng: number, key: string }} cell
+ * @param {{ forceRefresh?: boolean, onUpdate?: (nowcast: object) => void }} [options]
+ * @returns {Promise<{ provider: string, intervalMinutes: number, steps: object[] }>}
+ */
+export async function fetchCellNowcast(cell, { forceRefresh = false, onUpdate } = {}) {
+    const { value } = await swr(
+        'nowcast',
+        cell.key,
+        () => weatherRegistry.fetchNowcast(cell.lat, cell.lng, { providers: NOWCAST_PROVIDERS }),
+        {
+            forceRefresh,
+            shouldCache: (nowcast) => nowcast.provider !== 'demo',
+            onUpdate: onUpdate && (({ value: fresh }) => onUpdate(fresh)),
+        }
+    );
+    return value;
+}
@@ -0,0 +1,129 @@
+/**
+ * Local fixture weather adapter
+ * ─────────────────────────────────────────────────────────────
+ * Made-up weather for demos, development and tests. It is only
+ * registered when VITE_WEATHER_FIXTURE is 'true' (see utils/weatherRegistry):
+ * in production a failed provider must surface as "no data" rather than
+ * as invented conditions. `createFixtureAdapter` lets tests and the demo
+ * mode pin exact conditions.
+ *
+ * Observed rainfall and the rain nowcast are only served when a fixture
+ * supplies them (see data/fixtures/observedRainfall): a made-up "dry"
+ * answer would settle weather guarantees wrongly and hide rain that a
+ * real forecast expects. Without one the registry reports the
+ * capability as unavailable, so consumers treat rain as unknown.
+ *
+ * @module utils/weatherAdapters/fixture
+ */
+
+import { DEMO_WEATHER_NORMALIZED, summariseDay, toLocalDateKey } from '../weatherNormalize';
+import { getTimeZoneOffsetSeconds, getZonedParts } from '../timezone';
+import { getTimezoneForLocation } from '../../config/regions';
+
+/**
+ * Flat demo forecast built from DEMO_WEATHER_NORMALIZED with a simple
+ * diurnal curve, so demo sessions can still plan ahead. Day and night
+ * follow `timeZone` (the device's zone when omitted).
+ */
+export function buildDemoForecast(days, start = new Date(), timeZone = undefined) {
+    const base = new Date(start);
+    base.setUTCMinutes(0, 0, 0);
+    const offset = getTimeZoneOffsetSeconds(timeZone, base);
+    const hourly = [];
+    for (let i = 0; i < days * 24; i++) {
+        const t = new Date(base.getTime() + i * 3600000);
+        const { hour } = getZonedParts(t, timeZone);
+        const isDay = hour >= 7 && hour < 19;
+        const swing = Math.sin(((hour - 9) / 24) * 2 * Math.PI);
+        hourly.push({
+            ...DEMO_WEATHER_NORMALIZED,
+            time: t.toISOString(),
+            timestamp: t.getTime(),
+            date: toLocalDateKey(t.getTime() / 1000, offset, timeZone),
+            temperature: Math.round((DEMO_WEATHER_NORMALIZED.temperature + swing * 4) * 10) / 10,
+            feelsLike: Math.round((DEMO_WEATHER_NORMALIZED.feelsLike + swing * 4) * 10) / 10,
+            uvIndex: isDay ? Math.max(0, Math.round(DEMO_WEATHER_NORMALIZED.uvIndex * Math.sin(((hour - 7) / 12) * Math.PI))) : 0,
+            precipitation: 0,
+            precipProbability: 10,
+            shortwaveRadiation: isDay ? Math.round(700 * Math.sin(((hour - 7) / 12) * Math.PI)) : 0,
+            isDay,
+        });
+    }
+    const daily = [];
+    for (let i = 0; i < days; i++) {
+        const dayHours = hourly.slice(i * 24, (i + 1) * 24);
+        daily.push({
+            date: dayHours[0].date,
+            timestamp: dayHours[0].timestamp,
+            temperatureMin: Math.min(...dayHours.map(h => h.temperature)),
+            temperatureMax: Math.max(...dayHours.map(h => h.temperature)),
+            feelsLikeMin: Math.min(...dayHours.map(h => h.feelsLike)),
+            feelsLikeMax: Math.max(...dayHours.map(h => h.feelsLike)),
+            windSpeed: DEMO_WEATHER_NORMALIZED.windSpeed,
+            windGust: DEMO_WEATHER_NORMALIZED.windGust,
+            uvIndex: DEMO_WEATHER_NORMALIZED.uvIndex,
+            precipitation: 0,
+            precipProbability: 10,
+            sunrise: null,
+            sunset: null,
+            ...summariseDay(dayHours),
+            condition: DEMO_WEATHER_NORMALIZED.condition,
+            description: DEMO_WEATHER_NORMALIZED.description,
+            icon: DEMO_WEATHER_NORMALIZED.icon,
+        });
+    }
+    return { provider: 'demo', timezone: timeZone ?? null, utcOffsetSeconds: offset, hourly, daily };
+}
+
+/**
+ * Build a fixture adapter. A current or forecast payload left out falls
+ * back to the demo generators; nowcast and observed are only offered
+ * when supplied. Supplied payloads are returned as-is (cloned).
+ *
+ * @param {{ id?: string, priority?: number, current?: object,
+ *   forecast?: object, nowcast?: object, observed?: object }} [fixture]
+ *   `observed` is a recording; fetchObserved replays the hours that
+ *   overlap the requested interval
+ */
+export function createFixtureAdapter(fixture = {}) {
+    const clone = (value) => JSON.parse(JSON.stringify(value));
+    const observed = fixture.observed
+        ? {
+            async fetchObserved(lat, lng, { start, end } = {}) {
+                const from = new Date(start).getTime();
+                const to = new Date(end).getTime();
+                const recording = clone(fixture.observed);
+                return {
+                    ...recording,
+                    hourly: recording.hourly.filter(h =>
+                        h.timestamp < to && h.timestamp + h.durationMinutes * 60000 > from),
+                };
+            },
+        }
+        : {};
+    const nowcast = fixture.nowcast
+        ? { async fetchNowcast() { return clone(fixture.nowcast); } }
+        : {};
+    return {
+        id: fixture.id || 'fixture',
+        label: 'Local fixture',
+        priority: fixture.priority ?? 1000,
+
+        isAvailable: () => true,
+
+        async fetchCurrent() {
+            if (fixture.current) return clone(fixture.current);
+            return { ...DEMO_WEATHER_NORMALIZED, timestamp: Date.now() };
+        },
+
+        async fetchForecast(lat, lng, { days, timezone } = {}) {
+            if (fixture.forecast) return clone(fixture.forecast);
+            return buildDemoForecast(days, new Date(), timezone ?? getTimezoneForLocation(lat, lng) ?? undefined);
+        },
+
+        ...nowcast,
+        ...observed,
+    };
+}
+
+export const fixtureAdapter = createFixtureAdapter();
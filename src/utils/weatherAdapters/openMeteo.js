@@ -0,0 +1,265 @@
+/**
+ * Open-Meteo weather adapter
+ * ─────────────────────────────────────────────────────────────
+ * Keyless, global and hourly for the full 7-day range, so it is the
+ * primary source for current conditions and forecasts. Its 15-minute
+ * precipitation also serves as the rain nowcast when Tomorrow.io isn't
+ * configured.
+ *
+ * @module utils/weatherAdapters/openMeteo
+ */
+
+import {
+    describeOpenMeteoCode,
+    summariseDay,
+    toLocalDateKey,
+    trimForecastDays,
+} from '../weatherNormalize';
+
+const BASE_URL = 'https://api.open-meteo.com/v1/forecast';
+// ERA5 reanalysis: what actually fell, published about five days late
+const ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1/archive';
+
+const CURRENT_FIELDS = [
+    'temperature_2m',
+    'apparent_temperature',
+    'relative_humidity_2m',
+    'precipitation',
+    'weather_code',
+    'cloud_cover',
+    'wind_speed_10m',
+    'wind_direction_10m',
+    'wind_gusts_10m',
+    'uv_index',
+    'visibility',
+    'surface_pressure',
+    'shortwave_radiation',
+    'is_day',
+];
+
+const HOURLY_FIELDS = [
+    'temperature_2m',
+    'apparent_temperature',
+    'relative_humidity_2m',
+    'precipitation',
+    'precipitation_probability',
+    'weather_code',
+    'cloud_cover',
+    'wind_speed_10m',
+    'wind_direction_10m',
+    'wind_gusts_10m',
+    'uv_index',
+    'visibility',
+    'surface_pressure',
+    'shortwave_radiation',
+    'is_day',
+];
+
+const DAILY_FIELDS = [
+    'weather_code',
+    'temperature_2m_max',
+    'temperature_2m_min',
+    'apparent_temperature_max',
+    'apparent_temperature_min',
+    'sunrise',
+    'sunset',
+    'uv_index_max',
+    'precipitation_sum',
+    'precipitation_probability_max',
+    'wind_speed_10m_max',
+    'wind_gusts_10m_max',
+];
+
+// 15-minute precipitation steps in a nowcast (24 hours)
+const NOWCAST_STEPS = 96;
+
+const HOUR_MS = 60 * 60 * 1000;
+const floorHour = (ms) => Math.floor(ms / HOUR_MS) * HOUR_MS;
+// `YYYY-MM-DD` in UTC, for start_date / end_date with timezone=GMT
+const toUtcDate = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+async function request(lat, lng, params, signal, url = BASE_URL) {
+    const query = new URLSearchParams({
+        latitude: String(lat),
+        longitude: String(lng),
+        timezone: 'auto',
+        timeformat: 'unixtime',
+        wind_speed_unit: 'ms',
+        ...params,
+    });
+    const response = await fetch(`${url}?${query}`, { signal });
+    if (!response.ok) throw new Error(`Open-Meteo HTTP ${response.status}`);
+    return response.json();
+}
+
+function normalizeCurrent(raw) {
+    const c = raw.current || {};
+    const isDay = (c.is_day ?? 1) === 1;
+    return {
+        temperature: c.temperature_2m ?? 20,
+        feelsLike: c.apparent_temperature ?? c.temperature_2m ?? 20,
+        humidity: c.relative_humidity_2m ?? 50,
+        cloudCover: (c.cloud_cover ?? 0) / 100,
+        windSpeed: c.wind_speed_10m ?? 0,
+        windDirection: c.wind_direction_10m ?? 0,
+        windGust: c.wind_gusts_10m ?? c.wind_speed_10m ?? 0,
+        uvIndex: c.uv_index ?? 0,
+        ...describeOpenMeteoCode(c.weather_code, isDay),
+        visibility: c.visibility ?? 10000,
+        pressure: c.surface_pressure ?? 1013,
+        precipitation: c.precipitation ?? 0,
+        shortwaveRadiation: c.shortwave_radiation ?? 0,
+        isDay,
+        timestamp: c.time ? c.time * 1000 : Date.now(),
+        timezone: raw.timezone || null,
+        utcOffsetSeconds: raw.utc_offset_seconds ?? 0,
+        provider: 'open-meteo',
+        raw,
+    };
+}
+
+function normalizeForecast(raw, days) {
+    const offset = raw.utc_offset_seconds ?? 0;
+    const zone = raw.timezone || null;
+    const h = raw.hourly || {};
+    const d = raw.daily || {};
+
+    const hourly = (h.time || []).map((t, i) => {
+        const isDay = (h.is_day?.[i] ?? 1) === 1;
+        return {
+            time: new Date(t * 1000).toISOString(),
+            timestamp: t * 1000,
+            date: toLocalDateKey(t, offset, zone),
+            temperature: h.temperature_2m?.[i] ?? null,
+            feelsLike: h.apparent_temperature?.[i] ?? h.temperature_2m?.[i] ?? null,
+            humidity: h.relative_humidity_2m?.[i] ?? null,
+            cloudCover: (h.cloud_cover?.[i] ?? 0) / 100,
+            windSpeed: h.wind_speed_10m?.[i] ?? 0,
+            windDirection: h.wind_direction_10m?.[i] ?? 0,
+            windGust: h.wind_gusts_10m?.[i] ?? h.wind_speed_10m?.[i] ?? 0,
+            uvIndex: h.uv_index?.[i] ?? 0,
+            precipitation: h.precipitation?.[i] ?? 0,
+            precipProbability: h.precipitation_probability?.[i] ?? 0,
+            visibility: h.visibility?.[i] ?? 10000,
+            pressure: h.surface_pressure?.[i] ?? 1013,
+            shortwaveRadiation: h.shortwave_radiation?.[i] ?? 0,
+            isDay,
+            ...describeOpenMeteoCode(h.weather_code?.[i], isDay),
+        };
+    });
+
+    const daily = (d.time || []).map((t, i) => {
+        const date = toLocalDateKey(t, offset, zone);
+        return {
+            date,
+            timestamp: t * 1000,
+            temperatureMin: d.temperature_2m_min?.[i] ?? null,
+            temperatureMax: d.temperature_2m_max?.[i] ?? null,
+            feelsLikeMin: d.apparent_temperature_min?.[i] ?? null,
+            feelsLikeMax: d.apparent_temperature_max?.[i] ?? null,
+            windSpeed: d.wind_speed_10m_max?.[i] ?? 0,
+            windGust: d.wind_gusts_10m_max?.[i] ?? 0,
+            uvIndex: d.uv_index_max?.[i] ?? 0,
+            precipitation: d.precipitation_sum?.[i] ?? 0,
+            precipProbability: d.precipitation_probability_max?.[i] ?? 0,
+            sunrise: d.sunrise?.[i] ? new Date(d.sunrise[i] * 1000).toISOString() : null,
+            sunset: d.sunset?.[i] ? new Date(d.sunset[i] * 1000).toISOString() : null,
+            ...summariseDay(hourly.filter(hr => hr.date === date)),
+            ...describeOpenMeteoCode(d.weather_code?.[i], true),
+        };
+    });
+
+    return trimForecastDays({
+        provider: 'open-meteo',
+        timezone: raw.timezone || null,
+        utcOffsetSeconds: offset,
+        hourly,
+        daily,
+    }, days);
+}
+
+export const openMeteoAdapter = {
+    id: 'open-meteo',
+    label: 'Open-Meteo',
+    priority: 10,
+
+    isAvailable: () => true,
+
+    async fetchCurrent(lat, lng, { signal } = {}) {
+        const raw = await request(lat, lng, { current: CURRENT_FIELDS.join(',') }, signal);
+        return normalizeCurrent(raw);
+    },
+
+    async fetchForecast(lat, lng, { days, signal } = {}) {
+        const raw = await request(lat, lng, {
+            hourly: HOURLY_FIELDS.join(','),
+            daily: DAILY_FIELDS.join(','),
+            forecast_days: String(days),
+        }, signal);
+        return normalizeForecast(raw, days);
+    },
+
+    /**
+     * Precipitation in 15-minute steps for the next day, as intensity (mm/h).
+     * Each value is the rain in the 15 minutes *ending* at its time.
+     */
+    async fetchNowcast(lat, lng, { signal } = {}) {
+        const raw = await request(lat, lng, {
+            minutely_15: 'precipitation',
+            forecast_minutely_15: String(NOWCAST_STEPS),
+        }, signal);
+        const m = raw.minutely_15 || {};
+        if (!m.time?.length) throw new Error('Open-Meteo nowcast returned no steps');
+        return {
+            provider: 'open-meteo',
+            intervalMinutes: 15,
+            steps: m.time.map((t, i) => {
+                const timestamp = (t - 15 * 60) * 1000;
+                return {
+                    time: new Date(timestamp).toISOString(),
+                    timestamp,
+                    precipitationIntensity: (m.precipitation?.[i] ?? 0) * 4,
+                };
+            }),
+        };
+    },
+
+    /**
+     * Hourly ERA5 reanalysis from the archive API, the same source the
+     * guarantee backtests use. Each value is the rain in the hour *ending*
+     * at its time; hours the reanalysis hasn't reached yet come back null.
+     */
+    async fetchObserved(lat, lng, { start, end, signal } = {}) {
+        const from = new Date(start).getTime();
+        const to = new Date(end).getTime();
+        if (!Number.isFinite(from) || !Number.isFinite(to) || to <= from) {
+            throw new Error('Open-Meteo observed: invalid interval');
+        }
+        // Hours ending from the first full hour after `from` to the one covering `to`
+        const first = floorHour(from + HOUR_MS);
+        const last = floorHour(to + HOUR_MS - 1);
+        const raw = await request(lat, lng, {
+            hourly: 'precipitation',
+            timezone: 'GMT',
+            start_date: toUtcDate(first),
+            end_date: toUtcDate(last),
+        }, signal, ARCHIVE_URL);
+        const h = raw.hourly || {};
+        const hours = (h.time || [])
+            .map((t, i) => [t * 1000, h.precipitation?.[i] ?? null])
+            .filter(([ms]) => ms >= first && ms <= last);
+        return {
+            provider: 'open-meteo',
+            source: 'era5',
+            hourly: hours.map(([ms, precipitation]) => {
+                const timestamp = ms - HOUR_MS;
+                return {
+                    time: new Date(timestamp).toISOString(),
+                    timestamp,
+                    durationMinutes: 60,
+                    precipitation,
+                };
+            }),
+        };
+    },
+};
@@ -0,0 +1,127 @@
+/**
+ * OpenWeatherMap weather adapter
+ * ─────────────────────────────────────────────────────────────
+ * Current conditions from the 2.5 weather endpoint and forecasts from
+ * One Call 3.0 (hourly limited to 48h). Needs VITE_OPENWEATHER_KEY or
+ * an `apiKeys.openweathermap` override.
+ *
+ * @module utils/weatherAdapters/openWeatherMap
+ */
+
+import { normalizeCondition, toLocalDateKey, trimForecastDays } from '../weatherNormalize';
+
+const ID = 'openweathermap';
+
+const resolveKey = (options = {}) =>
+    (options.apiKeys?.[ID] || import.meta.env.VITE_OPENWEATHER_KEY || '').trim();
+
+async function request(url, signal) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) throw new Error(`OpenWeatherMap API error: ${response.status}`);
+    return response.json();
+}
+
+function normalizeCurrent(raw) {
+    return {
+        temperature: raw.main?.temp ?? 20,
+        feelsLike: raw.main?.feels_like ?? 20,
+        humidity: raw.main?.humidity ?? 50,
+        cloudCover: (raw.clouds?.all ?? 0) / 100,
+        windSpeed: raw.wind?.speed ?? 0,
+        windDirection: raw.wind?.deg ?? 0,
+        windGust: raw.wind?.gust ?? raw.wind?.speed ?? 0,
+        uvIndex: raw.uvi ?? (raw.weather?.[0]?.main === 'Clear' ? 7 : 3),
+        condition: normalizeCondition(raw.weather?.[0]?.description || ''),
+        description: raw.weather?.[0]?.description || 'Unknown',
+        icon: raw.weather?.[0]?.icon || '01d',
+        visibility: raw.visibility ?? 10000,
+        pressure: raw.main?.pressure ?? 1013,
+        precipitation: (raw.rain?.['1h'] ?? 0) + (raw.snow?.['1h'] ?? 0),
+        shortwaveRadiation: null,
+        isDay: (raw.weather?.[0]?.icon || '01d').endsWith('d'),
+        timestamp: raw.dt ? raw.dt * 1000 : Date.now(),
+        timezone: null,
+        utcOffsetSeconds: raw.timezone ?? 0,
+        provider: ID,
+        raw,
+    };
+}
+
+function normalizeForecast(raw, days) {
+    const offset = raw.timezone_offset ?? 0;
+    const zone = raw.timezone || null;
+
+    const hourly = (raw.hourly || []).map((hr) => {
+        const icon = hr.weather?.[0]?.icon || '01d';
+        return {
+            time: new Date(hr.dt * 1000).toISOString(),
+            timestamp: hr.dt * 1000,
+            date: toLocalDateKey(hr.dt, offset, zone),
+            temperature: hr.temp ?? null,
+            feelsLike: hr.feels_like ?? hr.temp ?? null,
+            humidity: hr.humidity ?? null,
+            cloudCover: (hr.clouds ?? 0) / 100,
+            windSpeed: hr.wind_speed ?? 0,
+            windDirection: hr.wind_deg ?? 0,
+            windGust: hr.wind_gust ?? hr.wind_speed ?? 0,
+            uvIndex: hr.uvi ?? 0,
+            precipitation: (hr.rain?.['1h'] ?? 0) + (hr.snow?.['1h'] ?? 0),
+            precipProbability: Math.round((hr.pop ?? 0) * 100),
+            visibility: hr.visibility ?? 10000,
+            pressure: hr.pressure ?? 1013,
+            shortwaveRadiation: null,
+            isDay: icon.endsWith('d'),
+            condition: normalizeCondition(hr.weather?.[0]?.description || ''),
+            description: hr.weather?.[0]?.description || 'Unknown',
+            icon,
+        };
+    });
+
+    const daily = (raw.daily || []).map((day) => ({
+        date: toLocalDateKey(day.dt, offset, zone),
+        timestamp: day.dt * 1000,
+        temperatureMin: day.temp?.min ?? null,
+        temperatureMax: day.temp?.max ?? null,
+        feelsLikeMin: day.feels_like ? Math.min(...Object.values(day.feels_like)) : null,
+        feelsLikeMax: day.feels_like ? Math.max(...Object.values(day.feels_like)) : null,
+        windSpeed: day.wind_speed ?? 0,
+        windGust: day.wind_gust ?? day.wind_speed ?? 0,
+        windDirection: day.wind_deg ?? 0,
+        uvIndex: day.uvi ?? 0,
+        precipitation: (day.rain ?? 0) + (day.snow ?? 0),
+        precipProbability: Math.round((day.pop ?? 0) * 100),
+        cloudCover: (day.clouds ?? 0) / 100,
+        humidity: day.humidity ?? null,
+        sunrise: day.sunrise ? new Date(day.sunrise * 1000).toISOString() : null,
+        sunset: day.sunset ? new Date(day.sunset * 1000).toISOString() : null,
+        condition: normalizeCondition(day.weather?.[0]?.description || ''),
+        description: day.weather?.[0]?.description || 'Unknown',
+        icon: day.weather?.[0]?.icon || '01d',
+    }));
+
+    return trimForecastDays({
+        provider: ID,
+        timezone: raw.timezone || null,
+        utcOffsetSeconds: offset,
+        hourly,
+        daily,
+    }, days);
+}
+
+export const openWeatherMapAdapter = {
+    id: ID,
+    label: 'OpenWeatherMap',
+    priority: 20,
+
+    isAvailable: (options) => Boolean(resolveKey(options)),
+
+    async fetchCurrent(lat, lng, options = {}) {
+        const url = `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lng}&appid=${resolveKey(options)}&units=metric`;
+        return normalizeCurrent(await request(url, options.signal));
+    },
+
+    async fetchForecast(lat, lng, options = {}) {
+        const url = `https://api.openweathermap.org/data/3.0/onecall?lat=${lat}&lon=${lng}&exclude=current,minutely,alerts&appid=${resolveKey(options)}&units=metric`;
+        return normalizeForecast(await request(url, options.signal), options.days);
+    },
+};
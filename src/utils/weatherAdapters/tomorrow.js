@@ -0,0 +1,203 @@
+/**
+ * Tomorrow.io weather adapter
+ * ─────────────────────────────────────────────────────────────
+ * Realtime, hourly/daily forecast and the 1-minute precipitation
+ * nowcast that drives rain-arrival alerts. Needs VITE_TOMORROW_API_KEY
+ * or an `apiKeys.tomorrow` override.
+ *
+ * @module utils/weatherAdapters/tomorrow
+ */
+
+import { normalizeCondition, summariseDay, toLocalDateKey, trimForecastDays } from '../weatherNormalize';
+import { getTimezoneForLocation } from '../../config/regions';
+import { getTimeZoneOffsetSeconds, getZonedHour } from '../timezone';
+
+const ID = 'tomorrow';
+const BASE_URL = 'https://api.tomorrow.io/v4';
+
+// Tomorrow.io weatherCode → description + OWM-style icon stem
+const WEATHER_CODES = {
+    1000: ['Clear, sunny', '01'],
+    1100: ['Mostly clear', '02'],
+    1101: ['Partly cloudy', '03'],
+    1102: ['Mostly cloudy', '04'],
+    1001: ['Cloudy', '04'],
+    2000: ['Fog', '50'],
+    2100: ['Light fog', '50'],
+    4000: ['Drizzle', '09'],
+    4001: ['Rain', '10'],
+    4200: ['Light rain', '10'],
+    4201: ['Heavy rain', '10'],
+    5000: ['Snow', '13'],
+    5001: ['Flurries', '13'],
+    5100: ['Light snow', '13'],
+    5101: ['Heavy snow', '13'],
+    6000: ['Freezing drizzle', '09'],
+    6001: ['Freezing rain', '10'],
+    6200: ['Light freezing rain', '10'],
+    6201: ['Heavy freezing rain', '10'],
+    7000: ['Ice pellets', '13'],
+    7101: ['Heavy ice pellets', '13'],
+    7102: ['Light ice pellets', '13'],
+    8000: ['Thunderstorm', '11'],
+};
+
+const resolveKey = (options = {}) =>
+    (options.apiKeys?.[ID] || import.meta.env.VITE_TOMORROW_API_KEY || '').trim();
+
+const location = (lat, lng) => `${Number(lat).toFixed(4)},${Number(lng).toFixed(4)}`;
+
+// Tomorrow.io returns UTC timestamps without a zone. Use the caller's
+// zone or the region profile's; outside every region, approximate local
+// solar time from longitude so daily buckets split near midnight.
+const offsetFromLongitude = (lng) => Math.round(Number(lng) / 15) * 3600;
+
+const resolveZone = (lat, lng, options) => options.timezone ?? getTimezoneForLocation(lat, lng);
+
+const localHourAt = (timestamp, zone, lng) =>
+    zone ? Math.floor(getZonedHour(timestamp, zone)) : new Date(timestamp + offsetFromLongitude(lng) * 1000).getUTCHours();
+
+function describeCode(code, isDay = true) {
+    const [description, stem] = WEATHER_CODES[code] || ['Variable cloud', '03'];
+    return {
+        condition: normalizeCondition(description),
+        description,
+        icon: `${stem}${isDay ? 'd' : 'n'}`,
+    };
+}
+
+async function request(path, params, options) {
+    const query = new URLSearchParams({ ...params, units: 'metric', apikey: resolveKey(options) });
+    const response = await fetch(`${BASE_URL}/${path}?${query}`, { signal: options.signal });
+    if (!response.ok) throw new Error(`Tomorrow.io error: ${response.status}`);
+    return response.json();
+}
+
+function normalizeValues(v, isDay) {
+    return {
+        temperature: v.temperature ?? null,
+        feelsLike: v.temperatureApparent ?? v.temperature ?? null,
+        humidity: v.humidity ?? null,
+        cloudCover: (v.cloudCover ?? 0) / 100,
+        windSpeed: v.windSpeed ?? 0,
+        windDirection: v.windDirection ?? 0,
+        windGust: v.windGust ?? v.windSpeed ?? 0,
+        uvIndex: v.uvIndex ?? 0,
+        precipitation: v.precipitationIntensity ?? 0,
+        precipProbability: v.precipitationProbability ?? 0,
+        visibility: v.visibility != null ? v.visibility * 1000 : 10000,
+        pressure: v.pressureSurfaceLevel ?? 1013,
+        shortwaveRadiation: null,
+        isDay,
+        ...describeCode(v.weatherCode, isDay),
+    };
+}
+
+function normalizeForecast(raw, lng, zone, days) {
+    const offset = zone ? getTimeZoneOffsetSeconds(zone) : offsetFromLongitude(lng);
+    const rawDaily = raw.timelines?.daily || [];
+    const sunTimes = new Map(rawDaily.map(d => [
+        toLocalDateKey(Date.parse(d.time) / 1000, offset, zone),
+        [Date.parse(d.values?.sunriseTime), Date.parse(d.values?.sunsetTime)],
+    ]));
+
+    const hourly = (raw.timelines?.hourly || []).map((entry) => {
+        const timestamp = Date.parse(entry.time);
+        const date = toLocalDateKey(timestamp / 1000, offset, zone);
+        const [sunrise, sunset] = sunTimes.get(date) || [];
+        const localHour = localHourAt(timestamp, zone, lng);
+        const isDay = Number.isFinite(sunrise) && Number.isFinite(sunset)
+            ? timestamp >= sunrise && timestamp < sunset
+            : localHour >= 6 && localHour < 20;
+        return {
+            time: new Date(timestamp).toISOString(),
+            timestamp,
+            date,
+            ...normalizeValues(entry.values || {}, isDay),
+        };
+    });
+
+    const daily = rawDaily.map((entry) => {
+        const v = entry.values || {};
+        const timestamp = Date.parse(entry.time);
+        const date = toLocalDateKey(timestamp / 1000, offset, zone);
+        return {
+            date,
+            timestamp,
+            temperatureMin: v.temperatureMin ?? null,
+            temperatureMax: v.temperatureMax ?? null,
+            feelsLikeMin: v.temperatureApparentMin ?? null,
+            feelsLikeMax: v.temperatureApparentMax ?? null,
+            windSpeed: v.windSpeedMax ?? 0,
+            windGust: v.windGustMax ?? v.windSpeedMax ?? 0,
+            uvIndex: v.uvIndexMax ?? 0,
+            precipitation: (v.rainAccumulationSum ?? 0) + (v.snowAccumulationSum ?? 0),
+            precipProbability: v.precipitationProbabilityMax ?? 0,
+            sunrise: v.sunriseTime || null,
+            sunset: v.sunsetTime || null,
+            ...summariseDay(hourly.filter(hr => hr.date === date)),
+            ...describeCode(v.weatherCodeMax, true),
+        };
+    });
+
+    return trimForecastDays({
+        provider: ID,
+        timezone: zone,
+        utcOffsetSeconds: offset,
+        hourly,
+        daily,
+    }, days);
+}
+
+export const tomorrowAdapter = {
+    id: ID,
+    label: 'Tomorrow.io',
+    priority: 30,
+
+    isAvailable: (options) => Boolean(resolveKey(options)),
+
+    async fetchCurrent(lat, lng, options = {}) {
+        const raw = await request('weather/realtime', { location: location(lat, lng) }, options);
+        const timestamp = Date.parse(raw.data?.time) || Date.now();
+        const zone = resolveZone(lat, lng, options);
+        const localHour = localHourAt(timestamp, zone, lng);
+        return {
+            ...normalizeValues(raw.data?.values || {}, localHour >= 6 && localHour < 20),
+            timestamp,
+            timezone: zone,
+            utcOffsetSeconds: zone ? getTimeZoneOffsetSeconds(zone, timestamp) : offsetFromLongitude(lng),
+            provider: ID,
+            raw,
+        };
+    },
+
+    async fetchForecast(lat, lng, options = {}) {
+        const raw = await request('weather/forecast', { location: location(lat, lng), timesteps: '1h,1d' }, options);
+        return normalizeForecast(raw, lng, resolveZone(lat, lng, options), options.days);
+    },
+
+    /**
+     * Minute-by-minute precipitation intensity (mm/h) for the next hour.
+     */
+    async fetchNowcast(lat, lng, options = {}) {
+        const data = await request('timelines', {
+            location: location(lat, lng),
+            fields: 'precipitationIntensity',
+            timesteps: '1m',
+        }, options);
+        const intervals = data?.data?.timelines?.[0]?.intervals;
+        if (!intervals) throw new Error('Tomorrow.io nowcast returned no intervals');
+        return {
+            provider: ID,
+            intervalMinutes: 1,
+            steps: intervals.slice(0, 60).map((interval) => {
+                const timestamp = Date.parse(interval.startTime);
+                return {
+                    time: new Date(timestamp).toISOString(),
+                    timestamp,
+                    precipitationIntensity: interval.values?.precipitationIntensity ?? 0,
+                };
+            }),
+        };
+    },
+};
@@ -1,14 +1,164 @@
-export function getWeatherGuaranteeQuote({ bookingValue = 120, rainProbability = 0, expectedRainMm = 0, cloudCover = 0, isOutdoor = true }) {
+/**
+ * Weather guarantee pricing and settlement.
+ *
+ * A guarantee pays back the venue fee when observed rainfall during the
+ * booking window exceeds the trigger. Quotes are priced up front from the
+ * versioned rules in config/guaranteePricing; evaluateGuarantee() decides
+ * the outcome once the window has passed, from observations in the
+ * weatherRegistry.fetchObserved() shape.
+ */
+
+import { resolvePricingRules } from '../config/guaranteePricing';
+import { DEFAULT_REGION_ID, getRegionForLocation } from '../config/regions';
+import { getWindProfile } from '../data/windIntelligence';
+import { isRainSafe } from '../data/rainIntelligence';
+
+// Fallback for policies stored without their own trigger
+export const GUARANTEE_TRIGGER_MM = 10;
+
+// Share of the window observations must cover before we settle on them
+export const MIN_OBSERVED_COVERAGE = 0.9;
+
+export const SETTLEMENT_OUTCOME = {
+  PAID: 'paid',
+  NOT_PAID: 'not_paid',
+};
+
+/**
+ * Pricing profile for a venue: its region, wind exposure type and
+ * whether it has cover from rain.
+ */
+export function getVenueRiskProfile(venue) {
+  return {
+    regionId: getRegionForLocation(venue?.lat, venue?.lng)?.id ?? DEFAULT_REGION_ID,
+    exposure: getWindProfile(venue).type,
+    rainSafe: !!isRainSafe(venue),
+  };
+}
+
+/**
+ * Price a guarantee with a pricing version (default: the active one).
+ * Pass `venue` to price for its profile, or `regionId` / `exposure` /
+ * `rainSafe` directly (backtests do).
+ *
+ * @returns {object|null} the quote, or null for venues with no outdoor area
+ */
+export function getWeatherGuaranteeQuote({
+  bookingValue = 120,
+  rainProbability = 0,
+  expectedRainMm = 0,
+  cloudCover = 0,
+  isOutdoor = true,
+  venue,
+  regionId,
+  exposure,
+  rainSafe,
+  version,
+}) {
   if (!isOutdoor) return null;
-  let pct = 0.05;
-  if (rainProbability >= 40) pct += 0.02;
-  if (rainProbability >= 65) pct += 0.03;
-  if (expectedRainMm >= 2)   pct += 0.02;
-  if (expectedRainMm >= 8)   pct += 0.03;
-  if (cloudCover >= 70)      pct += 0.01;
-  pct = Math.min(pct, 0.15);
-  const price = Math.max(6, Math.round(bookingValue * pct));
-  const riskBand = pct >= 0.12 ? 'High' : pct >= 0.08 ? 'Medium' : 'Low';
-  const riskColor = riskBand === 'High' ? '#F87171' : riskBand === 'Medium' ? '#FCD34D' : '#34D399';
-  return { price, pct, riskBand, riskColor, trigger: 'If rainfall exceeds 10mm during your booking window, your venue fee is reimbursed automatically. No claims. No cancellation needed.' };
+  const profile = venue ? getVenueRiskProfile(venue) : {};
+  const rules = resolvePricingRules({
+    version,
+    regionId: regionId ?? profile.regionId,
+    exposure: exposure ?? profile.exposure,
+    rainSafe: rainSafe ?? profile.rainSafe,
+  });
+
+  const inputs = { rainProbability, expectedRainMm, cloudCover };
+  const loaded = rules.loadings.reduce(
+    (sum, { input, atLeast, add }) => ((inputs[input] ?? 0) >= atLeast ? sum + add : sum),
+    rules.basePct
+  );
+  // Rounded so float noise never moves a quote across a band edge
+  const pct = Math.round(Math.min(rules.maxPct, Math.max(rules.minPct, loaded * rules.multiplier)) * 1000) / 1000;
+  const price = Math.max(rules.minPremium, Math.round(bookingValue * pct));
+  const band = rules.riskBands.find(b => pct >= b.minPct) ?? rules.riskBands[rules.riskBands.length - 1];
+  return {
+    price,
+    pct,
+    riskBand: band.band,
+    riskColor: band.color,
+    bookingValue,
+    triggerMm: rules.triggerMm,
+    pricingVersion: rules.version,
+    trigger: `If rainfall exceeds ${rules.triggerMm}mm during your booking window, your venue fee is reimbursed automatically. No claims. No cancellation needed.`,
+  };
+}
+
+/**
+ * Rain that fell inside [windowStart, windowEnd). Observation intervals
+ * that straddle an edge count pro rata.
+ *
+ * @returns {{ rainMm: number, coverage: number, hours: object[] }}
+ *   `coverage` is the share of the window with a reading (0–1); `hours`
+ *   lists each reading used with its `overlap` fraction
+ */
+export function measureWindowRainfall(observed, windowStart, windowEnd) {
+  const from = new Date(windowStart).getTime();
+  const to = new Date(windowEnd).getTime();
+  const hours = [];
+  let rainMm = 0;
+  let coveredMs = 0;
+
+  for (const entry of observed?.hourly || []) {
+    if (!Number.isFinite(entry.precipitation)) continue;
+    const durationMs = (entry.durationMinutes ?? 60) * 60000;
+    const overlapMs = Math.min(to, entry.timestamp + durationMs) - Math.max(from, entry.timestamp);
+    if (overlapMs <= 0) continue;
+    const overlap = overlapMs / durationMs;
+    rainMm += entry.precipitation * overlap;
+    coveredMs += overlapMs;
+    hours.push({
+      time: entry.time,
+      durationMinutes: entry.durationMinutes ?? 60,
+      precipitation: entry.precipitation,
+      overlap: Math.round(overlap * 100) / 100,
+    });
+  }
+
+  return {
+    rainMm: Math.round(rainMm * 10) / 10,
+    coverage: to > from ? Math.min(1, coveredMs / (to - from)) : 0,
+    hours,
+  };
+}
+
+/**
+ * Decide a guarantee against observed rainfall.
+ *
+ * @param {{ windowStart: string, windowEnd: string, triggerMm?: number, coverAmount: number }} policy
+ * @param {object} observed  weatherRegistry.fetchObserved() result
+ * @param {{ now?: number }} [options]
+ * @returns {{ status: 'pending', reason: 'window_open'|'insufficient_data', coverage?: number }
+ *   | { status: 'settled', outcome: 'paid'|'not_paid', payoutAmount: number,
+ *       observedRainMm: number, triggerMm: number, evidence: object }}
+ */
+export function evaluateGuarantee(policy, observed, { now = Date.now() } = {}) {
+  if (now < new Date(policy.windowEnd).getTime()) {
+    return { status: 'pending', reason: 'window_open' };
+  }
+
+  const triggerMm = policy.triggerMm ?? GUARANTEE_TRIGGER_MM;
+  const { rainMm, coverage, hours } = measureWindowRainfall(observed, policy.windowStart, policy.windowEnd);
+  if (coverage < MIN_OBSERVED_COVERAGE) {
+    return { status: 'pending', reason: 'insufficient_data', coverage };
+  }
+
+  const paid = rainMm > triggerMm;
+  return {
+    status: 'settled',
+    outcome: paid ? SETTLEMENT_OUTCOME.PAID : SETTLEMENT_OUTCOME.NOT_PAID,
+    payoutAmount: paid ? policy.coverAmount : 0,
+    observedRainMm: rainMm,
+    triggerMm,
+    evidence: {
+      provider: observed?.provider ?? null,
+      source: observed?.source ?? null,
+      windowStart: policy.windowStart,
+      windowEnd: policy.windowEnd,
+      coverage: Math.round(coverage * 100) / 100,
+      hours,
+      evaluatedAt: new Date(now).toISOString(),
+    },
+  };
 }
@@ -0,0 +1,98 @@
+/**
+ * Normalized weather shape shared by every provider adapter.
+ * ─────────────────────────────────────────────────────────────
+ * Current conditions, forecast hours and forecast days all use the
+ * same field names (windSpeed in m/s, cloudCover as a 0–1 fraction,
+ * precipitation in mm) so any of them can be passed wherever a
+ * current-conditions object is accepted.
+ *
+ * @module utils/weatherNormalize
+ */
+
+import { getWeatherFromOpenMeteoCode } from './weatherService';
+import { toZonedDateKey } from './timezone';
+
+export const DEMO_WEATHER_NORMALIZED = {
+    temperature: 22,
+    feelsLike: 21,
+    humidity: 55,
+    cloudCover: 0.20,
+    windSpeed: 5,
+    windDirection: 225,
+    windGust: 8,
+    uvIndex: 6,
+    condition: 'partly_cloudy',
+    description: 'Partly cloudy',
+    icon: '02d',
+    visibility: 10000,
+    pressure: 1015,
+    provider: 'demo',
+    raw: null,
+};
+
+export const MAX_FORECAST_DAYS = 7;
+
+export function normalizeCondition(owmCondition) {
+    const c = (owmCondition || '').toLowerCase();
+    if (c.includes('clear') || c.includes('sunny')) return 'clear';
+    if (c.includes('few clouds') || c.includes('scattered') || c.includes('partly')) return 'partly_cloudy';
+    if (c.includes('cloud') || c.includes('overcast')) return 'cloudy';
+    if (c.includes('drizzle')) return 'drizzle';
+    if (c.includes('rain')) return 'rain';
+    if (c.includes('thunder') || c.includes('storm')) return 'thunderstorm';
+    if (c.includes('snow') || c.includes('sleet')) return 'snow';
+    if (c.includes('mist') || c.includes('fog') || c.includes('haze')) return 'fog';
+    return 'unknown';
+}
+
+export const clampForecastDays = (days) =>
+    Math.max(1, Math.min(MAX_FORECAST_DAYS, Math.round(Number(days) || MAX_FORECAST_DAYS)));
+
+/**
+ * Local calendar date (`YYYY-MM-DD`) of a unix time. An IANA `timeZone`
+ * wins over the fixed offset so days spanning a DST change still split
+ * at local midnight.
+ */
+export const toLocalDateKey = (unixSeconds, utcOffsetSeconds = 0, timeZone = null) =>
+    timeZone
+        ? toZonedDateKey(unixSeconds * 1000, timeZone)
+        : new Date((unixSeconds + utcOffsetSeconds) * 1000).toISOString().slice(0, 10);
+
+export function describeOpenMeteoCode(code, isDay = true) {
+    const desc = getWeatherFromOpenMeteoCode(code ?? 0);
+    return {
+        condition: normalizeCondition(desc.description),
+        description: desc.description.charAt(0).toUpperCase() + desc.description.slice(1),
+        icon: isDay ? desc.icon : desc.icon.replace(/d$/, 'n'),
+    };
+}
+
+export function summariseDay(hours) {
+    if (!hours.length) return { cloudCover: null, windDirection: null, humidity: null };
+    const avg = (key) => {
+        const values = hours.map(h => h[key]).filter(Number.isFinite);
+        return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    };
+    // Vector-average wind bearing so 350° and 10° resolve to north, not south
+    const x = hours.reduce((sum, h) => sum + Math.sin((h.windDirection ?? 0) * Math.PI / 180), 0);
+    const y = hours.reduce((sum, h) => sum + Math.cos((h.windDirection ?? 0) * Math.PI / 180), 0);
+    const bearing = (Math.atan2(x, y) * 180 / Math.PI + 360) % 360;
+    return {
+        cloudCover: avg('cloudCover') != null ? parseFloat(avg('cloudCover').toFixed(2)) : null,
+        windDirection: Math.round(bearing),
+        humidity: avg('humidity') != null ? Math.round(avg('humidity')) : null,
+    };
+}
+
+/**
+ * Trim a normalized forecast to the first `days` local calendar days.
+ */
+export function trimForecastDays(forecast, days) {
+    const daily = forecast.daily.slice(0, days);
+    const lastDate = daily[daily.length - 1]?.date;
+    return {
+        ...forecast,
+        hourly: lastDate ? forecast.hourly.filter(h => h.date <= lastDate) : forecast.hourly,
+        daily,
+    };
+}
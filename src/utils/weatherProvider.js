@@ -3,36 +3,17 @@
  * @module utils/weatherProvider
  */
 
-const DEMO_WEATHER_NORMALIZED = {
-    temperature: 22,
-    feelsLike: 21,
-    humidity: 55,
-    cloudCover: 0.20,
-    windSpeed: 5,
-    windDirection: 225,
-    windGust: 8,
-    uvIndex: 6,
-    condition: 'partly_cloudy',
-    description: 'Partly cloudy',
-    icon: '02d',
-    visibility: 10000,
-    pressure: 1015,
-    provider: 'demo',
-    raw: null,
-};
+import {
+    DEMO_WEATHER_NORMALIZED,
+    MAX_FORECAST_DAYS,
+    clampForecastDays,
+    toLocalDateKey,
+} from './weatherNormalize';
+import { weatherRegistry } from './weatherRegistry';
+import { toLegacyWeather } from './weatherService';
+import { swr } from './cache';
 
-function normalizeCondition(owmCondition) {
-    const c = (owmCondition || '').toLowerCase();
-    if (c.includes('clear') || c.includes('sunny')) return 'clear';
-    if (c.includes('few clouds') || c.includes('scattered')) return 'partly_cloudy';
-    if (c.includes('cloud') || c.includes('overcast')) return 'cloudy';
-    if (c.includes('drizzle')) return 'drizzle';
-    if (c.includes('rain')) return 'rain';
-    if (c.includes('thunder') || c.includes('storm')) return 'thunderstorm';
-    if (c.includes('snow') || c.includes('sleet')) return 'snow';
-    if (c.includes('mist') || c.includes('fog') || c.includes('haze')) return 'fog';
-    return 'unknown';
-}
+export { MAX_FORECAST_DAYS };
 
 export function getCloudCoverImpact(cloudCover) {
     const clamped = Math.max(0, Math.min(1, cloudCover));
@@ -64,34 +45,135 @@ export function getWindImpact(windSpeed, windGust) {
     return { level: 'extreme', outdoorComfort: 0.1, description: 'Extreme wind, indoor recommended' };
 }
 
+/**
+ * Find the forecast hour covering `date` (nearest slot within an hour).
+ * @returns {object|null} normalized hourly entry
+ */
+export function getForecastHour(forecast, date = new Date()) {
+    const hours = forecast?.hourly;
+    if (!hours?.length) return null;
+    const target = new Date(date).getTime();
+    let best = null;
+    let bestDiff = Infinity;
+    for (const h of hours) {
+        const diff = Math.abs(h.timestamp - target);
+        if (diff < bestDiff) { best = h; bestDiff = diff; }
+    }
+    return bestDiff <= 60 * 60 * 1000 ? best : null;
+}
+
+/**
+ * Find the daily summary for the local calendar day containing `date`.
+ * @returns {object|null} normalized daily entry
+ */
+export function getForecastDay(forecast, date = new Date()) {
+    const days = forecast?.daily;
+    if (!days?.length) return null;
+    const key = toLocalDateKey(
+        Math.floor(new Date(date).getTime() / 1000),
+        forecast.utcOffsetSeconds ?? 0,
+        forecast.timezone,
+    );
+    return days.find(d => d.date === key) || null;
+}
+
+/**
+ * All forecast hours whose start falls inside [start, end).
+ */
+export function getForecastRange(forecast, start, end) {
+    const from = new Date(start).getTime();
+    const to = new Date(end).getTime();
+    return (forecast?.hourly || []).filter(h => h.timestamp >= from && h.timestamp < to);
+}
+
+/**
+ * Current conditions + 2-day forecast in the legacy OWM-like shape that
+ * WeatherContext exposes, sourced through the provider registry.
+ *
+ * @param {number} lat
+ * @param {number} lng
+ * @param {{ signal?: AbortSignal, name?: string }} [options]
+ */
+export async function fetchWeatherSnapshot(lat, lng, { signal, name, timezone } = {}) {
+    const [current, forecast] = await Promise.all([
+        weatherRegistry.fetchCurrent(lat, lng, { signal, timezone }),
+        weatherRegistry.fetchForecast(lat, lng, { days: 2, signal, timezone }),
+    ]);
+    return toLegacyWeather(current, forecast, { name, timezone });
+}
+
 export class WeatherDataProvider {
-    constructor() {
+    /**
+     * @param {import('./weatherRegistry').WeatherProviderRegistry} [registry]
+     */
+    constructor(registry = weatherRegistry) {
+        this.registry = registry;
+        // Most recent current conditions, for the synchronous getters below
         this._lastFetch = null;
-        this._cacheExpiry = 15 * 60 * 1000;
     }
 
+    /**
+     * Current conditions from the first healthy provider in the registry,
+     * through the shared cache (stale data is served while refreshing).
+     * `apiKey` is an OpenWeatherMap key override, kept for existing callers.
+     * Rejects when every provider fails.
+     */
     async fetchCurrent(lat, lng, options = {}) {
-        const { apiKey, forceRefresh = false } = options;
-        if (!forceRefresh && this._lastFetch) {
-            const age = Date.now() - this._lastFetch._fetchedAt;
-            if (age < this._cacheExpiry) return this._lastFetch;
-        }
-        if (apiKey) {
-            try {
-                const data = await this._fetchFromOpenWeatherMap(lat, lng, apiKey);
-                this._lastFetch = { ...data, _fetchedAt: Date.now() };
-                return this._lastFetch;
-            } catch (err) {
-                console.warn('[WeatherProvider] API fetch failed, using demo data:', err.message);
-            }
+        const { apiKey, forceRefresh = false, signal } = options;
+        const remember = ({ value, fetchedAt }) => {
+            this._lastFetch = { ...value, _fetchedAt: fetchedAt };
+        };
+        try {
+            // The fetch is shared between callers, so it doesn't take one caller's signal
+            const result = await swr(
+                'current',
+                `${Number(lat).toFixed(2)},${Number(lng).toFixed(2)}`,
+                () => this.registry.fetchCurrent(lat, lng, { apiKeys: this._apiKeys(apiKey) }),
+                { forceRefresh, shouldCache: (value) => value.provider !== 'demo', onUpdate: remember }
+            );
+            signal?.throwIfAborted();
+            remember(result);
+            return this._lastFetch;
+        } catch (err) {
+            if (err?.name !== 'AbortError') console.warn('[WeatherProvider] All providers failed:', err.message);
+            throw err;
         }
-        this._lastFetch = { ...DEMO_WEATHER_NORMALIZED, _fetchedAt: Date.now() };
-        return this._lastFetch;
     }
 
-    async fetchForecast(lat, lng, hours = 12) {
-        console.info('[WeatherProvider] fetchForecast is a placeholder \u2014 not yet implemented');
-        return null;
+    /**
+     * Fetch a normalized hourly + daily forecast for up to 7 days.
+     * Providers are tried in registry priority order (Open-Meteo first,
+     * keyed providers when configured); rejects when all of them fail, so
+     * callers can show that there is no forecast. Cached per location and
+     * day count.
+     *
+     * @param {number} lat
+     * @param {number} lng
+     * @param {{ days?: number, apiKey?: string, forceRefresh?: boolean, signal?: AbortSignal }} [options]
+     * @returns {Promise<{ provider: string, timezone: string|null, utcOffsetSeconds: number,
+     *   hourly: object[], daily: object[], _fetchedAt: number }>}
+     */
+    async fetchForecast(lat, lng, options = {}) {
+        const { apiKey, forceRefresh = false, signal } = options;
+        const days = clampForecastDays(options.days);
+
+        try {
+            const result = await swr(
+                'forecast',
+                `${Number(lat).toFixed(2)},${Number(lng).toFixed(2)},${days}`,
+                () => this.registry.fetchForecast(lat, lng, { days, apiKeys: this._apiKeys(apiKey) }),
+                {
+                    forceRefresh,
+                    // Demo data is never cached so the next call retries the live sources
+                    shouldCache: (value) => value.provider !== 'demo',
+                }
+            );
+            signal?.throwIfAborted();
+            return { ...result.value, lat, lng, days, _fetchedAt: result.fetchedAt };
+        } catch (err) {
+            if (err?.name !== 'AbortError') console.warn('[WeatherProvider] All forecast providers failed:', err.message);
+            throw err;
+        }
     }
 
     getCloudCover() { return this._lastFetch?.cloudCover ?? DEMO_WEATHER_NORMALIZED.cloudCover; }
@@ -100,29 +182,10 @@ export class WeatherDataProvider {
         return { speed: d.windSpeed, direction: d.windDirection, gust: d.windGust || d.windSpeed };
     }
     getUVIndex() { return this._lastFetch?.uvIndex ?? DEMO_WEATHER_NORMALIZED.uvIndex; }
+    getProviderHealth() { return this.registry.getHealth(); }
 
-    async _fetchFromOpenWeatherMap(lat, lng, apiKey) {
-        const url = `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lng}&appid=${apiKey}&units=metric`;
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`OpenWeatherMap API error: ${response.status}`);
-        const raw = await response.json();
-        return {
-            temperature: raw.main?.temp ?? 20,
-            feelsLike: raw.main?.feels_like ?? 20,
-            humidity: raw.main?.humidity ?? 50,
-            cloudCover: (raw.clouds?.all ?? 0) / 100,
-            windSpeed: raw.wind?.speed ?? 0,
-            windDirection: raw.wind?.deg ?? 0,
-            windGust: raw.wind?.gust ?? raw.wind?.speed ?? 0,
-            uvIndex: raw.uvi ?? (raw.weather?.[0]?.main === 'Clear' ? 7 : 3),
-            condition: normalizeCondition(raw.weather?.[0]?.description || ''),
-            description: raw.weather?.[0]?.description || 'Unknown',
-            icon: raw.weather?.[0]?.icon || '01d',
-            visibility: raw.visibility ?? 10000,
-            pressure: raw.main?.pressure ?? 1013,
-            provider: 'openweathermap',
-            raw,
-        };
+    _apiKeys(apiKey) {
+        return apiKey ? { openweathermap: apiKey } : undefined;
     }
 }
 
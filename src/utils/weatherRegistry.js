@@ -0,0 +1,258 @@
+/**
+ * Weather Provider Registry
+ * ─────────────────────────────────────────────────────────────
+ * Adapters register here and are tried in priority order (lowest
+ * first). A provider that errors or times out hands over to the next
+ * one; after repeated failures it is parked for a cooldown so a dead
+ * API doesn't add its timeout to every request.
+ *
+ * An adapter is a plain object:
+ *   { id, label, priority, isAvailable?(options),
+ *     fetchCurrent?(lat, lng, options),
+ *     fetchForecast?(lat, lng, options),
+ *     fetchNowcast?(lat, lng, options),
+ *     fetchObserved?(lat, lng, options) }
+ * Each fetch method resolves to the normalized shape from
+ * utils/weatherNormalize and must honour `options.signal`.
+ *
+ * `fetchNowcast` is short-range precipitation in fixed steps:
+ *   { provider, intervalMinutes, steps: [{ time, timestamp, precipitationIntensity }] }
+ * with intensity in mm/h and each step covering [timestamp, timestamp + intervalMinutes).
+ *
+ * `fetchObserved` reports rainfall that has already fallen between
+ * `options.start` and `options.end`:
+ *   { provider, source, hourly: [{ time, timestamp, durationMinutes, precipitation }] }
+ * where each entry covers [timestamp, timestamp + durationMinutes).
+ *
+ * @module utils/weatherRegistry
+ */
+
+import { clampForecastDays } from './weatherNormalize';
+import { openMeteoAdapter } from './weatherAdapters/openMeteo';
+import { openWeatherMapAdapter } from './weatherAdapters/openWeatherMap';
+import { tomorrowAdapter } from './weatherAdapters/tomorrow';
+import { fixtureAdapter } from './weatherAdapters/fixture';
+
+const CAPABILITY_METHODS = {
+    current: 'fetchCurrent',
+    forecast: 'fetchForecast',
+    nowcast: 'fetchNowcast',
+    observed: 'fetchObserved',
+};
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 5 * 60 * 1000;
+
+const isAbortError = (error) => error?.name === 'AbortError';
+const abortReason = (signal) => signal.reason ?? new DOMException('Aborted', 'AbortError');
+
+const createHealth = () => ({
+    status: 'healthy',
+    consecutiveFailures: 0,
+    totalFailures: 0,
+    totalSuccesses: 0,
+    lastError: null,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    cooldownUntil: null,
+    avgLatencyMs: null,
+});
+
+export class WeatherProviderRegistry {
+    /**
+     * @param {{ timeoutMs?: number, failureThreshold?: number, cooldownMs?: number }} [options]
+     */
+    constructor(options = {}) {
+        this._adapters = new Map();
+        this._health = new Map();
+        this.timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+        this.failureThreshold = options.failureThreshold ?? DEFAULT_FAILURE_THRESHOLD;
+        this.cooldownMs = options.cooldownMs ?? DEFAULT_COOLDOWN_MS;
+    }
+
+    register(adapter) {
+        if (!adapter?.id) throw new Error('Weather adapter must have an id');
+        this._adapters.set(adapter.id, adapter);
+        this._health.set(adapter.id, createHealth());
+        return this;
+    }
+
+    unregister(id) {
+        this._adapters.delete(id);
+        this._health.delete(id);
+        return this;
+    }
+
+    get(id) {
+        return this._adapters.get(id) || null;
+    }
+
+    /**
+     * Registered adapters that implement `capability`, in priority order.
+     */
+    list(capability) {
+        const method = CAPABILITY_METHODS[capability];
+        return [...this._adapters.values()]
+            .filter(a => !method || typeof a[method] === 'function')
+            .sort((a, b) => (a.priority ?? 100) - (b.priority ?? 100));
+    }
+
+    /**
+     * Health snapshot for one provider, or all of them keyed by id.
+     */
+    getHealth(id) {
+        if (id) return this._health.has(id) ? { ...this._health.get(id) } : null;
+        return Object.fromEntries([...this._health].map(([key, h]) => [key, { ...h }]));
+    }
+
+    resetHealth(id) {
+        const ids = id ? [id] : [...this._health.keys()];
+        ids.forEach(key => this._health.has(key) && this._health.set(key, createHealth()));
+    }
+
+    fetchCurrent(lat, lng, options = {}) {
+        return this.request('current', lat, lng, options);
+    }
+
+    fetchForecast(lat, lng, options = {}) {
+        return this.request('forecast', lat, lng, { ...options, days: clampForecastDays(options.days) });
+    }
+
+    fetchNowcast(lat, lng, options = {}) {
+        return this.request('nowcast', lat, lng, options);
+    }
+
+    /**
+     * Observed rainfall for a past interval.
+     * @param {{ start: Date|string|number, end: Date|string|number }} options
+     */
+    fetchObserved(lat, lng, options = {}) {
+        return this.request('observed', lat, lng, options);
+    }
+
+    /**
+     * Run `capability` against each eligible provider until one succeeds.
+     * Providers in cooldown are skipped unless nothing else is left.
+     *
+     * @param {'current'|'forecast'|'nowcast'|'observed'} capability
+     * @param {number} lat
+     * @param {number} lng
+     * @param {{ signal?: AbortSignal, timeoutMs?: number, providers?: string[],
+     *   apiKeys?: Record<string, string>, timezone?: string }} [options]
+     *   `providers` restricts (and orders) the candidates by id; `timezone`
+     *   (IANA) is a hint for providers that don't report one.
+     * @returns {Promise<object>} normalized payload; `provider` names the source
+     * @throws {Error} with `attempts: {provider, error}[]` when every provider fails
+     */
+    async request(capability, lat, lng, options = {}) {
+        const method = CAPABILITY_METHODS[capability];
+        if (!method) throw new Error(`Unknown weather capability "${capability}"`);
+
+        const { signal, timeoutMs = this.timeoutMs, providers } = options;
+        const candidates = this._candidates(capability, providers, options);
+        const attempts = [];
+
+        for (const adapter of candidates) {
+            if (signal?.aborted) throw abortReason(signal);
+            const startedAt = Date.now();
+            try {
+                const result = await this._withTimeout(
+                    (innerSignal) => adapter[method](lat, lng, { ...options, signal: innerSignal }),
+                    timeoutMs,
+                    signal,
+                    adapter.id
+                );
+                this._recordSuccess(adapter.id, Date.now() - startedAt);
+                return { ...result, provider: result?.provider ?? adapter.id };
+            } catch (err) {
+                if (signal?.aborted) throw isAbortError(err) ? err : abortReason(signal);
+                this._recordFailure(adapter.id, err);
+                attempts.push({ provider: adapter.id, error: err?.message || String(err) });
+                console.warn(`[WeatherRegistry] ${adapter.id} ${capability} failed:`, err?.message);
+            }
+        }
+
+        const error = new Error(
+            attempts.length
+                ? `All weather providers failed for ${capability}`
+                : `No weather provider available for ${capability}`
+        );
+        error.attempts = attempts;
+        throw error;
+    }
+
+    _candidates(capability, providers, options) {
+        let adapters = this.list(capability);
+        if (providers?.length) {
+            adapters = providers.map(id => this._adapters.get(id)).filter(a => adapters.includes(a));
+        }
+        adapters = adapters.filter(a => !a.isAvailable || a.isAvailable(options));
+
+        const now = Date.now();
+        const inCooldown = (a) => (this._health.get(a.id)?.cooldownUntil ?? 0) > now;
+        return [...adapters.filter(a => !inCooldown(a)), ...adapters.filter(inCooldown)];
+    }
+
+    async _withTimeout(run, timeoutMs, outerSignal, id) {
+        const controller = new AbortController();
+        let timer;
+        let forwardAbort;
+        // Settles on timeout or caller abort even if the adapter ignores its signal
+        const interrupt = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(new Error(`${id} timed out after ${timeoutMs}ms`));
+            }, timeoutMs);
+            forwardAbort = () => {
+                controller.abort(outerSignal.reason);
+                reject(abortReason(outerSignal));
+            };
+            outerSignal?.addEventListener('abort', forwardAbort, { once: true });
+        });
+
+        try {
+            return await Promise.race([run(controller.signal), interrupt]);
+        } finally {
+            clearTimeout(timer);
+            outerSignal?.removeEventListener('abort', forwardAbort);
+        }
+    }
+
+    _recordSuccess(id, latencyMs) {
+        const h = this._health.get(id);
+        if (!h) return;
+        h.status = 'healthy';
+        h.consecutiveFailures = 0;
+        h.totalSuccesses += 1;
+        h.lastSuccessAt = Date.now();
+        h.cooldownUntil = null;
+        h.avgLatencyMs = h.avgLatencyMs == null
+            ? latencyMs
+            : Math.round(h.avgLatencyMs * 0.8 + latencyMs * 0.2);
+    }
+
+    _recordFailure(id, err) {
+        const h = this._health.get(id);
+        if (!h) return;
+        h.consecutiveFailures += 1;
+        h.totalFailures += 1;
+        h.lastError = err?.message || String(err);
+        h.lastFailureAt = Date.now();
+        if (h.consecutiveFailures >= this.failureThreshold) {
+            h.status = 'down';
+            h.cooldownUntil = Date.now() + this.cooldownMs;
+        } else {
+            h.status = 'degraded';
+        }
+    }
+}
+
+export const weatherRegistry = new WeatherProviderRegistry()
+    .register(openMeteoAdapter)
+    .register(openWeatherMapAdapter)
+    .register(tomorrowAdapter);
+
+// Made-up weather only on request (demos, development); otherwise a
+// failure of every live provider reaches callers as an error
+if (import.meta.env.VITE_WEATHER_FIXTURE === 'true') weatherRegistry.register(fixtureAdapter);
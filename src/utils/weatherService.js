@@ -1,5 +1,7 @@
 // src/utils/weatherService.js
 
+import { getTimeZoneOffsetSeconds, startOfZonedDay, toZonedDateKey, toZonedIso } from './timezone';
+
 export const toUnixTimestamp = (isoDateTime) => {
     if (!isoDateTime) return null;
     const ms = Date.parse(isoDateTime);
@@ -27,93 +29,129 @@ export const getThemeFromCondition = (condition) => {
     return 'sunny';
 };
 
-export const fetchOpenMeteoWeather = async (lat, lon, signal) => {
-    const params = new URLSearchParams({
-        latitude: String(lat),
-        longitude: String(lon),
-        current: [
-            'temperature_2m',
-            'apparent_temperature',
-            'relative_humidity_2m',
-            'precipitation',
-            'weather_code',
-            'wind_speed_10m',
-            'wind_gusts_10m',
-            'cloud_cover',
-            'uv_index',
-            'is_day',
-            'shortwave_radiation',
-            'surface_pressure',
-        ].join(','),
-        hourly: [
-            'temperature_2m',
-            'apparent_temperature',
-            'precipitation_probability',
-            'weather_code',
-            'cloud_cover',
-            'wind_speed_10m',
-            'wind_gusts_10m',
-            'shortwave_radiation',
-            'uv_index',
-            'is_day',
-        ].join(','),
-        daily: [
-            'weather_code',
-            'temperature_2m_max',
-            'temperature_2m_min',
-            'sunrise',
-            'sunset',
-            'uv_index_max',
-            'precipitation_sum',
-            'wind_speed_10m_max',
-        ].join(','),
-        timezone: 'Australia/Melbourne',
-        forecast_days: '2',
-        wind_speed_unit: 'kmh',
-    });
+// Normalized condition → representative WMO code / OWM `main`, for the
+// Open-Meteo-style arrays the context consumers still read.
+const CONDITION_WMO = {
+    clear: 0,
+    partly_cloudy: 2,
+    cloudy: 3,
+    fog: 45,
+    drizzle: 53,
+    rain: 63,
+    snow: 73,
+    thunderstorm: 95,
+};
 
-    const url = `https://api.open-meteo.com/v1/forecast?${params}`;
-    const response = await fetch(url, { signal });
-    if (!response.ok) throw new Error(`Open-Meteo HTTP ${response.status}`);
-    const data = await response.json();
+const CONDITION_MAIN = {
+    clear: 'Clear',
+    partly_cloudy: 'Clouds',
+    cloudy: 'Clouds',
+    fog: 'Fog',
+    drizzle: 'Drizzle',
+    rain: 'Rain',
+    snow: 'Snow',
+    thunderstorm: 'Thunderstorm',
+};
 
-    const current = data.current || {};
-    const daily = data.daily || {};
-    const hourly = data.hourly || {};
+const toKmh = (ms) => (ms == null ? null : Math.round(ms * 3.6 * 10) / 10);
 
-    const wmoCode = current.weather_code ?? 0;
-    const weatherDesc = getWeatherFromOpenMeteoCode(wmoCode);
+// Local wall-clock ISO string without zone, matching Open-Meteo's iso8601 output
+const toOffsetIso = (timestamp, utcOffsetSeconds) =>
+    new Date(timestamp + utcOffsetSeconds * 1000).toISOString().slice(0, 16);
 
-    // Derive sunrise/sunset unix from daily ISO strings
-    const sunriseUnix = toUnixTimestamp(daily.sunrise?.[0]);
-    const sunsetUnix = toUnixTimestamp(daily.sunset?.[0]);
+/**
+ * Convert normalized current conditions + forecast (see
+ * utils/weatherNormalize) into the OWM-like object WeatherContext has
+ * always exposed. Hourly arrays start at local midnight today so
+ * consumers can keep indexing them by hour of day; slots the provider
+ * didn't cover are null. With a known IANA timezone, midnight and the
+ * `time` labels follow DST (a changeover day has 23 or 25 slots).
+ *
+ * @param {object} current  normalized current conditions
+ * @param {object} forecast normalized forecast
+ * @param {{ name?: string, timezone?: string, hours?: number }} [options]
+ *   `name` defaults to the city part of the timezone; `timezone` is used
+ *   when the provider didn't report one
+ */
+export const toLegacyWeather = (current, forecast, { name, timezone: fallbackZone, hours = 48 } = {}) => {
+    const timezone = forecast?.timezone ?? current?.timezone ?? fallbackZone ?? null;
+    const displayName = name ?? (timezone ? timezone.split('/').pop().replace(/_/g, ' ') : 'Local');
+    const now = Date.now();
+    const offset = timezone
+        ? getTimeZoneOffsetSeconds(timezone, now)
+        : forecast?.utcOffsetSeconds ?? current?.utcOffsetSeconds ?? 0;
+    const localIso = (ts) => (timezone ? toZonedIso(ts, timezone) : toOffsetIso(ts, offset));
+    const condition = current.condition || 'unknown';
+    const weatherDesc = {
+        main: CONDITION_MAIN[condition] || 'Clouds',
+        description: (current.description || 'variable cloud').toLowerCase(),
+        icon: current.icon || '03d',
+    };
+
+    const todayKey = timezone ? toZonedDateKey(now, timezone) : toOffsetIso(now, offset).slice(0, 10);
+    const midnight = timezone
+        ? startOfZonedDay(now, timezone).getTime()
+        : Date.parse(`${todayKey}T00:00:00Z`) - offset * 1000;
+    const byTimestamp = new Map((forecast?.hourly || []).map(h => [h.timestamp, h]));
+    const slots = Array.from({ length: hours }, (_, i) => midnight + i * 3600000);
+    const column = (pick) => slots.map((ts) => {
+        const h = byTimestamp.get(ts);
+        return h ? pick(h) : null;
+    });
+
+    const daily = forecast?.daily || [];
+    const today = daily.find(d => d.date === todayKey) || daily[0];
 
     return {
         main: {
-            temp: current.temperature_2m ?? 20,
-            feels_like: current.apparent_temperature ?? 20,
-            humidity: current.relative_humidity_2m ?? 50,
+            temp: current.temperature ?? 20,
+            feels_like: current.feelsLike ?? 20,
+            humidity: current.humidity ?? 50,
         },
         weather: [weatherDesc],
-        wind: { speed: (current.wind_speed_10m ?? 0) / 3.6 }, // convert kmh → m/s
-        clouds: { all: current.cloud_cover ?? 0 },
-        uvi: current.uv_index ?? 0,
+        wind: { speed: current.windSpeed ?? 0, deg: current.windDirection ?? null },
+        clouds: { all: Math.round((current.cloudCover ?? 0) * 100) },
+        uvi: current.uvIndex ?? 0,
         sys: {
-            sunrise: sunriseUnix,
-            sunset: sunsetUnix,
+            sunrise: today?.sunrise ? toUnixTimestamp(today.sunrise) : null,
+            sunset: today?.sunset ? toUnixTimestamp(today.sunset) : null,
         },
-        name: 'Melbourne',
-        source: 'open-meteo',
+        name: current.provider === 'demo' ? `${displayName} (Demo)` : displayName,
+        source: current.provider,
         theme: getThemeFromCondition(weatherDesc.description),
-        isDay: current.is_day === 1,
-        shortwaveRadiation: current.shortwave_radiation ?? 0,
-        windGusts: current.wind_gusts_10m ?? 0,
+        isDay: current.isDay ?? true,
+        shortwaveRadiation: current.shortwaveRadiation ?? 0,
+        windGusts: toKmh(current.windGust) ?? 0,
         precipitation: current.precipitation ?? 0,
         hourly: {
-            ...hourly,
-            _tzOffsetSeconds: 36000, // AEST = UTC+10
+            time: slots.map(localIso),
+            temperature_2m: column(h => h.temperature),
+            apparent_temperature: column(h => h.feelsLike),
+            precipitation: column(h => h.precipitation),
+            precipitation_probability: column(h => h.precipProbability),
+            weather_code: column(h => CONDITION_WMO[h.condition] ?? 2),
+            cloud_cover: column(h => Math.round(h.cloudCover * 100)),
+            wind_speed_10m: column(h => toKmh(h.windSpeed)),
+            wind_direction_10m: column(h => h.windDirection),
+            wind_gusts_10m: column(h => toKmh(h.windGust)),
+            shortwave_radiation: column(h => h.shortwaveRadiation),
+            uv_index: column(h => h.uvIndex),
+            visibility: column(h => h.visibility),
+            is_day: column(h => (h.isDay ? 1 : 0)),
+            _tzOffsetSeconds: offset,
+            _timezone: timezone,
+        },
+        daily: {
+            time: daily.map(d => d.date),
+            weather_code: daily.map(d => CONDITION_WMO[d.condition] ?? 2),
+            temperature_2m_max: daily.map(d => d.temperatureMax),
+            temperature_2m_min: daily.map(d => d.temperatureMin),
+            sunrise: daily.map(d => (d.sunrise ? localIso(Date.parse(d.sunrise)) : null)),
+            sunset: daily.map(d => (d.sunset ? localIso(Date.parse(d.sunset)) : null)),
+            uv_index_max: daily.map(d => d.uvIndex),
+            precipitation_sum: daily.map(d => d.precipitation),
+            wind_speed_10m_max: daily.map(d => toKmh(d.windSpeed)),
         },
-        daily,
     };
 };
 
@@ -129,11 +167,14 @@ export function mapWeatherCode(wmoCode) {
   return { label: 'Unknown', icon: '\uD83C\uDF24\uFE0F' };
 }
 
-export function getComfortLevel({ apparentTemp, precipProbability, windGusts }) {
+export function getComfortLevel({ apparentTemp, precipProbability, windGusts }, profile) {
+  // A comfort profile (utils/comfortProfile) moves the comfortable band
+  const low = profile ? profile.idealMinC : 18;
+  const high = profile ? profile.idealMaxC : 28;
   if (precipProbability > 60) return { label: 'Wet', icon: '\uD83C\uDF27\uFE0F', cozy: true };
-  if (apparentTemp < 12) return { label: 'Cold', icon: '\uD83E\uDDE5', cozy: true };
+  if (apparentTemp < (profile ? low - 6 : 12)) return { label: 'Cold', icon: '\uD83E\uDDE5', cozy: true };
   if (windGusts > 15) return { label: 'Windy', icon: '\uD83D\uDCA8', cozy: false };
-  if (apparentTemp >= 18 && apparentTemp <= 28) return { label: 'Comfortable', icon: '\uD83D\uDE0A', cozy: false };
-  if (apparentTemp > 28) return { label: 'Hot', icon: '\uD83E\uDD75', cozy: false };
+  if (apparentTemp >= low && apparentTemp <= high) return { label: 'Comfortable', icon: '\uD83D\uDE0A', cozy: false };
+  if (apparentTemp > high) return { label: 'Hot', icon: '\uD83E\uDD75', cozy: false };
   return { label: 'Mild', icon: '\uD83C\uDF24\uFE0F', cozy: false };
 }
@@ -0,0 +1,75 @@
+/**
+ * Browser side of Web Push
+ * ─────────────────────────────────────────────────────────────
+ * Registers public/sw.js and manages this browser's PushSubscription.
+ * VITE_VAPID_PUBLIC_KEY is the application server key; its private half
+ * lives with the push sender (see api/pushServices), never in the app.
+ * The stored subscription and its preferences are handled by
+ * api/pushSubscriptions.
+ *
+ * @module utils/webPush
+ */
+
+const VAPID_PUBLIC_KEY = (import.meta.env.VITE_VAPID_PUBLIC_KEY || '').trim();
+const WORKER_URL = `${import.meta.env.BASE_URL}sw.js`;
+
+export function isPushSupported() {
+    return typeof window !== 'undefined'
+        && 'serviceWorker' in navigator
+        && 'PushManager' in window
+        && 'Notification' in window
+        && !!VAPID_PUBLIC_KEY;
+}
+
+// PushManager wants the base64url VAPID key as bytes
+function urlBase64ToUint8Array(base64Url) {
+    const padding = '='.repeat((4 - (base64Url.length % 4)) % 4);
+    const base64 = (base64Url + padding).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+async function getRegistration() {
+    return (await navigator.serviceWorker.getRegistration(WORKER_URL))
+        ?? navigator.serviceWorker.register(WORKER_URL);
+}
+
+/**
+ * This browser's current subscription, or null.
+ * @returns {Promise<PushSubscription|null>}
+ */
+export async function getBrowserPushSubscription() {
+    if (!isPushSupported()) return null;
+    const registration = await navigator.serviceWorker.getRegistration(WORKER_URL);
+    return registration ? registration.pushManager.getSubscription() : null;
+}
+
+/**
+ * Ask for notification permission and subscribe this browser, reusing
+ * an existing subscription.
+ *
+ * @returns {Promise<PushSubscription>}
+ */
+export async function subscribeBrowserToPush() {
+    if (!isPushSupported()) throw new Error('Push notifications are not supported in this browser');
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') throw new Error('Notification permission was not granted');
+
+    const registration = await getRegistration();
+    await navigator.serviceWorker.ready;
+    return (await registration.pushManager.getSubscription())
+        ?? registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY),
+        });
+}
+
+/**
+ * Unsubscribe this browser.
+ * @returns {Promise<string|null>} the endpoint that was dropped, if any
+ */
+export async function unsubscribeBrowserFromPush() {
+    const subscription = await getBrowserPushSubscription();
+    if (!subscription) return null;
+    await subscription.unsubscribe();
+    return subscription.endpoint;
+}